@@ -0,0 +1,25 @@
+import React from 'react';
+import { Tabs, Tab } from 'react-bootstrap';
+import Sessions from './Sessions';
+import LoginHistory from './LoginHistory';
+import ApiTokens from './ApiTokens';
+import TwoFactorSettings from './TwoFactorSettings';
+
+const AccountPanel: React.FC = () => (
+  <Tabs defaultActiveKey='sessions' className='mb-3' mountOnEnter>
+    <Tab eventKey='sessions' title='Sessions'>
+      <Sessions />
+    </Tab>
+    <Tab eventKey='loginHistory' title='Login History'>
+      <LoginHistory />
+    </Tab>
+    <Tab eventKey='apiTokens' title='API Tokens'>
+      <ApiTokens />
+    </Tab>
+    <Tab eventKey='twoFactor' title='Two-Factor Authentication'>
+      <TwoFactorSettings />
+    </Tab>
+  </Tabs>
+);
+
+export default AccountPanel;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { Tabs, Tab, Alert } from 'react-bootstrap';
+import { useAuth } from '../contexts/AuthContext';
+import { ADMIN_PERMISSIONS } from '../types/user';
+import AssetTypes from './AssetTypes';
+import FxRates from './FxRates';
+import Benchmarks from './Benchmarks';
+import Users from './Users';
+import Invites from './Invites';
+import SecuritySettings from './SecuritySettings';
+import RiskLimits from './RiskLimits';
+import RolesMatrix from './RolesMatrix';
+import AuditLog from './AuditLog';
+
+const AdminPanel: React.FC = () => {
+  const { can } = useAuth();
+
+  if (!ADMIN_PERMISSIONS.some(can)) {
+    return (
+      <Alert variant='warning'>
+        This area is only available to administrators.
+      </Alert>
+    );
+  }
+
+  return (
+    <Tabs className='mb-3' mountOnEnter>
+      {can('assetTypes:manage') && (
+        <Tab eventKey='assetTypes' title='Asset Types'>
+          <AssetTypes />
+        </Tab>
+      )}
+      {can('fxRates:manage') && (
+        <Tab eventKey='fxRates' title='FX Rates'>
+          <FxRates />
+        </Tab>
+      )}
+      {can('benchmarks:manage') && (
+        <Tab eventKey='benchmarks' title='Benchmarks'>
+          <Benchmarks />
+        </Tab>
+      )}
+      {can('users:manage') && (
+        <Tab eventKey='users' title='Users'>
+          <Users />
+          <Invites />
+        </Tab>
+      )}
+      {can('users:manage') && (
+        <Tab eventKey='roles' title='Roles'>
+          <RolesMatrix />
+        </Tab>
+      )}
+      {can('settings:manage') && (
+        <Tab eventKey='security' title='Security'>
+          <SecuritySettings />
+        </Tab>
+      )}
+      {can('settings:manage') && (
+        <Tab eventKey='riskLimits' title='Risk Limits'>
+          <RiskLimits />
+        </Tab>
+      )}
+      {can('audit:read') && (
+        <Tab eventKey='audit' title='Audit Log'>
+          <AuditLog />
+        </Tab>
+      )}
+    </Tabs>
+  );
+};
+
+export default AdminPanel;
@@ -0,0 +1,285 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Alert,
+  Spinner,
+  Badge,
+  Form,
+  Modal,
+} from 'react-bootstrap';
+import { ApiScope, ApiToken } from '../types/user';
+import { authService } from '../services/authService';
+
+const EXPIRY_OPTIONS = [7, 30, 90, 365];
+
+const ApiTokens: React.FC = () => {
+  const [tokens, setTokens] = useState<ApiToken[]>([]);
+  const [scopes, setScopes] = useState<
+    { key: ApiScope; description: string }[]
+  >([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [showForm, setShowForm] = useState(false);
+  const [name, setName] = useState('');
+  const [selectedScopes, setSelectedScopes] = useState<ApiScope[]>([]);
+  const [expiryDays, setExpiryDays] = useState(90);
+  const [formError, setFormError] = useState<string | null>(null);
+  const [newToken, setNewToken] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const loadTokens = async () => {
+    try {
+      setLoading(true);
+      const data = await authService.getApiTokens();
+      setTokens(data.tokens);
+      setScopes(data.scopes);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load API tokens');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = () => {
+    setName('');
+    setSelectedScopes([]);
+    setExpiryDays(90);
+    setFormError(null);
+    setShowForm(true);
+  };
+
+  const toggleScope = (scope: ApiScope, checked: boolean) => {
+    setSelectedScopes(
+      checked
+        ? [...selectedScopes, scope]
+        : selectedScopes.filter(entry => entry !== scope)
+    );
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setFormError(null);
+      const { token } = await authService.createApiToken({
+        name,
+        scopes: selectedScopes,
+        expiresAt: new Date(
+          Date.now() + expiryDays * 24 * 60 * 60 * 1000
+        ).toISOString(),
+      });
+      setShowForm(false);
+      setNewToken(token);
+      await loadTokens();
+    } catch (err: any) {
+      const errors = err.response?.data?.errors;
+      setFormError(
+        errors
+          ? errors.map((entry: { msg: string }) => entry.msg).join(' ')
+          : err.response?.data?.error || 'Failed to create API token'
+      );
+    }
+  };
+
+  const handleRevoke = async (token: ApiToken) => {
+    if (
+      !window.confirm(
+        `Revoke "${token.name}"? Scripts using it will stop working.`
+      )
+    ) {
+      return;
+    }
+    try {
+      setError(null);
+      await authService.revokeApiToken(token._id);
+      await loadTokens();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to revoke API token');
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header className='d-flex justify-content-between align-items-center'>
+        <h5 className='mb-0'>API Tokens</h5>
+        <Button variant='primary' size='sm' onClick={openForm}>
+          New Token
+        </Button>
+      </Card.Header>
+      <Card.Body>
+        <p className='text-muted small'>
+          Personal tokens let scripts and notebooks call the API as you. Send
+          one as <code>Authorization: Bearer &lt;token&gt;</code>. A token can
+          never do more than your role allows.
+        </p>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+        {newToken && (
+          <Alert
+            variant='success'
+            onClose={() => setNewToken(null)}
+            dismissible
+          >
+            <p className='mb-2'>
+              Copy your new token now. It will not be shown again.
+            </p>
+            <code className='d-block mb-2 text-break'>{newToken}</code>
+            <Button
+              variant='outline-dark'
+              size='sm'
+              onClick={() => navigator.clipboard.writeText(newToken)}
+            >
+              Copy
+            </Button>
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className='text-center p-4'>
+            <Spinner animation='border' role='status'>
+              <span className='visually-hidden'>Loading...</span>
+            </Spinner>
+          </div>
+        ) : (
+          <Table responsive size='sm'>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Scopes</th>
+                <th>Expires</th>
+                <th>Last Used</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {tokens.map(token => (
+                <tr key={token._id}>
+                  <td>
+                    {token.name}{' '}
+                    <span className='text-muted small font-monospace'>
+                      {token.hint}…
+                    </span>
+                  </td>
+                  <td>
+                    {token.scopes.map(scope => (
+                      <Badge key={scope} bg='info' className='me-1'>
+                        {scope}
+                      </Badge>
+                    ))}
+                  </td>
+                  <td>
+                    {new Date(token.expiresAt).toLocaleDateString()}
+                    {new Date(token.expiresAt) <= new Date() && (
+                      <Badge bg='secondary' className='ms-1'>
+                        Expired
+                      </Badge>
+                    )}
+                  </td>
+                  <td>
+                    {token.lastUsedAt
+                      ? `${new Date(token.lastUsedAt).toLocaleString()} from ${
+                          token.lastUsedIp || 'unknown IP'
+                        }`
+                      : 'Never'}
+                  </td>
+                  <td className='text-end'>
+                    <Button
+                      variant='outline-danger'
+                      size='sm'
+                      onClick={() => handleRevoke(token)}
+                    >
+                      Revoke
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+              {tokens.length === 0 && (
+                <tr>
+                  <td colSpan={5} className='text-muted'>
+                    No API tokens.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+
+      <Modal show={showForm} onHide={() => setShowForm(false)}>
+        <Form onSubmit={handleCreate}>
+          <Modal.Header closeButton>
+            <Modal.Title>New API Token</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {formError && <Alert variant='danger'>{formError}</Alert>}
+            <Form.Group className='mb-3'>
+              <Form.Label>Name *</Form.Label>
+              <Form.Control
+                type='text'
+                value={name}
+                onChange={e => setName(e.target.value)}
+                maxLength={50}
+                placeholder='e.g. Quarterly notebook'
+                required
+              />
+            </Form.Group>
+            <Form.Group className='mb-3'>
+              <Form.Label>Scopes *</Form.Label>
+              {scopes.map(scope => (
+                <Form.Check
+                  key={scope.key}
+                  id={`scope-${scope.key}`}
+                  type='checkbox'
+                  label={
+                    <>
+                      <code>{scope.key}</code>{' '}
+                      <span className='text-muted small'>
+                        {scope.description}
+                      </span>
+                    </>
+                  }
+                  checked={selectedScopes.includes(scope.key)}
+                  onChange={e => toggleScope(scope.key, e.target.checked)}
+                />
+              ))}
+            </Form.Group>
+            <Form.Group className='mb-3'>
+              <Form.Label>Expires In</Form.Label>
+              <Form.Select
+                value={expiryDays}
+                onChange={e => setExpiryDays(Number(e.target.value))}
+              >
+                {EXPIRY_OPTIONS.map(days => (
+                  <option key={days} value={days}>
+                    {days} days
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant='secondary' onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button
+              type='submit'
+              variant='primary'
+              disabled={selectedScopes.length === 0}
+            >
+              Create Token
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default ApiTokens;
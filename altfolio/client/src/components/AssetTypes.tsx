@@ -0,0 +1,347 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Alert,
+  Spinner,
+  Form,
+  Row,
+  Col,
+  Badge,
+} from 'react-bootstrap';
+import { AssetType } from '../types/investment';
+import { investmentService } from '../services/investmentService';
+import AttributeDefinitionsEditor, {
+  AttributeRow,
+  toAttributeRows,
+  toAttributeDefinitions,
+} from './AttributeDefinitionsEditor';
+
+const emptyForm = {
+  name: '',
+  subtypes: '',
+  attributes: [] as AttributeRow[],
+  color: '#6c757d',
+  sortOrder: 0,
+  simulation: { drift: 5, volatility: 15 },
+};
+
+const AssetTypes: React.FC = () => {
+  const [assetTypes, setAssetTypes] = useState<AssetType[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    loadAssetTypes();
+  }, []);
+
+  const loadAssetTypes = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await investmentService.getAssetTypes(true);
+      setAssetTypes(data);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load asset types');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(emptyForm);
+  };
+
+  const handleEdit = (assetType: AssetType) => {
+    setEditingId(assetType._id);
+    setFormData({
+      name: assetType.name,
+      subtypes: assetType.subtypes.join(', '),
+      attributes: toAttributeRows(assetType.attributes || []),
+      color: assetType.color,
+      sortOrder: assetType.sortOrder,
+      simulation: { ...assetType.simulation },
+    });
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const data = {
+      ...formData,
+      subtypes: formData.subtypes
+        .split(',')
+        .map(subtype => subtype.trim())
+        .filter(Boolean),
+      attributes: toAttributeDefinitions(formData.attributes),
+    };
+
+    try {
+      setError(null);
+      setMessage(null);
+      if (editingId) {
+        await investmentService.updateAssetType(editingId, data);
+      } else {
+        await investmentService.createAssetType(data);
+      }
+      resetForm();
+      await loadAssetTypes();
+    } catch (err: any) {
+      const details = err.response?.data?.details;
+      setError(
+        details
+          ? details.map((detail: { msg: string }) => detail.msg).join('; ')
+          : err.response?.data?.error || 'Failed to save asset type'
+      );
+    }
+  };
+
+  const handleToggleActive = async (assetType: AssetType) => {
+    try {
+      setError(null);
+      await investmentService.updateAssetType(assetType._id, {
+        name: assetType.name,
+        isActive: !assetType.isActive,
+      });
+      await loadAssetTypes();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to update asset type');
+    }
+  };
+
+  const handleDelete = async (id: string) => {
+    if (window.confirm('Are you sure you want to delete this asset type?')) {
+      try {
+        setError(null);
+        setMessage(await investmentService.deleteAssetType(id));
+        await loadAssetTypes();
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to delete asset type');
+      }
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <h4>Asset Types</h4>
+        <p className='text-muted mb-0'>
+          Types and subtypes available when classifying investments. Types that
+          are still in use are deactivated instead of deleted.
+        </p>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert variant='info' onClose={() => setMessage(null)} dismissible>
+            {message}
+          </Alert>
+        )}
+
+        <Form onSubmit={handleSubmit} className='mb-4'>
+          <Row className='g-2'>
+            <Col md={3}>
+              <Form.Control
+                type='text'
+                value={formData.name}
+                onChange={e =>
+                  setFormData({ ...formData, name: e.target.value })
+                }
+                placeholder='Name'
+                maxLength={50}
+                required
+              />
+            </Col>
+            <Col md={4}>
+              <Form.Control
+                type='text'
+                value={formData.subtypes}
+                onChange={e =>
+                  setFormData({ ...formData, subtypes: e.target.value })
+                }
+                placeholder='Subtypes (comma separated)'
+              />
+            </Col>
+            <Col md={1}>
+              <Form.Control
+                type='color'
+                value={formData.color}
+                onChange={e =>
+                  setFormData({ ...formData, color: e.target.value })
+                }
+                title='Color'
+              />
+            </Col>
+            <Col md={1}>
+              <Form.Control
+                type='number'
+                value={formData.sortOrder}
+                onChange={e =>
+                  setFormData({
+                    ...formData,
+                    sortOrder: Number(e.target.value),
+                  })
+                }
+                title='Sort order'
+              />
+            </Col>
+            <Col md={3} className='d-flex'>
+              <Button type='submit' variant='primary' className='flex-grow-1'>
+                {editingId ? 'Save' : 'Add Type'}
+              </Button>
+              {editingId && (
+                <Button
+                  variant='outline-secondary'
+                  className='ms-2'
+                  onClick={resetForm}
+                >
+                  Cancel
+                </Button>
+              )}
+            </Col>
+          </Row>
+          <Row className='g-2 mt-1 align-items-center'>
+            <Col xs='auto'>
+              <Form.Label className='mb-0 text-muted'>
+                Simulation (% per year)
+              </Form.Label>
+            </Col>
+            <Col md={2}>
+              <Form.Control
+                type='number'
+                min={-100}
+                max={100}
+                step={0.5}
+                value={formData.simulation.drift}
+                onChange={e =>
+                  setFormData({
+                    ...formData,
+                    simulation: {
+                      ...formData.simulation,
+                      drift: Number(e.target.value),
+                    },
+                  })
+                }
+                title='Expected return (drift)'
+              />
+            </Col>
+            <Col md={2}>
+              <Form.Control
+                type='number'
+                min={0}
+                max={300}
+                step={0.5}
+                value={formData.simulation.volatility}
+                onChange={e =>
+                  setFormData({
+                    ...formData,
+                    simulation: {
+                      ...formData.simulation,
+                      volatility: Number(e.target.value),
+                    },
+                  })
+                }
+                title='Volatility'
+              />
+            </Col>
+          </Row>
+          <AttributeDefinitionsEditor
+            rows={formData.attributes}
+            onChange={attributes => setFormData({ ...formData, attributes })}
+          />
+        </Form>
+
+        {loading ? (
+          <div className='text-center p-4'>
+            <Spinner animation='border' role='status'>
+              <span className='visually-hidden'>Loading...</span>
+            </Spinner>
+          </div>
+        ) : (
+          <Table responsive striped hover size='sm'>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Subtypes</th>
+                <th>Attributes</th>
+                <th>Color</th>
+                <th>Order</th>
+                <th>Drift / Volatility</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {assetTypes.map(assetType => (
+                <tr key={assetType._id}>
+                  <td>{assetType.name}</td>
+                  <td>{assetType.subtypes.join(', ')}</td>
+                  <td>
+                    {(assetType.attributes || [])
+                      .map(attribute => attribute.label)
+                      .join(', ')}
+                  </td>
+                  <td>
+                    <span
+                      className='d-inline-block rounded'
+                      style={{
+                        width: '1.5rem',
+                        height: '1rem',
+                        backgroundColor: assetType.color,
+                      }}
+                    />
+                  </td>
+                  <td>{assetType.sortOrder}</td>
+                  <td>
+                    {assetType.simulation.drift}% /{' '}
+                    {assetType.simulation.volatility}%
+                  </td>
+                  <td>
+                    <Badge bg={assetType.isActive ? 'success' : 'secondary'}>
+                      {assetType.isActive ? 'Active' : 'Inactive'}
+                    </Badge>
+                  </td>
+                  <td>
+                    <Button
+                      variant='outline-primary'
+                      size='sm'
+                      className='me-1'
+                      onClick={() => handleEdit(assetType)}
+                    >
+                      Edit
+                    </Button>
+                    <Button
+                      variant='outline-secondary'
+                      size='sm'
+                      className='me-1'
+                      onClick={() => handleToggleActive(assetType)}
+                    >
+                      {assetType.isActive ? 'Deactivate' : 'Activate'}
+                    </Button>
+                    <Button
+                      variant='outline-danger'
+                      size='sm'
+                      onClick={() => handleDelete(assetType._id)}
+                    >
+                      Delete
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default AssetTypes;
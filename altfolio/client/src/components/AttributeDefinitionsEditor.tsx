@@ -0,0 +1,170 @@
+import React from 'react';
+import { Table, Button, Form } from 'react-bootstrap';
+import { AttributeDefinition, AttributeType } from '../types/investment';
+
+// Options are edited as comma-separated text and split when the type is saved
+export type AttributeRow = Omit<AttributeDefinition, 'options'> & {
+  options: string;
+};
+
+export const toAttributeRows = (
+  definitions: AttributeDefinition[]
+): AttributeRow[] =>
+  definitions.map(definition => ({
+    ...definition,
+    options: (definition.options || []).join(', '),
+  }));
+
+export const toAttributeDefinitions = (
+  rows: AttributeRow[]
+): AttributeDefinition[] =>
+  rows.map(row => ({
+    ...row,
+    options:
+      row.type === 'select'
+        ? row.options
+            .split(',')
+            .map(option => option.trim())
+            .filter(Boolean)
+        : [],
+  }));
+
+const ATTRIBUTE_TYPES: AttributeType[] = [
+  'text',
+  'number',
+  'date',
+  'boolean',
+  'select',
+];
+
+interface AttributeDefinitionsEditorProps {
+  rows: AttributeRow[];
+  onChange: (rows: AttributeRow[]) => void;
+}
+
+const AttributeDefinitionsEditor: React.FC<AttributeDefinitionsEditorProps> = ({
+  rows,
+  onChange,
+}) => {
+  const handleChange = (index: number, changes: Partial<AttributeRow>) => {
+    onChange(
+      rows.map((row, i) => (i === index ? { ...row, ...changes } : row))
+    );
+  };
+
+  const handleAdd = () => {
+    onChange([
+      ...rows,
+      { key: '', label: '', type: 'text', options: '', required: false },
+    ]);
+  };
+
+  return (
+    <div className='mt-3'>
+      <h6>Attributes</h6>
+      {rows.length > 0 && (
+        <Table size='sm' className='mb-2'>
+          <thead>
+            <tr>
+              <th>Key</th>
+              <th>Label</th>
+              <th>Type</th>
+              <th>Options</th>
+              <th>Unit</th>
+              <th>Required</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index}>
+                <td>
+                  <Form.Control
+                    size='sm'
+                    value={row.key}
+                    onChange={e => handleChange(index, { key: e.target.value })}
+                    pattern='[a-zA-Z][a-zA-Z0-9_]*'
+                    maxLength={40}
+                    required
+                  />
+                </td>
+                <td>
+                  <Form.Control
+                    size='sm'
+                    value={row.label}
+                    onChange={e =>
+                      handleChange(index, { label: e.target.value })
+                    }
+                    maxLength={50}
+                    required
+                  />
+                </td>
+                <td>
+                  <Form.Select
+                    size='sm'
+                    value={row.type}
+                    onChange={e =>
+                      handleChange(index, {
+                        type: e.target.value as AttributeType,
+                      })
+                    }
+                  >
+                    {ATTRIBUTE_TYPES.map(type => (
+                      <option key={type} value={type}>
+                        {type}
+                      </option>
+                    ))}
+                  </Form.Select>
+                </td>
+                <td>
+                  <Form.Control
+                    size='sm'
+                    value={row.options}
+                    onChange={e =>
+                      handleChange(index, { options: e.target.value })
+                    }
+                    placeholder='Comma separated'
+                    disabled={row.type !== 'select'}
+                    required={row.type === 'select'}
+                  />
+                </td>
+                <td>
+                  <Form.Control
+                    size='sm'
+                    value={row.unit || ''}
+                    onChange={e =>
+                      handleChange(index, { unit: e.target.value })
+                    }
+                    maxLength={20}
+                  />
+                </td>
+                <td className='text-center'>
+                  <Form.Check
+                    checked={row.required || false}
+                    onChange={e =>
+                      handleChange(index, { required: e.target.checked })
+                    }
+                  />
+                </td>
+                <td className='text-end'>
+                  <Button
+                    variant='outline-danger'
+                    size='sm'
+                    onClick={() => onChange(rows.filter((_, i) => i !== index))}
+                  >
+                    Remove
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+      <Button variant='outline-primary' size='sm' onClick={handleAdd}>
+        Add Attribute
+      </Button>
+    </div>
+  );
+};
+
+export default AttributeDefinitionsEditor;
@@ -0,0 +1,128 @@
+import React from 'react';
+import { Form, Row, Col, InputGroup } from 'react-bootstrap';
+import { AttributeDefinition, AttributeValues } from '../types/investment';
+
+interface AttributeFieldsProps {
+  definitions: AttributeDefinition[];
+  values: AttributeValues;
+  onChange: (values: AttributeValues) => void;
+}
+
+const formatAttribute = (
+  definition: AttributeDefinition,
+  value: string | number | boolean
+) => {
+  if (definition.type === 'boolean') return value ? 'Yes' : 'No';
+  if (definition.type === 'date') {
+    return new Date(String(value)).toLocaleDateString();
+  }
+  if (definition.type === 'number') {
+    return `${Number(value).toLocaleString()}${definition.unit ? ` ${definition.unit}` : ''}`;
+  }
+  return `${value}${definition.unit ? ` ${definition.unit}` : ''}`;
+};
+
+export const describeAttributes = (
+  definitions: AttributeDefinition[],
+  values: AttributeValues = {}
+) =>
+  definitions
+    .filter(definition => {
+      const value = values[definition.key];
+      return value !== undefined && value !== null && value !== '';
+    })
+    .map(
+      definition =>
+        `${definition.label}: ${formatAttribute(definition, values[definition.key])}`
+    );
+
+const AttributeFields: React.FC<AttributeFieldsProps> = ({
+  definitions,
+  values,
+  onChange,
+}) => {
+  if (definitions.length === 0) return null;
+
+  const handleChange = (key: string, value: string | boolean) => {
+    onChange({ ...values, [key]: value });
+  };
+
+  const renderControl = (definition: AttributeDefinition) => {
+    const value = values[definition.key];
+
+    switch (definition.type) {
+      case 'boolean':
+        return (
+          <Form.Check
+            type='switch'
+            checked={value === true}
+            onChange={e => handleChange(definition.key, e.target.checked)}
+            label={definition.label}
+          />
+        );
+      case 'select':
+        return (
+          <Form.Select
+            value={value === undefined ? '' : String(value)}
+            onChange={e => handleChange(definition.key, e.target.value)}
+            required={definition.required}
+          >
+            <option value=''>Select...</option>
+            {definition.options?.map(option => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </Form.Select>
+        );
+      default: {
+        const control = (
+          <Form.Control
+            type={definition.type === 'text' ? 'text' : definition.type}
+            value={
+              value === undefined
+                ? ''
+                : definition.type === 'date'
+                  ? String(value).split('T')[0]
+                  : String(value)
+            }
+            onChange={e => handleChange(definition.key, e.target.value)}
+            required={definition.required}
+            min={definition.min}
+            max={definition.max}
+            step={definition.type === 'number' ? 'any' : undefined}
+            maxLength={definition.type === 'text' ? 200 : undefined}
+          />
+        );
+        return definition.unit ? (
+          <InputGroup>
+            {control}
+            <InputGroup.Text>{definition.unit}</InputGroup.Text>
+          </InputGroup>
+        ) : (
+          control
+        );
+      }
+    }
+  };
+
+  return (
+    <Row>
+      {definitions.map(definition => (
+        <Col md={6} key={definition.key}>
+          <Form.Group className='mb-3'>
+            {definition.type !== 'boolean' && (
+              <Form.Label>
+                {definition.label}
+                {definition.required && ' *'}
+              </Form.Label>
+            )}
+            {renderControl(definition)}
+          </Form.Group>
+        </Col>
+      ))}
+    </Row>
+  );
+};
+
+export default AttributeFields;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  Alert,
+  Spinner,
+  Form,
+  Row,
+  Col,
+  Button,
+  Pagination as PageLinks,
+} from 'react-bootstrap';
+import {
+  AuditAction,
+  AuditEntityType,
+  AuditEntry,
+  AuditQuery,
+} from '../types/audit';
+import { Pagination } from '../types/investment';
+import { auditService } from '../services/auditService';
+import AuditTimeline from './AuditTimeline';
+
+const AuditLog: React.FC = () => {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [pagination, setPagination] = useState<Pagination | null>(null);
+  const [filters, setFilters] = useState<AuditQuery>({});
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await auditService.getAuditLog({ ...filters, page });
+        setEntries(result.data);
+        setPagination(result.pagination);
+      } catch (err: any) {
+        const details = err.response?.data?.details;
+        setError(
+          details
+            ? details.map((detail: { msg: string }) => detail.msg).join('; ')
+            : err.response?.data?.error || 'Failed to load audit log'
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [filters, page]);
+
+  const updateFilter = (key: keyof AuditQuery, value: string) => {
+    setFilters({ ...filters, [key]: value || undefined });
+    setPage(1);
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <h4 className='mb-0'>Audit Log</h4>
+      </Card.Header>
+      <Card.Body>
+        <Row className='g-2 mb-3'>
+          <Col md={2}>
+            <Form.Select
+              size='sm'
+              value={filters.entityType || ''}
+              onChange={e =>
+                updateFilter('entityType', e.target.value as AuditEntityType)
+              }
+            >
+              <option value=''>All records</option>
+              <option value='investment'>Investments</option>
+              <option value='user'>Users</option>
+            </Form.Select>
+          </Col>
+          <Col md={2}>
+            <Form.Select
+              size='sm'
+              value={filters.action || ''}
+              onChange={e =>
+                updateFilter('action', e.target.value as AuditAction)
+              }
+            >
+              <option value=''>All actions</option>
+              <option value='create'>Created</option>
+              <option value='update'>Updated</option>
+              <option value='delete'>Deleted</option>
+              <option value='restore'>Restored</option>
+              <option value='purge'>Purged</option>
+            </Form.Select>
+          </Col>
+          <Col md={3}>
+            <Form.Control
+              size='sm'
+              type='text'
+              value={filters.field || ''}
+              onChange={e => updateFilter('field', e.target.value)}
+              placeholder='Changed field, e.g. currentValue'
+            />
+          </Col>
+          <Col md={2}>
+            <Form.Control
+              size='sm'
+              type='date'
+              value={filters.dateFrom || ''}
+              onChange={e => updateFilter('dateFrom', e.target.value)}
+              title='From'
+            />
+          </Col>
+          <Col md={2}>
+            <Form.Control
+              size='sm'
+              type='date'
+              value={filters.dateTo || ''}
+              onChange={e => updateFilter('dateTo', e.target.value)}
+              title='To'
+            />
+          </Col>
+          <Col md={1}>
+            <Button
+              variant='outline-secondary'
+              size='sm'
+              className='w-100'
+              onClick={() => {
+                setFilters({});
+                setPage(1);
+              }}
+            >
+              Clear
+            </Button>
+          </Col>
+        </Row>
+
+        {error && <Alert variant='danger'>{error}</Alert>}
+        {loading ? (
+          <div className='text-center p-4'>
+            <Spinner animation='border' role='status'>
+              <span className='visually-hidden'>Loading...</span>
+            </Spinner>
+          </div>
+        ) : (
+          <AuditTimeline entries={entries} showEntity />
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className='d-flex justify-content-between align-items-center mt-3'>
+            <small className='text-muted'>{pagination.total} entries</small>
+            <PageLinks className='mb-0'>
+              <PageLinks.Prev
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+              />
+              <PageLinks.Item active>
+                {page} / {pagination.totalPages}
+              </PageLinks.Item>
+              <PageLinks.Next
+                disabled={page >= pagination.totalPages}
+                onClick={() => setPage(page + 1)}
+              />
+            </PageLinks>
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default AuditLog;
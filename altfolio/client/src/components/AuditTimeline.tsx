@@ -0,0 +1,93 @@
+import React from 'react';
+import { ListGroup, Table, Badge } from 'react-bootstrap';
+import { AuditAction, AuditEntry } from '../types/audit';
+
+const ACTION_VARIANTS: Record<AuditAction, string> = {
+  create: 'success',
+  update: 'primary',
+  delete: 'danger',
+  restore: 'info',
+  purge: 'dark',
+};
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleString();
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+interface AuditTimelineProps {
+  entries: AuditEntry[];
+  // Shows what each entry is about, for logs spanning several investments and users
+  showEntity?: boolean;
+}
+
+const AuditTimeline: React.FC<AuditTimelineProps> = ({
+  entries,
+  showEntity = false,
+}) => {
+  if (entries.length === 0) {
+    return <p className='text-muted'>No changes recorded.</p>;
+  }
+
+  return (
+    <ListGroup variant='flush'>
+      {entries.map(entry => (
+        <ListGroup.Item key={entry._id} className='px-0'>
+          <div className='d-flex justify-content-between align-items-start'>
+            <div>
+              <Badge bg={ACTION_VARIANTS[entry.action]} className='me-2'>
+                {entry.action}
+              </Badge>
+              {showEntity && (
+                <strong className='me-2'>
+                  {entry.entityType === 'user' ? 'User' : 'Investment'}{' '}
+                  {entry.entityName}
+                </strong>
+              )}
+              {entry.summary}
+            </div>
+            <small className='text-muted text-end'>
+              {new Date(entry.createdAt).toLocaleString()}
+            </small>
+          </div>
+          <small className='text-muted'>
+            by {entry.actor?.name || entry.actorEmail || 'system'}
+            {entry.ip && ` from ${entry.ip}`}
+            {entry.apiToken && (
+              <Badge bg='light' text='dark' className='ms-1'>
+                API token
+              </Badge>
+            )}
+          </small>
+          {entry.changes.length > 0 && (
+            <Table size='sm' className='mt-2 mb-0 small'>
+              <thead>
+                <tr>
+                  <th style={{ width: '25%' }}>Field</th>
+                  <th>Before</th>
+                  <th>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entry.changes.map(change => (
+                  <tr key={change.field}>
+                    <td>
+                      <code>{change.field}</code>
+                    </td>
+                    <td className='text-break'>{formatValue(change.before)}</td>
+                    <td className='text-break'>{formatValue(change.after)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </ListGroup.Item>
+      ))}
+    </ListGroup>
+  );
+};
+
+export default AuditTimeline;
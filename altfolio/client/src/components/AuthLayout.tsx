@@ -0,0 +1,28 @@
+import React, { ReactNode } from 'react';
+import { Container, Row, Col, Card } from 'react-bootstrap';
+
+interface AuthLayoutProps {
+  title: string;
+  children: ReactNode;
+}
+
+const AuthLayout: React.FC<AuthLayoutProps> = ({ title, children }) => (
+  <Container
+    className='d-flex align-items-center justify-content-center'
+    style={{ minHeight: '100vh' }}
+  >
+    <Row className='w-100'>
+      <Col md={6} className='mx-auto'>
+        <Card>
+          <Card.Header className='text-center'>
+            <h2>{title}</h2>
+            <p className='text-muted'>Alternative Investments Tracker</p>
+          </Card.Header>
+          <Card.Body>{children}</Card.Body>
+        </Card>
+      </Col>
+    </Row>
+  </Container>
+);
+
+export default AuthLayout;
@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  Row,
+  Col,
+  Alert,
+  Spinner,
+  Form,
+  Table,
+  Badge,
+} from 'react-bootstrap';
+import {
+  Benchmark,
+  BenchmarkComparison as Comparison,
+  HistoryInterval,
+  PmeMetrics,
+} from '../types/investment';
+import { investmentService } from '../services/investmentService';
+import LineChart from './LineChart';
+
+const formatPercent = (value: number | null) =>
+  value === null ? 'N/A' : `${value.toFixed(2)}%`;
+
+const formatKsPme = (value: number | null) =>
+  value === null ? 'N/A' : value.toFixed(2);
+
+const outperformanceColor = (pme: PmeMetrics | null) => {
+  if (!pme || pme.ksPme === null) return 'secondary';
+  return pme.ksPme >= 1 ? 'success' : 'danger';
+};
+
+const BenchmarkComparison: React.FC = () => {
+  const [benchmarks, setBenchmarks] = useState<Benchmark[]>([]);
+  const [benchmarkId, setBenchmarkId] = useState('');
+  const [interval, setHistoryInterval] = useState<HistoryInterval>('month');
+  const [comparison, setComparison] = useState<Comparison | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadBenchmarks = async () => {
+      try {
+        const list = await investmentService.getBenchmarks();
+        setBenchmarks(list);
+        if (list.length > 0) setBenchmarkId(list[0]._id);
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to load benchmarks');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadBenchmarks();
+  }, []);
+
+  useEffect(() => {
+    if (!benchmarkId) return;
+
+    const loadComparison = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setComparison(
+          await investmentService.getBenchmarkComparison(benchmarkId, interval)
+        );
+      } catch (err: any) {
+        setError(
+          err.response?.data?.error || 'Failed to compare with the benchmark'
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadComparison();
+  }, [benchmarkId, interval]);
+
+  const currency = comparison?.baseCurrency || 'USD';
+  const formatCurrency = (amount: number) =>
+    new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      maximumFractionDigits: 0,
+    }).format(amount);
+
+  const toSeries = (key: 'portfolioValue' | 'pmeValue') =>
+    (comparison?.history || []).map(point => ({
+      x: new Date(point.date).getTime(),
+      y: point[key],
+    }));
+
+  const portfolio = comparison?.portfolio || null;
+
+  return (
+    <Card>
+      <Card.Header>
+        <Row className='align-items-center g-2'>
+          <Col>
+            <h5 className='mb-0'>Public Market Comparison</h5>
+          </Col>
+          {benchmarks.length > 0 && (
+            <>
+              <Col xs='auto'>
+                <Form.Select
+                  size='sm'
+                  value={benchmarkId}
+                  onChange={e => setBenchmarkId(e.target.value)}
+                  title='Benchmark'
+                >
+                  {benchmarks.map(benchmark => (
+                    <option key={benchmark._id} value={benchmark._id}>
+                      {benchmark.name}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col xs='auto'>
+                <Form.Select
+                  size='sm'
+                  value={interval}
+                  onChange={e =>
+                    setHistoryInterval(e.target.value as HistoryInterval)
+                  }
+                  title='Chart interval'
+                >
+                  <option value='day'>Daily</option>
+                  <option value='week'>Weekly</option>
+                  <option value='month'>Monthly</option>
+                  <option value='quarter'>Quarterly</option>
+                </Form.Select>
+              </Col>
+            </>
+          )}
+        </Row>
+      </Card.Header>
+      <Card.Body>
+        {error && <Alert variant='danger'>{error}</Alert>}
+        {loading ? (
+          <div className='text-center p-4'>
+            <Spinner animation='border' role='status'>
+              <span className='visually-hidden'>Loading...</span>
+            </Spinner>
+          </div>
+        ) : benchmarks.length === 0 ? (
+          <p className='text-muted text-center mb-0'>
+            No benchmarks have been uploaded yet. An administrator can add index
+            series such as the S&amp;P 500 under Admin, Benchmarks.
+          </p>
+        ) : (
+          comparison && (
+            <>
+              <p className='text-muted'>
+                Each contribution is treated as buying{' '}
+                {comparison.benchmark.name} on the same day and each
+                distribution as selling it. A KS-PME above 1 means the portfolio
+                beat the index.
+              </p>
+
+              {portfolio ? (
+                <Row className='mb-4'>
+                  <Col md={3} className='text-center'>
+                    <h6>KS-PME</h6>
+                    <h4>
+                      <Badge bg={outperformanceColor(portfolio)}>
+                        {formatKsPme(portfolio.ksPme)}
+                      </Badge>
+                    </h4>
+                  </Col>
+                  <Col md={3} className='text-center'>
+                    <h6>IRR vs PME IRR</h6>
+                    <h4>
+                      {formatPercent(portfolio.irr)} /{' '}
+                      {formatPercent(portfolio.pmeIrr)}
+                    </h4>
+                    <small className='text-muted'>
+                      Excess {formatPercent(portfolio.excessIrr)}
+                    </small>
+                  </Col>
+                  <Col md={3} className='text-center'>
+                    <h6>Direct Alpha</h6>
+                    <h4>{formatPercent(portfolio.directAlpha)}</h4>
+                  </Col>
+                  <Col md={3} className='text-center'>
+                    <h6>Same Flows in the Index</h6>
+                    <h4>{formatCurrency(portfolio.pmeValue)}</h4>
+                    <small className='text-muted'>
+                      Index {formatPercent(portfolio.benchmarkReturn)} since the
+                      first flow
+                    </small>
+                  </Col>
+                </Row>
+              ) : comparison.investments.length === 0 ? (
+                <Alert variant='info'>
+                  There are no investments to compare yet.
+                </Alert>
+              ) : (
+                <Alert variant='info'>
+                  {comparison.benchmark.name} starts on{' '}
+                  {new Date(comparison.benchmark.from).toLocaleDateString()},
+                  after the portfolio's first cash flow, so the whole portfolio
+                  cannot be compared. Investments it covers are listed below.
+                </Alert>
+              )}
+
+              {comparison.history.length > 0 && (
+                <div className='mb-4'>
+                  <LineChart
+                    series={[
+                      {
+                        label: 'Portfolio Value',
+                        color: '#198754',
+                        points: toSeries('portfolioValue'),
+                      },
+                      {
+                        label: `Same Flows in ${comparison.benchmark.name}`,
+                        color: '#0d6efd',
+                        points: toSeries('pmeValue'),
+                        dashed: true,
+                      },
+                    ]}
+                    formatY={formatCurrency}
+                  />
+                  <small className='text-muted'>
+                    Values in {currency} on each snapshot date.
+                  </small>
+                </div>
+              )}
+
+              <Table responsive striped hover size='sm'>
+                <thead>
+                  <tr>
+                    <th>Investment</th>
+                    <th>Type</th>
+                    <th>KS-PME</th>
+                    <th>IRR</th>
+                    <th>PME IRR</th>
+                    <th>Excess IRR</th>
+                    <th>Direct Alpha</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.investments.map(investment => (
+                    <tr key={investment.investmentId}>
+                      <td>{investment.assetName}</td>
+                      <td>{investment.assetType}</td>
+                      {investment.pme ? (
+                        <>
+                          <td>
+                            <Badge bg={outperformanceColor(investment.pme)}>
+                              {formatKsPme(investment.pme.ksPme)}
+                            </Badge>
+                          </td>
+                          <td>{formatPercent(investment.pme.irr)}</td>
+                          <td>{formatPercent(investment.pme.pmeIrr)}</td>
+                          <td>{formatPercent(investment.pme.excessIrr)}</td>
+                          <td>{formatPercent(investment.pme.directAlpha)}</td>
+                        </>
+                      ) : (
+                        <td colSpan={5} className='text-muted'>
+                          Cash flows predate the benchmark
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </>
+          )
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default BenchmarkComparison;
@@ -0,0 +1,270 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Alert,
+  Spinner,
+  Form,
+  Row,
+  Col,
+} from 'react-bootstrap';
+import { Benchmark, BenchmarkRowError } from '../types/investment';
+import { investmentService } from '../services/investmentService';
+import { useAuth } from '../contexts/AuthContext';
+
+const formatDate = (date: string | null) =>
+  date ? new Date(date).toLocaleDateString() : '-';
+
+const Benchmarks: React.FC = () => {
+  const { can } = useAuth();
+  const [benchmarks, setBenchmarks] = useState<Benchmark[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [rowErrors, setRowErrors] = useState<BenchmarkRowError[]>([]);
+  const [message, setMessage] = useState<string | null>(null);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [file, setFile] = useState<File | null>(null);
+  const [uploading, setUploading] = useState(false);
+  const [formKey, setFormKey] = useState(0);
+
+  useEffect(() => {
+    loadBenchmarks();
+  }, []);
+
+  const loadBenchmarks = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setBenchmarks(await investmentService.getBenchmarks());
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load benchmarks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showError = (err: any, fallback: string) => {
+    setError(err.response?.data?.error || fallback);
+    setRowErrors(err.response?.data?.details || []);
+  };
+
+  const handleUpload = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!file) return;
+    try {
+      setUploading(true);
+      setError(null);
+      setRowErrors([]);
+      const benchmark = await investmentService.uploadBenchmark(
+        file,
+        name,
+        description || undefined
+      );
+      setMessage(
+        `${benchmark.name} uploaded with ${benchmark.pointCount} values.`
+      );
+      setName('');
+      setDescription('');
+      setFile(null);
+      setFormKey(formKey + 1);
+      await loadBenchmarks();
+    } catch (err: any) {
+      showError(err, 'Failed to upload benchmark');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleAppend = async (benchmark: Benchmark, update: File) => {
+    try {
+      setError(null);
+      setRowErrors([]);
+      const updated = await investmentService.appendBenchmarkPoints(
+        benchmark._id,
+        update
+      );
+      setMessage(
+        `${updated.name} now has ${updated.pointCount} values, up to ${formatDate(
+          updated.to
+        )}.`
+      );
+      await loadBenchmarks();
+    } catch (err: any) {
+      showError(err, 'Failed to add values');
+    }
+  };
+
+  const handleDelete = async (benchmark: Benchmark) => {
+    if (window.confirm(`Are you sure you want to delete ${benchmark.name}?`)) {
+      try {
+        await investmentService.deleteBenchmark(benchmark._id);
+        await loadBenchmarks();
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to delete benchmark');
+      }
+    }
+  };
+
+  if (!can('benchmarks:manage')) {
+    return (
+      <Alert variant='warning'>
+        Your role does not allow maintaining benchmarks.
+      </Alert>
+    );
+  }
+
+  return (
+    <Card>
+      <Card.Header>
+        <h4>Benchmarks</h4>
+        <p className='text-muted mb-0'>
+          Public market indices to compare the portfolio against. Upload a CSV
+          or XLSX file with a date column and a value (or close) column; the
+          latest value on or before each cash flow date is used.
+        </p>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert
+            variant='danger'
+            onClose={() => {
+              setError(null);
+              setRowErrors([]);
+            }}
+            dismissible
+          >
+            {error}
+            {rowErrors.length > 0 && (
+              <ul className='mb-0 mt-2'>
+                {rowErrors.slice(0, 10).map(rowError => (
+                  <li key={rowError.row}>
+                    Row {rowError.row}: {rowError.message}
+                  </li>
+                ))}
+                {rowErrors.length > 10 && (
+                  <li>and {rowErrors.length - 10} more</li>
+                )}
+              </ul>
+            )}
+          </Alert>
+        )}
+        {message && (
+          <Alert variant='success' onClose={() => setMessage(null)} dismissible>
+            {message}
+          </Alert>
+        )}
+
+        <Form key={formKey} onSubmit={handleUpload} className='mb-4'>
+          <Row className='g-2'>
+            <Col md={3}>
+              <Form.Control
+                type='text'
+                value={name}
+                onChange={e => setName(e.target.value)}
+                placeholder='Name, e.g. S&P 500'
+                maxLength={100}
+                required
+              />
+            </Col>
+            <Col md={3}>
+              <Form.Control
+                type='text'
+                value={description}
+                onChange={e => setDescription(e.target.value)}
+                placeholder='Description'
+                maxLength={500}
+              />
+            </Col>
+            <Col md={4}>
+              <Form.Control
+                type='file'
+                accept='.csv,.xlsx'
+                onChange={e =>
+                  setFile((e.target as HTMLInputElement).files?.[0] || null)
+                }
+                required
+              />
+            </Col>
+            <Col md={2}>
+              <Button
+                type='submit'
+                variant='primary'
+                className='w-100'
+                disabled={uploading || !file}
+              >
+                {uploading ? 'Uploading...' : 'Upload'}
+              </Button>
+            </Col>
+          </Row>
+        </Form>
+
+        {loading ? (
+          <div className='text-center p-4'>
+            <Spinner animation='border' role='status'>
+              <span className='visually-hidden'>Loading...</span>
+            </Spinner>
+          </div>
+        ) : benchmarks.length === 0 ? (
+          <Alert variant='info'>
+            No benchmarks uploaded. Portfolio analytics cannot compare against
+            public markets until one is added.
+          </Alert>
+        ) : (
+          <Table responsive striped hover size='sm'>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Description</th>
+                <th>Values</th>
+                <th>From</th>
+                <th>To</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {benchmarks.map(benchmark => (
+                <tr key={benchmark._id}>
+                  <td>{benchmark.name}</td>
+                  <td>{benchmark.description || ''}</td>
+                  <td>{benchmark.pointCount}</td>
+                  <td>{formatDate(benchmark.from)}</td>
+                  <td>{formatDate(benchmark.to)}</td>
+                  <td className='d-flex gap-2'>
+                    <Form.Label
+                      className='btn btn-outline-primary btn-sm mb-0'
+                      title='Add or correct values from another file'
+                    >
+                      Add Values
+                      <Form.Control
+                        type='file'
+                        accept='.csv,.xlsx'
+                        hidden
+                        onChange={e => {
+                          const input = e.target as HTMLInputElement;
+                          const update = input.files?.[0];
+                          input.value = '';
+                          if (update) handleAppend(benchmark, update);
+                        }}
+                      />
+                    </Form.Label>
+                    <Button
+                      variant='outline-danger'
+                      size='sm'
+                      onClick={() => handleDelete(benchmark)}
+                    >
+                      Delete
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default Benchmarks;
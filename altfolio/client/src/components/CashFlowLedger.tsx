@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Button, Alert, Form, Row, Col, Badge } from 'react-bootstrap';
+import {
+  Investment,
+  CashFlow,
+  CashFlowType,
+  CashFlowCategory,
+  CreateCashFlowData,
+} from '../types/investment';
+import { investmentService } from '../services/investmentService';
+
+interface CashFlowLedgerProps {
+  investmentId: string;
+  currency?: string;
+  onChange: (investment: Investment | null, count: number) => void;
+}
+
+const CATEGORY_OPTIONS: Record<CashFlowType, CashFlowCategory[]> = {
+  contribution: ['follow_on', 'capital_call', 'fee', 'initial', 'other'],
+  distribution: [
+    'return_of_capital',
+    'dividend',
+    'interest',
+    'rent',
+    'sale',
+    'other',
+  ],
+};
+
+const formatCategory = (category: string) =>
+  category
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+const emptyFlow = (): CreateCashFlowData => ({
+  type: 'contribution',
+  category: 'follow_on',
+  amount: 0,
+  date: new Date().toISOString().split('T')[0],
+});
+
+const CashFlowLedger: React.FC<CashFlowLedgerProps> = ({
+  investmentId,
+  currency,
+  onChange,
+}) => {
+  const [cashFlows, setCashFlows] = useState<CashFlow[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [newFlow, setNewFlow] = useState<CreateCashFlowData>(emptyFlow());
+
+  const loadCashFlows = useCallback(async () => {
+    try {
+      setError(null);
+      const { cashFlows: data } =
+        await investmentService.getCashFlows(investmentId);
+      setCashFlows(data);
+      return data;
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load cash flows');
+      return [];
+    }
+  }, [investmentId]);
+
+  useEffect(() => {
+    loadCashFlows().then(data => onChange(null, data.length));
+  }, [loadCashFlows, onChange]);
+
+  const handleAdd = async () => {
+    try {
+      setError(null);
+      const investment = await investmentService.createCashFlow(
+        investmentId,
+        newFlow
+      );
+      const data = await loadCashFlows();
+      setNewFlow(emptyFlow());
+      onChange(investment, data.length);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to add cash flow');
+    }
+  };
+
+  const handleDelete = async (flowId: string) => {
+    if (!window.confirm('Are you sure you want to delete this cash flow?')) {
+      return;
+    }
+    try {
+      setError(null);
+      const investment = await investmentService.deleteCashFlow(
+        investmentId,
+        flowId
+      );
+      const data = await loadCashFlows();
+      onChange(investment, data.length);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to delete cash flow');
+    }
+  };
+
+  const formatCurrency = (amount: number, currency = 'USD') => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+    }).format(amount);
+  };
+
+  return (
+    <div className='mb-3'>
+      <h6>Cash Flows</h6>
+      {error && (
+        <Alert variant='danger' onClose={() => setError(null)} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      {cashFlows.length > 0 ? (
+        <Table responsive striped size='sm'>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Type</th>
+              <th>Category</th>
+              <th>Amount</th>
+              <th>Notes</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {cashFlows.map(flow => (
+              <tr key={flow._id}>
+                <td>{new Date(flow.date).toLocaleDateString()}</td>
+                <td>
+                  <Badge
+                    bg={flow.type === 'contribution' ? 'primary' : 'success'}
+                  >
+                    {flow.type}
+                  </Badge>
+                </td>
+                <td>{formatCategory(flow.category)}</td>
+                <td>{formatCurrency(flow.amount, currency)}</td>
+                <td>{flow.notes || ''}</td>
+                <td>
+                  <Button
+                    variant='outline-danger'
+                    size='sm'
+                    onClick={() => handleDelete(flow._id)}
+                  >
+                    Delete
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      ) : (
+        <p className='text-muted small'>
+          No cash flows recorded. The invested amount above is used until the
+          first flow is added.
+        </p>
+      )}
+
+      <Row className='g-2'>
+        <Col md={2}>
+          <Form.Select
+            size='sm'
+            value={newFlow.type}
+            onChange={e => {
+              const type = e.target.value as CashFlowType;
+              setNewFlow({
+                ...newFlow,
+                type,
+                category: CATEGORY_OPTIONS[type][0],
+              });
+            }}
+          >
+            <option value='contribution'>Contribution</option>
+            <option value='distribution'>Distribution</option>
+          </Form.Select>
+        </Col>
+        <Col md={3}>
+          <Form.Select
+            size='sm'
+            value={newFlow.category}
+            onChange={e =>
+              setNewFlow({
+                ...newFlow,
+                category: e.target.value as CashFlowCategory,
+              })
+            }
+          >
+            {CATEGORY_OPTIONS[newFlow.type].map(category => (
+              <option key={category} value={category}>
+                {formatCategory(category)}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col md={2}>
+          <Form.Control
+            size='sm'
+            type='number'
+            value={newFlow.amount}
+            onChange={e =>
+              setNewFlow({ ...newFlow, amount: Number(e.target.value) })
+            }
+            min={0}
+            step={0.01}
+          />
+        </Col>
+        <Col md={3}>
+          <Form.Control
+            size='sm'
+            type='date'
+            value={newFlow.date}
+            onChange={e => setNewFlow({ ...newFlow, date: e.target.value })}
+          />
+        </Col>
+        <Col md={2}>
+          <Button
+            size='sm'
+            variant='outline-primary'
+            className='w-100'
+            onClick={handleAdd}
+            disabled={newFlow.amount <= 0 || !newFlow.date}
+          >
+            Add Flow
+          </Button>
+        </Col>
+      </Row>
+    </div>
+  );
+};
+
+export default CashFlowLedger;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Container,
   Row,
@@ -8,41 +8,52 @@ import {
   Alert,
   Spinner,
   Badge,
+  Form,
 } from 'react-bootstrap';
 import { useAuth } from '../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import { investmentService } from '../services/investmentService';
-import { PortfolioSummary, AllocationByType } from '../types/investment';
+import {
+  PortfolioSummary,
+  AllocationByType,
+  CURRENCIES,
+} from '../types/investment';
 import InvestmentList from './InvestmentList';
 import PortfolioAnalytics from './PortfolioAnalytics';
+import PortfolioHistory from './PortfolioHistory';
 import Simulation from './Simulation';
+import AdminPanel from './AdminPanel';
+import AccountPanel from './AccountPanel';
+import { ADMIN_PERMISSIONS } from '../types/user';
 
 const Dashboard: React.FC = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
   const navigate = useNavigate();
   const [portfolioSummary, setPortfolioSummary] =
     useState<PortfolioSummary | null>(null);
   const [allocationByType, setAllocationByType] = useState<AllocationByType[]>(
     []
   );
+  const [baseCurrency, setBaseCurrency] = useState('USD');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [activeTab, setActiveTab] = useState<
-    'overview' | 'investments' | 'analytics' | 'simulation'
+    | 'overview'
+    | 'investments'
+    | 'analytics'
+    | 'simulation'
+    | 'account'
+    | 'admin'
   >('overview');
 
-  useEffect(() => {
-    loadDashboardData();
-  }, []);
-
-  const loadDashboardData = async () => {
+  const loadDashboardData = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
 
       const [summary, allocation] = await Promise.all([
-        investmentService.getPortfolioSummary(),
-        investmentService.getAllocationByType(),
+        investmentService.getPortfolioSummary(baseCurrency),
+        investmentService.getAllocationByType(baseCurrency),
       ]);
 
       setPortfolioSummary(summary);
@@ -52,12 +63,16 @@ const Dashboard: React.FC = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [baseCurrency]);
 
-  const formatCurrency = (amount: number) => {
+  useEffect(() => {
+    loadDashboardData();
+  }, [loadDashboardData]);
+
+  const formatCurrency = (amount: number, currency = baseCurrency) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency,
     }).format(amount);
   };
 
@@ -71,8 +86,8 @@ const Dashboard: React.FC = () => {
     return 'secondary';
   };
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -97,9 +112,25 @@ const Dashboard: React.FC = () => {
                 Manage your alternative investments portfolio
               </p>
             </div>
-            <Button variant='outline-danger' onClick={handleLogout}>
-              Logout
-            </Button>
+            <div className='d-flex align-items-center'>
+              <Form.Select
+                size='sm'
+                className='me-2'
+                style={{ width: 'auto' }}
+                value={baseCurrency}
+                onChange={e => setBaseCurrency(e.target.value)}
+                aria-label='Base currency'
+              >
+                {CURRENCIES.map(currency => (
+                  <option key={currency} value={currency}>
+                    {currency}
+                  </option>
+                ))}
+              </Form.Select>
+              <Button variant='outline-danger' onClick={handleLogout}>
+                Logout
+              </Button>
+            </div>
           </div>
         </Col>
       </Row>
@@ -143,10 +174,26 @@ const Dashboard: React.FC = () => {
               variant={
                 activeTab === 'simulation' ? 'primary' : 'outline-primary'
               }
+              className='me-2'
               onClick={() => setActiveTab('simulation')}
             >
               Simulation
             </Button>
+            <Button
+              variant={activeTab === 'account' ? 'primary' : 'outline-primary'}
+              className='me-2'
+              onClick={() => setActiveTab('account')}
+            >
+              Account
+            </Button>
+            {ADMIN_PERMISSIONS.some(can) && (
+              <Button
+                variant={activeTab === 'admin' ? 'primary' : 'outline-primary'}
+                onClick={() => setActiveTab('admin')}
+              >
+                Admin
+              </Button>
+            )}
           </div>
         </Col>
       </Row>
@@ -216,9 +263,9 @@ const Dashboard: React.FC = () => {
                       You have{' '}
                       <strong>{portfolioSummary.investmentCount}</strong> active
                       investments
-                      {user?.role === 'admin' && (
+                      {can('investments:read:all') && (
                         <span className='ms-2'>
-                          <Badge bg='warning'>Admin Access</Badge>
+                          <Badge bg='warning'>All Investments</Badge>
                         </span>
                       )}
                     </p>
@@ -228,6 +275,13 @@ const Dashboard: React.FC = () => {
             </Row>
           )}
 
+          {/* Performance Over Time */}
+          <Row className='mb-4'>
+            <Col md={12}>
+              <PortfolioHistory />
+            </Col>
+          </Row>
+
           {/* Allocation by Asset Type */}
           {allocationByType.length > 0 && (
             <Row className='mb-4'>
@@ -318,6 +372,10 @@ const Dashboard: React.FC = () => {
       {activeTab === 'analytics' && <PortfolioAnalytics />}
 
       {activeTab === 'simulation' && <Simulation />}
+
+      {activeTab === 'account' && <AccountPanel />}
+
+      {activeTab === 'admin' && <AdminPanel />}
     </Container>
   );
 };
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Form, Button, Alert } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import AuthLayout from './AuthLayout';
+import { authService, authErrorMessage } from '../services/authService';
+
+const ForgotPassword: React.FC = () => {
+  const [email, setEmail] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      setMessage(await authService.forgotPassword(email));
+    } catch (err: any) {
+      setError(authErrorMessage(err, 'Failed to request a reset link'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <AuthLayout title='Forgot Password'>
+      {error && (
+        <Alert variant='danger' onClose={() => setError(null)} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      {message ? (
+        <Alert variant='success'>{message}</Alert>
+      ) : (
+        <Form onSubmit={handleSubmit}>
+          <Form.Group className='mb-3'>
+            <Form.Label>Email</Form.Label>
+            <Form.Control
+              type='email'
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+              placeholder='Enter your email'
+              required
+            />
+            <Form.Text className='text-muted'>
+              We will email you a link to choose a new password.
+            </Form.Text>
+          </Form.Group>
+          <Button
+            variant='primary'
+            type='submit'
+            className='w-100'
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+          </Button>
+        </Form>
+      )}
+
+      <div className='mt-3 text-center'>
+        <Link to='/login'>Back to login</Link>
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Alert,
+  Spinner,
+  Form,
+  Row,
+  Col,
+} from 'react-bootstrap';
+import { FxRate, CURRENCIES } from '../types/investment';
+import { investmentService } from '../services/investmentService';
+import { useAuth } from '../contexts/AuthContext';
+
+const FxRates: React.FC = () => {
+  const { can } = useAuth();
+  const [rates, setRates] = useState<FxRate[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [newRate, setNewRate] = useState({
+    currency: 'EUR',
+    date: new Date().toISOString().split('T')[0],
+    rate: 1,
+    source: '',
+  });
+
+  useEffect(() => {
+    loadRates();
+  }, []);
+
+  const loadRates = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await investmentService.getFxRates();
+      setRates(data);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load FX rates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      await investmentService.saveFxRate({
+        ...newRate,
+        source: newRate.source || undefined,
+      });
+      await loadRates();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to save FX rate');
+    }
+  };
+
+  const handleDelete = async (id: string) => {
+    if (window.confirm('Are you sure you want to delete this rate?')) {
+      try {
+        await investmentService.deleteFxRate(id);
+        await loadRates();
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to delete FX rate');
+      }
+    }
+  };
+
+  if (!can('fxRates:manage')) {
+    return (
+      <Alert variant='warning'>
+        Your role does not allow maintaining FX rates.
+      </Alert>
+    );
+  }
+
+  return (
+    <Card>
+      <Card.Header>
+        <h4>FX Rates</h4>
+        <p className='text-muted mb-0'>
+          Value of one unit of each currency in USD, by date. Reports use the
+          latest rate on or before the date being converted.
+        </p>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+
+        <Form onSubmit={handleSave} className='mb-4'>
+          <Row className='g-2'>
+            <Col md={2}>
+              <Form.Select
+                value={newRate.currency}
+                onChange={e =>
+                  setNewRate({ ...newRate, currency: e.target.value })
+                }
+              >
+                {CURRENCIES.filter(currency => currency !== 'USD').map(
+                  currency => (
+                    <option key={currency} value={currency}>
+                      {currency}
+                    </option>
+                  )
+                )}
+              </Form.Select>
+            </Col>
+            <Col md={3}>
+              <Form.Control
+                type='date'
+                value={newRate.date}
+                onChange={e => setNewRate({ ...newRate, date: e.target.value })}
+                required
+              />
+            </Col>
+            <Col md={2}>
+              <Form.Control
+                type='number'
+                value={newRate.rate}
+                onChange={e =>
+                  setNewRate({ ...newRate, rate: Number(e.target.value) })
+                }
+                min={0}
+                step={0.000001}
+                required
+              />
+            </Col>
+            <Col md={3}>
+              <Form.Control
+                type='text'
+                value={newRate.source}
+                onChange={e =>
+                  setNewRate({ ...newRate, source: e.target.value })
+                }
+                placeholder='Source'
+                maxLength={100}
+              />
+            </Col>
+            <Col md={2}>
+              <Button type='submit' variant='primary' className='w-100'>
+                Save Rate
+              </Button>
+            </Col>
+          </Row>
+        </Form>
+
+        {loading ? (
+          <div className='text-center p-4'>
+            <Spinner animation='border' role='status'>
+              <span className='visually-hidden'>Loading...</span>
+            </Spinner>
+          </div>
+        ) : (
+          <Table responsive striped hover size='sm'>
+            <thead>
+              <tr>
+                <th>Currency</th>
+                <th>Date</th>
+                <th>Rate (USD)</th>
+                <th>Source</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rates.map(rate => (
+                <tr key={rate._id}>
+                  <td>{rate.currency}</td>
+                  <td>{new Date(rate.date).toLocaleDateString()}</td>
+                  <td>{rate.rate}</td>
+                  <td>{rate.source || ''}</td>
+                  <td>
+                    <Button
+                      variant='outline-danger'
+                      size='sm'
+                      onClick={() => handleDelete(rate._id)}
+                    >
+                      Delete
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+
+        {!loading && rates.length === 0 && (
+          <Alert variant='info'>
+            No FX rates recorded. Investments in currencies other than USD
+            cannot be reported until a rate is added.
+          </Alert>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default FxRates;
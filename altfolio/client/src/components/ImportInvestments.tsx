@@ -0,0 +1,294 @@
+import React, { useState } from 'react';
+import {
+  Modal,
+  Button,
+  Form,
+  Table,
+  Alert,
+  Spinner,
+  Badge,
+} from 'react-bootstrap';
+import {
+  ImportMapping,
+  ImportPreview,
+  ImportSummary,
+} from '../types/investment';
+import { investmentService } from '../services/investmentService';
+
+interface ImportInvestmentsProps {
+  show: boolean;
+  onHide: () => void;
+  onImported: () => void;
+}
+
+const FIELD_LABELS: Record<string, string> = {
+  assetName: 'Asset Name',
+  assetType: 'Asset Type',
+  assetSubtype: 'Asset Subtype',
+  currency: 'Currency',
+  investedAmount: 'Invested Amount',
+  currentValue: 'Current Value',
+  investmentDate: 'Investment Date',
+  description: 'Description',
+  notes: 'Notes',
+  owners: 'Owner Emails',
+};
+
+const REQUIRED_FIELDS = ['assetName', 'investedAmount', 'currentValue'];
+
+const fieldLabel = (field: string) =>
+  FIELD_LABELS[field] || `Attribute: ${field.replace(/^attributes\./, '')}`;
+
+const ImportInvestments: React.FC<ImportInvestmentsProps> = ({
+  show,
+  onHide,
+  onImported,
+}) => {
+  const [step, setStep] = useState<'upload' | 'map' | 'review'>('upload');
+  const [file, setFile] = useState<File | null>(null);
+  const [preview, setPreview] = useState<ImportPreview | null>(null);
+  const [mapping, setMapping] = useState<ImportMapping>({});
+  const [summary, setSummary] = useState<ImportSummary | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await action();
+    } catch (err: any) {
+      setError(err.response?.data?.error || fallback);
+      if (err.response?.data?.data) {
+        setSummary(err.response.data.data);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePreview = () =>
+    run(async () => {
+      if (!file) return;
+      const data = await investmentService.previewImport(file);
+      setPreview(data);
+      setMapping(data.suggestedMapping);
+      setStep('map');
+    }, 'Failed to read file');
+
+  const handleValidate = () =>
+    run(async () => {
+      if (!file) return;
+      setSummary(await investmentService.validateImport(file, mapping));
+      setStep('review');
+    }, 'Failed to validate import');
+
+  const handleImport = () =>
+    run(async () => {
+      if (!file) return;
+      await investmentService.importInvestments(file, mapping);
+      onImported();
+    }, 'Failed to import investments');
+
+  const handleMappingChange = (field: string, column: string) => {
+    const next = { ...mapping };
+    if (column) {
+      next[field] = column;
+    } else {
+      delete next[field];
+    }
+    setMapping(next);
+  };
+
+  const formatAmount = (value?: number) =>
+    typeof value === 'number' ? value.toLocaleString() : (value ?? '');
+
+  return (
+    <Modal show={show} onHide={onHide} size='xl'>
+      <Modal.Header closeButton>
+        <Modal.Title>Import Investments</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+
+        {step === 'upload' && (
+          <Form.Group>
+            <Form.Label>CSV or XLSX file</Form.Label>
+            <Form.Control
+              type='file'
+              accept='.csv,.xlsx'
+              onChange={e =>
+                setFile((e.target as HTMLInputElement).files?.[0] || null)
+              }
+            />
+            <Form.Text className='text-muted'>
+              The first row must hold column headers. Owners are matched by
+              email; separate several with semicolons and add shares as
+              email:percent. Rows without owners are assigned to you.
+            </Form.Text>
+          </Form.Group>
+        )}
+
+        {step === 'map' && preview && (
+          <>
+            <p className='text-muted'>
+              {preview.rowCount} rows found. Choose the column that holds each
+              field.
+            </p>
+            <Table size='sm'>
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Column</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.fields.map(field => (
+                  <tr key={field}>
+                    <td>
+                      {fieldLabel(field)}
+                      {REQUIRED_FIELDS.includes(field) && ' *'}
+                    </td>
+                    <td>
+                      <Form.Select
+                        size='sm'
+                        value={mapping[field] || ''}
+                        onChange={e =>
+                          handleMappingChange(field, e.target.value)
+                        }
+                      >
+                        <option value=''>Not imported</option>
+                        {preview.headers.map(header => (
+                          <option key={header} value={header}>
+                            {header}
+                          </option>
+                        ))}
+                      </Form.Select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+
+            <h6>Sample rows</h6>
+            <Table size='sm' responsive striped>
+              <thead>
+                <tr>
+                  {preview.headers.map(header => (
+                    <th key={header}>{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.sample.map((row, index) => (
+                  <tr key={index}>
+                    {preview.headers.map(header => (
+                      <td key={header}>{String(row[header] ?? '')}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </>
+        )}
+
+        {step === 'review' && summary && (
+          <>
+            <p>
+              <Badge bg='success' className='me-2'>
+                {summary.valid} valid
+              </Badge>
+              <Badge bg={summary.invalid > 0 ? 'danger' : 'secondary'}>
+                {summary.invalid} with errors
+              </Badge>
+            </p>
+            {summary.invalid > 0 && (
+              <Alert variant='warning'>
+                Nothing is imported until every row is valid. Fix the file or
+                the mapping and validate again.
+              </Alert>
+            )}
+            <Table size='sm' responsive striped>
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Asset Name</th>
+                  <th>Type</th>
+                  <th>Invested</th>
+                  <th>Value</th>
+                  <th>Owners</th>
+                  <th>Errors</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.rows.map(row => (
+                  <tr
+                    key={row.row}
+                    className={row.errors.length > 0 ? 'table-danger' : ''}
+                  >
+                    <td>{row.row}</td>
+                    <td>{row.data.assetName}</td>
+                    <td>{row.data.assetType}</td>
+                    <td>{formatAmount(row.data.investedAmount)}</td>
+                    <td>{formatAmount(row.data.currentValue)}</td>
+                    <td>{row.data.owners.join(', ')}</td>
+                    <td>{row.errors.join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        {loading && <Spinner animation='border' size='sm' className='me-2' />}
+        {step === 'map' && (
+          <Button variant='outline-secondary' onClick={() => setStep('upload')}>
+            Back
+          </Button>
+        )}
+        {step === 'review' && (
+          <Button variant='outline-secondary' onClick={() => setStep('map')}>
+            Back to Mapping
+          </Button>
+        )}
+        <Button variant='secondary' onClick={onHide}>
+          Cancel
+        </Button>
+        {step === 'upload' && (
+          <Button
+            variant='primary'
+            onClick={handlePreview}
+            disabled={!file || loading}
+          >
+            Next
+          </Button>
+        )}
+        {step === 'map' && (
+          <Button
+            variant='primary'
+            onClick={handleValidate}
+            disabled={loading || REQUIRED_FIELDS.some(field => !mapping[field])}
+          >
+            Validate
+          </Button>
+        )}
+        {step === 'review' && summary && (
+          <Button
+            variant='success'
+            onClick={handleImport}
+            disabled={loading || summary.invalid > 0}
+          >
+            Import {summary.valid} Investments
+          </Button>
+        )}
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default ImportInvestments;
@@ -0,0 +1,50 @@
+import React, { useState, useEffect } from 'react';
+import { Alert, Spinner } from 'react-bootstrap';
+import { AuditEntry } from '../types/audit';
+import { investmentService } from '../services/investmentService';
+import AuditTimeline from './AuditTimeline';
+
+interface InvestmentChangeLogProps {
+  investmentId: string;
+}
+
+const InvestmentChangeLog: React.FC<InvestmentChangeLogProps> = ({
+  investmentId,
+}) => {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        setEntries(await investmentService.getHistory(investmentId));
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to load change log');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [investmentId]);
+
+  if (loading) {
+    return (
+      <div className='text-center p-4'>
+        <Spinner animation='border' role='status'>
+          <span className='visually-hidden'>Loading...</span>
+        </Spinner>
+      </div>
+    );
+  }
+
+  return error ? (
+    <Alert variant='danger'>{error}</Alert>
+  ) : (
+    <AuditTimeline entries={entries} />
+  );
+};
+
+export default InvestmentChangeLog;
@@ -1,8 +1,63 @@
-import React, { useState, useEffect } from 'react';
-import { Modal, Form, Button, Alert, Row, Col } from 'react-bootstrap';
-import { Investment, CreateInvestmentData } from '../types/investment';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Modal, Form, Button, Alert, Row, Col, Table } from 'react-bootstrap';
+import {
+  Investment,
+  CreateInvestmentData,
+  CURRENCIES,
+} from '../types/investment';
 import { investmentService } from '../services/investmentService';
 import { useAuth } from '../contexts/AuthContext';
+import { useAssetTypes } from '../hooks/useAssetTypes';
+import CashFlowLedger from './CashFlowLedger';
+import AttributeFields from './AttributeFields';
+import OwnershipEditor, { splitEqually, totalShare } from './OwnershipEditor';
+
+// The form's view of a saved investment, so edits can be compared field by field
+export const formValuesFor = (
+  investment: Investment
+): CreateInvestmentData => ({
+  assetName: investment.assetName,
+  assetType: investment.assetType,
+  assetSubtype: investment.assetSubtype || '',
+  attributes: investment.attributes || {},
+  currency: investment.currency || 'USD',
+  investedAmount: investment.investedAmount,
+  currentValue: investment.currentValue,
+  investmentDate: investment.investmentDate.split('T')[0],
+  owners: investment.owners.map(owner => owner._id),
+  ownerShares:
+    investment.ownerShares && investment.ownerShares.length > 0
+      ? investment.ownerShares
+      : splitEqually(investment.owners.map(owner => owner._id)),
+  description: investment.description || '',
+  notes: investment.notes || '',
+  tags: investment.tags || [],
+  lockupEndDate: investment.lockupEndDate
+    ? investment.lockupEndDate.split('T')[0]
+    : null,
+  expectedExitDate: investment.expectedExitDate
+    ? investment.expectedExitDate.split('T')[0]
+    : null,
+});
+
+const parseTags = (text: string) =>
+  text
+    .split(',')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean);
+
+export const changedFields = (
+  before: CreateInvestmentData,
+  after: CreateInvestmentData
+) =>
+  (Object.keys(after) as (keyof CreateInvestmentData)[]).filter(
+    field => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+
+const formatFieldValue = (value: unknown) => {
+  if (value === undefined || value === null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
 
 interface InvestmentFormProps {
   show: boolean;
@@ -17,69 +72,141 @@ const InvestmentForm: React.FC<InvestmentFormProps> = ({
   onSubmit,
   investment,
 }) => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
+  const assetTypes = useAssetTypes();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [ledgerCount, setLedgerCount] = useState(0);
+  const [distributedAmount, setDistributedAmount] = useState(0);
+  const [ownerNames, setOwnerNames] = useState<Record<string, string>>({});
+  // What the form was loaded with and at which version, to send only the edits and detect conflicts
+  const [original, setOriginal] = useState<CreateInvestmentData | null>(null);
+  const [version, setVersion] = useState(0);
+  const [conflict, setConflict] = useState<Investment | null>(null);
   const [formData, setFormData] = useState<CreateInvestmentData>({
     assetName: '',
     assetType: 'Other',
+    attributes: {},
+    currency: 'USD',
     investedAmount: 0,
     currentValue: 0,
     investmentDate: new Date().toISOString().split('T')[0],
     owners: [user?._id || ''],
+    ownerShares: splitEqually([user?._id || '']),
     description: '',
     notes: '',
+    tags: [],
+    lockupEndDate: null,
+    expectedExitDate: null,
   });
+  // Tags are typed as comma-separated text and kept parsed in formData
+  const [tagText, setTagText] = useState('');
+
+  const loadSaved = (saved: Investment) => {
+    const values = formValuesFor(saved);
+    setFormData(values);
+    setTagText((values.tags || []).join(', '));
+    setOriginal(values);
+    setVersion(saved.__v);
+    setDistributedAmount(saved.distributedAmount || 0);
+    setOwnerNames(
+      Object.fromEntries(saved.owners.map(owner => [owner._id, owner.name]))
+    );
+  };
 
   useEffect(() => {
     if (investment) {
-      setFormData({
-        assetName: investment.assetName,
-        assetType: investment.assetType,
-        investedAmount: investment.investedAmount,
-        currentValue: investment.currentValue,
-        investmentDate: investment.investmentDate.split('T')[0],
-        owners: investment.owners.map(owner => owner._id),
-        description: investment.description || '',
-        notes: investment.notes || '',
-      });
+      loadSaved(investment);
     } else {
       setFormData({
         assetName: '',
         assetType: 'Other',
+        attributes: {},
+        currency: 'USD',
         investedAmount: 0,
         currentValue: 0,
         investmentDate: new Date().toISOString().split('T')[0],
         owners: [user?._id || ''],
+        ownerShares: splitEqually([user?._id || '']),
         description: '',
         notes: '',
+        tags: [],
+        lockupEndDate: null,
+        expectedExitDate: null,
       });
+      setTagText('');
+      setOwnerNames(user ? { [user._id]: user.name } : {});
+      setDistributedAmount(0);
+      setLedgerCount(0);
+      setOriginal(null);
     }
     setError(null);
+    setConflict(null);
   }, [investment, user]);
 
-  const handleSubmit = async (e: React.FormEvent) => {
+  const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
+    save(version);
+  };
+
+  const save = async (baseVersion: number) => {
     setLoading(true);
     setError(null);
+    setConflict(null);
 
     try {
-      if (user?.role !== 'admin' && formData.investedAmount > 1000000) {
+      if (!can('investments:unlimited') && formData.investedAmount > 1000000) {
         throw new Error(
-          'Investment amount cannot exceed $1,000,000 for non-admin users.'
+          'Investment amount cannot exceed $1,000,000 for your role.'
         );
       }
 
-      if (investment) {
-        await investmentService.updateInvestment(investment._id, formData);
+      const ownerShares = formData.ownerShares || [];
+      if (Math.abs(totalShare(ownerShares) - 100) > 0.01) {
+        throw new Error('Ownership shares must sum to 100%.');
+      }
+      const payload = {
+        ...formData,
+        owners: ownerShares.map(entry => entry.user),
+      };
+
+      if (investment && original) {
+        const changes = changedFields(original, payload);
+        if (changes.length > 0) {
+          const data: Partial<CreateInvestmentData> = Object.fromEntries(
+            changes.map(field => [field, payload[field]])
+          );
+          // Shares only make sense with their owners, and subtypes and attributes with their type
+          if (changes.includes('ownerShares')) {
+            data.owners = payload.owners;
+          }
+          if (changes.includes('assetType')) {
+            data.assetSubtype = payload.assetSubtype;
+            data.attributes = payload.attributes;
+          }
+          await investmentService.patchInvestment(
+            investment._id,
+            data,
+            baseVersion
+          );
+        }
       } else {
-        await investmentService.createInvestment(formData);
+        await investmentService.createInvestment(payload);
       }
 
       onSubmit();
     } catch (err: any) {
+      if (err.response?.data?.code === 'VERSION_CONFLICT') {
+        setConflict(err.response.data.data);
+        return;
+      }
+      const details = err.response?.data?.details;
       setError(
-        err.response?.data?.error || err.message || 'Failed to save investment'
+        details
+          ? details.map((detail: { msg: string }) => detail.msg).join('; ')
+          : err.response?.data?.error ||
+              err.message ||
+              'Failed to save investment'
       );
     } finally {
       setLoading(false);
@@ -93,24 +220,41 @@ const InvestmentForm: React.FC<InvestmentFormProps> = ({
     }));
   };
 
-  const formatCurrency = (amount: number) => {
+  const selectedType = assetTypes.find(
+    type => type.name === formData.assetType
+  );
+
+  const handleLedgerChange = useCallback(
+    (updated: Investment | null, count: number) => {
+      setLedgerCount(count);
+      if (updated) {
+        setFormData(prev => ({
+          ...prev,
+          investedAmount: updated.investedAmount,
+        }));
+        setOriginal(prev =>
+          prev ? { ...prev, investedAmount: updated.investedAmount } : prev
+        );
+        setDistributedAmount(updated.distributedAmount || 0);
+      }
+    },
+    []
+  );
+
+  const formatCurrency = (amount: number, currency = 'USD') => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency,
     }).format(amount);
   };
 
   const calculateRoi = () => {
     if (formData.investedAmount === 0) return 0;
-    return (
-      ((formData.currentValue - formData.investedAmount) /
-        formData.investedAmount) *
-      100
-    );
+    return (calculateGain() / formData.investedAmount) * 100;
   };
 
   const calculateGain = () => {
-    return formData.currentValue - formData.investedAmount;
+    return formData.currentValue + distributedAmount - formData.investedAmount;
   };
 
   return (
@@ -127,6 +271,70 @@ const InvestmentForm: React.FC<InvestmentFormProps> = ({
           </Alert>
         )}
 
+        {conflict && original && (
+          <Alert variant='warning'>
+            <Alert.Heading as='h6'>
+              Someone else saved changes to this investment while you were
+              editing it.
+            </Alert.Heading>
+            <Table size='sm' className='small mb-2'>
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Their value</th>
+                  <th>Your value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changedFields(original, formValuesFor(conflict)).map(field => (
+                  <tr
+                    key={field}
+                    className={
+                      changedFields(original, formData).includes(field)
+                        ? 'table-danger'
+                        : undefined
+                    }
+                  >
+                    <td>
+                      <code>{field}</code>
+                    </td>
+                    <td className='text-break'>
+                      {formatFieldValue(formValuesFor(conflict)[field])}
+                    </td>
+                    <td className='text-break'>
+                      {formatFieldValue(formData[field])}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+            <p className='small mb-2'>
+              Saving applies only the fields you changed on top of their
+              version; highlighted fields were changed by both of you and will
+              take your value.
+            </p>
+            <Button
+              size='sm'
+              variant='warning'
+              className='me-2'
+              onClick={() => save(conflict.__v)}
+              disabled={loading}
+            >
+              Save My Changes
+            </Button>
+            <Button
+              size='sm'
+              variant='outline-secondary'
+              onClick={() => {
+                loadSaved(conflict);
+                setConflict(null);
+              }}
+            >
+              Discard My Changes
+            </Button>
+          </Alert>
+        )}
+
         <Form onSubmit={handleSubmit}>
           <Row>
             <Col md={6}>
@@ -146,21 +354,71 @@ const InvestmentForm: React.FC<InvestmentFormProps> = ({
                 <Form.Label>Asset Type *</Form.Label>
                 <Form.Select
                   value={formData.assetType}
-                  onChange={e => handleInputChange('assetType', e.target.value)}
+                  onChange={e => {
+                    handleInputChange('assetType', e.target.value);
+                    handleInputChange('assetSubtype', '');
+                    handleInputChange('attributes', {});
+                  }}
                   required
                 >
-                  <option value='Startup'>Startup</option>
-                  <option value='Crypto Fund'>Crypto Fund</option>
-                  <option value='Farmland'>Farmland</option>
-                  <option value='Collectible'>Collectible</option>
-                  <option value='Other'>Other</option>
+                  {assetTypes.map(type => (
+                    <option key={type._id} value={type.name}>
+                      {type.name}
+                    </option>
+                  ))}
+                  {!assetTypes.some(
+                    type => type.name === formData.assetType
+                  ) && (
+                    <option value={formData.assetType}>
+                      {formData.assetType}
+                    </option>
+                  )}
                 </Form.Select>
               </Form.Group>
+              {(selectedType?.subtypes.length || 0) > 0 && (
+                <Form.Group className='mb-3'>
+                  <Form.Label>Subtype</Form.Label>
+                  <Form.Select
+                    value={formData.assetSubtype || ''}
+                    onChange={e =>
+                      handleInputChange('assetSubtype', e.target.value)
+                    }
+                  >
+                    <option value=''>None</option>
+                    {selectedType?.subtypes.map(subtype => (
+                      <option key={subtype} value={subtype}>
+                        {subtype}
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              )}
             </Col>
           </Row>
 
+          <AttributeFields
+            definitions={selectedType?.attributes || []}
+            values={formData.attributes || {}}
+            onChange={attributes => handleInputChange('attributes', attributes)}
+          />
+
           <Row>
-            <Col md={6}>
+            <Col md={2}>
+              <Form.Group className='mb-3'>
+                <Form.Label>Currency</Form.Label>
+                <Form.Select
+                  value={formData.currency}
+                  onChange={e => handleInputChange('currency', e.target.value)}
+                >
+                  {CURRENCIES.map(currency => (
+                    <option key={currency} value={currency}>
+                      {currency}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={5}>
               <Form.Group className='mb-3'>
                 <Form.Label>Invested Amount *</Form.Label>
                 <Form.Control
@@ -173,15 +431,21 @@ const InvestmentForm: React.FC<InvestmentFormProps> = ({
                   min={0}
                   max={1000000000}
                   step={0.01}
+                  disabled={ledgerCount > 0}
                 />
-                {user?.role !== 'admin' && (
+                {ledgerCount > 0 && (
+                  <Form.Text className='text-muted d-block'>
+                    Derived from the cash flow ledger below
+                  </Form.Text>
+                )}
+                {!can('investments:unlimited') && (
                   <Form.Text className='text-muted'>
-                    Maximum: $1,000,000 for non-admin users
+                    Maximum: $1,000,000 for your role
                   </Form.Text>
                 )}
               </Form.Group>
             </Col>
-            <Col md={6}>
+            <Col md={5}>
               <Form.Group className='mb-3'>
                 <Form.Label>Current Value *</Form.Label>
                 <Form.Control
@@ -217,7 +481,7 @@ const InvestmentForm: React.FC<InvestmentFormProps> = ({
                 <Form.Label>ROI Preview</Form.Label>
                 <Form.Control
                   type='text'
-                  value={`${calculateRoi().toFixed(2)}% (${formatCurrency(calculateGain())})`}
+                  value={`${calculateRoi().toFixed(2)}% (${formatCurrency(calculateGain(), formData.currency)})`}
                   readOnly
                   className={
                     calculateGain() >= 0 ? 'text-success' : 'text-danger'
@@ -227,6 +491,63 @@ const InvestmentForm: React.FC<InvestmentFormProps> = ({
             </Col>
           </Row>
 
+          <Row>
+            <Col md={6}>
+              <Form.Group className='mb-3'>
+                <Form.Label>Lockup Ends</Form.Label>
+                <Form.Control
+                  type='date'
+                  value={formData.lockupEndDate || ''}
+                  onChange={e =>
+                    handleInputChange('lockupEndDate', e.target.value || null)
+                  }
+                />
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group className='mb-3'>
+                <Form.Label>Expected Exit</Form.Label>
+                <Form.Control
+                  type='date'
+                  value={formData.expectedExitDate || ''}
+                  onChange={e =>
+                    handleInputChange(
+                      'expectedExitDate',
+                      e.target.value || null
+                    )
+                  }
+                />
+              </Form.Group>
+            </Col>
+            <Col md={12}>
+              <Form.Text className='text-muted d-block mb-3'>
+                Used for the liquidity profile: capital counts as available when
+                the lockup ends, or at the expected exit when there is no
+                lockup.
+              </Form.Text>
+            </Col>
+          </Row>
+
+          <OwnershipEditor
+            ownerShares={formData.ownerShares || []}
+            ownerNames={ownerNames}
+            onChange={ownerShares =>
+              handleInputChange('ownerShares', ownerShares)
+            }
+            onAddOwner={owner =>
+              setOwnerNames(names => ({ ...names, [owner._id]: owner.name }))
+            }
+            readOnly={!can('investments:share')}
+          />
+
+          {investment && (
+            <CashFlowLedger
+              investmentId={investment._id}
+              currency={formData.currency}
+              onChange={handleLedgerChange}
+            />
+          )}
+
           <Form.Group className='mb-3'>
             <Form.Label>Description</Form.Label>
             <Form.Control
@@ -241,6 +562,23 @@ const InvestmentForm: React.FC<InvestmentFormProps> = ({
             </Form.Text>
           </Form.Group>
 
+          <Form.Group className='mb-3'>
+            <Form.Label>Tags</Form.Label>
+            <Form.Control
+              type='text'
+              value={tagText}
+              onChange={e => {
+                setTagText(e.target.value);
+                handleInputChange('tags', parseTags(e.target.value));
+              }}
+              placeholder='e.g. ai, climate, europe'
+            />
+            <Form.Text className='text-muted'>
+              Comma separated; used to group investments across asset types,
+              e.g. in stress scenarios
+            </Form.Text>
+          </Form.Group>
+
           <Form.Group className='mb-3'>
             <Form.Label>Notes</Form.Label>
             <Form.Control
@@ -260,7 +598,11 @@ const InvestmentForm: React.FC<InvestmentFormProps> = ({
         <Button variant='secondary' onClick={onHide}>
           Cancel
         </Button>
-        <Button variant='primary' onClick={handleSubmit} disabled={loading}>
+        <Button
+          variant='primary'
+          onClick={handleSubmit}
+          disabled={loading || !!conflict}
+        >
           {loading
             ? 'Saving...'
             : investment
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Table,
   Button,
@@ -9,11 +9,27 @@ import {
   Card,
   Alert,
   Spinner,
+  Pagination as PageLinks,
+  Dropdown,
+  DropdownButton,
+  ButtonGroup,
 } from 'react-bootstrap';
-import { Investment, InvestmentFilters } from '../types/investment';
+import {
+  Investment,
+  InvestmentFilters,
+  InvestmentSortField,
+  Pagination,
+  ExportFormat,
+} from '../types/investment';
 import { investmentService } from '../services/investmentService';
 import { useAuth } from '../contexts/AuthContext';
 import InvestmentForm from './InvestmentForm';
+import ValuationHistory from './ValuationHistory';
+import ImportInvestments from './ImportInvestments';
+import InvestmentSharing from './InvestmentSharing';
+import Trash from './Trash';
+import { useAssetTypes } from '../hooks/useAssetTypes';
+import { describeAttributes } from './AttributeFields';
 
 const InvestmentList: React.FC = () => {
   const [investments, setInvestments] = useState<Investment[]>([]);
@@ -23,28 +39,104 @@ const InvestmentList: React.FC = () => {
   const [editingInvestment, setEditingInvestment] = useState<Investment | null>(
     null
   );
+  const [historyInvestment, setHistoryInvestment] = useState<Investment | null>(
+    null
+  );
+  const [sharingInvestment, setSharingInvestment] = useState<Investment | null>(
+    null
+  );
+  const [showImport, setShowImport] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const assetTypes = useAssetTypes();
   const [filters, setFilters] = useState<InvestmentFilters>({});
-  const { user } = useAuth();
+  const [search, setSearch] = useState('');
+  const [sortBy, setSortBy] = useState<InvestmentSortField>('investmentDate');
+  const [sortOrder, setSortOrder] = useState<'asc' | 'desc'>('desc');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState<Pagination | null>(null);
+  const { user, can } = useAuth();
 
+  // Text search waits for a pause in typing before hitting the server
   useEffect(() => {
-    loadInvestments();
-  }, []);
+    const timer = setTimeout(() => {
+      setFilters(current =>
+        (current.search || '') === search.trim()
+          ? current
+          : { ...current, search: search.trim() || undefined }
+      );
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
 
-  const loadInvestments = async () => {
+  const loadInvestments = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      const data = await investmentService.getInvestments();
-      setInvestments(data);
+      const result = await investmentService.getInvestments({
+        ...filters,
+        sortBy,
+        sortOrder,
+        page,
+      });
+      setInvestments(result.data);
+      setPagination(result.pagination);
     } catch (err: any) {
       setError(err.response?.data?.error || 'Failed to load investments');
     } finally {
       setLoading(false);
     }
+  }, [filters, sortBy, sortOrder, page]);
+
+  useEffect(() => {
+    loadInvestments();
+  }, [loadInvestments]);
+
+  const updateFilters = (changes: Partial<InvestmentFilters>) => {
+    setFilters({ ...filters, ...changes });
+    setPage(1);
   };
 
+  const clearFilters = () => {
+    setFilters({});
+    setSearch('');
+    setPage(1);
+  };
+
+  const handleSort = (field: InvestmentSortField) => {
+    if (field === sortBy) {
+      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortBy(field);
+      setSortOrder(
+        field === 'assetName' || field === 'assetType' ? 'asc' : 'desc'
+      );
+    }
+    setPage(1);
+  };
+
+  const sortHeader = (field: InvestmentSortField, label: string) => (
+    <th role='button' onClick={() => handleSort(field)}>
+      {label}
+      {sortBy === field && (sortOrder === 'asc' ? ' ▲' : ' ▼')}
+    </th>
+  );
+
+  // A window of pages around the current one keeps long result sets navigable
+  const pageNumbers = (totalPages: number) => {
+    const first = Math.max(1, Math.min(page - 2, totalPages - 4));
+    const last = Math.min(totalPages, first + 4);
+    return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+  };
+
+  const parseNumber = (value: string) => (value ? Number(value) : undefined);
+
   const handleDelete = async (id: string) => {
-    if (window.confirm('Are you sure you want to delete this investment?')) {
+    if (
+      window.confirm(
+        'Move this investment to the trash? It can be restored from there.'
+      )
+    ) {
       try {
         await investmentService.deleteInvestment(id);
         await loadInvestments();
@@ -69,42 +161,39 @@ const InvestmentList: React.FC = () => {
     handleFormClose();
   };
 
-  const handleExportCSV = async () => {
+  const handleExport = async (format: ExportFormat) => {
     try {
-      setLoading(true);
-      const csvBlob = await investmentService.exportInvestmentsCSV(filters);
+      setError(null);
+      const blob = await investmentService.exportInvestments(
+        { ...filters, sortBy, sortOrder },
+        format
+      );
 
-      const url = window.URL.createObjectURL(csvBlob);
+      const url = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `investments_${new Date().toISOString().split('T')[0]}.csv`;
+      link.download = `investments_${new Date().toISOString().split('T')[0]}.${format}`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
       window.URL.revokeObjectURL(url);
     } catch (err: any) {
-      setError(err.response?.data?.error || 'Failed to export CSV');
-    } finally {
-      setLoading(false);
+      // Errors arrive as a blob because the request expects a file
+      const data = err.response?.data;
+      const message =
+        data instanceof Blob ? JSON.parse(await data.text()).error : null;
+      setError(message || 'Failed to export investments');
     }
   };
 
-  const filteredInvestments = investments.filter(investment => {
-    if (filters.assetType && investment.assetType !== filters.assetType)
-      return false;
-    if (filters.minRoi && investment.roi < filters.minRoi) return false;
-    if (filters.maxRoi && investment.roi > filters.maxRoi) return false;
-    if (filters.minAmount && investment.investedAmount < filters.minAmount)
-      return false;
-    if (filters.maxAmount && investment.investedAmount > filters.maxAmount)
-      return false;
-    return true;
-  });
-
-  const formatCurrency = (amount: number) => {
+  const hasFilters = Object.values(filters).some(
+    value => value !== undefined && value !== ''
+  );
+
+  const formatCurrency = (amount: number, currency = 'USD') => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency,
     }).format(amount);
   };
 
@@ -118,32 +207,52 @@ const InvestmentList: React.FC = () => {
     return 'secondary';
   };
 
-  if (loading) {
-    return (
-      <div className='text-center p-4'>
-        <Spinner animation='border' role='status'>
-          <span className='visually-hidden'>Loading...</span>
-        </Spinner>
-      </div>
-    );
-  }
-
   return (
     <div>
       <Card>
         <Card.Header className='d-flex justify-content-between align-items-center'>
           <h4>Investments</h4>
           <div>
-            <Button
+            <DropdownButton
+              as={ButtonGroup}
               variant='outline-success'
+              title='Export'
               className='me-2'
-              onClick={handleExportCSV}
             >
-              Export CSV
-            </Button>
-            <Button variant='primary' onClick={() => setShowForm(true)}>
-              Add Investment
+              <Dropdown.Item onClick={() => handleExport('csv')}>
+                CSV
+              </Dropdown.Item>
+              <Dropdown.Item onClick={() => handleExport('xlsx')}>
+                Excel (XLSX)
+              </Dropdown.Item>
+              <Dropdown.Item onClick={() => handleExport('json')}>
+                JSON
+              </Dropdown.Item>
+              <Dropdown.Item onClick={() => handleExport('pdf')}>
+                PDF Statement
+              </Dropdown.Item>
+            </DropdownButton>
+            <Button
+              variant='outline-secondary'
+              className='me-2'
+              onClick={() => setShowTrash(true)}
+            >
+              Trash
             </Button>
+            {can('investments:create') && (
+              <>
+                <Button
+                  variant='outline-primary'
+                  className='me-2'
+                  onClick={() => setShowImport(true)}
+                >
+                  Import
+                </Button>
+                <Button variant='primary' onClick={() => setShowForm(true)}>
+                  Add Investment
+                </Button>
+              </>
+            )}
           </div>
         </Card.Header>
         <Card.Body>
@@ -155,68 +264,130 @@ const InvestmentList: React.FC = () => {
 
           {/* Filters */}
           <Row className='mb-3'>
+            <Col md={4}>
+              <Form.Group>
+                <Form.Label>Search</Form.Label>
+                <Form.Control
+                  type='text'
+                  value={search}
+                  onChange={e => setSearch(e.target.value)}
+                  placeholder='Name, description or notes'
+                  maxLength={100}
+                />
+              </Form.Group>
+            </Col>
             <Col md={3}>
               <Form.Group>
                 <Form.Label>Asset Type</Form.Label>
                 <Form.Select
                   value={filters.assetType || ''}
                   onChange={e =>
-                    setFilters({
-                      ...filters,
-                      assetType: e.target.value || undefined,
-                    })
+                    updateFilters({ assetType: e.target.value || undefined })
                   }
                 >
                   <option value=''>All Types</option>
-                  <option value='Startup'>Startup</option>
-                  <option value='Crypto Fund'>Crypto Fund</option>
-                  <option value='Farmland'>Farmland</option>
-                  <option value='Collectible'>Collectible</option>
-                  <option value='Other'>Other</option>
+                  {assetTypes.map(type => (
+                    <option key={type._id} value={type.name}>
+                      {type.name}
+                    </option>
+                  ))}
                 </Form.Select>
               </Form.Group>
             </Col>
-            <Col md={3}>
+            <Col md={2}>
               <Form.Group>
                 <Form.Label>Min ROI (%)</Form.Label>
                 <Form.Control
                   type='number'
-                  value={filters.minRoi || ''}
+                  value={filters.minRoi ?? ''}
                   onChange={e =>
-                    setFilters({
-                      ...filters,
-                      minRoi: e.target.value
-                        ? Number(e.target.value)
-                        : undefined,
-                    })
+                    updateFilters({ minRoi: parseNumber(e.target.value) })
                   }
                   placeholder='Min ROI'
                 />
               </Form.Group>
             </Col>
-            <Col md={3}>
+            <Col md={2}>
               <Form.Group>
                 <Form.Label>Max ROI (%)</Form.Label>
                 <Form.Control
                   type='number'
-                  value={filters.maxRoi || ''}
+                  value={filters.maxRoi ?? ''}
                   onChange={e =>
-                    setFilters({
-                      ...filters,
-                      maxRoi: e.target.value
-                        ? Number(e.target.value)
-                        : undefined,
-                    })
+                    updateFilters({ maxRoi: parseNumber(e.target.value) })
                   }
                   placeholder='Max ROI'
                 />
               </Form.Group>
             </Col>
-            <Col md={3}>
-              <Button
-                variant='outline-secondary'
-                onClick={() => setFilters({})}
-              >
+          </Row>
+          <Row className='mb-3 align-items-end'>
+            <Col md={2}>
+              <Form.Group>
+                <Form.Label>Min Invested</Form.Label>
+                <Form.Control
+                  type='number'
+                  value={filters.minAmount ?? ''}
+                  onChange={e =>
+                    updateFilters({ minAmount: parseNumber(e.target.value) })
+                  }
+                  min={0}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Form.Group>
+                <Form.Label>Max Invested</Form.Label>
+                <Form.Control
+                  type='number'
+                  value={filters.maxAmount ?? ''}
+                  onChange={e =>
+                    updateFilters({ maxAmount: parseNumber(e.target.value) })
+                  }
+                  min={0}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Form.Group>
+                <Form.Label>Invested From</Form.Label>
+                <Form.Control
+                  type='date'
+                  value={filters.dateFrom || ''}
+                  onChange={e =>
+                    updateFilters({ dateFrom: e.target.value || undefined })
+                  }
+                />
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Form.Group>
+                <Form.Label>Invested To</Form.Label>
+                <Form.Control
+                  type='date'
+                  value={filters.dateTo || ''}
+                  onChange={e =>
+                    updateFilters({ dateTo: e.target.value || undefined })
+                  }
+                />
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              {user && can('investments:read:all') && (
+                <Form.Check
+                  type='switch'
+                  label='Only mine'
+                  checked={filters.owner === user._id}
+                  onChange={e =>
+                    updateFilters({
+                      owner: e.target.checked ? user._id : undefined,
+                    })
+                  }
+                />
+              )}
+            </Col>
+            <Col md={2}>
+              <Button variant='outline-secondary' onClick={clearFilters}>
                 Clear Filters
               </Button>
             </Col>
@@ -226,25 +397,57 @@ const InvestmentList: React.FC = () => {
           <Table responsive striped hover>
             <thead>
               <tr>
-                <th>Asset Name</th>
-                <th>Type</th>
-                <th>Invested Amount</th>
-                <th>Current Value</th>
-                <th>ROI</th>
+                {sortHeader('assetName', 'Asset Name')}
+                {sortHeader('assetType', 'Type')}
+                {sortHeader('investedAmount', 'Invested Amount')}
+                {sortHeader('currentValue', 'Current Value')}
+                {sortHeader('roi', 'ROI')}
                 <th>Gain/Loss</th>
                 <th>Owners</th>
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
-              {filteredInvestments.map(investment => (
+              {investments.map(investment => (
                 <tr key={investment._id}>
-                  <td>{investment.assetName}</td>
+                  <td>
+                    {investment.assetName}
+                    {describeAttributes(
+                      assetTypes.find(
+                        type => type.name === investment.assetType
+                      )?.attributes || [],
+                      investment.attributes
+                    ).map(line => (
+                      <small key={line} className='d-block text-muted'>
+                        {line}
+                      </small>
+                    ))}
+                    {(investment.tags || []).map(tag => (
+                      <Badge key={tag} bg='light' text='dark' className='me-1'>
+                        {tag}
+                      </Badge>
+                    ))}
+                  </td>
                   <td>
                     <Badge bg='info'>{investment.assetType}</Badge>
+                    {investment.assetSubtype && (
+                      <small className='d-block text-muted'>
+                        {investment.assetSubtype}
+                      </small>
+                    )}
+                  </td>
+                  <td>
+                    {formatCurrency(
+                      investment.investedAmount,
+                      investment.currency
+                    )}
+                  </td>
+                  <td>
+                    {formatCurrency(
+                      investment.currentValue,
+                      investment.currency
+                    )}
                   </td>
-                  <td>{formatCurrency(investment.investedAmount)}</td>
-                  <td>{formatCurrency(investment.currentValue)}</td>
                   <td>
                     <Badge bg={getRoiColor(investment.roi)}>
                       {formatPercentage(investment.roi)}
@@ -257,41 +460,124 @@ const InvestmentList: React.FC = () => {
                         : 'text-danger'
                     }
                   >
-                    {formatCurrency(investment.absoluteGain)}
+                    {formatCurrency(
+                      investment.absoluteGain,
+                      investment.currency
+                    )}
                   </td>
                   <td>
-                    {investment.owners.map(owner => owner.name).join(', ')}
+                    {investment.owners
+                      .map(owner => {
+                        const entry = investment.ownerShares?.find(
+                          ownerShare => ownerShare.user === owner._id
+                        );
+                        return entry && investment.owners.length > 1
+                          ? `${owner.name} (${entry.share}%)`
+                          : owner.name;
+                      })
+                      .join(', ')}
                   </td>
                   <td>
+                    {investment.access === 'edit' && (
+                      <Button
+                        variant='outline-primary'
+                        size='sm'
+                        className='me-2'
+                        onClick={() => handleEdit(investment)}
+                      >
+                        Edit
+                      </Button>
+                    )}
                     <Button
-                      variant='outline-primary'
+                      variant='outline-secondary'
                       size='sm'
                       className='me-2'
-                      onClick={() => handleEdit(investment)}
+                      onClick={() => setHistoryInvestment(investment)}
                     >
-                      Edit
-                    </Button>
-                    <Button
-                      variant='outline-danger'
-                      size='sm'
-                      onClick={() => handleDelete(investment._id)}
-                    >
-                      Delete
+                      History
                     </Button>
+                    {investment.access === 'edit' &&
+                      can('investments:share') && (
+                        <Button
+                          variant='outline-secondary'
+                          size='sm'
+                          className='me-2'
+                          onClick={() => setSharingInvestment(investment)}
+                        >
+                          Share
+                        </Button>
+                      )}
+                    {investment.access === 'edit' &&
+                      can('investments:delete') && (
+                        <Button
+                          variant='outline-danger'
+                          size='sm'
+                          onClick={() => handleDelete(investment._id)}
+                        >
+                          Delete
+                        </Button>
+                      )}
                   </td>
                 </tr>
               ))}
             </tbody>
           </Table>
 
-          {filteredInvestments.length === 0 && (
+          {loading && (
+            <div className='text-center p-4'>
+              <Spinner animation='border' role='status'>
+                <span className='visually-hidden'>Loading...</span>
+              </Spinner>
+            </div>
+          )}
+
+          {!loading && investments.length === 0 && (
             <Alert variant='info'>
               No investments found.{' '}
-              {filters.assetType || filters.minRoi || filters.maxRoi
+              {hasFilters
                 ? 'Try adjusting your filters.'
                 : 'Add your first investment!'}
             </Alert>
           )}
+
+          {pagination && pagination.total > 0 && (
+            <div className='d-flex justify-content-between align-items-center'>
+              <small className='text-muted'>
+                Showing {(pagination.page - 1) * pagination.limit + 1}-
+                {(pagination.page - 1) * pagination.limit + investments.length}{' '}
+                of {pagination.total} investments
+              </small>
+              {pagination.totalPages > 1 && (
+                <PageLinks className='mb-0'>
+                  <PageLinks.First
+                    disabled={page <= 1}
+                    onClick={() => setPage(1)}
+                  />
+                  <PageLinks.Prev
+                    disabled={page <= 1}
+                    onClick={() => setPage(page - 1)}
+                  />
+                  {pageNumbers(pagination.totalPages).map(number => (
+                    <PageLinks.Item
+                      key={number}
+                      active={number === page}
+                      onClick={() => setPage(number)}
+                    >
+                      {number}
+                    </PageLinks.Item>
+                  ))}
+                  <PageLinks.Next
+                    disabled={page >= pagination.totalPages}
+                    onClick={() => setPage(page + 1)}
+                  />
+                  <PageLinks.Last
+                    disabled={page >= pagination.totalPages}
+                    onClick={() => setPage(pagination.totalPages)}
+                  />
+                </PageLinks>
+              )}
+            </div>
+          )}
         </Card.Body>
       </Card>
 
@@ -304,6 +590,47 @@ const InvestmentList: React.FC = () => {
           investment={editingInvestment}
         />
       )}
+
+      {/* Import Modal */}
+      {showImport && (
+        <ImportInvestments
+          show={showImport}
+          onHide={() => setShowImport(false)}
+          onImported={() => {
+            setShowImport(false);
+            loadInvestments();
+          }}
+        />
+      )}
+
+      {/* Trash Modal */}
+      {showTrash && (
+        <Trash
+          show={showTrash}
+          onHide={() => setShowTrash(false)}
+          onRestored={loadInvestments}
+        />
+      )}
+
+      {/* Valuation History Modal */}
+      {historyInvestment && (
+        <ValuationHistory
+          show={!!historyInvestment}
+          onHide={() => setHistoryInvestment(null)}
+          onChange={loadInvestments}
+          investment={historyInvestment}
+          readOnly={historyInvestment.access !== 'edit'}
+        />
+      )}
+
+      {/* Sharing Modal */}
+      {sharingInvestment && (
+        <InvestmentSharing
+          show={!!sharingInvestment}
+          onHide={() => setSharingInvestment(null)}
+          investment={sharingInvestment}
+        />
+      )}
     </div>
   );
 };
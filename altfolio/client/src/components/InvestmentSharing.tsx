@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  Table,
+  Button,
+  Form,
+  Alert,
+  Spinner,
+  ListGroup,
+} from 'react-bootstrap';
+import {
+  AccessLevel,
+  Investment,
+  InvestmentGrant,
+  User,
+} from '../types/investment';
+import { investmentService } from '../services/investmentService';
+import { userService } from '../services/userService';
+
+interface InvestmentSharingProps {
+  show: boolean;
+  onHide: () => void;
+  investment: Investment;
+}
+
+const InvestmentSharing: React.FC<InvestmentSharingProps> = ({
+  show,
+  onHide,
+  investment,
+}) => {
+  const [grants, setGrants] = useState<InvestmentGrant[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [search, setSearch] = useState('');
+  const [matches, setMatches] = useState<User[]>([]);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        setGrants(await investmentService.getGrants(investment._id));
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to load sharing');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [investment._id]);
+
+  useEffect(() => {
+    const q = search.trim();
+    if (q.length < 2) {
+      setMatches([]);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        setMatches(await userService.lookupUsers(q));
+      } catch {
+        setMatches([]);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const handleAdd = (user: User) => {
+    if (!grants.some(grant => grant.user._id === user._id)) {
+      setGrants([...grants, { user, access: 'read' }]);
+    }
+    setSearch('');
+  };
+
+  const handleAccessChange = (userId: string, access: AccessLevel) => {
+    setGrants(
+      grants.map(grant =>
+        grant.user._id === userId ? { ...grant, access } : grant
+      )
+    );
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await investmentService.updateGrants(
+        investment._id,
+        grants.map(grant => ({ user: grant.user._id, access: grant.access }))
+      );
+      onHide();
+    } catch (err: any) {
+      const details = err.response?.data?.details;
+      setError(
+        details
+          ? details.map((detail: { msg: string }) => detail.msg).join('; ')
+          : err.response?.data?.error || 'Failed to update sharing'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const isOwner = (userId: string) =>
+    investment.owners.some(owner => owner._id === userId);
+
+  return (
+    <Modal show={show} onHide={onHide}>
+      <Modal.Header closeButton>
+        <Modal.Title>Share: {investment.assetName}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+        <p className='text-muted small'>
+          Owners can always view their investments. Grant edit access to let
+          someone update values and cash flows.
+        </p>
+
+        {loading ? (
+          <div className='text-center p-3'>
+            <Spinner animation='border' size='sm' />
+          </div>
+        ) : (
+          <Table size='sm'>
+            <thead>
+              <tr>
+                <th>User</th>
+                <th style={{ width: '30%' }}>Access</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {grants.map(grant => (
+                <tr key={grant.user._id}>
+                  <td>
+                    {grant.user.name}{' '}
+                    <span className='text-muted small'>
+                      {grant.user.email}
+                      {isOwner(grant.user._id) && ' (owner)'}
+                    </span>
+                  </td>
+                  <td>
+                    <Form.Select
+                      size='sm'
+                      value={grant.access}
+                      onChange={e =>
+                        handleAccessChange(
+                          grant.user._id,
+                          e.target.value as AccessLevel
+                        )
+                      }
+                    >
+                      <option value='read'>Read only</option>
+                      <option value='edit'>Can edit</option>
+                    </Form.Select>
+                  </td>
+                  <td className='text-end'>
+                    <Button
+                      variant='outline-danger'
+                      size='sm'
+                      onClick={() =>
+                        setGrants(
+                          grants.filter(
+                            entry => entry.user._id !== grant.user._id
+                          )
+                        )
+                      }
+                    >
+                      Remove
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+              {grants.length === 0 && (
+                <tr>
+                  <td colSpan={3} className='text-muted'>
+                    Not shared with anyone.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </Table>
+        )}
+
+        <Form.Control
+          size='sm'
+          type='text'
+          value={search}
+          onChange={e => setSearch(e.target.value)}
+          placeholder='Search users by name or email'
+        />
+        {matches.length > 0 && (
+          <ListGroup className='mt-1'>
+            {matches.map(match => {
+              const isShared = grants.some(
+                grant => grant.user._id === match._id
+              );
+              return (
+                <ListGroup.Item
+                  key={match._id}
+                  action
+                  disabled={isShared}
+                  onClick={() => handleAdd(match)}
+                  className='py-1 small'
+                >
+                  {match.name} <span className='text-muted'>{match.email}</span>
+                  {isShared && ' (already shared)'}
+                </ListGroup.Item>
+              );
+            })}
+          </ListGroup>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant='secondary' onClick={onHide}>
+          Cancel
+        </Button>
+        <Button
+          variant='primary'
+          onClick={handleSave}
+          disabled={saving || loading}
+        >
+          Save
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default InvestmentSharing;
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Button, Alert, Form, Row, Col } from 'react-bootstrap';
+import { Invite, ROLES, ROLE_LABELS, UserRole } from '../types/user';
+import { userService } from '../services/userService';
+
+const Invites: React.FC = () => {
+  const [invites, setInvites] = useState<Invite[]>([]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState<UserRole>('viewer');
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    loadInvites();
+  }, []);
+
+  const loadInvites = async () => {
+    try {
+      setInvites(await userService.getInvites());
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load invitations');
+    }
+  };
+
+  const handleInvite = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      const invite = await userService.createInvite(email, role);
+      setMessage(`Invitation sent to ${invite.email}`);
+      setEmail('');
+      await loadInvites();
+    } catch (err: any) {
+      const details = err.response?.data?.details;
+      setError(
+        details
+          ? details.map((detail: { msg: string }) => detail.msg).join('; ')
+          : err.response?.data?.error || 'Failed to send invitation'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (invite: Invite) => {
+    if (!window.confirm(`Revoke the invitation for ${invite.email}?`)) return;
+    try {
+      setError(null);
+      await userService.revokeInvite(invite._id);
+      await loadInvites();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to revoke invitation');
+    }
+  };
+
+  return (
+    <Card className='mt-3'>
+      <Card.Header>
+        <h5 className='mb-0'>Invitations</h5>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert variant='success' onClose={() => setMessage(null)} dismissible>
+            {message}
+          </Alert>
+        )}
+
+        <Form onSubmit={handleInvite} className='mb-3'>
+          <Row className='g-2'>
+            <Col md={6}>
+              <Form.Control
+                type='email'
+                value={email}
+                onChange={e => setEmail(e.target.value)}
+                placeholder='Email address'
+                required
+              />
+            </Col>
+            <Col md={3}>
+              <Form.Select
+                value={role}
+                onChange={e => setRole(e.target.value as UserRole)}
+              >
+                {ROLES.map(option => (
+                  <option key={option} value={option}>
+                    {ROLE_LABELS[option]}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={3}>
+              <Button
+                type='submit'
+                variant='primary'
+                className='w-100'
+                disabled={isSubmitting}
+              >
+                Send Invitation
+              </Button>
+            </Col>
+          </Row>
+        </Form>
+
+        {invites.length === 0 ? (
+          <p className='text-muted mb-0'>No pending invitations.</p>
+        ) : (
+          <Table responsive size='sm'>
+            <thead>
+              <tr>
+                <th>Email</th>
+                <th>Role</th>
+                <th>Invited By</th>
+                <th>Expires</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {invites.map(invite => (
+                <tr key={invite._id}>
+                  <td>{invite.email}</td>
+                  <td>{ROLE_LABELS[invite.role] || invite.role}</td>
+                  <td>{invite.createdBy?.name || '-'}</td>
+                  <td>{new Date(invite.expiresAt).toLocaleString()}</td>
+                  <td className='text-end'>
+                    <Button
+                      variant='outline-danger'
+                      size='sm'
+                      onClick={() => handleRevoke(invite)}
+                    >
+                      Revoke
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default Invites;
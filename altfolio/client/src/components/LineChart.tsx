@@ -0,0 +1,166 @@
+import React from 'react';
+
+export interface ChartPoint {
+  x: number;
+  y: number;
+}
+
+export interface ChartSeries {
+  label: string;
+  color: string;
+  points: ChartPoint[];
+  dashed?: boolean;
+}
+
+export interface ChartBand {
+  label: string;
+  color: string;
+  lower: ChartPoint[];
+  upper: ChartPoint[];
+}
+
+interface LineChartProps {
+  series: ChartSeries[];
+  bands?: ChartBand[];
+  height?: number;
+  formatX?: (x: number) => string;
+  formatY?: (y: number) => string;
+}
+
+const WIDTH = 640;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 72 };
+
+const LineChart: React.FC<LineChartProps> = ({
+  series,
+  bands = [],
+  height = 240,
+  formatX = x => new Date(x).toLocaleDateString(),
+  formatY = y => y.toFixed(0),
+}) => {
+  const allPoints = [
+    ...series.flatMap(s => s.points),
+    ...bands.flatMap(b => [...b.lower, ...b.upper]),
+  ];
+
+  if (allPoints.length === 0) {
+    return <p className='text-muted text-center mb-0'>No data to chart.</p>;
+  }
+
+  const minX = Math.min(...allPoints.map(p => p.x));
+  const maxX = Math.max(...allPoints.map(p => p.x));
+  const minY = Math.min(0, ...allPoints.map(p => p.y));
+  const maxY = Math.max(...allPoints.map(p => p.y)) || 1;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+
+  const scaleX = (x: number) =>
+    PADDING.left +
+    (maxX === minX ? plotWidth / 2 : ((x - minX) / (maxX - minX)) * plotWidth);
+  const scaleY = (y: number) =>
+    PADDING.top + plotHeight - ((y - minY) / (maxY - minY)) * plotHeight;
+
+  const toPath = (points: ChartPoint[]) =>
+    points
+      .map((p, i) => `${i === 0 ? 'M' : 'L'}${scaleX(p.x)},${scaleY(p.y)}`)
+      .join(' ');
+
+  const toArea = (band: ChartBand) =>
+    `${toPath(band.upper)} ${[...band.lower]
+      .reverse()
+      .map(p => `L${scaleX(p.x)},${scaleY(p.y)}`)
+      .join(' ')} Z`;
+
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map(t => minY + t * (maxY - minY));
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        width='100%'
+        role='img'
+        aria-label={series.map(s => s.label).join(', ')}
+      >
+        {yTicks.map(tick => (
+          <g key={tick}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={scaleY(tick)}
+              y2={scaleY(tick)}
+              stroke='#e9ecef'
+            />
+            <text
+              x={PADDING.left - 6}
+              y={scaleY(tick) + 4}
+              fontSize='10'
+              textAnchor='end'
+              fill='#6c757d'
+            >
+              {formatY(tick)}
+            </text>
+          </g>
+        ))}
+        <text
+          x={PADDING.left}
+          y={height - 8}
+          fontSize='10'
+          textAnchor='start'
+          fill='#6c757d'
+        >
+          {formatX(minX)}
+        </text>
+        <text
+          x={WIDTH - PADDING.right}
+          y={height - 8}
+          fontSize='10'
+          textAnchor='end'
+          fill='#6c757d'
+        >
+          {formatX(maxX)}
+        </text>
+        {bands.map(band => (
+          <path
+            key={band.label}
+            d={toArea(band)}
+            fill={band.color}
+            fillOpacity={0.2}
+            stroke='none'
+          />
+        ))}
+        {series.map(s => (
+          <g key={s.label}>
+            <path
+              d={toPath(s.points)}
+              fill='none'
+              stroke={s.color}
+              strokeWidth={2}
+              strokeDasharray={s.dashed ? '4 4' : undefined}
+            />
+            {s.points.length === 1 && (
+              <circle
+                cx={scaleX(s.points[0].x)}
+                cy={scaleY(s.points[0].y)}
+                r={3}
+                fill={s.color}
+              />
+            )}
+          </g>
+        ))}
+      </svg>
+      <div className='d-flex flex-wrap justify-content-center small'>
+        {[...series, ...bands].map(item => (
+          <span key={item.label} className='me-3'>
+            <span
+              className='d-inline-block me-1'
+              style={{ width: 10, height: 10, backgroundColor: item.color }}
+            ></span>
+            {item.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LineChart;
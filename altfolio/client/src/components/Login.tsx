@@ -1,30 +1,87 @@
-import React, { useState } from 'react';
-import {
-  Form,
-  Button,
-  Alert,
-  Container,
-  Row,
-  Col,
-  Card,
-} from 'react-bootstrap';
+import React, { useState, useEffect } from 'react';
+import { Form, Button, Alert } from 'react-bootstrap';
 import { useAuth } from '../contexts/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
+import AuthLayout from './AuthLayout';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodes from './RecoveryCodes';
+import { authService, authErrorMessage } from '../services/authService';
+import { TwoFactorSetupData } from '../types/user';
 
 const Login: React.FC = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const { login, error, clearError } = useAuth();
+  const [canRegister, setCanRegister] = useState(false);
+  const [notice, setNotice] = useState<string | null>(null);
+  // Set once the password is accepted but a second factor is still needed
+  const [challenge, setChallenge] = useState<{
+    token: string;
+    message: string;
+  } | null>(null);
+  const [setup, setSetup] = useState<TwoFactorSetupData | null>(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const {
+    login,
+    verifyTwoFactorLogin,
+    startTwoFactorEnrollment,
+    completeTwoFactorEnrollment,
+    error,
+    errorCode,
+    clearError,
+  } = useAuth();
   const navigate = useNavigate();
 
+  useEffect(() => {
+    authService
+      .getRegistrationMode()
+      .then(mode => setCanRegister(mode === 'open'))
+      .catch(() => setCanRegister(false));
+  }, []);
+
+  const handleResendVerification = async () => {
+    try {
+      setNotice(await authService.resendVerification(email));
+      clearError();
+    } catch (err: any) {
+      setNotice(authErrorMessage(err, 'Failed to resend verification email'));
+    }
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setIsSubmitting(true);
+    setNotice(null);
     clearError();
 
     try {
-      await login(email, password);
+      const result = await login(email, password);
+      if (result.status === 'success') {
+        navigate('/dashboard');
+        return;
+      }
+      setChallenge({ token: result.challengeToken, message: result.message });
+      if (result.status === 'twoFactorSetupRequired') {
+        setSetup(await startTwoFactorEnrollment(result.challengeToken));
+      }
+    } catch (error) {
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleVerify = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challenge) return;
+    setIsSubmitting(true);
+
+    try {
+      await verifyTwoFactorLogin(
+        challenge.token,
+        useRecoveryCode ? { recoveryCode: code } : { code }
+      );
       navigate('/dashboard');
     } catch (error) {
     } finally {
@@ -32,72 +89,174 @@ const Login: React.FC = () => {
     }
   };
 
+  const handleEnroll = async (setupCode: string) => {
+    if (!challenge) return;
+    setRecoveryCodes(
+      await completeTwoFactorEnrollment(challenge.token, setupCode)
+    );
+  };
+
+  const handleCancelChallenge = () => {
+    setChallenge(null);
+    setSetup(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setPassword('');
+    clearError();
+  };
+
   return (
-    <Container
-      className='d-flex align-items-center justify-content-center'
-      style={{ minHeight: '100vh' }}
-    >
-      <Row className='w-100'>
-        <Col md={6} className='mx-auto'>
-          <Card>
-            <Card.Header className='text-center'>
-              <h2>Altfolio Login</h2>
-              <p className='text-muted'>Alternative Investments Tracker</p>
-            </Card.Header>
-            <Card.Body>
-              {error && (
-                <Alert variant='danger' onClose={clearError} dismissible>
-                  {error}
-                </Alert>
-              )}
-
-              <Form onSubmit={handleSubmit}>
-                <Form.Group className='mb-3'>
-                  <Form.Label>Email</Form.Label>
-                  <Form.Control
-                    type='email'
-                    value={email}
-                    onChange={e => setEmail(e.target.value)}
-                    placeholder='Enter your email'
-                    required
-                  />
-                </Form.Group>
-
-                <Form.Group className='mb-3'>
-                  <Form.Label>Password</Form.Label>
-                  <Form.Control
-                    type='password'
-                    value={password}
-                    onChange={e => setPassword(e.target.value)}
-                    placeholder='Enter your password'
-                    required
-                  />
-                </Form.Group>
+    <AuthLayout title='Altfolio Login'>
+      {error && (
+        <Alert variant='danger' onClose={clearError} dismissible>
+          {error}
+          {errorCode === 'EMAIL_NOT_VERIFIED' && (
+            <div className='mt-2'>
+              <Button
+                variant='outline-danger'
+                size='sm'
+                onClick={handleResendVerification}
+              >
+                Resend verification email
+              </Button>
+            </div>
+          )}
+        </Alert>
+      )}
+      {notice && (
+        <Alert variant='info' onClose={() => setNotice(null)} dismissible>
+          {notice}
+        </Alert>
+      )}
 
+      {recoveryCodes ? (
+        <>
+          <RecoveryCodes codes={recoveryCodes} />
+          <Button
+            variant='primary'
+            className='w-100'
+            onClick={() => navigate('/dashboard')}
+          >
+            Continue
+          </Button>
+        </>
+      ) : challenge ? (
+        <>
+          <Alert variant='info'>{challenge.message}</Alert>
+          {setup ? (
+            <TwoFactorSetup
+              setup={setup}
+              onConfirm={handleEnroll}
+              onCancel={handleCancelChallenge}
+            />
+          ) : (
+            <Form onSubmit={handleVerify}>
+              <Form.Group className='mb-3'>
+                <Form.Label>
+                  {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                </Form.Label>
+                <Form.Control
+                  type='text'
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete='one-time-code'
+                  value={code}
+                  onChange={e => setCode(e.target.value)}
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  autoFocus
+                  required
+                />
+              </Form.Group>
+              <Button
+                variant='primary'
+                type='submit'
+                className='w-100'
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Verifying...' : 'Verify'}
+              </Button>
+              <div className='mt-3 d-flex justify-content-between'>
                 <Button
-                  variant='primary'
-                  type='submit'
-                  className='w-100'
-                  disabled={isSubmitting}
+                  variant='link'
+                  size='sm'
+                  className='p-0'
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setCode('');
+                  }}
                 >
-                  {isSubmitting ? 'Logging in...' : 'Login'}
+                  {useRecoveryCode
+                    ? 'Use authenticator app'
+                    : 'Use a recovery code'}
+                </Button>
+                <Button
+                  variant='link'
+                  size='sm'
+                  className='p-0'
+                  onClick={handleCancelChallenge}
+                >
+                  Back to login
                 </Button>
-              </Form>
-
-              <div className='mt-3 text-center'>
-                <small className='text-muted'>
-                  Demo Accounts:
-                  <br />
-                  Admin: admin@altfolio.com / admin123
-                  <br />
-                  Viewer: viewer@altfolio.com / viewer123
-                </small>
               </div>
-            </Card.Body>
-          </Card>
-        </Col>
-      </Row>
-    </Container>
+            </Form>
+          )}
+        </>
+      ) : (
+        <>
+          <Form onSubmit={handleSubmit}>
+            <Form.Group className='mb-3'>
+              <Form.Label>Email</Form.Label>
+              <Form.Control
+                type='email'
+                value={email}
+                onChange={e => setEmail(e.target.value)}
+                placeholder='Enter your email'
+                required
+              />
+            </Form.Group>
+
+            <Form.Group className='mb-3'>
+              <Form.Label>Password</Form.Label>
+              <Form.Control
+                type='password'
+                value={password}
+                onChange={e => setPassword(e.target.value)}
+                placeholder='Enter your password'
+                required
+              />
+            </Form.Group>
+
+            <Button
+              variant='primary'
+              type='submit'
+              className='w-100'
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Logging in...' : 'Login'}
+            </Button>
+          </Form>
+
+          <div className='mt-3 text-center'>
+            <Link to='/forgot-password'>Forgot password?</Link>
+            {canRegister && (
+              <>
+                {' · '}
+                <Link to='/register'>Create an account</Link>
+              </>
+            )}
+          </div>
+        </>
+      )}
+
+      <div className='mt-3 text-center'>
+        <small className='text-muted'>
+          Demo Accounts:
+          <br />
+          Admin: admin@altfolio.com / admin123
+          <br />
+          Viewer: viewer@altfolio.com / viewer123
+        </small>
+      </div>
+    </AuthLayout>
   );
 };
 
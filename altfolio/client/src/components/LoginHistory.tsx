@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Alert, Spinner, Badge } from 'react-bootstrap';
+import { LoginEvent, LOGIN_FAILURE_LABELS } from '../types/user';
+import { authService } from '../services/authService';
+import { userService } from '../services/userService';
+import { describeDevice } from './Sessions';
+
+interface LoginHistoryProps {
+  // Another user's history, for admins; the signed-in user's own otherwise
+  userId?: string;
+}
+
+const LoginHistory: React.FC<LoginHistoryProps> = ({ userId }) => {
+  const [events, setEvents] = useState<LoginEvent[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        setEvents(
+          userId
+            ? await userService.getLoginHistory(userId)
+            : await authService.getLoginHistory()
+        );
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to load login history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [userId]);
+
+  const table = loading ? (
+    <div className='text-center p-4'>
+      <Spinner animation='border' role='status'>
+        <span className='visually-hidden'>Loading...</span>
+      </Spinner>
+    </div>
+  ) : (
+    <Table responsive size='sm'>
+      <thead>
+        <tr>
+          <th>Time</th>
+          <th>Result</th>
+          <th>Device</th>
+          <th>IP Address</th>
+        </tr>
+      </thead>
+      <tbody>
+        {events.map(event => (
+          <tr key={event._id}>
+            <td>{new Date(event.createdAt).toLocaleString()}</td>
+            <td>
+              {event.success ? (
+                <Badge bg='success'>Success</Badge>
+              ) : (
+                <Badge bg='danger'>
+                  {(event.reason && LOGIN_FAILURE_LABELS[event.reason]) ||
+                    'Failed'}
+                </Badge>
+              )}
+            </td>
+            <td title={event.userAgent}>{describeDevice(event.userAgent)}</td>
+            <td>{event.ip || '-'}</td>
+          </tr>
+        ))}
+        {events.length === 0 && (
+          <tr>
+            <td colSpan={4} className='text-muted'>
+              No login attempts recorded.
+            </td>
+          </tr>
+        )}
+      </tbody>
+    </Table>
+  );
+
+  const alert = error && (
+    <Alert variant='danger' onClose={() => setError(null)} dismissible>
+      {error}
+    </Alert>
+  );
+
+  if (userId) {
+    return (
+      <>
+        {alert}
+        {table}
+      </>
+    );
+  }
+
+  return (
+    <Card>
+      <Card.Header>
+        <h5 className='mb-0'>Login History</h5>
+      </Card.Header>
+      <Card.Body>
+        {alert}
+        {table}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default LoginHistory;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Table,
+  Button,
+  Form,
+  InputGroup,
+  Alert,
+  ListGroup,
+} from 'react-bootstrap';
+import { OwnerShare, User } from '../types/investment';
+import { userService } from '../services/userService';
+
+interface OwnershipEditorProps {
+  ownerShares: OwnerShare[];
+  ownerNames: Record<string, string>;
+  onChange: (ownerShares: OwnerShare[]) => void;
+  onAddOwner: (user: User) => void;
+  readOnly?: boolean;
+}
+
+export const splitEqually = (userIds: string[]): OwnerShare[] => {
+  const equalShare = Math.floor((100 / userIds.length) * 100) / 100;
+  return userIds.map((user, index) => ({
+    user,
+    share:
+      index === userIds.length - 1
+        ? Math.round((100 - equalShare * (userIds.length - 1)) * 100) / 100
+        : equalShare,
+  }));
+};
+
+export const totalShare = (ownerShares: OwnerShare[]) =>
+  ownerShares.reduce((sum, entry) => sum + entry.share, 0);
+
+const OwnershipEditor: React.FC<OwnershipEditorProps> = ({
+  ownerShares,
+  ownerNames,
+  onChange,
+  onAddOwner,
+  readOnly = false,
+}) => {
+  const [ownerSearch, setOwnerSearch] = useState('');
+  const [matches, setMatches] = useState<User[]>([]);
+
+  useEffect(() => {
+    const q = ownerSearch.trim();
+    if (q.length < 2) {
+      setMatches([]);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        setMatches(await userService.lookupUsers(q));
+      } catch {
+        setMatches([]);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [ownerSearch]);
+
+  const handleShareChange = (user: string, share: number) => {
+    onChange(
+      ownerShares.map(entry => (entry.user === user ? { user, share } : entry))
+    );
+  };
+
+  const handleRemove = (user: string) => {
+    onChange(
+      splitEqually(
+        ownerShares.filter(entry => entry.user !== user).map(e => e.user)
+      )
+    );
+  };
+
+  const handleAdd = (user: User) => {
+    if (ownerShares.some(entry => entry.user === user._id)) return;
+    onAddOwner(user);
+    onChange(splitEqually([...ownerShares.map(entry => entry.user), user._id]));
+    setOwnerSearch('');
+  };
+
+  const total = totalShare(ownerShares);
+
+  return (
+    <div className='mb-3'>
+      <h6>Ownership</h6>
+      <Table size='sm' className='mb-2'>
+        <thead>
+          <tr>
+            <th>Owner</th>
+            <th style={{ width: '30%' }}>Share (%)</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {ownerShares.map(entry => (
+            <tr key={entry.user}>
+              <td>{ownerNames[entry.user] || entry.user}</td>
+              <td>
+                <Form.Control
+                  size='sm'
+                  type='number'
+                  value={entry.share}
+                  onChange={e =>
+                    handleShareChange(entry.user, Number(e.target.value))
+                  }
+                  min={0.01}
+                  max={100}
+                  step={0.01}
+                  disabled={readOnly}
+                />
+              </td>
+              <td className='text-end'>
+                <Button
+                  variant='outline-danger'
+                  size='sm'
+                  onClick={() => handleRemove(entry.user)}
+                  disabled={readOnly || ownerShares.length <= 1}
+                >
+                  Remove
+                </Button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+
+      {readOnly && (
+        <Form.Text className='text-muted'>
+          Your role does not allow changing the owners of this investment.
+        </Form.Text>
+      )}
+
+      {Math.abs(total - 100) > 0.01 && (
+        <Alert variant='warning' className='py-1'>
+          Shares total {total.toFixed(2)}% and must sum to 100%.
+        </Alert>
+      )}
+
+      {!readOnly && (
+        <InputGroup size='sm'>
+          <Form.Control
+            type='text'
+            value={ownerSearch}
+            onChange={e => setOwnerSearch(e.target.value)}
+            placeholder='Search co-owners by name or email'
+          />
+          <Button
+            variant='outline-secondary'
+            onClick={() =>
+              onChange(splitEqually(ownerShares.map(entry => entry.user)))
+            }
+          >
+            Split Equally
+          </Button>
+        </InputGroup>
+      )}
+      {!readOnly && matches.length > 0 && (
+        <ListGroup className='mt-1'>
+          {matches.map(match => {
+            const isOwner = ownerShares.some(entry => entry.user === match._id);
+            return (
+              <ListGroup.Item
+                key={match._id}
+                action
+                disabled={isOwner}
+                onClick={() => handleAdd(match)}
+                className='py-1 small'
+              >
+                {match.name} <span className='text-muted'>{match.email}</span>
+                {isOwner && ' (already an owner)'}
+              </ListGroup.Item>
+            );
+          })}
+        </ListGroup>
+      )}
+    </div>
+  );
+};
+
+export default OwnershipEditor;
@@ -1,7 +1,23 @@
-import React, { useState, useEffect } from 'react';
-import { Card, Row, Col, Alert, Spinner, Badge, Button } from 'react-bootstrap';
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  Row,
+  Col,
+  Alert,
+  Spinner,
+  Badge,
+  Button,
+  Form,
+  Table,
+} from 'react-bootstrap';
 import { investmentService } from '../services/investmentService';
-import { PortfolioSummary, AllocationByType } from '../types/investment';
+import {
+  PortfolioSummary,
+  AllocationByType,
+  CURRENCIES,
+} from '../types/investment';
+import BenchmarkComparison from './BenchmarkComparison';
+import RiskPanel from './RiskPanel';
 
 const PortfolioAnalytics: React.FC = () => {
   const [portfolioSummary, setPortfolioSummary] =
@@ -9,21 +25,18 @@ const PortfolioAnalytics: React.FC = () => {
   const [allocationByType, setAllocationByType] = useState<AllocationByType[]>(
     []
   );
+  const [baseCurrency, setBaseCurrency] = useState('USD');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
 
-  useEffect(() => {
-    loadAnalytics();
-  }, []);
-
-  const loadAnalytics = async () => {
+  const loadAnalytics = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
 
       const [summary, allocation] = await Promise.all([
-        investmentService.getPortfolioSummary(),
-        investmentService.getAllocationByType(),
+        investmentService.getPortfolioSummary(baseCurrency),
+        investmentService.getAllocationByType(baseCurrency),
       ]);
 
       setPortfolioSummary(summary);
@@ -33,12 +46,16 @@ const PortfolioAnalytics: React.FC = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [baseCurrency]);
 
-  const formatCurrency = (amount: number) => {
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics]);
+
+  const formatCurrency = (amount: number, currency = baseCurrency) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency,
     }).format(amount);
   };
 
@@ -46,6 +63,18 @@ const PortfolioAnalytics: React.FC = () => {
     return `${value.toFixed(2)}%`;
   };
 
+  const formatMetricPercentage = (value: number | null | undefined) => {
+    return value === null || value === undefined
+      ? 'N/A'
+      : formatPercentage(value);
+  };
+
+  const formatMultiple = (value: number | null | undefined) => {
+    return value === null || value === undefined
+      ? 'N/A'
+      : `${value.toFixed(2)}x`;
+  };
+
   const getRoiColor = (roi: number) => {
     if (roi > 0) return 'success';
     if (roi < 0) return 'danger';
@@ -80,8 +109,21 @@ const PortfolioAnalytics: React.FC = () => {
         <Row className='mb-4'>
           <Col md={12}>
             <Card>
-              <Card.Header>
+              <Card.Header className='d-flex justify-content-between align-items-center'>
                 <h5>Portfolio Performance Overview</h5>
+                <Form.Select
+                  size='sm'
+                  style={{ width: 'auto' }}
+                  value={baseCurrency}
+                  onChange={e => setBaseCurrency(e.target.value)}
+                  aria-label='Base currency'
+                >
+                  {CURRENCIES.map(currency => (
+                    <option key={currency} value={currency}>
+                      {currency}
+                    </option>
+                  ))}
+                </Form.Select>
               </Card.Header>
               <Card.Body>
                 <Row>
@@ -122,12 +164,112 @@ const PortfolioAnalytics: React.FC = () => {
                     </h4>
                   </Col>
                 </Row>
+                {portfolioSummary.metrics && (
+                  <Row className='mt-3 pt-3 border-top'>
+                    <Col className='text-center'>
+                      <h6 className='text-muted'>IRR</h6>
+                      <h5>
+                        {formatMetricPercentage(portfolioSummary.metrics.irr)}
+                      </h5>
+                    </Col>
+                    <Col className='text-center'>
+                      <h6 className='text-muted'>Annualized Return</h6>
+                      <h5>
+                        {formatMetricPercentage(
+                          portfolioSummary.metrics.annualizedReturn
+                        )}
+                      </h5>
+                    </Col>
+                    <Col className='text-center'>
+                      <h6 className='text-muted'>TVPI</h6>
+                      <h5>{formatMultiple(portfolioSummary.metrics.tvpi)}</h5>
+                    </Col>
+                    <Col className='text-center'>
+                      <h6 className='text-muted'>DPI</h6>
+                      <h5>{formatMultiple(portfolioSummary.metrics.dpi)}</h5>
+                    </Col>
+                    <Col className='text-center'>
+                      <h6 className='text-muted'>RVPI</h6>
+                      <h5>{formatMultiple(portfolioSummary.metrics.rvpi)}</h5>
+                    </Col>
+                  </Row>
+                )}
               </Card.Body>
             </Card>
           </Col>
         </Row>
       )}
 
+      {/* Currency Exposure */}
+      {portfolioSummary?.currencies &&
+        portfolioSummary.currencies.length > 0 && (
+          <Row className='mb-4'>
+            <Col md={12}>
+              <Card>
+                <Card.Header>
+                  <h5>Currency Exposure</h5>
+                </Card.Header>
+                <Card.Body>
+                  <Table responsive striped size='sm'>
+                    <thead>
+                      <tr>
+                        <th>Currency</th>
+                        <th>Investments</th>
+                        <th>Current Value (local)</th>
+                        <th>Gain/Loss (local)</th>
+                        <th>Gain/Loss ({baseCurrency})</th>
+                        <th>FX Effect ({baseCurrency})</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {portfolioSummary.currencies.map(group => (
+                        <tr key={group._id}>
+                          <td>{group._id}</td>
+                          <td>{group.count}</td>
+                          <td>
+                            {formatCurrency(group.totalCurrentValue, group._id)}
+                          </td>
+                          <td
+                            className={
+                              group.localGain >= 0
+                                ? 'text-success'
+                                : 'text-danger'
+                            }
+                          >
+                            {formatCurrency(group.localGain, group._id)}
+                          </td>
+                          <td
+                            className={
+                              group.baseGain >= 0
+                                ? 'text-success'
+                                : 'text-danger'
+                            }
+                          >
+                            {formatCurrency(group.baseGain)}
+                          </td>
+                          <td
+                            className={
+                              group.fxEffect >= 0
+                                ? 'text-success'
+                                : 'text-danger'
+                            }
+                          >
+                            {formatCurrency(group.fxEffect)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                  <small className='text-muted'>
+                    Total FX effect:{' '}
+                    {formatCurrency(portfolioSummary.totalFxEffect)}
+                  </small>
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+        )}
+
       {/* Asset Allocation Analysis */}
       {allocationByType.length > 0 && (
         <Row className='mb-4'>
@@ -158,7 +300,8 @@ const PortfolioAnalytics: React.FC = () => {
                                 className='progress-bar'
                                 style={{
                                   width: `${calculateAllocationPercentage(allocation)}%`,
-                                  backgroundColor: '#007bff',
+                                  backgroundColor:
+                                    allocation.color || '#007bff',
                                 }}
                               ></div>
                             </div>
@@ -212,6 +355,37 @@ const PortfolioAnalytics: React.FC = () => {
                               </div>
                             </div>
                           )}
+
+                          {allocation.metrics && (
+                            <div className='row text-center mt-2'>
+                              <div className='col-4'>
+                                <small className='text-muted d-block'>
+                                  IRR
+                                </small>
+                                <strong>
+                                  {formatMetricPercentage(
+                                    allocation.metrics.irr
+                                  )}
+                                </strong>
+                              </div>
+                              <div className='col-4'>
+                                <small className='text-muted d-block'>
+                                  TVPI
+                                </small>
+                                <strong>
+                                  {formatMultiple(allocation.metrics.tvpi)}
+                                </strong>
+                              </div>
+                              <div className='col-4'>
+                                <small className='text-muted d-block'>
+                                  DPI
+                                </small>
+                                <strong>
+                                  {formatMultiple(allocation.metrics.dpi)}
+                                </strong>
+                              </div>
+                            </div>
+                          )}
                         </Card.Body>
                       </Card>
                     </Col>
@@ -309,6 +483,20 @@ const PortfolioAnalytics: React.FC = () => {
         </Row>
       )}
 
+      {/* Risk Report */}
+      <Row className='mb-4'>
+        <Col md={12}>
+          <RiskPanel baseCurrency={baseCurrency} />
+        </Col>
+      </Row>
+
+      {/* Public Market Comparison */}
+      <Row className='mb-4'>
+        <Col md={12}>
+          <BenchmarkComparison />
+        </Col>
+      </Row>
+
       {/* Action Buttons */}
       <Row>
         <Col md={12}>
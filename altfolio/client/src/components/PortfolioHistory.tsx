@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Form, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import {
+  HistoryInterval,
+  PortfolioHistoryPoint,
+  PortfolioHistoryQuery,
+} from '../types/investment';
+import { investmentService } from '../services/investmentService';
+import LineChart from './LineChart';
+
+const yearsAgo = (years: number) => {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - years);
+  return date.toISOString().split('T')[0];
+};
+
+const PortfolioHistory: React.FC = () => {
+  const [points, setPoints] = useState<PortfolioHistoryPoint[]>([]);
+  const [query, setQuery] = useState<PortfolioHistoryQuery>({
+    from: yearsAgo(1),
+    interval: 'month',
+  });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setPoints(await investmentService.getPortfolioHistory(query));
+      } catch (err: any) {
+        setError(
+          err.response?.data?.error || 'Failed to load portfolio history'
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [query]);
+
+  const currency = points[0]?.baseCurrency || 'USD';
+  const formatCurrency = (amount: number) =>
+    new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      maximumFractionDigits: 0,
+    }).format(amount);
+
+  const toSeries = (key: 'currentValue' | 'invested' | 'distributed') =>
+    points.map(point => ({ x: new Date(point.date).getTime(), y: point[key] }));
+
+  return (
+    <Card>
+      <Card.Header>
+        <Row className='align-items-center g-2'>
+          <Col>
+            <h5 className='mb-0'>Performance Over Time</h5>
+          </Col>
+          <Col xs='auto'>
+            <Form.Control
+              size='sm'
+              type='date'
+              value={query.from || ''}
+              onChange={e =>
+                setQuery({ ...query, from: e.target.value || undefined })
+              }
+              title='From'
+            />
+          </Col>
+          <Col xs='auto'>
+            <Form.Control
+              size='sm'
+              type='date'
+              value={query.to || ''}
+              onChange={e =>
+                setQuery({ ...query, to: e.target.value || undefined })
+              }
+              title='To'
+            />
+          </Col>
+          <Col xs='auto'>
+            <Form.Select
+              size='sm'
+              value={query.interval}
+              onChange={e =>
+                setQuery({
+                  ...query,
+                  interval: e.target.value as HistoryInterval,
+                })
+              }
+            >
+              <option value='day'>Daily</option>
+              <option value='week'>Weekly</option>
+              <option value='month'>Monthly</option>
+              <option value='quarter'>Quarterly</option>
+            </Form.Select>
+          </Col>
+        </Row>
+      </Card.Header>
+      <Card.Body>
+        {error && <Alert variant='danger'>{error}</Alert>}
+        {loading ? (
+          <div className='text-center p-4'>
+            <Spinner animation='border' role='status'>
+              <span className='visually-hidden'>Loading...</span>
+            </Spinner>
+          </div>
+        ) : points.length === 0 ? (
+          <p className='text-muted text-center mb-0'>
+            No snapshots in this range yet. The server records the portfolio on
+            a schedule, so history starts with its first snapshot.
+          </p>
+        ) : (
+          <>
+            <LineChart
+              series={[
+                {
+                  label: 'Portfolio Value',
+                  color: '#198754',
+                  points: toSeries('currentValue'),
+                },
+                {
+                  label: 'Invested Capital',
+                  color: '#0d6efd',
+                  points: toSeries('invested'),
+                },
+                {
+                  label: 'Distributions',
+                  color: '#6c757d',
+                  points: toSeries('distributed'),
+                  dashed: true,
+                },
+              ]}
+              formatY={formatCurrency}
+            />
+            <small className='text-muted'>
+              Values in {currency}, as recorded on each snapshot date.
+            </small>
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default PortfolioHistory;
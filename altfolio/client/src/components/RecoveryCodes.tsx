@@ -0,0 +1,45 @@
+import React from 'react';
+import { Alert, Button, Row, Col } from 'react-bootstrap';
+
+interface RecoveryCodesProps {
+  codes: string[];
+}
+
+const RecoveryCodes: React.FC<RecoveryCodesProps> = ({ codes }) => {
+  const handleDownload = () => {
+    const blob = new Blob(
+      [`Altfolio recovery codes\n\n${codes.join('\n')}\n`],
+      {
+        type: 'text/plain',
+      }
+    );
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'altfolio-recovery-codes.txt';
+    link.click();
+    window.URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Alert variant='warning'>
+      <p>
+        Save these recovery codes somewhere safe. Each one can be used once to
+        log in if you lose access to your authenticator app. They will not be
+        shown again.
+      </p>
+      <Row className='font-monospace mb-3'>
+        {codes.map(code => (
+          <Col xs={6} key={code}>
+            {code}
+          </Col>
+        ))}
+      </Row>
+      <Button variant='outline-dark' size='sm' onClick={handleDownload}>
+        Download Codes
+      </Button>
+    </Alert>
+  );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { Link, useSearchParams } from 'react-router-dom';
+import AuthLayout from './AuthLayout';
+import { authService, authErrorMessage } from '../services/authService';
+import { RegistrationMode } from '../types/user';
+
+const Register: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite') || undefined;
+  const [mode, setMode] = useState<RegistrationMode | null>(null);
+  const [inviteRole, setInviteRole] = useState<string | null>(null);
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        if (inviteToken) {
+          const invite = await authService.getInvite(inviteToken);
+          setEmail(invite.email);
+          setInviteRole(invite.role);
+        }
+        setMode(await authService.getRegistrationMode());
+      } catch (err: any) {
+        setError(authErrorMessage(err, 'Failed to load registration'));
+        setMode('invite');
+      }
+    };
+
+    load();
+  }, [inviteToken]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      setSuccess(
+        await authService.register({ name, email, password, inviteToken })
+      );
+    } catch (err: any) {
+      setError(authErrorMessage(err, 'Registration failed'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const canRegister = Boolean(inviteRole) || mode === 'open';
+
+  return (
+    <AuthLayout title='Create Account'>
+      {error && (
+        <Alert variant='danger' onClose={() => setError(null)} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      {mode === null ? (
+        <div className='text-center p-3'>
+          <Spinner animation='border' size='sm' />
+        </div>
+      ) : success ? (
+        <Alert variant='success'>{success}</Alert>
+      ) : !canRegister ? (
+        <Alert variant='info'>
+          Registration is by invitation only. Ask an administrator to invite
+          you.
+        </Alert>
+      ) : (
+        <Form onSubmit={handleSubmit}>
+          {inviteRole && (
+            <Alert variant='info'>
+              You have been invited to join as{' '}
+              {/^[aeiou]/.test(inviteRole) ? 'an' : 'a'} {inviteRole}.
+            </Alert>
+          )}
+          <Form.Group className='mb-3'>
+            <Form.Label>Name</Form.Label>
+            <Form.Control
+              type='text'
+              value={name}
+              onChange={e => setName(e.target.value)}
+              maxLength={50}
+              required
+            />
+          </Form.Group>
+          <Form.Group className='mb-3'>
+            <Form.Label>Email</Form.Label>
+            <Form.Control
+              type='email'
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+              readOnly={Boolean(inviteRole)}
+              required
+            />
+          </Form.Group>
+          <Form.Group className='mb-3'>
+            <Form.Label>Password</Form.Label>
+            <Form.Control
+              type='password'
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              minLength={6}
+              required
+            />
+          </Form.Group>
+          <Form.Group className='mb-3'>
+            <Form.Label>Confirm Password</Form.Label>
+            <Form.Control
+              type='password'
+              value={confirmPassword}
+              onChange={e => setConfirmPassword(e.target.value)}
+              minLength={6}
+              required
+            />
+          </Form.Group>
+          <Button
+            variant='primary'
+            type='submit'
+            className='w-100'
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Creating account...' : 'Create Account'}
+          </Button>
+        </Form>
+      )}
+
+      <div className='mt-3 text-center'>
+        <Link to='/login'>Back to login</Link>
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default Register;
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Form, Button, Alert } from 'react-bootstrap';
+import { Link, useSearchParams } from 'react-router-dom';
+import AuthLayout from './AuthLayout';
+import { authService, authErrorMessage } from '../services/authService';
+
+const ResetPassword: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(
+    token ? null : 'This reset link is missing its token.'
+  );
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      setMessage(await authService.resetPassword(token, password));
+    } catch (err: any) {
+      setError(authErrorMessage(err, 'Failed to reset password'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <AuthLayout title='Reset Password'>
+      {error && <Alert variant='danger'>{error}</Alert>}
+
+      {message ? (
+        <Alert variant='success'>{message}</Alert>
+      ) : (
+        <Form onSubmit={handleSubmit}>
+          <Form.Group className='mb-3'>
+            <Form.Label>New Password</Form.Label>
+            <Form.Control
+              type='password'
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              minLength={6}
+              required
+            />
+          </Form.Group>
+          <Form.Group className='mb-3'>
+            <Form.Label>Confirm Password</Form.Label>
+            <Form.Control
+              type='password'
+              value={confirmPassword}
+              onChange={e => setConfirmPassword(e.target.value)}
+              minLength={6}
+              required
+            />
+          </Form.Group>
+          <Button
+            variant='primary'
+            type='submit'
+            className='w-100'
+            disabled={isSubmitting || !token}
+          >
+            {isSubmitting ? 'Saving...' : 'Set New Password'}
+          </Button>
+        </Form>
+      )}
+
+      <div className='mt-3 text-center'>
+        <Link to='/forgot-password'>Request a new link</Link>
+        {' · '}
+        <Link to='/login'>Back to login</Link>
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Form, Alert, Spinner, Row, Col, Button } from 'react-bootstrap';
+import { RiskThresholds } from '../types/investment';
+import { settingsService } from '../services/settingsService';
+
+const FIELDS: {
+  key: keyof RiskThresholds;
+  label: string;
+  help: string;
+  max: number;
+  step: number;
+}[] = [
+  {
+    key: 'maxInvestmentPercent',
+    label: 'Largest investment (%)',
+    help: 'Flag any single investment above this share of current value',
+    max: 100,
+    step: 0.1,
+  },
+  {
+    key: 'maxAssetTypePercent',
+    label: 'Largest asset type (%)',
+    help: 'Flag any asset type above this share of current value',
+    max: 100,
+    step: 0.1,
+  },
+  {
+    key: 'maxOwnerPercent',
+    label: 'Largest owner (%)',
+    help: "Flag any owner whose share is above this part of the portfolio's value",
+    max: 100,
+    step: 0.1,
+  },
+  {
+    key: 'maxHerfindahl',
+    label: 'Herfindahl index',
+    help: 'Flag investments, asset types or owners concentrated above this index (0-1)',
+    max: 1,
+    step: 0.01,
+  },
+  {
+    key: 'maxVintagePercent',
+    label: 'Largest vintage year (%)',
+    help: 'Flag any vintage year above this share of invested capital',
+    max: 100,
+    step: 0.1,
+  },
+  {
+    key: 'minLiquidPercent',
+    label: 'Liquid within a year (%)',
+    help: 'Flag when less than this share of value can be realized within a year',
+    max: 100,
+    step: 0.1,
+  },
+];
+
+const RiskLimits: React.FC = () => {
+  const [thresholds, setThresholds] = useState<RiskThresholds | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const loaded = await settingsService.getSettings();
+        setThresholds(loaded.riskThresholds);
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to load settings');
+      }
+    };
+
+    load();
+  }, []);
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!thresholds) return;
+    try {
+      setSaving(true);
+      setError(null);
+      const result = await settingsService.updateSettings({
+        riskThresholds: thresholds,
+      });
+      setThresholds(result.data.riskThresholds);
+      setMessage(result.message);
+    } catch (err: any) {
+      const details = err.response?.data?.details;
+      setError(
+        details
+          ? details.map((detail: { msg: string }) => detail.msg).join('; ')
+          : err.response?.data?.error || 'Failed to update settings'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <h4>Risk Limits</h4>
+        <p className='text-muted mb-0'>
+          Thresholds the risk report in Portfolio Analytics flags as breaches.
+        </p>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert variant='success' onClose={() => setMessage(null)} dismissible>
+            {message}
+          </Alert>
+        )}
+
+        {!thresholds ? (
+          !error && <Spinner animation='border' size='sm' />
+        ) : (
+          <Form onSubmit={handleSave}>
+            <Row>
+              {FIELDS.map(field => (
+                <Col md={6} key={field.key}>
+                  <Form.Group controlId={field.key} className='mb-3'>
+                    <Form.Label>{field.label}</Form.Label>
+                    <Form.Control
+                      type='number'
+                      value={thresholds[field.key]}
+                      onChange={e =>
+                        setThresholds({
+                          ...thresholds,
+                          [field.key]: Number(e.target.value),
+                        })
+                      }
+                      min={0}
+                      max={field.max}
+                      step={field.step}
+                      required
+                    />
+                    <Form.Text className='text-muted'>{field.help}</Form.Text>
+                  </Form.Group>
+                </Col>
+              ))}
+            </Row>
+            <Button type='submit' variant='primary' disabled={saving}>
+              {saving ? 'Saving...' : 'Save Limits'}
+            </Button>
+          </Form>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default RiskLimits;
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  Row,
+  Col,
+  Alert,
+  Spinner,
+  Table,
+  Badge,
+  ProgressBar,
+} from 'react-bootstrap';
+import { Concentration, RiskReport } from '../types/investment';
+import { investmentService } from '../services/investmentService';
+
+interface RiskPanelProps {
+  baseCurrency: string;
+}
+
+const formatPercent = (value: number | null) =>
+  value === null ? 'N/A' : `${value.toFixed(1)}%`;
+
+const formatIndex = (value: number | null) =>
+  value === null ? 'N/A' : value.toFixed(3);
+
+const RiskPanel: React.FC<RiskPanelProps> = ({ baseCurrency }) => {
+  const [report, setReport] = useState<RiskReport | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setReport(await investmentService.getRiskReport(baseCurrency));
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to load risk report');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [baseCurrency]);
+
+  const formatCurrency = (amount: number) =>
+    new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: report?.baseCurrency || baseCurrency,
+      maximumFractionDigits: 0,
+    }).format(amount);
+
+  const concentrationTable = (
+    title: string,
+    concentration: Concentration,
+    maxPercent: number
+  ) => (
+    <>
+      <h6>{title}</h6>
+      <p className='mb-2'>
+        <small className='text-muted'>
+          Herfindahl{' '}
+          <Badge
+            bg={
+              concentration.herfindahl !== null &&
+              report &&
+              concentration.herfindahl > report.thresholds.maxHerfindahl
+                ? 'danger'
+                : 'success'
+            }
+          >
+            {formatIndex(concentration.herfindahl)}
+          </Badge>{' '}
+          (like {concentration.effectiveCount ?? 'N/A'} equal holdings)
+        </small>
+      </p>
+      <Table size='sm' className='mb-0'>
+        <tbody>
+          {concentration.groups.map(group => (
+            <tr key={group.key}>
+              <td>{group.label}</td>
+              <td className='text-end'>{formatCurrency(group.value)}</td>
+              <td
+                className={`text-end ${
+                  group.percent !== null && group.percent > maxPercent
+                    ? 'text-danger fw-bold'
+                    : ''
+                }`}
+              >
+                {formatPercent(group.percent)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    </>
+  );
+
+  return (
+    <Card>
+      <Card.Header>
+        <h5 className='mb-0'>
+          Risk Report
+          {report && (
+            <Badge
+              bg={report.flags.length > 0 ? 'danger' : 'success'}
+              className='ms-2'
+            >
+              {report.flags.length > 0
+                ? `${report.flags.length} breach${report.flags.length === 1 ? '' : 'es'}`
+                : 'Within limits'}
+            </Badge>
+          )}
+        </h5>
+      </Card.Header>
+      <Card.Body>
+        {error && <Alert variant='danger'>{error}</Alert>}
+        {loading ? (
+          <div className='text-center p-4'>
+            <Spinner animation='border' role='status'>
+              <span className='visually-hidden'>Loading...</span>
+            </Spinner>
+          </div>
+        ) : (
+          report && (
+            <>
+              {report.flags.length > 0 && (
+                <Alert variant='warning'>
+                  <ul className='mb-0'>
+                    {report.flags.map(flag => (
+                      <li key={`${flag.measure}-${flag.subject}`}>
+                        {flag.message}
+                      </li>
+                    ))}
+                  </ul>
+                </Alert>
+              )}
+
+              <h6 className='text-muted text-uppercase small'>Concentration</h6>
+              <Row className='mb-4'>
+                <Col md={report.concentration.owners ? 4 : 6}>
+                  {concentrationTable(
+                    `Largest Positions (${report.concentration.investments.groups.length} of ${report.concentration.investments.count})`,
+                    report.concentration.investments,
+                    report.thresholds.maxInvestmentPercent
+                  )}
+                </Col>
+                <Col md={report.concentration.owners ? 4 : 6}>
+                  {concentrationTable(
+                    'By Asset Type',
+                    report.concentration.assetTypes,
+                    report.thresholds.maxAssetTypePercent
+                  )}
+                </Col>
+                {report.concentration.owners && (
+                  <Col md={4}>
+                    {concentrationTable(
+                      'By Owner',
+                      report.concentration.owners,
+                      report.thresholds.maxOwnerPercent
+                    )}
+                  </Col>
+                )}
+              </Row>
+
+              <Row>
+                <Col md={6}>
+                  <h6 className='text-muted text-uppercase small'>
+                    Vintage Years
+                  </h6>
+                  <p className='mb-2'>
+                    <small className='text-muted'>
+                      {report.vintages.years.length} vintages over{' '}
+                      {report.vintages.spanYears} years, by invested capital
+                    </small>
+                  </p>
+                  <Table size='sm'>
+                    <thead>
+                      <tr>
+                        <th>Year</th>
+                        <th className='text-end'>Investments</th>
+                        <th className='text-end'>Invested</th>
+                        <th className='text-end'>Share</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.vintages.years.map(year => (
+                        <tr key={year.year}>
+                          <td>{year.year}</td>
+                          <td className='text-end'>{year.count}</td>
+                          <td className='text-end'>
+                            {formatCurrency(year.invested)}
+                          </td>
+                          <td
+                            className={`text-end ${
+                              year.percent !== null &&
+                              year.percent > report.thresholds.maxVintagePercent
+                                ? 'text-danger fw-bold'
+                                : ''
+                            }`}
+                          >
+                            {formatPercent(year.percent)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </Col>
+                <Col md={6}>
+                  <h6 className='text-muted text-uppercase small'>Liquidity</h6>
+                  <p className='mb-2'>
+                    <small className='text-muted'>
+                      {formatPercent(report.liquidity.liquidWithinYearPercent)}{' '}
+                      can be realized within a year (minimum{' '}
+                      {report.thresholds.minLiquidPercent}%)
+                      {report.liquidity.averageYearsToLiquidity !== null &&
+                        `; ${report.liquidity.averageYearsToLiquidity} years on average`}
+                    </small>
+                  </p>
+                  {report.liquidity.buckets.map(bucket => (
+                    <div key={bucket.key} className='mb-2'>
+                      <div className='d-flex justify-content-between'>
+                        <small>
+                          {bucket.label} ({bucket.count})
+                        </small>
+                        <small>
+                          {formatCurrency(bucket.value)} ·{' '}
+                          {formatPercent(bucket.percent)}
+                        </small>
+                      </div>
+                      <ProgressBar
+                        now={bucket.percent || 0}
+                        variant={
+                          bucket.key === 'unknown'
+                            ? 'secondary'
+                            : ['now', 'withinYear'].includes(bucket.key)
+                              ? 'success'
+                              : 'info'
+                        }
+                        style={{ height: '6px' }}
+                      />
+                    </div>
+                  ))}
+                </Col>
+              </Row>
+            </>
+          )
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default RiskPanel;
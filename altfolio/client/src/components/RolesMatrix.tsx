@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Alert, Spinner } from 'react-bootstrap';
+import { ROLE_LABELS, RoleMatrix } from '../types/user';
+import { userService } from '../services/userService';
+
+const RolesMatrix: React.FC = () => {
+  const [matrix, setMatrix] = useState<RoleMatrix | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setMatrix(await userService.getRoles());
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to load roles');
+      }
+    };
+
+    load();
+  }, []);
+
+  return (
+    <Card>
+      <Card.Header>
+        <h4 className='mb-0'>Roles</h4>
+      </Card.Header>
+      <Card.Body>
+        {error && <Alert variant='danger'>{error}</Alert>}
+        {!matrix ? (
+          !error && <Spinner animation='border' size='sm' />
+        ) : (
+          <>
+            <p className='text-muted'>
+              Owners and users an investment is shared with can view it. Editing
+              a shared investment also needs an edit grant.
+            </p>
+            <Table responsive striped size='sm'>
+              <thead>
+                <tr>
+                  <th>Permission</th>
+                  {matrix.roles.map(role => (
+                    <th key={role.name} className='text-center'>
+                      {ROLE_LABELS[role.name] || role.name}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {matrix.permissions.map(permission => (
+                  <tr key={permission.key}>
+                    <td>{permission.description}</td>
+                    {matrix.roles.map(role => (
+                      <td key={role.name} className='text-center'>
+                        {role.permissions.includes(permission.key) ? '✓' : ''}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default RolesMatrix;
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Form, Alert, Spinner } from 'react-bootstrap';
+import { SystemSettings } from '../types/user';
+import { settingsService } from '../services/settingsService';
+
+const SecuritySettings: React.FC = () => {
+  const [settings, setSettings] = useState<SystemSettings | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [retentionDays, setRetentionDays] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const loaded = await settingsService.getSettings();
+        setSettings(loaded);
+        setRetentionDays(String(loaded.trashRetentionDays));
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to load settings');
+      }
+    };
+
+    load();
+  }, []);
+
+  const handleChange = async (changes: Partial<SystemSettings>) => {
+    try {
+      setError(null);
+      const result = await settingsService.updateSettings(changes);
+      setSettings(result.data);
+      setRetentionDays(String(result.data.trashRetentionDays));
+      setMessage(result.message);
+    } catch (err: any) {
+      const details = err.response?.data?.details;
+      setError(
+        details
+          ? details.map((detail: { msg: string }) => detail.msg).join('; ')
+          : err.response?.data?.error || 'Failed to update settings'
+      );
+    }
+  };
+
+  const handleRetentionBlur = () => {
+    if (settings && retentionDays !== String(settings.trashRetentionDays)) {
+      handleChange({ trashRetentionDays: Number(retentionDays) });
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <h4 className='mb-0'>Security</h4>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert variant='success' onClose={() => setMessage(null)} dismissible>
+            {message}
+          </Alert>
+        )}
+
+        {!settings ? (
+          !error && <Spinner animation='border' size='sm' />
+        ) : (
+          <>
+            <Form.Check
+              type='switch'
+              id='requireTwoFactorForAdmins'
+              label='Require two-factor authentication for admins'
+              checked={settings.requireTwoFactorForAdmins}
+              onChange={e =>
+                handleChange({ requireTwoFactorForAdmins: e.target.checked })
+              }
+            />
+            <Form.Text className='text-muted'>
+              Admins without two-factor authentication are asked to set it up at
+              their next login, and their current sessions end at the next token
+              refresh.
+            </Form.Text>
+
+            <Form.Group controlId='trashRetentionDays' className='mt-4'>
+              <Form.Label>Trash retention (days)</Form.Label>
+              <Form.Control
+                type='number'
+                min={0}
+                max={3650}
+                step={1}
+                style={{ maxWidth: '10rem' }}
+                value={retentionDays}
+                onChange={e => setRetentionDays(e.target.value)}
+                onBlur={handleRetentionBlur}
+              />
+              <Form.Text className='text-muted'>
+                Deleted investments are purged for good once they have been in
+                the trash this long. 0 keeps them until an admin purges them.
+              </Form.Text>
+            </Form.Group>
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default SecuritySettings;
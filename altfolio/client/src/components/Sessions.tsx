@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Button, Alert, Spinner, Badge } from 'react-bootstrap';
+import { UserSession } from '../types/user';
+import { authService } from '../services/authService';
+
+// Reduces a user agent string to something recognisable, e.g. "Chrome on Windows"
+export const describeDevice = (userAgent: string) => {
+  if (!userAgent) return 'Unknown device';
+  const browser =
+    ['Edg', 'Firefox', 'Chrome', 'Safari']
+      .find(name => userAgent.includes(`${name}/`))
+      ?.replace('Edg', 'Edge') || 'Unknown browser';
+  const os =
+    ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name =>
+      userAgent.includes(name)
+    ) || 'unknown OS';
+  return `${browser} on ${os.replace('Mac OS', 'macOS')}`;
+};
+
+const Sessions: React.FC = () => {
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      setSessions(await authService.getSessions());
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session: UserSession) => {
+    try {
+      setError(null);
+      await authService.revokeSession(session._id);
+      await loadSessions();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to revoke session');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of all other devices?')) return;
+    try {
+      setError(null);
+      setMessage(await authService.revokeOtherSessions());
+      await loadSessions();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to revoke sessions');
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header className='d-flex justify-content-between align-items-center'>
+        <h5 className='mb-0'>Active Sessions</h5>
+        <Button
+          variant='outline-danger'
+          size='sm'
+          onClick={handleRevokeOthers}
+          disabled={sessions.length <= 1}
+        >
+          Sign Out Other Devices
+        </Button>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert variant='success' onClose={() => setMessage(null)} dismissible>
+            {message}
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className='text-center p-4'>
+            <Spinner animation='border' role='status'>
+              <span className='visually-hidden'>Loading...</span>
+            </Spinner>
+          </div>
+        ) : (
+          <Table responsive size='sm'>
+            <thead>
+              <tr>
+                <th>Device</th>
+                <th>IP Address</th>
+                <th>Signed In</th>
+                <th>Last Active</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map(session => (
+                <tr key={session._id}>
+                  <td title={session.userAgent}>
+                    {describeDevice(session.userAgent)}
+                    {session.current && (
+                      <Badge bg='success' className='ms-2'>
+                        This device
+                      </Badge>
+                    )}
+                  </td>
+                  <td>{session.ip || '-'}</td>
+                  <td>{new Date(session.createdAt).toLocaleString()}</td>
+                  <td>{new Date(session.lastUsedAt).toLocaleString()}</td>
+                  <td className='text-end'>
+                    {!session.current && (
+                      <Button
+                        variant='outline-danger'
+                        size='sm'
+                        onClick={() => handleRevoke(session)}
+                      >
+                        Revoke
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default Sessions;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Card,
   Button,
@@ -8,58 +8,96 @@ import {
   Col,
   Table,
   Badge,
+  Form,
+  Tabs,
+  Tab,
 } from 'react-bootstrap';
+import {
+  CorrelationPair,
+  SimulationAssumption,
+  SimulationData,
+} from '../types/investment';
 import { investmentService } from '../services/investmentService';
 import { useAuth } from '../contexts/AuthContext';
-
-interface SimulationResult {
-  investmentId: string;
-  assetName: string;
-  originalValue: number;
-  simulatedValue: number;
-  changePercent: number;
-  newRoi: number;
-  newGain: number;
-}
-
-interface PortfolioImpact {
-  totalOriginalValue: number;
-  totalSimulatedValue: number;
-  portfolioChangePercent: number;
-}
-
-interface SimulationData {
-  simulationResults: SimulationResult[];
-  portfolioImpact: PortfolioImpact;
-  simulationType: string;
-}
+import { useAssetTypes } from '../hooks/useAssetTypes';
+import LineChart from './LineChart';
+import StressScenarios from './StressScenarios';
 
 const Simulation: React.FC = () => {
-  const { user } = useAuth();
+  const { can } = useAuth();
+  const assetTypes = useAssetTypes();
+  const [horizonYears, setHorizonYears] = useState(5);
+  const [paths, setPaths] = useState(1000);
+  const [seed, setSeed] = useState('');
+  const [assumptions, setAssumptions] = useState<
+    Record<string, SimulationAssumption>
+  >({});
+  const [defaultCorrelation, setDefaultCorrelation] = useState(0);
+  const [correlations, setCorrelations] = useState<CorrelationPair[]>([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [simulationData, setSimulationData] = useState<SimulationData | null>(
     null
   );
 
+  useEffect(() => {
+    setAssumptions(
+      Object.fromEntries(
+        assetTypes.map(assetType => [
+          assetType.name,
+          { ...assetType.simulation },
+        ])
+      )
+    );
+  }, [assetTypes]);
+
+  const updateAssumption = (
+    name: string,
+    field: keyof SimulationAssumption,
+    value: number
+  ) =>
+    setAssumptions({
+      ...assumptions,
+      [name]: { ...assumptions[name], [field]: value },
+    });
+
+  const updateCorrelation = (index: number, pair: CorrelationPair) =>
+    setCorrelations(
+      correlations.map((current, i) => (i === index ? pair : current))
+    );
+
   const runSimulation = async () => {
     try {
       setLoading(true);
       setError(null);
 
-      const data = await investmentService.simulateInvestment('', 0, 'random');
+      const data = await investmentService.runMonteCarlo({
+        horizonYears,
+        paths,
+        seed: seed === '' ? undefined : Number(seed),
+        assumptions,
+        defaultCorrelation,
+        correlations: correlations.filter(
+          pair => pair.between[0] && pair.between[1]
+        ),
+      });
       setSimulationData(data);
     } catch (err: any) {
-      setError(err.response?.data?.error || 'Failed to run simulation');
+      const details = err.response?.data?.details;
+      setError(
+        details
+          ? details.map((detail: { msg: string }) => detail.msg).join('; ')
+          : err.response?.data?.error || 'Failed to run simulation'
+      );
     } finally {
       setLoading(false);
     }
   };
 
-  const formatCurrency = (amount: number) => {
+  const formatCurrency = (amount: number, currency = 'USD') => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency,
     }).format(amount);
   };
 
@@ -73,175 +111,498 @@ const Simulation: React.FC = () => {
     return 'secondary';
   };
 
-  if (user?.role !== 'admin') {
+  if (!can('simulations:run')) {
     return (
       <Alert variant='warning'>
         <Alert.Heading>Access Restricted</Alert.Heading>
         <p>
-          Simulation features are only available to admin users. Please contact
-          your administrator if you need access to this feature.
+          Your role does not include simulations. Please contact your
+          administrator if you need access to this feature.
         </p>
       </Alert>
     );
   }
 
+  const monteCarlo = simulationData?.monteCarlo;
+  const baseCurrency = simulationData?.portfolioImpact.baseCurrency || 'USD';
+  const bandPoints = (key: 'p5' | 'p25' | 'p50' | 'p75' | 'p95') =>
+    (monteCarlo?.bands || []).map(band => ({ x: band.years, y: band[key] }));
+
   return (
-    <div>
-      <Card>
-        <Card.Header>
-          <h4>Investment Simulation</h4>
-          <p className='text-muted mb-0'>
-            Simulate random value changes (±5%) across all investments to see
-            portfolio impact
-          </p>
-        </Card.Header>
-        <Card.Body>
-          {error && (
-            <Alert variant='danger' onClose={() => setError(null)} dismissible>
-              {error}
-            </Alert>
-          )}
-
-          <Row className='mb-4'>
-            <Col>
-              <Button
-                variant='primary'
-                size='lg'
-                onClick={runSimulation}
-                disabled={loading}
+    <Tabs defaultActiveKey='monteCarlo' className='mb-3' mountOnEnter>
+      <Tab eventKey='monteCarlo' title='Monte Carlo'>
+        <Card>
+          <Card.Header>
+            <h4>Investment Simulation</h4>
+            <p className='text-muted mb-0'>
+              Monte Carlo simulation of the portfolio over a horizon, with each
+              asset type following its own expected return and volatility
+            </p>
+          </Card.Header>
+          <Card.Body>
+            {error && (
+              <Alert
+                variant='danger'
+                onClose={() => setError(null)}
+                dismissible
               >
-                {loading ? (
-                  <>
-                    <Spinner animation='border' size='sm' className='me-2' />
-                    Running Simulation...
-                  </>
-                ) : (
-                  'Run Simulation'
-                )}
-              </Button>
-            </Col>
-          </Row>
-
-          {simulationData && (
-            <>
-              {/* Portfolio Impact Summary */}
-              <Row className='mb-4'>
-                <Col md={12}>
-                  <Card className='border-primary'>
-                    <Card.Header className='bg-primary text-white'>
-                      <h5>Portfolio Impact Summary</h5>
-                    </Card.Header>
-                    <Card.Body>
-                      <Row>
-                        <Col md={4} className='text-center'>
-                          <h6>Original Portfolio Value</h6>
-                          <h4 className='text-primary'>
-                            {formatCurrency(
-                              simulationData.portfolioImpact.totalOriginalValue
-                            )}
-                          </h4>
-                        </Col>
-                        <Col md={4} className='text-center'>
-                          <h6>Simulated Portfolio Value</h6>
-                          <h4 className='text-success'>
-                            {formatCurrency(
-                              simulationData.portfolioImpact.totalSimulatedValue
-                            )}
-                          </h4>
-                        </Col>
-                        <Col md={4} className='text-center'>
-                          <h6>Portfolio Change</h6>
-                          <h4
-                            className={getChangeColor(
-                              simulationData.portfolioImpact
-                                .portfolioChangePercent
-                            )}
-                          >
-                            {formatPercentage(
-                              simulationData.portfolioImpact
-                                .portfolioChangePercent
-                            )}
-                          </h4>
-                        </Col>
-                      </Row>
-                    </Card.Body>
-                  </Card>
-                </Col>
-              </Row>
-
-              {/* Simulation Results Table */}
-              <Row>
-                <Col md={12}>
-                  <Card>
-                    <Card.Header>
-                      <h5>Individual Investment Results</h5>
-                    </Card.Header>
-                    <Card.Body>
-                      <Table responsive striped hover>
-                        <thead>
-                          <tr>
-                            <th>Asset Name</th>
-                            <th>Original Value</th>
-                            <th>Simulated Value</th>
-                            <th>Change</th>
-                            <th>New ROI</th>
-                            <th>New Gain/Loss</th>
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {simulationData.simulationResults.map(result => (
-                            <tr key={result.investmentId}>
-                              <td>{result.assetName}</td>
-                              <td>{formatCurrency(result.originalValue)}</td>
-                              <td>{formatCurrency(result.simulatedValue)}</td>
-                              <td>
-                                <Badge
-                                  bg={getChangeColor(result.changePercent)}
-                                >
-                                  {formatPercentage(result.changePercent)}
-                                </Badge>
-                              </td>
-                              <td>
-                                <Badge bg={getChangeColor(result.newRoi)}>
-                                  {formatPercentage(result.newRoi)}
-                                </Badge>
-                              </td>
-                              <td
-                                className={
-                                  result.newGain >= 0
-                                    ? 'text-success'
-                                    : 'text-danger'
-                                }
-                              >
-                                {formatCurrency(result.newGain)}
-                              </td>
-                            </tr>
+                {error}
+              </Alert>
+            )}
+
+            <Row className='g-3 mb-3'>
+              <Col md={3}>
+                <Form.Group>
+                  <Form.Label>Horizon (years)</Form.Label>
+                  <Form.Control
+                    type='number'
+                    min={0.25}
+                    max={30}
+                    step={0.25}
+                    value={horizonYears}
+                    onChange={e => setHorizonYears(Number(e.target.value))}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group>
+                  <Form.Label>Paths</Form.Label>
+                  <Form.Control
+                    type='number'
+                    min={100}
+                    max={10000}
+                    step={100}
+                    value={paths}
+                    onChange={e => setPaths(Number(e.target.value))}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group>
+                  <Form.Label>Seed</Form.Label>
+                  <Form.Control
+                    type='number'
+                    min={0}
+                    value={seed}
+                    onChange={e => setSeed(e.target.value)}
+                    placeholder='Random'
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group>
+                  <Form.Label>Default correlation</Form.Label>
+                  <Form.Control
+                    type='number'
+                    min={-1}
+                    max={1}
+                    step={0.05}
+                    value={defaultCorrelation}
+                    onChange={e =>
+                      setDefaultCorrelation(Number(e.target.value))
+                    }
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Row className='g-3 mb-4'>
+              <Col md={6}>
+                <h6>Assumptions by asset type</h6>
+                <Table size='sm' className='align-middle'>
+                  <thead>
+                    <tr>
+                      <th>Asset Type</th>
+                      <th>Drift (%/yr)</th>
+                      <th>Volatility (%/yr)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(assumptions).map(([name, assumption]) => (
+                      <tr key={name}>
+                        <td>{name}</td>
+                        <td>
+                          <Form.Control
+                            size='sm'
+                            type='number'
+                            min={-100}
+                            max={100}
+                            step={0.5}
+                            value={assumption.drift}
+                            onChange={e =>
+                              updateAssumption(
+                                name,
+                                'drift',
+                                Number(e.target.value)
+                              )
+                            }
+                          />
+                        </td>
+                        <td>
+                          <Form.Control
+                            size='sm'
+                            type='number'
+                            min={0}
+                            max={300}
+                            step={0.5}
+                            value={assumption.volatility}
+                            onChange={e =>
+                              updateAssumption(
+                                name,
+                                'volatility',
+                                Number(e.target.value)
+                              )
+                            }
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Col>
+              <Col md={6}>
+                <h6>Correlations</h6>
+                <p className='text-muted small'>
+                  Pairs not listed use the default correlation.
+                </p>
+                {correlations.map((pair, index) => (
+                  <Row key={index} className='g-2 mb-2'>
+                    {[0, 1].map(side => (
+                      <Col key={side}>
+                        <Form.Select
+                          size='sm'
+                          value={pair.between[side]}
+                          onChange={e => {
+                            const between: [string, string] = [...pair.between];
+                            between[side] = e.target.value;
+                            updateCorrelation(index, { ...pair, between });
+                          }}
+                        >
+                          <option value=''>Asset type...</option>
+                          {Object.keys(assumptions).map(name => (
+                            <option key={name} value={name}>
+                              {name}
+                            </option>
                           ))}
-                        </tbody>
-                      </Table>
-                    </Card.Body>
-                  </Card>
-                </Col>
-              </Row>
-
-              {/* Simulation Info */}
-              <Row className='mt-3'>
-                <Col>
-                  <Alert variant='info'>
-                    <strong>Simulation Type:</strong>{' '}
-                    {simulationData.simulationType}
-                    <br />
-                    <strong>Note:</strong> This simulation shows potential value
-                    changes based on random ±5% fluctuations. Actual market
-                    performance may vary significantly.
-                  </Alert>
-                </Col>
-              </Row>
-            </>
-          )}
-        </Card.Body>
-      </Card>
-    </div>
+                        </Form.Select>
+                      </Col>
+                    ))}
+                    <Col xs={3}>
+                      <Form.Control
+                        size='sm'
+                        type='number'
+                        min={-1}
+                        max={1}
+                        step={0.05}
+                        value={pair.value}
+                        onChange={e =>
+                          updateCorrelation(index, {
+                            ...pair,
+                            value: Number(e.target.value),
+                          })
+                        }
+                      />
+                    </Col>
+                    <Col xs='auto'>
+                      <Button
+                        variant='outline-danger'
+                        size='sm'
+                        onClick={() =>
+                          setCorrelations(
+                            correlations.filter((_, i) => i !== index)
+                          )
+                        }
+                      >
+                        Remove
+                      </Button>
+                    </Col>
+                  </Row>
+                ))}
+                <Button
+                  variant='outline-secondary'
+                  size='sm'
+                  onClick={() =>
+                    setCorrelations([
+                      ...correlations,
+                      { between: ['', ''], value: 0.5 },
+                    ])
+                  }
+                >
+                  Add Correlation
+                </Button>
+              </Col>
+            </Row>
+
+            <Row className='mb-4'>
+              <Col>
+                <Button
+                  variant='primary'
+                  size='lg'
+                  onClick={runSimulation}
+                  disabled={loading}
+                >
+                  {loading ? (
+                    <>
+                      <Spinner animation='border' size='sm' className='me-2' />
+                      Running Simulation...
+                    </>
+                  ) : (
+                    'Run Simulation'
+                  )}
+                </Button>
+              </Col>
+            </Row>
+
+            {simulationData && monteCarlo && (
+              <>
+                {/* Portfolio Impact Summary */}
+                <Row className='mb-4'>
+                  <Col md={12}>
+                    <Card className='border-primary'>
+                      <Card.Header className='bg-primary text-white'>
+                        <h5>
+                          Portfolio Outcomes in {monteCarlo.horizonYears} Years
+                        </h5>
+                      </Card.Header>
+                      <Card.Body>
+                        <Row>
+                          <Col md={3} className='text-center'>
+                            <h6>Current Portfolio Value</h6>
+                            <h4 className='text-primary'>
+                              {formatCurrency(
+                                simulationData.portfolioImpact
+                                  .totalOriginalValue,
+                                baseCurrency
+                              )}
+                            </h4>
+                          </Col>
+                          <Col md={3} className='text-center'>
+                            <h6>Median Outcome</h6>
+                            <h4
+                              className={`text-${getChangeColor(
+                                simulationData.portfolioImpact
+                                  .portfolioChangePercent
+                              )}`}
+                            >
+                              {formatCurrency(
+                                monteCarlo.final.p50,
+                                baseCurrency
+                              )}
+                            </h4>
+                            <small className='text-muted'>
+                              {formatPercentage(
+                                simulationData.portfolioImpact
+                                  .portfolioChangePercent
+                              )}
+                            </small>
+                          </Col>
+                          <Col md={3} className='text-center'>
+                            <h6>90% Range</h6>
+                            <h5>
+                              {formatCurrency(
+                                monteCarlo.final.p5,
+                                baseCurrency
+                              )}
+                              {' – '}
+                              {formatCurrency(
+                                monteCarlo.final.p95,
+                                baseCurrency
+                              )}
+                            </h5>
+                          </Col>
+                          <Col md={3} className='text-center'>
+                            <h6>Probability of Loss</h6>
+                            <h4 className='text-danger'>
+                              {formatPercentage(
+                                monteCarlo.probabilityOfLoss * 100
+                              )}
+                            </h4>
+                          </Col>
+                        </Row>
+                      </Card.Body>
+                    </Card>
+                  </Col>
+                </Row>
+
+                <Row className='mb-4'>
+                  <Col lg={8}>
+                    <Card>
+                      <Card.Header>
+                        <h5>Projected Portfolio Value</h5>
+                      </Card.Header>
+                      <Card.Body>
+                        <LineChart
+                          series={[
+                            {
+                              label: 'Median',
+                              color: '#0d6efd',
+                              points: bandPoints('p50'),
+                            },
+                          ]}
+                          bands={[
+                            {
+                              label: '5th–95th percentile',
+                              color: '#0d6efd',
+                              lower: bandPoints('p5'),
+                              upper: bandPoints('p95'),
+                            },
+                            {
+                              label: '25th–75th percentile',
+                              color: '#0d6efd',
+                              lower: bandPoints('p25'),
+                              upper: bandPoints('p75'),
+                            },
+                          ]}
+                          formatX={years => `${years.toFixed(1)} yrs`}
+                          formatY={value =>
+                            new Intl.NumberFormat('en-US', {
+                              style: 'currency',
+                              currency: baseCurrency,
+                              notation: 'compact',
+                            }).format(value)
+                          }
+                        />
+                      </Card.Body>
+                    </Card>
+                  </Col>
+                  <Col lg={4}>
+                    <Card>
+                      <Card.Header>
+                        <h5>Value at Risk</h5>
+                      </Card.Header>
+                      <Card.Body>
+                        <Table size='sm'>
+                          <thead>
+                            <tr>
+                              <th>Confidence</th>
+                              <th>VaR</th>
+                              <th>CVaR</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {monteCarlo.valueAtRisk.map(entry => (
+                              <tr key={entry.confidence}>
+                                <td>{entry.confidence}%</td>
+                                <td>
+                                  {formatCurrency(entry.var, baseCurrency)}
+                                </td>
+                                <td>
+                                  {formatCurrency(entry.cvar, baseCurrency)}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </Table>
+                        <small className='text-muted'>
+                          Losses from today's value at the horizon. CVaR is the
+                          average loss in the worst cases beyond VaR.
+                        </small>
+                      </Card.Body>
+                    </Card>
+                  </Col>
+                </Row>
+
+                {/* Simulation Results Table */}
+                <Row>
+                  <Col md={12}>
+                    <Card>
+                      <Card.Header>
+                        <h5>Individual Investment Results</h5>
+                      </Card.Header>
+                      <Card.Body>
+                        <Table responsive striped hover>
+                          <thead>
+                            <tr>
+                              <th>Asset Name</th>
+                              <th>Asset Type</th>
+                              <th>Current Value</th>
+                              <th>Median Value</th>
+                              <th>90% Range</th>
+                              <th>Change</th>
+                              <th>Median ROI</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {simulationData.simulationResults.map(result => (
+                              <tr key={result.investmentId}>
+                                <td>{result.assetName}</td>
+                                <td>{result.assetType}</td>
+                                <td>
+                                  {formatCurrency(
+                                    result.originalValue,
+                                    result.currency
+                                  )}
+                                </td>
+                                <td>
+                                  {formatCurrency(
+                                    result.simulatedValue,
+                                    result.currency
+                                  )}
+                                </td>
+                                <td>
+                                  {formatCurrency(
+                                    result.lowValue ?? result.simulatedValue,
+                                    result.currency
+                                  )}
+                                  {' – '}
+                                  {formatCurrency(
+                                    result.highValue ?? result.simulatedValue,
+                                    result.currency
+                                  )}
+                                </td>
+                                <td>
+                                  <Badge
+                                    bg={getChangeColor(result.changePercent)}
+                                  >
+                                    {formatPercentage(result.changePercent)}
+                                  </Badge>
+                                </td>
+                                <td>
+                                  <Badge bg={getChangeColor(result.newRoi)}>
+                                    {formatPercentage(result.newRoi)}
+                                  </Badge>
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </Table>
+                      </Card.Body>
+                    </Card>
+                  </Col>
+                </Row>
+
+                {/* Simulation Info */}
+                <Row className='mt-3'>
+                  <Col>
+                    <Alert variant='info'>
+                      <strong>Seed:</strong> {monteCarlo.seed} (
+                      {monteCarlo.paths.toLocaleString()} paths,{' '}
+                      {monteCarlo.steps} steps){' '}
+                      <Button
+                        variant='link'
+                        size='sm'
+                        className='p-0 align-baseline'
+                        onClick={() => setSeed(String(monteCarlo.seed))}
+                      >
+                        Reuse this seed
+                      </Button>
+                      <br />
+                      <strong>Note:</strong> Outcomes assume each asset type
+                      grows at a steady expected rate with normally distributed
+                      shocks, and exchange rates stay at today's. Actual
+                      performance may vary significantly.
+                    </Alert>
+                  </Col>
+                </Row>
+              </>
+            )}
+          </Card.Body>
+        </Card>
+      </Tab>
+      <Tab eventKey='scenarios' title='Stress Scenarios'>
+        <StressScenarios />
+      </Tab>
+    </Tabs>
   );
 };
 
@@ -0,0 +1,526 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  Button,
+  Alert,
+  Spinner,
+  Row,
+  Col,
+  Table,
+  Badge,
+  Form,
+} from 'react-bootstrap';
+import {
+  Investment,
+  Scenario,
+  ScenarioData,
+  ScenarioComparison,
+  Shock,
+  ShockTarget,
+} from '../types/investment';
+import { investmentService } from '../services/investmentService';
+import { useAssetTypes } from '../hooks/useAssetTypes';
+
+const TARGET_LABELS: Record<ShockTarget, string> = {
+  assetType: 'Asset type',
+  investment: 'Investment',
+  tag: 'Tag',
+};
+
+const emptyScenario: ScenarioData = {
+  name: '',
+  description: '',
+  shocks: [{ target: 'assetType', key: '', changePercent: -20 }],
+};
+
+const StressScenarios: React.FC = () => {
+  const assetTypes = useAssetTypes();
+  const [scenarios, setScenarios] = useState<Scenario[]>([]);
+  const [investments, setInvestments] = useState<Investment[]>([]);
+  const [selected, setSelected] = useState<string[]>([]);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draft, setDraft] = useState<ScenarioData | null>(null);
+  const [comparison, setComparison] = useState<ScenarioComparison | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const [saved, page] = await Promise.all([
+          investmentService.getScenarios(),
+          investmentService.getInvestments({
+            sortBy: 'assetName',
+            sortOrder: 'asc',
+            limit: 100,
+          }),
+        ]);
+        setScenarios(saved);
+        setInvestments(page.data);
+      } catch (err: any) {
+        setError(err.response?.data?.error || 'Failed to load scenarios');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, []);
+
+  const tags = Array.from(
+    new Set(investments.flatMap(investment => investment.tags || []))
+  ).sort();
+
+  const errorMessage = (err: any, fallback: string) => {
+    const details = err.response?.data?.details;
+    return details
+      ? details.map((detail: { msg: string }) => detail.msg).join('; ')
+      : err.response?.data?.error || fallback;
+  };
+
+  const compare = async (requested: (string | ScenarioData)[]) => {
+    try {
+      setRunning(true);
+      setError(null);
+      setComparison(await investmentService.compareScenarios(requested));
+    } catch (err: any) {
+      setError(errorMessage(err, 'Failed to run scenarios'));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const startEditing = (scenario?: Scenario) => {
+    setEditingId(scenario?._id || null);
+    setDraft(
+      scenario
+        ? {
+            name: scenario.name,
+            description: scenario.description || '',
+            shocks: scenario.shocks.map(shock => ({ ...shock })),
+          }
+        : { ...emptyScenario, shocks: [...emptyScenario.shocks] }
+    );
+  };
+
+  const updateShock = (index: number, shock: Shock) =>
+    draft &&
+    setDraft({
+      ...draft,
+      shocks: draft.shocks.map((current, i) => (i === index ? shock : current)),
+    });
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!draft) return;
+    try {
+      setError(null);
+      const saved = editingId
+        ? await investmentService.updateScenario(editingId, draft)
+        : await investmentService.createScenario(draft);
+      setScenarios(
+        [
+          ...scenarios.filter(scenario => scenario._id !== saved._id),
+          saved,
+        ].sort((a, b) => a.name.localeCompare(b.name))
+      );
+      setDraft(null);
+      setEditingId(null);
+    } catch (err: any) {
+      setError(errorMessage(err, 'Failed to save scenario'));
+    }
+  };
+
+  const handleDelete = async (scenario: Scenario) => {
+    if (!window.confirm(`Delete the scenario "${scenario.name}"?`)) return;
+    try {
+      setError(null);
+      await investmentService.deleteScenario(scenario._id);
+      setScenarios(scenarios.filter(current => current._id !== scenario._id));
+      setSelected(selected.filter(id => id !== scenario._id));
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to delete scenario');
+    }
+  };
+
+  const toggleSelected = (id: string) =>
+    setSelected(
+      selected.includes(id)
+        ? selected.filter(current => current !== id)
+        : [...selected, id]
+    );
+
+  const formatCurrency = (amount: number, currency = 'USD') =>
+    new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(
+      amount
+    );
+
+  const formatPercentage = (value: number) => `${value.toFixed(2)}%`;
+
+  const getChangeColor = (change: number) => {
+    if (change > 0) return 'success';
+    if (change < 0) return 'danger';
+    return 'secondary';
+  };
+
+  const renderKeyInput = (shock: Shock, index: number) => {
+    if (shock.target === 'tag') {
+      return (
+        <>
+          <Form.Control
+            size='sm'
+            list='scenario-tags'
+            value={shock.key}
+            onChange={e =>
+              updateShock(index, { ...shock, key: e.target.value })
+            }
+            placeholder='Tag'
+            required
+          />
+          <datalist id='scenario-tags'>
+            {tags.map(tag => (
+              <option key={tag} value={tag} />
+            ))}
+          </datalist>
+        </>
+      );
+    }
+
+    const options =
+      shock.target === 'assetType'
+        ? assetTypes.map(type => ({ value: type.name, label: type.name }))
+        : investments.map(investment => ({
+            value: investment._id,
+            label: investment.assetName,
+          }));
+    return (
+      <Form.Select
+        size='sm'
+        value={shock.key}
+        onChange={e => updateShock(index, { ...shock, key: e.target.value })}
+        required
+      >
+        <option value=''>Choose...</option>
+        {options.map(option => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </Form.Select>
+    );
+  };
+
+  const describeShock = (shock: Shock) => {
+    const target =
+      shock.target === 'investment'
+        ? investments.find(investment => investment._id === shock.key)
+            ?.assetName || 'Unknown investment'
+        : shock.key;
+    const sign = shock.changePercent > 0 ? '+' : '';
+    return `${target} ${sign}${shock.changePercent}%`;
+  };
+
+  if (loading) {
+    return (
+      <div className='text-center p-4'>
+        <Spinner animation='border' role='status'>
+          <span className='visually-hidden'>Loading...</span>
+        </Spinner>
+      </div>
+    );
+  }
+
+  return (
+    <Card>
+      <Card.Header>
+        <h4>Stress Scenarios</h4>
+        <p className='text-muted mb-0'>
+          Fixed shocks by asset type, investment or tag, applied to today's
+          values. Every shock that matches an investment applies, so -30% on its
+          type and -20% on its tag make -44%.
+        </p>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+
+        <Row className='g-4 mb-4'>
+          <Col lg={draft ? 5 : 12}>
+            <div className='d-flex justify-content-between align-items-center mb-2'>
+              <h6 className='mb-0'>Saved Scenarios</h6>
+              <div>
+                <Button
+                  variant='outline-primary'
+                  size='sm'
+                  className='me-2'
+                  onClick={() => startEditing()}
+                >
+                  New Scenario
+                </Button>
+                <Button
+                  variant='primary'
+                  size='sm'
+                  disabled={selected.length === 0 || running}
+                  onClick={() => compare(selected)}
+                >
+                  Compare Selected ({selected.length})
+                </Button>
+              </div>
+            </div>
+            {scenarios.length === 0 ? (
+              <p className='text-muted'>No saved scenarios yet.</p>
+            ) : (
+              <Table size='sm' hover className='align-middle'>
+                <tbody>
+                  {scenarios.map(scenario => (
+                    <tr key={scenario._id}>
+                      <td>
+                        <Form.Check
+                          type='checkbox'
+                          checked={selected.includes(scenario._id)}
+                          onChange={() => toggleSelected(scenario._id)}
+                          aria-label={`Compare ${scenario.name}`}
+                        />
+                      </td>
+                      <td>
+                        <strong>{scenario.name}</strong>
+                        <div className='small text-muted'>
+                          {scenario.shocks.map(describeShock).join(', ')}
+                        </div>
+                      </td>
+                      <td className='text-end text-nowrap'>
+                        <Button
+                          variant='outline-primary'
+                          size='sm'
+                          className='me-1'
+                          onClick={() => startEditing(scenario)}
+                        >
+                          Edit
+                        </Button>
+                        <Button
+                          variant='outline-danger'
+                          size='sm'
+                          onClick={() => handleDelete(scenario)}
+                        >
+                          Delete
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            )}
+          </Col>
+
+          {draft && (
+            <Col lg={7}>
+              <Form onSubmit={handleSave}>
+                <h6>{editingId ? 'Edit Scenario' : 'New Scenario'}</h6>
+                <Row className='g-2 mb-2'>
+                  <Col md={5}>
+                    <Form.Control
+                      size='sm'
+                      value={draft.name}
+                      onChange={e =>
+                        setDraft({ ...draft, name: e.target.value })
+                      }
+                      placeholder='Name'
+                      maxLength={100}
+                      required
+                    />
+                  </Col>
+                  <Col md={7}>
+                    <Form.Control
+                      size='sm'
+                      value={draft.description}
+                      onChange={e =>
+                        setDraft({ ...draft, description: e.target.value })
+                      }
+                      placeholder='Description (optional)'
+                      maxLength={500}
+                    />
+                  </Col>
+                </Row>
+                {draft.shocks.map((shock, index) => (
+                  <Row key={index} className='g-2 mb-2'>
+                    <Col md={3}>
+                      <Form.Select
+                        size='sm'
+                        value={shock.target}
+                        onChange={e =>
+                          updateShock(index, {
+                            ...shock,
+                            target: e.target.value as ShockTarget,
+                            key: '',
+                          })
+                        }
+                      >
+                        {Object.entries(TARGET_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </Form.Select>
+                    </Col>
+                    <Col md={4}>{renderKeyInput(shock, index)}</Col>
+                    <Col md={3}>
+                      <Form.Control
+                        size='sm'
+                        type='number'
+                        min={-100}
+                        max={1000}
+                        step={1}
+                        value={shock.changePercent}
+                        onChange={e =>
+                          updateShock(index, {
+                            ...shock,
+                            changePercent: Number(e.target.value),
+                          })
+                        }
+                        title='Change (%)'
+                      />
+                    </Col>
+                    <Col md={2}>
+                      <Button
+                        variant='outline-danger'
+                        size='sm'
+                        disabled={draft.shocks.length === 1}
+                        onClick={() =>
+                          setDraft({
+                            ...draft,
+                            shocks: draft.shocks.filter((_, i) => i !== index),
+                          })
+                        }
+                      >
+                        Remove
+                      </Button>
+                    </Col>
+                  </Row>
+                ))}
+                <div className='d-flex flex-wrap gap-2'>
+                  <Button
+                    variant='outline-secondary'
+                    size='sm'
+                    onClick={() =>
+                      setDraft({
+                        ...draft,
+                        shocks: [
+                          ...draft.shocks,
+                          { target: 'assetType', key: '', changePercent: -20 },
+                        ],
+                      })
+                    }
+                  >
+                    Add Shock
+                  </Button>
+                  <Button type='submit' variant='primary' size='sm'>
+                    Save
+                  </Button>
+                  <Button
+                    variant='outline-primary'
+                    size='sm'
+                    disabled={running}
+                    onClick={() => compare([draft])}
+                  >
+                    Run Without Saving
+                  </Button>
+                  <Button
+                    variant='outline-secondary'
+                    size='sm'
+                    onClick={() => {
+                      setDraft(null);
+                      setEditingId(null);
+                    }}
+                  >
+                    Cancel
+                  </Button>
+                </div>
+              </Form>
+            </Col>
+          )}
+        </Row>
+
+        {running && (
+          <div className='text-center p-3'>
+            <Spinner animation='border' size='sm' className='me-2' />
+            Running scenarios...
+          </div>
+        )}
+
+        {comparison && !running && (
+          <Table responsive striped hover size='sm'>
+            <thead>
+              <tr>
+                <th>Asset Name</th>
+                <th>Current Value</th>
+                {comparison.scenarios.map((scenario, index) => (
+                  <th key={index}>{scenario.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.scenarios[0]?.simulationResults.map((result, row) => (
+                <tr key={result.investmentId}>
+                  <td>{result.assetName}</td>
+                  <td>
+                    {formatCurrency(result.originalValue, result.currency)}
+                  </td>
+                  {comparison.scenarios.map((scenario, index) => {
+                    const outcome = scenario.simulationResults[row];
+                    return (
+                      <td key={index}>
+                        {formatCurrency(
+                          outcome.simulatedValue,
+                          outcome.currency
+                        )}{' '}
+                        <Badge bg={getChangeColor(outcome.changePercent)}>
+                          {formatPercentage(outcome.changePercent)}
+                        </Badge>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className='fw-bold'>
+                <td>Portfolio</td>
+                <td>
+                  {formatCurrency(
+                    comparison.scenarios[0]?.portfolioImpact
+                      .totalOriginalValue || 0,
+                    comparison.scenarios[0]?.portfolioImpact.baseCurrency
+                  )}
+                </td>
+                {comparison.scenarios.map((scenario, index) => (
+                  <td key={index}>
+                    {formatCurrency(
+                      scenario.portfolioImpact.totalSimulatedValue,
+                      scenario.portfolioImpact.baseCurrency
+                    )}{' '}
+                    <Badge
+                      bg={getChangeColor(
+                        scenario.portfolioImpact.portfolioChangePercent
+                      )}
+                    >
+                      {formatPercentage(
+                        scenario.portfolioImpact.portfolioChangePercent
+                      )}
+                    </Badge>
+                  </td>
+                ))}
+              </tr>
+            </tfoot>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default StressScenarios;
@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Table, Button, Alert, Spinner } from 'react-bootstrap';
+import { TrashedInvestment } from '../types/investment';
+import { investmentService } from '../services/investmentService';
+import { useAuth } from '../contexts/AuthContext';
+
+interface TrashProps {
+  show: boolean;
+  onHide: () => void;
+  onRestored: () => void;
+}
+
+const Trash: React.FC<TrashProps> = ({ show, onHide, onRestored }) => {
+  const [investments, setInvestments] = useState<TrashedInvestment[]>([]);
+  const [retentionDays, setRetentionDays] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const { can } = useAuth();
+
+  const loadTrash = async () => {
+    try {
+      setLoading(true);
+      const result = await investmentService.getTrash();
+      setInvestments(result.data);
+      setRetentionDays(result.retentionDays);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  const handleRestore = async (id: string) => {
+    try {
+      setError(null);
+      await investmentService.restoreInvestment(id);
+      setInvestments(investments.filter(investment => investment._id !== id));
+      onRestored();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to restore investment');
+    }
+  };
+
+  const handlePurge = async (investment: TrashedInvestment) => {
+    if (
+      !window.confirm(
+        `Permanently delete ${investment.assetName} with its valuations and cash flows? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+    try {
+      setError(null);
+      await investmentService.purgeInvestment(investment._id);
+      setInvestments(investments.filter(item => item._id !== investment._id));
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to purge investment');
+    }
+  };
+
+  const formatDate = (date?: string | null) =>
+    date ? new Date(date).toLocaleDateString() : '—';
+
+  return (
+    <Modal show={show} onHide={onHide} size='lg'>
+      <Modal.Header closeButton>
+        <Modal.Title>Trash</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+        <p className='text-muted small'>
+          {retentionDays > 0
+            ? `Deleted investments are purged automatically after ${retentionDays} days.`
+            : 'Deleted investments stay here until an admin purges them.'}
+        </p>
+
+        {loading ? (
+          <div className='text-center p-4'>
+            <Spinner animation='border' role='status'>
+              <span className='visually-hidden'>Loading...</span>
+            </Spinner>
+          </div>
+        ) : investments.length === 0 ? (
+          <p className='text-muted mb-0'>The trash is empty.</p>
+        ) : (
+          <Table responsive size='sm' className='mb-0'>
+            <thead>
+              <tr>
+                <th>Asset</th>
+                <th>Deleted</th>
+                <th>Deleted By</th>
+                {retentionDays > 0 && <th>Purged On</th>}
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {investments.map(investment => (
+                <tr key={investment._id}>
+                  <td>
+                    <strong>{investment.assetName}</strong>
+                    <div className='small text-muted'>
+                      {investment.assetType}
+                    </div>
+                  </td>
+                  <td>
+                    {formatDate(investment.deletedAt || investment.updatedAt)}
+                  </td>
+                  <td>{investment.deletedBy?.name || '—'}</td>
+                  {retentionDays > 0 && (
+                    <td>{formatDate(investment.purgeAt)}</td>
+                  )}
+                  <td className='text-end text-nowrap'>
+                    {investment.access === 'edit' &&
+                      can('investments:delete') && (
+                        <Button
+                          variant='outline-primary'
+                          size='sm'
+                          className='me-1'
+                          onClick={() => handleRestore(investment._id)}
+                        >
+                          Restore
+                        </Button>
+                      )}
+                    {can('investments:purge') && (
+                      <Button
+                        variant='outline-danger'
+                        size='sm'
+                        onClick={() => handlePurge(investment)}
+                      >
+                        Purge
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Modal.Body>
+    </Modal>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Button, Alert, Spinner, Form, Badge } from 'react-bootstrap';
+import { TwoFactorSetupData, TwoFactorStatus } from '../types/user';
+import { authService, authErrorMessage } from '../services/authService';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodes from './RecoveryCodes';
+
+const TwoFactorSettings: React.FC = () => {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [setup, setSetup] = useState<TwoFactorSetupData | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [action, setAction] = useState<'disable' | 'regenerate' | null>(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await authService.getTwoFactorStatus());
+    } catch (err: any) {
+      setError(authErrorMessage(err, 'Failed to load two-factor status'));
+    }
+  };
+
+  const run = async (request: () => Promise<void>, fallback: string) => {
+    try {
+      setError(null);
+      setMessage(null);
+      await request();
+    } catch (err: any) {
+      setError(authErrorMessage(err, fallback));
+      throw err;
+    }
+  };
+
+  const handleStartSetup = () =>
+    run(async () => {
+      setRecoveryCodes(null);
+      setSetup(await authService.startTwoFactorSetup());
+    }, 'Failed to start two-factor setup').catch(() => undefined);
+
+  const handleEnable = (setupCode: string) =>
+    run(async () => {
+      setRecoveryCodes(await authService.enableTwoFactor(setupCode));
+      setSetup(null);
+      await loadStatus();
+    }, 'Failed to enable two-factor authentication');
+
+  const handleAction = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      if (action === 'disable') {
+        await authService.disableTwoFactor(password, code);
+        setMessage('Two-factor authentication has been turned off.');
+      } else {
+        setRecoveryCodes(await authService.regenerateRecoveryCodes(code));
+      }
+      setAction(null);
+      setPassword('');
+      setCode('');
+      await loadStatus();
+    }, 'Request failed').catch(() => undefined);
+  };
+
+  if (!status) {
+    return error ? (
+      <Alert variant='danger'>{error}</Alert>
+    ) : (
+      <div className='text-center p-4'>
+        <Spinner animation='border' role='status'>
+          <span className='visually-hidden'>Loading...</span>
+        </Spinner>
+      </div>
+    );
+  }
+
+  return (
+    <Card>
+      <Card.Header className='d-flex justify-content-between align-items-center'>
+        <h5 className='mb-0'>Two-Factor Authentication</h5>
+        <Badge bg={status.enabled ? 'success' : 'secondary'}>
+          {status.enabled ? 'On' : 'Off'}
+        </Badge>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert variant='success' onClose={() => setMessage(null)} dismissible>
+            {message}
+          </Alert>
+        )}
+        {recoveryCodes && <RecoveryCodes codes={recoveryCodes} />}
+
+        {setup ? (
+          <TwoFactorSetup
+            setup={setup}
+            onConfirm={handleEnable}
+            onCancel={() => setSetup(null)}
+          />
+        ) : !status.enabled ? (
+          <>
+            <p>
+              Protect your account with a code from an authenticator app in
+              addition to your password.
+              {status.required &&
+                ' Two-factor authentication is required for your role.'}
+            </p>
+            <Button variant='primary' onClick={handleStartSetup}>
+              Set Up Two-Factor
+            </Button>
+          </>
+        ) : (
+          <>
+            <p>
+              Enabled
+              {status.enabledAt &&
+                ` on ${new Date(status.enabledAt).toLocaleDateString()}`}
+              . {status.recoveryCodesRemaining} recovery codes remaining.
+            </p>
+            {action ? (
+              <Form onSubmit={handleAction}>
+                {action === 'disable' && (
+                  <Form.Group className='mb-3'>
+                    <Form.Label>Password</Form.Label>
+                    <Form.Control
+                      type='password'
+                      value={password}
+                      onChange={e => setPassword(e.target.value)}
+                      required
+                    />
+                  </Form.Group>
+                )}
+                <Form.Group className='mb-3'>
+                  <Form.Label>Authentication Code</Form.Label>
+                  <Form.Control
+                    type='text'
+                    inputMode='numeric'
+                    autoComplete='one-time-code'
+                    maxLength={6}
+                    value={code}
+                    onChange={e => setCode(e.target.value.replace(/\D/g, ''))}
+                    required
+                  />
+                </Form.Group>
+                <Button
+                  variant='secondary'
+                  className='me-2'
+                  onClick={() => setAction(null)}
+                >
+                  Cancel
+                </Button>
+                <Button
+                  type='submit'
+                  variant={action === 'disable' ? 'danger' : 'primary'}
+                >
+                  {action === 'disable'
+                    ? 'Turn Off Two-Factor'
+                    : 'Generate New Codes'}
+                </Button>
+              </Form>
+            ) : (
+              <>
+                <Button
+                  variant='outline-primary'
+                  className='me-2'
+                  onClick={() => setAction('regenerate')}
+                >
+                  New Recovery Codes
+                </Button>
+                {!status.required && (
+                  <Button
+                    variant='outline-danger'
+                    onClick={() => setAction('disable')}
+                  >
+                    Turn Off
+                  </Button>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
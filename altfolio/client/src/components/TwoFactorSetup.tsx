@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Form, Button } from 'react-bootstrap';
+import { TwoFactorSetupData } from '../types/user';
+
+interface TwoFactorSetupProps {
+  setup: TwoFactorSetupData;
+  onConfirm: (code: string) => Promise<void>;
+  onCancel?: () => void;
+}
+
+// Shows the enrolment QR code and asks for a first code to prove the app is set up
+const TwoFactorSetup: React.FC<TwoFactorSetupProps> = ({
+  setup,
+  onConfirm,
+  onCancel,
+}) => {
+  const [code, setCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await onConfirm(code);
+    } catch (error) {
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      <p>
+        Scan this QR code with an authenticator app such as Google
+        Authenticator, 1Password or Authy, then enter the 6-digit code it shows.
+      </p>
+      <div className='text-center mb-3'>
+        <img
+          src={setup.qrCode}
+          alt='Two-factor authentication QR code'
+          width={200}
+          height={200}
+        />
+        <div className='small text-muted mt-2'>
+          Can't scan it? Enter this key instead:
+          <div className='font-monospace text-break'>{setup.secret}</div>
+        </div>
+      </div>
+      <Form.Group className='mb-3'>
+        <Form.Label>Authentication Code</Form.Label>
+        <Form.Control
+          type='text'
+          inputMode='numeric'
+          autoComplete='one-time-code'
+          pattern='\d{6}'
+          maxLength={6}
+          value={code}
+          onChange={e => setCode(e.target.value.replace(/\D/g, ''))}
+          required
+        />
+      </Form.Group>
+      <div className='d-flex justify-content-end'>
+        {onCancel && (
+          <Button variant='secondary' className='me-2' onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+        <Button type='submit' variant='primary' disabled={isSubmitting}>
+          {isSubmitting ? 'Verifying...' : 'Enable Two-Factor'}
+        </Button>
+      </div>
+    </Form>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,388 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Alert,
+  Spinner,
+  Form,
+  Modal,
+  Badge,
+} from 'react-bootstrap';
+import { ROLES, ROLE_LABELS, UserAccount, UserData } from '../types/user';
+import { userService } from '../services/userService';
+import { useAuth } from '../contexts/AuthContext';
+import LoginHistory from './LoginHistory';
+
+const emptyForm: UserData = {
+  name: '',
+  email: '',
+  password: '',
+  role: 'viewer',
+  isActive: true,
+};
+
+const isLocked = (user: UserAccount) =>
+  Boolean(user.lockedUntil && new Date(user.lockedUntil) > new Date());
+
+const Users: React.FC = () => {
+  const { user: currentUser, can } = useAuth();
+  const [users, setUsers] = useState<UserAccount[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [includeInactive, setIncludeInactive] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [editingUser, setEditingUser] = useState<UserAccount | null>(null);
+  const [formData, setFormData] = useState<UserData>(emptyForm);
+  const [formError, setFormError] = useState<string | null>(null);
+  const [historyUser, setHistoryUser] = useState<UserAccount | null>(null);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setUsers(await userService.getUsers(includeInactive));
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [includeInactive]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const openForm = (user: UserAccount | null) => {
+    setEditingUser(user);
+    setFormData(
+      user
+        ? {
+            name: user.name,
+            email: user.email,
+            password: '',
+            role: user.role,
+            isActive: user.isActive,
+          }
+        : emptyForm
+    );
+    setFormError(null);
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const data = { ...formData, password: formData.password || undefined };
+
+    try {
+      setFormError(null);
+      if (editingUser) {
+        await userService.updateUser(editingUser._id, data);
+      } else {
+        await userService.createUser(data);
+      }
+      setShowForm(false);
+      await loadUsers();
+    } catch (err: any) {
+      const details = err.response?.data?.details;
+      setFormError(
+        details
+          ? details.map((detail: { msg: string }) => detail.msg).join('; ')
+          : err.response?.data?.error || 'Failed to save user'
+      );
+    }
+  };
+
+  const handleResetTwoFactor = async (user: UserAccount) => {
+    if (
+      !window.confirm(
+        `Turn off two-factor authentication for ${user.name}? Use this when they have lost their authenticator and recovery codes.`
+      )
+    ) {
+      return;
+    }
+    try {
+      setError(null);
+      await userService.resetTwoFactor(user._id);
+      await loadUsers();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to reset two-factor');
+    }
+  };
+
+  const handleUnlock = async (user: UserAccount) => {
+    try {
+      setError(null);
+      await userService.unlockUser(user._id);
+      await loadUsers();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to unlock user');
+    }
+  };
+
+  const handleSetActive = async (user: UserAccount, isActive: boolean) => {
+    if (
+      !isActive &&
+      !window.confirm(
+        `Deactivate ${user.name}? They will no longer be able to log in.`
+      )
+    ) {
+      return;
+    }
+    try {
+      setError(null);
+      if (isActive) {
+        await userService.updateUser(user._id, {
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          isActive: true,
+        });
+      } else {
+        await userService.deactivateUser(user._id);
+      }
+      await loadUsers();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to update user');
+    }
+  };
+
+  if (!currentUser || !can('users:manage')) {
+    return (
+      <Alert variant='warning'>Your role does not allow managing users.</Alert>
+    );
+  }
+
+  return (
+    <Card>
+      <Card.Header className='d-flex justify-content-between align-items-center'>
+        <h4 className='mb-0'>Users</h4>
+        <div className='d-flex align-items-center'>
+          <Form.Check
+            type='switch'
+            label='Show inactive'
+            className='me-3'
+            checked={includeInactive}
+            onChange={e => setIncludeInactive(e.target.checked)}
+          />
+          <Button variant='primary' onClick={() => openForm(null)}>
+            Add User
+          </Button>
+        </div>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant='danger' onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className='text-center p-4'>
+            <Spinner animation='border' role='status'>
+              <span className='visually-hidden'>Loading...</span>
+            </Spinner>
+          </div>
+        ) : (
+          <Table responsive striped hover size='sm'>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Role</th>
+                <th>Status</th>
+                <th>Last Login</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(user => (
+                <tr key={user._id}>
+                  <td>{user.name}</td>
+                  <td>{user.email}</td>
+                  <td>
+                    <Badge bg={user.role === 'admin' ? 'warning' : 'info'}>
+                      {ROLE_LABELS[user.role] || user.role}
+                    </Badge>
+                  </td>
+                  <td>
+                    <Badge bg={user.isActive ? 'success' : 'secondary'}>
+                      {user.isActive ? 'Active' : 'Inactive'}
+                    </Badge>
+                    {!user.emailVerified && (
+                      <Badge bg='light' text='dark' className='ms-1'>
+                        Unverified
+                      </Badge>
+                    )}
+                    {user.twoFactor?.enabled && (
+                      <Badge bg='dark' className='ms-1'>
+                        2FA
+                      </Badge>
+                    )}
+                    {isLocked(user) && (
+                      <Badge
+                        bg='danger'
+                        className='ms-1'
+                        title={`Until ${new Date(
+                          user.lockedUntil as string
+                        ).toLocaleString()}`}
+                      >
+                        Locked
+                      </Badge>
+                    )}
+                  </td>
+                  <td>
+                    {user.lastLogin
+                      ? new Date(user.lastLogin).toLocaleString()
+                      : 'Never'}
+                  </td>
+                  <td>
+                    <Button
+                      variant='outline-primary'
+                      size='sm'
+                      className='me-2'
+                      onClick={() => openForm(user)}
+                    >
+                      Edit
+                    </Button>
+                    <Button
+                      variant='outline-secondary'
+                      size='sm'
+                      className='me-2'
+                      onClick={() => setHistoryUser(user)}
+                    >
+                      History
+                    </Button>
+                    {isLocked(user) && (
+                      <Button
+                        variant='outline-success'
+                        size='sm'
+                        className='me-2'
+                        onClick={() => handleUnlock(user)}
+                      >
+                        Unlock
+                      </Button>
+                    )}
+                    {user._id !== currentUser._id &&
+                      user.twoFactor?.enabled && (
+                        <Button
+                          variant='outline-warning'
+                          size='sm'
+                          className='me-2'
+                          onClick={() => handleResetTwoFactor(user)}
+                        >
+                          Reset 2FA
+                        </Button>
+                      )}
+                    {user._id !== currentUser._id && (
+                      <Button
+                        variant={
+                          user.isActive ? 'outline-danger' : 'outline-success'
+                        }
+                        size='sm'
+                        onClick={() => handleSetActive(user, !user.isActive)}
+                      >
+                        {user.isActive ? 'Deactivate' : 'Reactivate'}
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+
+      <Modal
+        show={Boolean(historyUser)}
+        onHide={() => setHistoryUser(null)}
+        size='lg'
+      >
+        <Modal.Header closeButton>
+          <Modal.Title>Login History: {historyUser?.name}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {historyUser && <LoginHistory userId={historyUser._id} />}
+        </Modal.Body>
+      </Modal>
+
+      <Modal show={showForm} onHide={() => setShowForm(false)}>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingUser ? 'Edit User' : 'Add User'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {formError && <Alert variant='danger'>{formError}</Alert>}
+            <Form.Group className='mb-3'>
+              <Form.Label>Name *</Form.Label>
+              <Form.Control
+                type='text'
+                value={formData.name}
+                onChange={e =>
+                  setFormData({ ...formData, name: e.target.value })
+                }
+                maxLength={50}
+                required
+              />
+            </Form.Group>
+            <Form.Group className='mb-3'>
+              <Form.Label>Email *</Form.Label>
+              <Form.Control
+                type='email'
+                value={formData.email}
+                onChange={e =>
+                  setFormData({ ...formData, email: e.target.value })
+                }
+                required
+              />
+            </Form.Group>
+            <Form.Group className='mb-3'>
+              <Form.Label>
+                {editingUser ? 'New Password' : 'Password *'}
+              </Form.Label>
+              <Form.Control
+                type='password'
+                value={formData.password}
+                onChange={e =>
+                  setFormData({ ...formData, password: e.target.value })
+                }
+                minLength={6}
+                required={!editingUser}
+                placeholder={editingUser ? 'Leave blank to keep' : ''}
+              />
+            </Form.Group>
+            <Form.Group className='mb-3'>
+              <Form.Label>Role</Form.Label>
+              <Form.Select
+                value={formData.role}
+                onChange={e =>
+                  setFormData({
+                    ...formData,
+                    role: e.target.value as UserData['role'],
+                  })
+                }
+                disabled={editingUser?._id === currentUser._id}
+              >
+                {ROLES.map(role => (
+                  <option key={role} value={role}>
+                    {ROLE_LABELS[role]}
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant='secondary' onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button type='submit' variant='primary'>
+              Save
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default Users;
@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Modal,
+  Table,
+  Button,
+  Alert,
+  Spinner,
+  Form,
+  Row,
+  Col,
+  Badge,
+  Tabs,
+  Tab,
+} from 'react-bootstrap';
+import { Investment, Valuation } from '../types/investment';
+import { investmentService } from '../services/investmentService';
+import LineChart from './LineChart';
+import InvestmentChangeLog from './InvestmentChangeLog';
+
+interface ValuationHistoryProps {
+  show: boolean;
+  onHide: () => void;
+  onChange: () => void;
+  investment: Investment;
+  readOnly?: boolean;
+}
+
+const ValuationHistory: React.FC<ValuationHistoryProps> = ({
+  show,
+  onHide,
+  onChange,
+  investment,
+  readOnly = false,
+}) => {
+  const [valuations, setValuations] = useState<Valuation[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [backfillValue, setBackfillValue] = useState<number>(0);
+  const [backfillDate, setBackfillDate] = useState('');
+  const [backfillNotes, setBackfillNotes] = useState('');
+
+  const loadValuations = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await investmentService.getValuations(investment._id);
+      setValuations(data);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to load valuations');
+    } finally {
+      setLoading(false);
+    }
+  }, [investment._id]);
+
+  useEffect(() => {
+    loadValuations();
+  }, [loadValuations]);
+
+  const handleBackfill = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      await investmentService.backfillValuations(investment._id, [
+        {
+          value: backfillValue,
+          effectiveDate: backfillDate,
+          notes: backfillNotes || undefined,
+        },
+      ]);
+      setBackfillValue(0);
+      setBackfillDate('');
+      setBackfillNotes('');
+      await loadValuations();
+      onChange();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to record valuation');
+    }
+  };
+
+  const formatCurrency = (amount: number, currency = 'USD') => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+    }).format(amount);
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size='lg'>
+      <Modal.Header closeButton>
+        <Modal.Title>History: {investment.assetName}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <Tabs defaultActiveKey='valuations' className='mb-3' mountOnEnter>
+          <Tab eventKey='valuations' title='Valuations'>
+            {error && (
+              <Alert
+                variant='danger'
+                onClose={() => setError(null)}
+                dismissible
+              >
+                {error}
+              </Alert>
+            )}
+
+            {loading ? (
+              <div className='text-center p-4'>
+                <Spinner animation='border' role='status'>
+                  <span className='visually-hidden'>Loading...</span>
+                </Spinner>
+              </div>
+            ) : (
+              <>
+                <LineChart
+                  series={[
+                    {
+                      label: 'Value',
+                      color: '#198754',
+                      points: valuations.map(valuation => ({
+                        x: new Date(valuation.effectiveDate).getTime(),
+                        y: valuation.value,
+                      })),
+                    },
+                  ]}
+                  formatY={y => formatCurrency(y, investment.currency)}
+                />
+
+                <Table responsive striped hover size='sm' className='mt-3'>
+                  <thead>
+                    <tr>
+                      <th>Effective Date</th>
+                      <th>Value</th>
+                      <th>Source</th>
+                      <th>Author</th>
+                      <th>Notes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...valuations].reverse().map(valuation => (
+                      <tr key={valuation._id}>
+                        <td>
+                          {new Date(
+                            valuation.effectiveDate
+                          ).toLocaleDateString()}
+                        </td>
+                        <td>
+                          {formatCurrency(valuation.value, investment.currency)}
+                        </td>
+                        <td>
+                          <Badge bg='secondary'>{valuation.source}</Badge>
+                        </td>
+                        <td>{valuation.author?.name || '-'}</td>
+                        <td>{valuation.notes || ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+
+                {valuations.length === 0 && (
+                  <Alert variant='info'>No valuations recorded yet.</Alert>
+                )}
+              </>
+            )}
+
+            {!readOnly && (
+              <>
+                <h6 className='mt-3'>Backfill Historical Mark</h6>
+                <Form onSubmit={handleBackfill}>
+                  <Row>
+                    <Col md={4}>
+                      <Form.Control
+                        type='date'
+                        value={backfillDate}
+                        onChange={e => setBackfillDate(e.target.value)}
+                        required
+                      />
+                    </Col>
+                    <Col md={3}>
+                      <Form.Control
+                        type='number'
+                        value={backfillValue}
+                        onChange={e => setBackfillValue(Number(e.target.value))}
+                        min={0}
+                        max={1000000000}
+                        step={0.01}
+                        required
+                      />
+                    </Col>
+                    <Col md={3}>
+                      <Form.Control
+                        type='text'
+                        value={backfillNotes}
+                        onChange={e => setBackfillNotes(e.target.value)}
+                        placeholder='Notes'
+                        maxLength={500}
+                      />
+                    </Col>
+                    <Col md={2}>
+                      <Button
+                        type='submit'
+                        variant='outline-primary'
+                        className='w-100'
+                      >
+                        Add
+                      </Button>
+                    </Col>
+                  </Row>
+                </Form>
+              </>
+            )}
+          </Tab>
+          <Tab eventKey='changes' title='Change Log'>
+            <InvestmentChangeLog investmentId={investment._id} />
+          </Tab>
+        </Tabs>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant='secondary' onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default ValuationHistory;
@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react';
+import { Alert, Spinner } from 'react-bootstrap';
+import { Link, useSearchParams } from 'react-router-dom';
+import AuthLayout from './AuthLayout';
+import { authService, authErrorMessage } from '../services/authService';
+
+const VerifyEmail: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const verify = async () => {
+      if (!token) {
+        setError('This verification link is missing its token.');
+        return;
+      }
+      try {
+        setMessage(await authService.verifyEmail(token));
+      } catch (err: any) {
+        setError(authErrorMessage(err, 'Failed to verify email'));
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <AuthLayout title='Verify Email'>
+      {message && <Alert variant='success'>{message}</Alert>}
+      {error && (
+        <Alert variant='danger'>
+          {error} You can request a new link from the login page.
+        </Alert>
+      )}
+      {!message && !error && (
+        <div className='text-center p-3'>
+          <Spinner animation='border' size='sm' />
+        </div>
+      )}
+      <div className='mt-3 text-center'>
+        <Link to='/login'>Go to login</Link>
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default VerifyEmail;
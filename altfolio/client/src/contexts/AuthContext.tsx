@@ -3,26 +3,57 @@ import React, {
   useContext,
   useState,
   useEffect,
+  useCallback,
   ReactNode,
 } from 'react';
-import axios from 'axios';
+import axios, { AxiosError, InternalAxiosRequestConfig } from 'axios';
+import { authErrorMessage } from '../services/authService';
+import { Permission, TwoFactorSetupData, UserRole } from '../types/user';
+
+const API_BASE_URL = 'http://localhost:5002/api';
 
 interface User {
   _id: string;
   email: string;
   name: string;
-  role: 'admin' | 'viewer';
+  role: UserRole;
+  permissions: Permission[];
   isActive: boolean;
   lastLogin?: string;
+  twoFactor?: { enabled: boolean; enabledAt?: string | null };
 }
 
+// Login either finishes or hands back a challenge for the second factor
+export type LoginResult =
+  | { status: 'success' }
+  | {
+      status: 'twoFactorRequired' | 'twoFactorSetupRequired';
+      challengeToken: string;
+      message: string;
+    };
+
+export type TwoFactorCredentials = { code: string } | { recoveryCode: string };
+
 interface AuthContextType {
   user: User | null;
   token: string | null;
-  login: (email: string, password: string) => Promise<void>;
-  logout: () => void;
+  login: (email: string, password: string) => Promise<LoginResult>;
+  verifyTwoFactorLogin: (
+    challengeToken: string,
+    credentials: TwoFactorCredentials
+  ) => Promise<number>;
+  startTwoFactorEnrollment: (
+    challengeToken: string
+  ) => Promise<TwoFactorSetupData>;
+  completeTwoFactorEnrollment: (
+    challengeToken: string,
+    code: string
+  ) => Promise<string[]>;
+  logout: () => Promise<void>;
+  can: (permission: Permission) => boolean;
   isLoading: boolean;
   error: string | null;
+  errorCode: string | null;
   clearError: () => void;
 }
 
@@ -47,6 +78,88 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   );
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [errorCode, setErrorCode] = useState<string | null>(null);
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    delete axios.defaults.headers.common['Authorization'];
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  const storeSession = useCallback((newToken: string, refreshToken: string) => {
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+    setToken(newToken);
+  }, []);
+
+  // Renews an expired access token with the refresh token. Concurrent 401s share one
+  // refresh, and a token already renewed by another tab is picked up from storage.
+  useEffect(() => {
+    let refreshing: Promise<string | null> | null = null;
+
+    const refreshAccessToken = async (failedToken?: string) => {
+      const storedToken = localStorage.getItem('token');
+      if (storedToken && storedToken !== failedToken) {
+        axios.defaults.headers.common['Authorization'] =
+          `Bearer ${storedToken}`;
+        return storedToken;
+      }
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return null;
+
+      try {
+        const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
+          refreshToken,
+        });
+        storeSession(response.data.token, response.data.refreshToken);
+        return response.data.token as string;
+      } catch (error) {
+        clearSession();
+        return null;
+      }
+    };
+
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async (error: AxiosError) => {
+        const config = error.config as
+          | (InternalAxiosRequestConfig & { _retried?: boolean })
+          | undefined;
+        const isAuthRequest = /\/auth\/(login|refresh)/.test(config?.url || '');
+        if (
+          error.response?.status !== 401 ||
+          !config ||
+          config._retried ||
+          isAuthRequest
+        ) {
+          return Promise.reject(error);
+        }
+
+        const failedToken = String(config.headers?.Authorization || '').replace(
+          /^Bearer /,
+          ''
+        );
+        if (!refreshing) {
+          refreshing = refreshAccessToken(failedToken).finally(() => {
+            refreshing = null;
+          });
+        }
+        const newToken = await refreshing;
+        if (!newToken) {
+          return Promise.reject(error);
+        }
+
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${newToken}`;
+        return axios(config);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [storeSession, clearSession]);
 
   useEffect(() => {
     if (token) {
@@ -60,67 +173,141 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     const checkAuth = async () => {
       if (token) {
         try {
-          const response = await axios.get('http://localhost:5002/api/auth/me');
+          const response = await axios.get(`${API_BASE_URL}/auth/me`);
           setUser(response.data.user);
         } catch (error) {
           console.error('Auth check failed:', error);
-          localStorage.removeItem('token');
-          setToken(null);
+          clearSession();
         }
       }
       setIsLoading(false);
     };
 
     checkAuth();
-  }, [token]);
+  }, [token, clearSession]);
 
-  const login = async (email: string, password: string) => {
+  // Runs one login step, recording a failure as the context error
+  const authRequest = async <T,>(
+    request: () => Promise<T>,
+    fallback: string
+  ): Promise<T> => {
     try {
-      setIsLoading(true);
       setError(null);
+      setErrorCode(null);
+      return await request();
+    } catch (error: any) {
+      const errorMessage = authErrorMessage(error, fallback);
+      setError(errorMessage);
+      setErrorCode(error.response?.data?.code || null);
+      throw new Error(errorMessage);
+    }
+  };
 
-      const response = await axios.post(
-        'http://localhost:5002/api/auth/login',
-        {
+  const completeLogin = (data: {
+    token: string;
+    refreshToken: string;
+    user: User;
+  }) => {
+    storeSession(data.token, data.refreshToken);
+    setUser(data.user);
+  };
+
+  const login = async (
+    email: string,
+    password: string
+  ): Promise<LoginResult> => {
+    try {
+      setIsLoading(true);
+      return await authRequest(async () => {
+        const response = await axios.post(`${API_BASE_URL}/auth/login`, {
           email,
           password,
-        }
-      );
-
-      const { token: newToken, user: userData } = response.data;
+        });
 
-      setToken(newToken);
-      setUser(userData);
-      localStorage.setItem('token', newToken);
+        const { challengeToken, twoFactorSetupRequired, message } =
+          response.data;
+        if (challengeToken) {
+          return {
+            status: twoFactorSetupRequired
+              ? 'twoFactorSetupRequired'
+              : 'twoFactorRequired',
+            challengeToken,
+            message,
+          };
+        }
 
-      axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
-    } catch (error: any) {
-      const errorMessage = error.response?.data?.error || 'Login failed';
-      setError(errorMessage);
-      throw new Error(errorMessage);
+        completeLogin(response.data);
+        return { status: 'success' };
+      }, 'Login failed');
     } finally {
       setIsLoading(false);
     }
   };
 
-  const logout = () => {
-    setUser(null);
-    setToken(null);
-    localStorage.removeItem('token');
-    delete axios.defaults.headers.common['Authorization'];
+  const verifyTwoFactorLogin = (
+    challengeToken: string,
+    credentials: TwoFactorCredentials
+  ) =>
+    authRequest(async () => {
+      const response = await axios.post(`${API_BASE_URL}/auth/login/2fa`, {
+        challengeToken,
+        ...credentials,
+      });
+      completeLogin(response.data);
+      return response.data.recoveryCodesRemaining as number;
+    }, 'Verification failed');
+
+  const startTwoFactorEnrollment = (challengeToken: string) =>
+    authRequest(async () => {
+      const response = await axios.post(
+        `${API_BASE_URL}/auth/login/2fa/setup`,
+        { challengeToken }
+      );
+      return response.data as TwoFactorSetupData;
+    }, 'Failed to start two-factor setup');
+
+  // Signs the user in once the authenticator is confirmed; returns their recovery codes
+  const completeTwoFactorEnrollment = (challengeToken: string, code: string) =>
+    authRequest(async () => {
+      const response = await axios.post(
+        `${API_BASE_URL}/auth/login/2fa/enable`,
+        { challengeToken, code }
+      );
+      completeLogin(response.data);
+      return response.data.recoveryCodes as string[];
+    }, 'Failed to enable two-factor authentication');
+
+  const logout = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/auth/logout`);
+    } catch (error) {
+      console.error('Logout failed:', error);
+    } finally {
+      clearSession();
+    }
   };
 
   const clearError = () => {
     setError(null);
+    setErrorCode(null);
   };
 
+  // Every role check in the UI goes through the permissions the server granted
+  const can = (permission: Permission) =>
+    Boolean(user?.permissions?.includes(permission));
+
   const value: AuthContextType = {
     user,
     token,
     login,
+    verifyTwoFactorLogin,
+    startTwoFactorEnrollment,
+    completeTwoFactorEnrollment,
     logout,
+    can,
     isLoading,
     error,
+    errorCode,
     clearError,
   };
 
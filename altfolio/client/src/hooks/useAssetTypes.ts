@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+import { AssetType } from '../types/investment';
+import { investmentService } from '../services/investmentService';
+
+export const useAssetTypes = (includeInactive = false) => {
+  const [assetTypes, setAssetTypes] = useState<AssetType[]>([]);
+
+  useEffect(() => {
+    investmentService
+      .getAssetTypes(includeInactive)
+      .then(setAssetTypes)
+      .catch(err => console.error('Failed to load asset types:', err));
+  }, [includeInactive]);
+
+  return assetTypes;
+};
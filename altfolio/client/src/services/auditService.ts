@@ -0,0 +1,16 @@
+import axios from 'axios';
+import { AuditPage, AuditQuery } from '../types/audit';
+
+const API_BASE_URL = 'http://localhost:5002/api';
+
+export const auditService = {
+  async getAuditLog(query: AuditQuery = {}): Promise<AuditPage> {
+    const response = await axios.get(`${API_BASE_URL}/audit`, {
+      params: query,
+    });
+    return {
+      data: response.data.data,
+      pagination: response.data.pagination,
+    };
+  },
+};
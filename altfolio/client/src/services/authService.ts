@@ -0,0 +1,145 @@
+import axios from 'axios';
+import {
+  ApiScope,
+  ApiToken,
+  ApiTokenData,
+  LoginEvent,
+  RegisterData,
+  RegistrationMode,
+  TwoFactorSetupData,
+  TwoFactorStatus,
+  UserRole,
+  UserSession,
+} from '../types/user';
+
+const API_BASE_URL = 'http://localhost:5002/api';
+
+export const authService = {
+  async getRegistrationMode(): Promise<RegistrationMode> {
+    const response = await axios.get(`${API_BASE_URL}/auth/registration`);
+    return response.data.mode;
+  },
+
+  async getInvite(token: string): Promise<{ email: string; role: UserRole }> {
+    const response = await axios.get(
+      `${API_BASE_URL}/auth/invites/${encodeURIComponent(token)}`
+    );
+    return response.data.invite;
+  },
+
+  async register(data: RegisterData): Promise<string> {
+    const response = await axios.post(`${API_BASE_URL}/auth/register`, data);
+    return response.data.message;
+  },
+
+  async verifyEmail(token: string): Promise<string> {
+    const response = await axios.post(`${API_BASE_URL}/auth/verify-email`, {
+      token,
+    });
+    return response.data.message;
+  },
+
+  async resendVerification(email: string): Promise<string> {
+    const response = await axios.post(
+      `${API_BASE_URL}/auth/resend-verification`,
+      { email }
+    );
+    return response.data.message;
+  },
+
+  async forgotPassword(email: string): Promise<string> {
+    const response = await axios.post(`${API_BASE_URL}/auth/forgot-password`, {
+      email,
+    });
+    return response.data.message;
+  },
+
+  async resetPassword(token: string, password: string): Promise<string> {
+    const response = await axios.post(`${API_BASE_URL}/auth/reset-password`, {
+      token,
+      password,
+    });
+    return response.data.message;
+  },
+
+  async getSessions(): Promise<UserSession[]> {
+    const response = await axios.get(`${API_BASE_URL}/auth/sessions`);
+    return response.data.data;
+  },
+
+  async revokeSession(id: string): Promise<void> {
+    await axios.delete(`${API_BASE_URL}/auth/sessions/${id}`);
+  },
+
+  async revokeOtherSessions(): Promise<string> {
+    const response = await axios.delete(`${API_BASE_URL}/auth/sessions`);
+    return response.data.message;
+  },
+
+  async getApiTokens(): Promise<{
+    tokens: ApiToken[];
+    scopes: { key: ApiScope; description: string }[];
+  }> {
+    const response = await axios.get(`${API_BASE_URL}/auth/tokens`);
+    return { tokens: response.data.data, scopes: response.data.scopes };
+  },
+
+  async createApiToken(
+    data: ApiTokenData
+  ): Promise<{ token: string; apiToken: ApiToken }> {
+    const response = await axios.post(`${API_BASE_URL}/auth/tokens`, data);
+    return { token: response.data.token, apiToken: response.data.data };
+  },
+
+  async revokeApiToken(id: string): Promise<void> {
+    await axios.delete(`${API_BASE_URL}/auth/tokens/${id}`);
+  },
+
+  async getLoginHistory(): Promise<LoginEvent[]> {
+    const response = await axios.get(`${API_BASE_URL}/auth/login-history`);
+    return response.data.data;
+  },
+
+  async getTwoFactorStatus(): Promise<TwoFactorStatus> {
+    const response = await axios.get(`${API_BASE_URL}/auth/2fa`);
+    return response.data;
+  },
+
+  async startTwoFactorSetup(): Promise<TwoFactorSetupData> {
+    const response = await axios.post(`${API_BASE_URL}/auth/2fa/setup`);
+    return response.data;
+  },
+
+  async enableTwoFactor(code: string): Promise<string[]> {
+    const response = await axios.post(`${API_BASE_URL}/auth/2fa/enable`, {
+      code,
+    });
+    return response.data.recoveryCodes;
+  },
+
+  async disableTwoFactor(password: string, code: string): Promise<void> {
+    await axios.post(`${API_BASE_URL}/auth/2fa/disable`, { password, code });
+  },
+
+  async regenerateRecoveryCodes(code: string): Promise<string[]> {
+    const response = await axios.post(
+      `${API_BASE_URL}/auth/2fa/recovery-codes`,
+      { code }
+    );
+    return response.data.recoveryCodes;
+  },
+};
+
+// Auth routes report validation failures as an `errors` array
+export const authErrorMessage = (err: any, fallback: string): string => {
+  const errors = err.response?.data?.errors;
+  const lockedUntil = err.response?.data?.lockedUntil;
+  if (lockedUntil) {
+    return `${err.response.data.error} Locked until ${new Date(
+      lockedUntil
+    ).toLocaleString()}.`;
+  }
+  return errors
+    ? errors.map((error: { msg: string }) => error.msg).join(' ')
+    : err.response?.data?.error || fallback;
+};
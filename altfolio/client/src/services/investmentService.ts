@@ -5,14 +5,50 @@ import {
   UpdateInvestmentData,
   PortfolioSummary,
   AllocationByType,
+  Valuation,
+  BackfillValuationData,
+  CashFlow,
+  CashFlowTotals,
+  CreateCashFlowData,
+  ReturnMetrics,
+  FxRate,
+  AssetType,
+  AssetTypeData,
+  InvestmentQuery,
+  InvestmentPage,
+  ImportMapping,
+  ImportPreview,
+  ImportSummary,
+  ExportFormat,
+  InvestmentGrant,
+  GrantData,
+  TrashData,
+  PortfolioHistoryPoint,
+  PortfolioHistoryQuery,
+  HistoryInterval,
+  MonteCarloRequest,
+  SimulationData,
+  SimulationType,
+  Scenario,
+  ScenarioData,
+  ScenarioComparison,
+  Benchmark,
+  BenchmarkComparison,
+  RiskReport,
 } from '../types/investment';
+import { AuditEntry } from '../types/audit';
 
 const API_BASE_URL = 'http://localhost:5002/api';
 
 export const investmentService = {
-  async getInvestments(): Promise<Investment[]> {
-    const response = await axios.get(`${API_BASE_URL}/investments`);
-    return response.data.data;
+  async getInvestments(query: InvestmentQuery = {}): Promise<InvestmentPage> {
+    const response = await axios.get(`${API_BASE_URL}/investments`, {
+      params: query,
+    });
+    return {
+      data: response.data.data,
+      pagination: response.data.pagination,
+    };
   },
 
   async getInvestment(id: string): Promise<Investment> {
@@ -33,58 +69,345 @@ export const investmentService = {
     return response.data.data;
   },
 
+  // Changes only the given fields, failing with 409 if the investment is no longer at version
+  async patchInvestment(
+    id: string,
+    data: Partial<CreateInvestmentData>,
+    version: number
+  ): Promise<Investment> {
+    const response = await axios.patch(
+      `${API_BASE_URL}/investments/${id}`,
+      data,
+      { headers: { 'If-Match': `"${version}"` } }
+    );
+    return response.data.data;
+  },
+
   async deleteInvestment(id: string): Promise<void> {
     await axios.delete(`${API_BASE_URL}/investments/${id}`);
   },
 
-  async getPortfolioSummary(): Promise<PortfolioSummary> {
+  async getTrash(): Promise<TrashData> {
+    const response = await axios.get(`${API_BASE_URL}/investments/trash`);
+    return response.data;
+  },
+
+  async restoreInvestment(id: string): Promise<Investment> {
+    const response = await axios.post(
+      `${API_BASE_URL}/investments/${id}/restore`
+    );
+    return response.data.data;
+  },
+
+  async purgeInvestment(id: string): Promise<void> {
+    await axios.delete(`${API_BASE_URL}/investments/${id}/purge`);
+  },
+
+  async getGrants(id: string): Promise<InvestmentGrant[]> {
     const response = await axios.get(
-      `${API_BASE_URL}/investments/portfolio/summary`
+      `${API_BASE_URL}/investments/${id}/grants`
+    );
+    return response.data.data;
+  },
+
+  async updateGrants(
+    id: string,
+    grants: GrantData[]
+  ): Promise<InvestmentGrant[]> {
+    const response = await axios.put(
+      `${API_BASE_URL}/investments/${id}/grants`,
+      { grants }
+    );
+    return response.data.data;
+  },
+
+  async getInvestmentMetrics(
+    id: string
+  ): Promise<ReturnMetrics & { roi: number }> {
+    const response = await axios.get(
+      `${API_BASE_URL}/investments/${id}/metrics`
+    );
+    return response.data.data;
+  },
+
+  async getHistory(id: string): Promise<AuditEntry[]> {
+    const response = await axios.get(
+      `${API_BASE_URL}/investments/${id}/history`
+    );
+    return response.data.data;
+  },
+
+  async getValuations(id: string): Promise<Valuation[]> {
+    const response = await axios.get(
+      `${API_BASE_URL}/investments/${id}/valuations`
+    );
+    return response.data.data;
+  },
+
+  async backfillValuations(
+    id: string,
+    valuations: BackfillValuationData[]
+  ): Promise<Valuation[]> {
+    const response = await axios.post(
+      `${API_BASE_URL}/investments/${id}/valuations`,
+      { valuations }
+    );
+    return response.data.data;
+  },
+
+  async getCashFlows(
+    id: string
+  ): Promise<{ cashFlows: CashFlow[]; totals: CashFlowTotals }> {
+    const response = await axios.get(
+      `${API_BASE_URL}/investments/${id}/cashflows`
+    );
+    return { cashFlows: response.data.data, totals: response.data.totals };
+  },
+
+  async createCashFlow(
+    id: string,
+    data: CreateCashFlowData
+  ): Promise<Investment> {
+    const response = await axios.post(
+      `${API_BASE_URL}/investments/${id}/cashflows`,
+      data
+    );
+    return response.data.investment;
+  },
+
+  async deleteCashFlow(id: string, flowId: string): Promise<Investment> {
+    const response = await axios.delete(
+      `${API_BASE_URL}/investments/${id}/cashflows/${flowId}`
+    );
+    return response.data.investment;
+  },
+
+  async getPortfolioSummary(baseCurrency?: string): Promise<PortfolioSummary> {
+    const response = await axios.get(
+      `${API_BASE_URL}/investments/portfolio/summary`,
+      { params: { baseCurrency } }
     );
     return response.data.data.summary;
   },
 
-  async getAllocationByType(): Promise<AllocationByType[]> {
+  async getAllocationByType(
+    baseCurrency?: string
+  ): Promise<AllocationByType[]> {
     const response = await axios.get(
-      `${API_BASE_URL}/investments/portfolio/summary`
+      `${API_BASE_URL}/investments/portfolio/summary`,
+      { params: { baseCurrency } }
     );
     return response.data.data.allocation;
   },
 
+  async getPortfolioHistory(
+    query: PortfolioHistoryQuery
+  ): Promise<PortfolioHistoryPoint[]> {
+    const response = await axios.get(`${API_BASE_URL}/dashboard/history`, {
+      params: query,
+    });
+    return response.data.data;
+  },
+
+  async getAssetTypes(includeInactive = false): Promise<AssetType[]> {
+    const response = await axios.get(`${API_BASE_URL}/asset-types`, {
+      params: includeInactive ? { includeInactive: true } : undefined,
+    });
+    return response.data.data;
+  },
+
+  async createAssetType(data: Partial<AssetTypeData>): Promise<AssetType> {
+    const response = await axios.post(`${API_BASE_URL}/asset-types`, data);
+    return response.data.data;
+  },
+
+  async updateAssetType(
+    id: string,
+    data: Partial<AssetTypeData>
+  ): Promise<AssetType> {
+    const response = await axios.put(`${API_BASE_URL}/asset-types/${id}`, data);
+    return response.data.data;
+  },
+
+  async deleteAssetType(id: string): Promise<string> {
+    const response = await axios.delete(`${API_BASE_URL}/asset-types/${id}`);
+    return response.data.message;
+  },
+
+  async getFxRates(currency?: string): Promise<FxRate[]> {
+    const response = await axios.get(`${API_BASE_URL}/fx-rates`, {
+      params: { currency },
+    });
+    return response.data.data;
+  },
+
+  async saveFxRate(data: Omit<FxRate, '_id'>): Promise<FxRate> {
+    const response = await axios.post(`${API_BASE_URL}/fx-rates`, data);
+    return response.data.data;
+  },
+
+  async deleteFxRate(id: string): Promise<void> {
+    await axios.delete(`${API_BASE_URL}/fx-rates/${id}`);
+  },
+
   async getDashboardAnalytics(): Promise<any> {
     const response = await axios.get(`${API_BASE_URL}/dashboard`);
     return response.data.data;
   },
 
+  async runMonteCarlo(request: MonteCarloRequest): Promise<SimulationData> {
+    const response = await axios.post(`${API_BASE_URL}/dashboard/simulate`, {
+      ...request,
+      simulationType: 'monteCarlo',
+    });
+    return response.data.data;
+  },
+
+  async compareScenarios(
+    scenarios: (string | ScenarioData)[]
+  ): Promise<ScenarioComparison> {
+    const response = await axios.post(`${API_BASE_URL}/dashboard/simulate`, {
+      simulationType: 'scenario',
+      scenarios,
+    });
+    return response.data.data;
+  },
+
+  async getScenarios(): Promise<Scenario[]> {
+    const response = await axios.get(`${API_BASE_URL}/scenarios`);
+    return response.data.data;
+  },
+
+  async createScenario(data: ScenarioData): Promise<Scenario> {
+    const response = await axios.post(`${API_BASE_URL}/scenarios`, data);
+    return response.data.data;
+  },
+
+  async updateScenario(id: string, data: ScenarioData): Promise<Scenario> {
+    const response = await axios.put(`${API_BASE_URL}/scenarios/${id}`, data);
+    return response.data.data;
+  },
+
+  async deleteScenario(id: string): Promise<void> {
+    await axios.delete(`${API_BASE_URL}/scenarios/${id}`);
+  },
+
+  async getRiskReport(
+    baseCurrency?: string,
+    top?: number
+  ): Promise<RiskReport> {
+    const response = await axios.get(`${API_BASE_URL}/dashboard/risk`, {
+      params: { baseCurrency, top },
+    });
+    return response.data.data;
+  },
+
+  async getBenchmarks(): Promise<Benchmark[]> {
+    const response = await axios.get(`${API_BASE_URL}/benchmarks`);
+    return response.data.data;
+  },
+
+  async uploadBenchmark(
+    file: File,
+    name: string,
+    description?: string
+  ): Promise<Benchmark> {
+    const formData = new FormData();
+    formData.append('name', name);
+    if (description) formData.append('description', description);
+    formData.append('file', file);
+    const response = await axios.post(`${API_BASE_URL}/benchmarks`, formData);
+    return response.data.data;
+  },
+
+  async appendBenchmarkPoints(id: string, file: File): Promise<Benchmark> {
+    const formData = new FormData();
+    formData.append('file', file);
+    const response = await axios.post(
+      `${API_BASE_URL}/benchmarks/${id}/points`,
+      formData
+    );
+    return response.data.data;
+  },
+
+  async deleteBenchmark(id: string): Promise<void> {
+    await axios.delete(`${API_BASE_URL}/benchmarks/${id}`);
+  },
+
+  async getBenchmarkComparison(
+    benchmarkId: string,
+    interval?: HistoryInterval
+  ): Promise<BenchmarkComparison> {
+    const response = await axios.get(`${API_BASE_URL}/dashboard/pme`, {
+      params: { benchmarkId, interval },
+    });
+    return response.data.data;
+  },
+
   async simulateInvestment(
     investmentId: string,
     newValue: number,
-    simulationType?: string
-  ): Promise<any> {
+    simulationType?: SimulationType,
+    baseCurrency?: string
+  ): Promise<SimulationData> {
     const response = await axios.post(`${API_BASE_URL}/dashboard/simulate`, {
       investmentId,
       newValue,
       simulationType,
+      baseCurrency,
     });
     return response.data.data;
   },
 
-  async exportInvestmentsCSV(filters?: any): Promise<Blob> {
-    const params = new URLSearchParams();
-    if (filters) {
-      Object.keys(filters).forEach(key => {
-        if (filters[key] !== undefined && filters[key] !== '') {
-          params.append(key, filters[key].toString());
-        }
-      });
-    }
+  async previewImport(file: File): Promise<ImportPreview> {
+    const formData = new FormData();
+    formData.append('file', file);
+    const response = await axios.post(
+      `${API_BASE_URL}/investments/import/preview`,
+      formData
+    );
+    return response.data.data;
+  },
 
-    const response = await axios.get(
-      `${API_BASE_URL}/investments/export?${params.toString()}`,
-      {
-        responseType: 'blob',
-      }
+  async validateImport(
+    file: File,
+    mapping: ImportMapping
+  ): Promise<ImportSummary> {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('mapping', JSON.stringify(mapping));
+    formData.append('dryRun', 'true');
+    const response = await axios.post(
+      `${API_BASE_URL}/investments/import`,
+      formData
     );
+    return response.data.data;
+  },
+
+  async importInvestments(
+    file: File,
+    mapping: ImportMapping
+  ): Promise<Investment[]> {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('mapping', JSON.stringify(mapping));
+    formData.append('dryRun', 'false');
+    const response = await axios.post(
+      `${API_BASE_URL}/investments/import`,
+      formData
+    );
+    return response.data.data;
+  },
+
+  async exportInvestments(
+    query: InvestmentQuery,
+    format: ExportFormat = 'csv'
+  ): Promise<Blob> {
+    const { page, limit, ...params } = query;
+    const response = await axios.get(`${API_BASE_URL}/investments/export`, {
+      params: { ...params, format },
+      responseType: 'blob',
+    });
     return response.data;
   },
 };
@@ -0,0 +1,18 @@
+import axios from 'axios';
+import { SystemSettings } from '../types/user';
+
+const API_BASE_URL = 'http://localhost:5002/api';
+
+export const settingsService = {
+  async getSettings(): Promise<SystemSettings> {
+    const response = await axios.get(`${API_BASE_URL}/settings`);
+    return response.data.data;
+  },
+
+  async updateSettings(
+    settings: Partial<SystemSettings>
+  ): Promise<{ message: string; data: SystemSettings }> {
+    const response = await axios.put(`${API_BASE_URL}/settings`, settings);
+    return response.data;
+  },
+};
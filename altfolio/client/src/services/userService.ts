@@ -0,0 +1,80 @@
+import axios from 'axios';
+import { User } from '../types/investment';
+import {
+  Invite,
+  LoginEvent,
+  RoleMatrix,
+  UserAccount,
+  UserData,
+  UserRole,
+} from '../types/user';
+
+const API_BASE_URL = 'http://localhost:5002/api';
+
+export const userService = {
+  async getUsers(includeInactive = false): Promise<UserAccount[]> {
+    const response = await axios.get(`${API_BASE_URL}/users`, {
+      params: includeInactive ? { includeInactive: true } : undefined,
+    });
+    return response.data.data;
+  },
+
+  async createUser(data: UserData): Promise<UserAccount> {
+    const response = await axios.post(`${API_BASE_URL}/users`, data);
+    return response.data.data;
+  },
+
+  async updateUser(id: string, data: UserData): Promise<UserAccount> {
+    const response = await axios.put(`${API_BASE_URL}/users/${id}`, data);
+    return response.data.data;
+  },
+
+  async deactivateUser(id: string): Promise<void> {
+    await axios.delete(`${API_BASE_URL}/users/${id}`);
+  },
+
+  async resetTwoFactor(id: string): Promise<void> {
+    await axios.post(`${API_BASE_URL}/users/${id}/reset-2fa`);
+  },
+
+  async unlockUser(id: string): Promise<UserAccount> {
+    const response = await axios.post(`${API_BASE_URL}/users/${id}/unlock`);
+    return response.data.data;
+  },
+
+  async getLoginHistory(id: string): Promise<LoginEvent[]> {
+    const response = await axios.get(
+      `${API_BASE_URL}/users/${id}/login-history`
+    );
+    return response.data.data;
+  },
+
+  async getRoles(): Promise<RoleMatrix> {
+    const response = await axios.get(`${API_BASE_URL}/users/roles`);
+    return response.data.data;
+  },
+
+  async getInvites(): Promise<Invite[]> {
+    const response = await axios.get(`${API_BASE_URL}/users/invites`);
+    return response.data.data;
+  },
+
+  async createInvite(email: string, role: UserRole): Promise<Invite> {
+    const response = await axios.post(`${API_BASE_URL}/users/invites`, {
+      email,
+      role,
+    });
+    return response.data.data;
+  },
+
+  async revokeInvite(id: string): Promise<void> {
+    await axios.delete(`${API_BASE_URL}/users/invites/${id}`);
+  },
+
+  async lookupUsers(q: string): Promise<User[]> {
+    const response = await axios.get(`${API_BASE_URL}/users/lookup`, {
+      params: { q },
+    });
+    return response.data.data;
+  },
+};
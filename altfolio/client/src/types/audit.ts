@@ -0,0 +1,43 @@
+import { Pagination, User } from './investment';
+
+export type AuditEntityType = 'investment' | 'user';
+export type AuditAction = 'create' | 'update' | 'delete' | 'restore' | 'purge';
+
+export interface AuditChange {
+  field: string;
+  before: unknown;
+  after: unknown;
+}
+
+export interface AuditEntry {
+  _id: string;
+  entityType: AuditEntityType;
+  entity: string;
+  entityName: string;
+  action: AuditAction;
+  actor: User | null;
+  actorEmail: string;
+  apiToken: string | null;
+  ip: string;
+  userAgent: string;
+  summary: string;
+  changes: AuditChange[];
+  createdAt: string;
+}
+
+export interface AuditQuery {
+  entityType?: AuditEntityType;
+  entity?: string;
+  action?: AuditAction;
+  actor?: string;
+  field?: string;
+  dateFrom?: string;
+  dateTo?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface AuditPage {
+  data: AuditEntry[];
+  pagination: Pagination;
+}
@@ -4,59 +4,554 @@ export interface User {
   email: string;
 }
 
+export type AttributeType = 'text' | 'number' | 'date' | 'boolean' | 'select';
+
+export interface AttributeDefinition {
+  key: string;
+  label: string;
+  type: AttributeType;
+  options?: string[];
+  unit?: string;
+  required?: boolean;
+  min?: number;
+  max?: number;
+}
+
+export type AttributeValues = Record<string, string | number | boolean>;
+
+// Annual drift (expected return) and volatility in percent
+export interface SimulationAssumption {
+  drift: number;
+  volatility: number;
+}
+
+export interface AssetType {
+  _id: string;
+  name: string;
+  subtypes: string[];
+  attributes: AttributeDefinition[];
+  color: string;
+  sortOrder: number;
+  simulation: SimulationAssumption;
+  isActive: boolean;
+}
+
+export type AssetTypeData = Omit<AssetType, '_id'>;
+
+export interface OwnerShare {
+  user: string;
+  share: number;
+}
+
+export type AccessLevel = 'read' | 'edit';
+
+export interface InvestmentGrant {
+  user: User;
+  access: AccessLevel;
+}
+
+export interface GrantData {
+  user: string;
+  access: AccessLevel;
+}
+
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'CHF', 'JPY', 'CAD', 'AUD'];
+
 export interface Investment {
   _id: string;
   assetName: string;
-  assetType: 'Startup' | 'Crypto Fund' | 'Farmland' | 'Collectible' | 'Other';
+  assetType: string;
+  assetSubtype?: string;
+  attributes?: AttributeValues;
+  currency: string;
   investedAmount: number;
+  distributedAmount: number;
   currentValue: number;
   investmentDate: string;
   owners: User[];
+  ownerShares: OwnerShare[];
+  // The signed-in user's access, worked out by the server
+  access?: AccessLevel;
   description?: string;
   notes?: string;
+  tags?: string[];
+  // Liquidity: no sale or redemption before the lockup ends; the capital is expected back by the exit date
+  lockupEndDate?: string | null;
+  expectedExitDate?: string | null;
   isActive: boolean;
+  deletedAt?: string | null;
+  deletedBy?: User | null;
   roi: number;
   absoluteGain: number;
+  metrics?: ReturnMetrics;
+  // Version for optimistic concurrency; sent back with edits to detect changes made since
+  __v: number;
   createdAt: string;
   updatedAt: string;
 }
 
 export interface CreateInvestmentData {
   assetName: string;
-  assetType: 'Startup' | 'Crypto Fund' | 'Farmland' | 'Collectible' | 'Other';
+  assetType: string;
+  assetSubtype?: string;
+  attributes?: AttributeValues;
+  currency?: string;
   investedAmount: number;
   currentValue: number;
   investmentDate?: string;
   owners: string[];
+  ownerShares?: OwnerShare[];
   description?: string;
   notes?: string;
+  tags?: string[];
+  lockupEndDate?: string | null;
+  expectedExitDate?: string | null;
+}
+
+export interface TrashedInvestment extends Investment {
+  // When the retention policy will purge it, or null while retention is off
+  purgeAt: string | null;
+}
+
+export interface TrashData {
+  retentionDays: number;
+  data: TrashedInvestment[];
 }
 
 export interface UpdateInvestmentData extends Partial<CreateInvestmentData> {
   _id: string;
 }
 
+export interface Valuation {
+  _id: string;
+  investment: string;
+  value: number;
+  effectiveDate: string;
+  source: 'initial' | 'update' | 'backfill' | 'import';
+  author?: User;
+  notes?: string;
+  createdAt: string;
+}
+
+export interface BackfillValuationData {
+  value: number;
+  effectiveDate: string;
+  notes?: string;
+}
+
+export type CashFlowType = 'contribution' | 'distribution';
+
+export type CashFlowCategory =
+  | 'initial'
+  | 'follow_on'
+  | 'capital_call'
+  | 'fee'
+  | 'return_of_capital'
+  | 'dividend'
+  | 'interest'
+  | 'rent'
+  | 'sale'
+  | 'other';
+
+export interface CashFlow {
+  _id: string;
+  investment: string;
+  type: CashFlowType;
+  category: CashFlowCategory;
+  amount: number;
+  date: string;
+  author?: User;
+  notes?: string;
+  createdAt: string;
+}
+
+export interface CreateCashFlowData {
+  type: CashFlowType;
+  category?: CashFlowCategory;
+  amount: number;
+  date: string;
+  notes?: string;
+}
+
+export interface CashFlowTotals {
+  contributed: number;
+  distributed: number;
+  count: number;
+}
+
+export interface ReturnMetrics {
+  irr: number | null;
+  annualizedReturn: number | null;
+  tvpi: number | null;
+  dpi: number | null;
+  rvpi: number | null;
+  holdingPeriodYears: number;
+}
+
+export interface CurrencyBreakdown {
+  _id: string;
+  totalInvested: number;
+  totalCurrentValue: number;
+  totalDistributed: number;
+  localGain: number;
+  baseGain: number;
+  fxEffect: number;
+  count: number;
+}
+
 export interface PortfolioSummary {
+  baseCurrency: string;
   totalInvested: number;
   totalCurrentValue: number;
+  totalDistributed: number;
   totalGain: number;
+  totalFxEffect: number;
   totalRoi: number;
   investmentCount: number;
+  metrics?: ReturnMetrics;
+  currencies?: CurrencyBreakdown[];
 }
 
 export interface AllocationByType {
   _id: string;
+  color?: string | null;
   totalInvested: number;
   totalCurrentValue: number;
+  totalDistributed: number;
+  totalFxEffect: number;
   count: number;
+  metrics?: ReturnMetrics;
+}
+
+export type HistoryInterval = 'day' | 'week' | 'month' | 'quarter';
+
+export interface SnapshotTotals {
+  invested: number;
+  currentValue: number;
+  distributed: number;
+  gain: number;
+  count: number;
+}
+
+// One stored portfolio snapshot, in the server's default base currency
+export interface PortfolioHistoryPoint extends SnapshotTotals {
+  date: string;
+  baseCurrency: string;
+  // Only sent to users who can read every investment
+  allocation?: (SnapshotTotals & { assetType: string })[];
+}
+
+export interface PortfolioHistoryQuery {
+  from?: string;
+  to?: string;
+  interval?: HistoryInterval;
+}
+
+export type SimulationType = 'monteCarlo' | 'scenario' | 'manual';
+
+export interface CorrelationPair {
+  between: [string, string];
+  value: number;
+}
+
+export interface MonteCarloRequest {
+  horizonYears: number;
+  paths: number;
+  seed?: number;
+  // Overrides of the asset types' own assumptions, keyed by type name
+  assumptions?: Record<string, Partial<SimulationAssumption>>;
+  correlations?: CorrelationPair[];
+  defaultCorrelation?: number;
+  baseCurrency?: string;
+}
+
+export interface Percentiles {
+  p5: number;
+  p25: number;
+  p50: number;
+  p75: number;
+  p95: number;
+}
+
+export interface SimulationResult {
+  investmentId: string;
+  assetName: string;
+  assetType?: string;
+  currency: string;
+  originalValue: number;
+  simulatedValue: number;
+  // 5th and 95th percentile outcomes, from Monte Carlo runs only
+  lowValue?: number;
+  highValue?: number;
+  changePercent: number;
+  newRoi: number;
+  newGain: number;
+}
+
+export interface PortfolioImpact {
+  baseCurrency: string;
+  totalOriginalValue: number;
+  totalSimulatedValue: number;
+  portfolioChangePercent: number;
+}
+
+export interface MonteCarloSummary {
+  seed: number;
+  paths: number;
+  horizonYears: number;
+  steps: number;
+  assumptions: (SimulationAssumption & { assetType: string; value: number })[];
+  correlations: { assetTypes: string[]; matrix: number[][] };
+  bands: (Percentiles & { years: number })[];
+  final: Percentiles & { mean: number };
+  probabilityOfLoss: number;
+  valueAtRisk: { confidence: number; var: number; cvar: number }[];
+}
+
+export interface SimulationData {
+  simulationResults: SimulationResult[];
+  portfolioImpact: PortfolioImpact;
+  simulationType: SimulationType;
+  monteCarlo?: MonteCarloSummary;
+}
+
+export type ShockTarget = 'assetType' | 'investment' | 'tag';
+
+// A fixed change to current values; key is an asset type name, an investment ID or a tag
+export interface Shock {
+  target: ShockTarget;
+  key: string;
+  changePercent: number;
+}
+
+export interface ScenarioData {
+  name: string;
+  description?: string;
+  shocks: Shock[];
+}
+
+export interface Scenario extends ScenarioData {
+  _id: string;
+  createdBy?: User;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ScenarioOutcome extends ScenarioData {
+  // null for a scenario that was run without being saved
+  scenarioId: string | null;
+  simulationResults: SimulationResult[];
+  portfolioImpact: PortfolioImpact;
+}
+
+export interface ScenarioComparison {
+  simulationType: 'scenario';
+  scenarios: ScenarioOutcome[];
+}
+
+export interface Benchmark {
+  _id: string;
+  name: string;
+  description?: string;
+  pointCount: number;
+  from: string | null;
+  to: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface BenchmarkRowError {
+  row: number;
+  message: string;
+}
+
+export interface PmeMetrics {
+  ksPme: number | null;
+  irr: number | null;
+  pmeIrr: number | null;
+  excessIrr: number | null;
+  directAlpha: number | null;
+  pmeValue: number;
+  benchmarkReturn: number;
+}
+
+export interface PmeHistoryPoint {
+  date: string;
+  portfolioValue: number;
+  pmeValue: number;
+  benchmarkValue: number;
+}
+
+export interface BenchmarkComparison {
+  benchmark: { _id: string; name: string; from: string; to: string };
+  baseCurrency: string;
+  asOf: string;
+  portfolio: PmeMetrics | null;
+  investments: {
+    investmentId: string;
+    assetName: string;
+    assetType: string;
+    pme: PmeMetrics | null;
+  }[];
+  history: PmeHistoryPoint[];
+}
+
+export interface RiskThresholds {
+  maxInvestmentPercent: number;
+  maxAssetTypePercent: number;
+  maxOwnerPercent: number;
+  maxHerfindahl: number;
+  maxVintagePercent: number;
+  minLiquidPercent: number;
+}
+
+export interface RiskGroup {
+  key: string;
+  label: string;
+  value: number;
+  count: number;
+  percent: number | null;
+}
+
+export interface Concentration {
+  herfindahl: number | null;
+  effectiveCount: number | null;
+  groups: RiskGroup[];
+}
+
+export interface VintageYear {
+  year: number;
+  count: number;
+  invested: number;
+  currentValue: number;
+  percent: number | null;
+}
+
+export type LiquidityBucketKey =
+  | 'now'
+  | 'withinYear'
+  | 'oneToThreeYears'
+  | 'threeToFiveYears'
+  | 'overFiveYears'
+  | 'unknown';
+
+export interface LiquidityBucket {
+  key: LiquidityBucketKey;
+  label: string;
+  count: number;
+  value: number;
+  percent: number | null;
+}
+
+export interface RiskFlag {
+  measure:
+    | 'investmentShare'
+    | 'assetTypeShare'
+    | 'ownerShare'
+    | 'herfindahl'
+    | 'vintageShare'
+    | 'liquidity';
+  subject: string | null;
+  value: number;
+  threshold: number;
+  message: string;
+}
+
+export interface RiskReport {
+  baseCurrency: string;
+  asOf: string;
+  totalValue: number;
+  concentration: {
+    // The largest positions only; count is how many there are in all
+    investments: Concentration & { count: number };
+    assetTypes: Concentration;
+    // Left out of a user's report on their own share
+    owners: Concentration | null;
+  };
+  vintages: {
+    herfindahl: number | null;
+    spanYears: number;
+    years: VintageYear[];
+  };
+  liquidity: {
+    buckets: LiquidityBucket[];
+    liquidWithinYearPercent: number | null;
+    averageYearsToLiquidity: number | null;
+  };
+  thresholds: RiskThresholds;
+  flags: RiskFlag[];
+}
+
+export interface FxRate {
+  _id: string;
+  currency: string;
+  date: string;
+  rate: number;
+  source?: string;
 }
 
 export interface InvestmentFilters {
   assetType?: string;
+  tag?: string;
   minRoi?: number;
   maxRoi?: number;
   minAmount?: number;
   maxAmount?: number;
   dateFrom?: string;
   dateTo?: string;
+  owner?: string;
+  search?: string;
+}
+
+export type InvestmentSortField =
+  | 'investmentDate'
+  | 'assetName'
+  | 'assetType'
+  | 'investedAmount'
+  | 'currentValue'
+  | 'roi'
+  | 'createdAt';
+
+export interface InvestmentQuery extends InvestmentFilters {
+  sortBy?: InvestmentSortField;
+  sortOrder?: 'asc' | 'desc';
+  page?: number;
+  limit?: number;
+}
+
+export type ExportFormat = 'csv' | 'xlsx' | 'json' | 'pdf';
+
+export interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  totalPages: number;
+}
+
+export interface InvestmentPage {
+  data: Investment[];
+  pagination: Pagination;
+}
+
+export type ImportMapping = Record<string, string>;
+
+export interface ImportPreview {
+  headers: string[];
+  rowCount: number;
+  sample: Record<string, string | number>[];
+  fields: string[];
+  suggestedMapping: ImportMapping;
+}
+
+export interface ImportRowResult {
+  row: number;
+  errors: string[];
+  data: Partial<Omit<CreateInvestmentData, 'owners'>> & { owners: string[] };
+}
+
+export interface ImportSummary {
+  total: number;
+  valid: number;
+  invalid: number;
+  rows: ImportRowResult[];
 }
@@ -0,0 +1,166 @@
+import { RiskThresholds } from './investment';
+
+export type UserRole = 'admin' | 'manager' | 'analyst' | 'viewer';
+
+export const ROLES: UserRole[] = ['admin', 'manager', 'analyst', 'viewer'];
+
+export const ROLE_LABELS: Record<UserRole, string> = {
+  admin: 'Admin',
+  manager: 'Manager',
+  analyst: 'Analyst',
+  viewer: 'Viewer',
+};
+
+// Mirrors the server's permission matrix; the server sends each user's list on login
+export type Permission =
+  | 'investments:read:all'
+  | 'investments:edit:all'
+  | 'investments:edit:shared'
+  | 'investments:create'
+  | 'investments:delete'
+  | 'investments:purge'
+  | 'investments:share'
+  | 'investments:unlimited'
+  | 'simulations:run'
+  | 'assetTypes:manage'
+  | 'fxRates:manage'
+  | 'benchmarks:manage'
+  | 'users:manage'
+  | 'settings:manage'
+  | 'audit:read';
+
+export const ADMIN_PERMISSIONS: Permission[] = [
+  'assetTypes:manage',
+  'fxRates:manage',
+  'benchmarks:manage',
+  'users:manage',
+  'settings:manage',
+  'audit:read',
+];
+
+export interface RoleMatrix {
+  roles: { name: UserRole; permissions: Permission[] }[];
+  permissions: { key: Permission; description: string }[];
+}
+
+export interface UserAccount {
+  _id: string;
+  name: string;
+  email: string;
+  role: UserRole;
+  permissions?: Permission[];
+  isActive: boolean;
+  emailVerified: boolean;
+  twoFactor?: { enabled: boolean; enabledAt?: string | null };
+  lastLogin?: string | null;
+  loginFailures?: number;
+  lockedUntil?: string | null;
+  createdAt: string;
+}
+
+export interface UserData {
+  name: string;
+  email: string;
+  password?: string;
+  role: UserRole;
+  isActive?: boolean;
+}
+
+export type RegistrationMode = 'open' | 'invite';
+
+export interface Invite {
+  _id: string;
+  email: string;
+  role: UserRole;
+  createdBy?: { _id: string; name: string; email: string } | null;
+  expiresAt: string;
+  createdAt: string;
+}
+
+export interface RegisterData {
+  name: string;
+  email: string;
+  password: string;
+  inviteToken?: string;
+}
+
+export interface UserSession {
+  _id: string;
+  userAgent: string;
+  ip: string;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
+export type LoginFailureReason =
+  | 'unknown-user'
+  | 'invalid-password'
+  | 'inactive'
+  | 'unverified'
+  | 'locked'
+  | 'rate-limited'
+  | 'invalid-code';
+
+export const LOGIN_FAILURE_LABELS: Record<LoginFailureReason, string> = {
+  'unknown-user': 'Unknown account',
+  'invalid-password': 'Wrong password',
+  inactive: 'Account deactivated',
+  unverified: 'Email not verified',
+  locked: 'Account locked',
+  'rate-limited': 'Too many attempts',
+  'invalid-code': 'Wrong two-factor code',
+};
+
+export interface LoginEvent {
+  _id: string;
+  email: string;
+  ip: string;
+  userAgent: string;
+  success: boolean;
+  reason: LoginFailureReason | null;
+  createdAt: string;
+}
+
+export type ApiScope =
+  | 'read:investments'
+  | 'write:investments'
+  | 'read:dashboard';
+
+export interface ApiToken {
+  _id: string;
+  name: string;
+  hint: string;
+  scopes: ApiScope[];
+  expiresAt: string;
+  lastUsedAt: string | null;
+  lastUsedIp: string;
+  createdAt: string;
+}
+
+export interface ApiTokenData {
+  name: string;
+  scopes: ApiScope[];
+  expiresAt: string;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  required: boolean;
+  recoveryCodesRemaining: number;
+}
+
+export interface TwoFactorSetupData {
+  secret: string;
+  otpauthUrl: string;
+  qrCode: string;
+}
+
+export interface SystemSettings {
+  requireTwoFactorForAdmins: boolean;
+  // 0 keeps trashed investments until they are purged by hand
+  trashRetentionDays: number;
+  riskThresholds: RiskThresholds;
+}
@@ -0,0 +1,33 @@
+/**
+ * Scopes for personal API tokens. A token acts as its user, so role permissions and investment
+ * sharing still apply; scopes only narrow what a token may be used for.
+ */
+const API_SCOPES = {
+  'read:investments': 'Read investments, valuations, cash flows and reference data',
+  'write:investments': 'Create, update, import and delete investments',
+  'read:dashboard': 'Read dashboard analytics and run simulations'
+};
+
+// Scope needed per router mount point, for reads (GET/HEAD) and for other methods. Simulations
+// only compute, so they count as dashboard reads. Anything unlisted, including account and user
+// management, only accepts a signed-in session
+const SCOPE_RULES = {
+  '/api/investments': { read: 'read:investments', write: 'write:investments' },
+  '/api/dashboard': { read: 'read:dashboard', write: 'read:dashboard' },
+  '/api/scenarios': { read: 'read:dashboard', write: null },
+  '/api/asset-types': { read: 'read:investments', write: null },
+  '/api/fx-rates': { read: 'read:investments', write: null },
+  '/api/benchmarks': { read: 'read:investments', write: null }
+};
+
+// The scope an API token needs for this request, or null when tokens are not accepted
+const requiredScope = req => {
+  const rule = SCOPE_RULES[req.baseUrl];
+  if (!rule) return null;
+  return ['GET', 'HEAD'].includes(req.method) ? rule.read : rule.write;
+};
+
+module.exports = {
+  API_SCOPES,
+  requiredScope
+};
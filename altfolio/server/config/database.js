@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const AssetType = require('../models/AssetType');
 
 const connectDB = async () => {
   try {
@@ -7,6 +8,7 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+    await AssetType.createDefaultTypes();
   } catch (error) {
     console.error('Error connecting to MongoDB:', error.message);
     process.exit(1);
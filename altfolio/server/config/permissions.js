@@ -0,0 +1,61 @@
+/**
+ * The permission matrix. Routes and the client check permissions, never role names, so a new
+ * role only needs a row in ROLE_PERMISSIONS.
+ *
+ * Access to a single investment also depends on its owners and grants: owners and users with a
+ * read grant can view it, and an edit grant lets roles with investments:edit:shared change it.
+ */
+const PERMISSIONS = {
+  'investments:read:all': 'View every investment, not only owned and shared ones',
+  'investments:edit:all': 'Edit any investment',
+  'investments:edit:shared': 'Edit investments shared with them for editing',
+  'investments:create': 'Create and import investments',
+  'investments:delete': 'Delete investments they can edit and restore them from the trash',
+  'investments:purge': 'Permanently purge investments from the trash',
+  'investments:share': 'Change the owners and sharing of investments they can edit',
+  'investments:unlimited': 'Record investments above the $1,000,000 limit',
+  'simulations:run': 'Run portfolio simulations',
+  'assetTypes:manage': 'Manage asset types',
+  'fxRates:manage': 'Record and delete FX rates',
+  'benchmarks:manage': 'Upload and delete benchmark index series',
+  'users:manage': 'Manage users and invitations',
+  'settings:manage': 'Change security settings',
+  'audit:read': 'View the audit log of all changes'
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS),
+  manager: [
+    'investments:read:all',
+    'investments:edit:all',
+    'investments:edit:shared',
+    'investments:create',
+    'investments:delete',
+    'investments:share',
+    'simulations:run'
+  ],
+  analyst: [
+    'investments:read:all',
+    'simulations:run'
+  ],
+  viewer: [
+    'investments:edit:shared'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const GRANT_ACCESS = ['read', 'edit'];
+
+const permissionsFor = role => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (user, permission) => Boolean(user) && permissionsFor(user.role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  GRANT_ACCESS,
+  permissionsFor,
+  hasPermission
+};
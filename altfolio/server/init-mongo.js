@@ -2,6 +2,10 @@ db = db.getSiblingDB('altfolio');
 
 db.createCollection('users');
 db.createCollection('investments');
+db.createCollection('valuations');
+db.createCollection('cashflows');
+db.createCollection('fxrates');
+db.createCollection('assettypes');
 
 db.users.createIndex({ "email": 1 }, { unique: true });
 db.users.createIndex({ "role": 1 });
@@ -11,6 +15,20 @@ db.investments.createIndex({ "investmentDate": -1 });
 db.investments.createIndex({ "owners": 1 });
 db.investments.createIndex({ "isActive": 1 });
 
+db.valuations.createIndex({ "investment": 1, "effectiveDate": -1 });
+db.cashflows.createIndex({ "investment": 1, "date": 1 });
+db.fxrates.createIndex({ "currency": 1, "date": -1 }, { unique: true });
+db.assettypes.createIndex({ "name": 1 }, { unique: true });
+
+const now = new Date();
+db.assettypes.insertMany([
+  { name: 'Startup', subtypes: [], color: '#0d6efd', sortOrder: 1, isActive: true, createdAt: now, updatedAt: now },
+  { name: 'Crypto Fund', subtypes: [], color: '#fd7e14', sortOrder: 2, isActive: true, createdAt: now, updatedAt: now },
+  { name: 'Farmland', subtypes: [], color: '#198754', sortOrder: 3, isActive: true, createdAt: now, updatedAt: now },
+  { name: 'Collectible', subtypes: [], color: '#6f42c1', sortOrder: 4, isActive: true, createdAt: now, updatedAt: now },
+  { name: 'Other', subtypes: [], color: '#6c757d', sortOrder: 99, isActive: true, createdAt: now, updatedAt: now }
+]);
+
 print('Altfolio database initialized successfully!');
-print('Collections created: users, investments');
+print('Collections created: users, investments, valuations, cashflows, fxrates, assettypes');
 print('Indexes created for optimal performance'); 
\ No newline at end of file
@@ -1,5 +1,36 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const { hasPermission } = require('../config/permissions');
+const { requiredScope } = require('../config/apiScopes');
+
+// Personal API tokens act as their user, limited to the endpoints their scopes cover
+const authenticateApiToken = async (token, req, res, next) => {
+  const apiToken = await ApiToken.authenticate(token, req);
+  if (!apiToken) {
+    return res.status(401).json({ error: 'Invalid, expired or revoked API token.' });
+  }
+
+  const scope = requiredScope(req);
+  if (!scope) {
+    return res.status(403).json({ error: 'API tokens cannot be used for this endpoint.' });
+  }
+  if (!apiToken.scopes.includes(scope)) {
+    return res.status(403).json({ error: `This API token does not have the ${scope} scope.` });
+  }
+
+  const user = await User.findById(apiToken.user).select('-password');
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      error: 'Invalid token or user inactive.'
+    });
+  }
+
+  req.user = user;
+  req.apiToken = apiToken;
+  next();
+};
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -11,8 +42,18 @@ const authenticateToken = async (req, res, next) => {
         error: 'Access denied. No token provided.' 
       });
     }
+    if (ApiToken.isApiToken(token)) {
+      return await authenticateApiToken(token, req, res, next);
+    }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Access tokens die with their session, so logout and revocation take effect immediately
+    if (!decoded.sessionId || !(await Session.isActive(decoded.sessionId))) {
+      return res.status(401).json({
+        error: 'Session has ended. Please log in again.'
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user || !user.isActive) {
@@ -22,6 +63,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -35,37 +77,41 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ 
-      error: 'Access denied. Admin role required.' 
+const requirePermission = permission => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      error: 'Access denied. Your role does not allow this action.'
     });
   }
   next();
 };
 
-const canAccessInvestment = async (req, res, next) => {
+// Loads req.investment when the user has at least the given access ('read' or 'edit') to it.
+// Trashed investments are only found with { trashed: true }, and then only trashed ones are
+const canAccessInvestment = (access = 'read', { trashed = false } = {}) => async (req, res, next) => {
   try {
     const investmentId = req.params.id;
     const Investment = require('../models/Investment');
     
     const investment = await Investment.findById(investmentId);
-    if (!investment) {
+    if (!investment || investment.isActive === trashed) {
       return res.status(404).json({ error: 'Investment not found.' });
     }
 
-    if (req.user.role === 'admin') {
-      req.investment = investment;
-      return next();
-    }
-
-    if (!investment.owners.includes(req.user._id)) {
+    const level = investment.accessFor(req.user);
+    if (!level) {
       return res.status(403).json({ 
-        error: 'Access denied. You do not own this investment.' 
+        error: 'Access denied. This investment has not been shared with you.' 
+      });
+    }
+    if (access === 'edit' && level !== 'edit') {
+      return res.status(403).json({
+        error: 'Access denied. You have read-only access to this investment.'
       });
     }
 
     req.investment = investment;
+    req.investmentAccess = level;
     next();
   } catch (error) {
     console.error('Investment access check error:', error);
@@ -75,11 +121,10 @@ const canAccessInvestment = async (req, res, next) => {
 
 const validateInvestmentAmount = (req, res, next) => {
   const { investedAmount } = req.body;
-  const userRole = req.user.role;
 
-  if (userRole !== 'admin' && investedAmount > 1000000) {
+  if (!hasPermission(req.user, 'investments:unlimited') && investedAmount > 1000000) {
     return res.status(400).json({
-      error: 'Investment amount cannot exceed $1,000,000 for non-admin users.'
+      error: 'Investment amount cannot exceed $1,000,000 for your role.'
     });
   }
 
@@ -88,7 +133,7 @@ const validateInvestmentAmount = (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  requireAdmin,
+  requirePermission,
   canAccessInvestment,
   validateInvestmentAmount
 }; 
\ No newline at end of file
@@ -0,0 +1,45 @@
+const LoginEvent = require('../models/LoginEvent');
+
+// Read on every request so tests and deployments can tune them through the environment
+const loginLimits = () => ({
+  windowMs: (Number(process.env.LOGIN_WINDOW_MINUTES) || 15) * 60 * 1000,
+  perIp: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+  perAccount: Number(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT) || 10
+});
+
+/**
+ * Turns away login attempts from an IP address, or for an account, with too many failures in the
+ * window. The account is the posted email, or the user behind a two-factor challenge.
+ */
+const limitLoginAttempts = async (req, res, next) => {
+  try {
+    const { windowMs, perIp, perAccount } = loginLimits();
+    const since = new Date(Date.now() - windowMs);
+    const user = req.user || null;
+    const email = user
+      ? user.email
+      : (typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '');
+
+    const [ipFailures, accountFailures] = await Promise.all([
+      LoginEvent.countFailures({ ip: req.ip }, since),
+      email ? LoginEvent.countFailures({ email }, since) : 0
+    ]);
+
+    if (ipFailures >= perIp || accountFailures >= perAccount) {
+      await LoginEvent.record(req, { user, email, success: false, reason: 'rate-limited' });
+      res.set('Retry-After', String(Math.ceil(windowMs / 1000)));
+      return res.status(429).json({
+        error: 'Too many failed login attempts. Please try again later.',
+        code: 'TOO_MANY_ATTEMPTS'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Login rate limit error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+};
+
+module.exports = {
+  limitLoginAttempts
+};
@@ -0,0 +1,27 @@
+const multer = require('multer');
+
+const MAX_UPLOAD_MB = 5;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 }
+});
+
+// Accepts one CSV or XLSX file in the "file" field, kept in memory for readSpreadsheet
+const uploadSpreadsheet = (req, res, next) => {
+  upload.single('file')(req, res, error => {
+    if (error) {
+      return res.status(400).json({
+        error: error.code === 'LIMIT_FILE_SIZE' ? `Uploaded files cannot exceed ${MAX_UPLOAD_MB}MB.` : error.message
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'A CSV or XLSX file is required.' });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  uploadSpreadsheet
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { API_SCOPES } = require('../config/apiScopes');
+
+// Tokens carry a recognisable prefix so authenticateToken can tell them from JWTs
+const TOKEN_PREFIX = 'afp_';
+const MAX_LIFETIME_DAYS = 365;
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * A personal access token for scripts and notebooks. Only its hash is stored; the raw
+ * value is shown once, when the token is created.
+ */
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // The first characters of the token, so users can tell their tokens apart
+  hint: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: Object.keys(API_SCOPES) }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// A freshly created record still holds the hash, which must never reach a response
+apiTokenSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+apiTokenSchema.statics.isApiToken = token => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+// Creates a token and returns the raw value along with the record
+apiTokenSchema.statics.issue = async function({ user, name, scopes, expiresAt }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const record = await this.create({
+    user,
+    name,
+    tokenHash: hashToken(token),
+    hint: token.slice(0, TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+  return { token, record };
+};
+
+// Finds a live token and records the use in the same step; null when unknown, expired or revoked
+apiTokenSchema.statics.authenticate = function(token, req) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null, expiresAt: { $gt: now } },
+    { lastUsedAt: now, lastUsedIp: req.ip || '' },
+    { new: true }
+  );
+};
+
+apiTokenSchema.statics.revoke = function(filter) {
+  return this.updateMany({ ...filter, revokedAt: null }, { revokedAt: new Date() });
+};
+
+apiTokenSchema.statics.MAX_LIFETIME_DAYS = MAX_LIFETIME_DAYS;
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'date', 'boolean', 'select'];
+
+const DEFAULT_ASSET_TYPES = [
+  {
+    name: 'Startup',
+    color: '#0d6efd',
+    sortOrder: 1,
+    simulation: { drift: 15, volatility: 60 },
+    attributes: [
+      { key: 'round', label: 'Round', type: 'select', options: ['Pre-seed', 'Seed', 'Series A', 'Series B', 'Series C+'] },
+      { key: 'instrument', label: 'Instrument', type: 'select', options: ['SAFE', 'Convertible Note', 'Equity'] },
+      { key: 'valuationCap', label: 'Valuation Cap', type: 'number', min: 0 },
+      { key: 'shareCount', label: 'Share Count', type: 'number', min: 0 }
+    ]
+  },
+  {
+    name: 'Crypto Fund',
+    color: '#fd7e14',
+    sortOrder: 2,
+    simulation: { drift: 10, volatility: 80 },
+    attributes: [
+      { key: 'fundManager', label: 'Fund Manager', type: 'text' }
+    ]
+  },
+  {
+    name: 'Farmland',
+    color: '#198754',
+    sortOrder: 3,
+    simulation: { drift: 6, volatility: 10 },
+    attributes: [
+      { key: 'acreage', label: 'Acreage', type: 'number', unit: 'acres', min: 0 },
+      { key: 'crop', label: 'Crop', type: 'text' },
+      { key: 'location', label: 'Location', type: 'text' }
+    ]
+  },
+  {
+    name: 'Collectible',
+    color: '#6f42c1',
+    sortOrder: 4,
+    simulation: { drift: 4, volatility: 20 },
+    attributes: [
+      { key: 'grade', label: 'Grade', type: 'text' },
+      { key: 'provenance', label: 'Provenance', type: 'text' },
+      { key: 'storageLocation', label: 'Storage Location', type: 'text' }
+    ]
+  },
+  { name: 'Other', color: '#6c757d', sortOrder: 99 }
+];
+
+const attributeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Attribute key is required'],
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/, 'Attribute key must start with a letter and contain only letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Attribute label is required'],
+    trim: true,
+    maxlength: [50, 'Attribute label cannot be more than 50 characters']
+  },
+  type: {
+    type: String,
+    enum: ATTRIBUTE_TYPES,
+    default: 'text'
+  },
+  options: [{
+    type: String,
+    trim: true
+  }],
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Attribute unit cannot be more than 20 characters']
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  min: Number,
+  max: Number
+}, { _id: false });
+
+const assetTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Asset type name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Asset type name cannot be more than 50 characters']
+  },
+  subtypes: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Subtype cannot be more than 50 characters']
+  }],
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1a2b3c'],
+    default: '#6c757d'
+  },
+  attributes: {
+    type: [attributeSchema],
+    validate: {
+      validator: function(attributes) {
+        const keys = attributes.map(attribute => attribute.key);
+        return new Set(keys).size === keys.length;
+      },
+      message: 'Attribute keys must be unique'
+    }
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Annual expected return and volatility in percent, the defaults for Monte Carlo simulations
+  simulation: {
+    drift: {
+      type: Number,
+      min: [-100, 'Drift cannot be below -100%'],
+      max: [100, 'Drift cannot exceed 100%'],
+      default: 5
+    },
+    volatility: {
+      type: Number,
+      min: [0, 'Volatility cannot be negative'],
+      max: [300, 'Volatility cannot exceed 300%'],
+      default: 15
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+assetTypeSchema.index({ isActive: 1, sortOrder: 1 });
+
+assetTypeSchema.statics.getActiveNames = async function() {
+  const types = await this.find({ isActive: true }).select('name');
+  return types.map(type => type.name);
+};
+
+assetTypeSchema.statics.isValidType = async function(name, subtype) {
+  const type = await this.findOne({ name, isActive: true });
+  if (!type) return false;
+  if (subtype) return type.subtypes.includes(subtype);
+  return true;
+};
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Checks submitted attribute values against this type's definitions and
+// returns them coerced to their declared types, dropping blank entries
+assetTypeSchema.methods.validateAttributes = function(values = {}) {
+  const errors = [];
+  const normalized = {};
+  const definitions = new Map(this.attributes.map(attribute => [attribute.key, attribute]));
+
+  for (const key of Object.keys(values)) {
+    if (!definitions.has(key)) {
+      errors.push(`Unknown attribute ${key} for ${this.name}`);
+    }
+  }
+
+  for (const definition of this.attributes) {
+    const { key, label } = definition;
+    const value = values[key];
+
+    if (isBlank(value)) {
+      if (definition.required) errors.push(`${label} is required`);
+      continue;
+    }
+
+    switch (definition.type) {
+      case 'number': {
+        const number = Number(value);
+        if (typeof value === 'boolean' || !Number.isFinite(number)) {
+          errors.push(`${label} must be a number`);
+        } else if (definition.min !== undefined && number < definition.min) {
+          errors.push(`${label} cannot be less than ${definition.min}`);
+        } else if (definition.max !== undefined && number > definition.max) {
+          errors.push(`${label} cannot be more than ${definition.max}`);
+        } else {
+          normalized[key] = number;
+        }
+        break;
+      }
+      case 'date': {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          errors.push(`${label} must be a valid date`);
+        } else {
+          normalized[key] = date;
+        }
+        break;
+      }
+      case 'boolean':
+        if (value === true || value === 'true') {
+          normalized[key] = true;
+        } else if (value === false || value === 'false') {
+          normalized[key] = false;
+        } else {
+          errors.push(`${label} must be true or false`);
+        }
+        break;
+      case 'select':
+        if (!definition.options.includes(value)) {
+          errors.push(`${label} must be one of: ${definition.options.join(', ')}`);
+        } else {
+          normalized[key] = value;
+        }
+        break;
+      default:
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          errors.push(`${label} must be text`);
+        } else if (String(value).trim().length > 200) {
+          errors.push(`${label} cannot be more than 200 characters`);
+        } else {
+          normalized[key] = String(value).trim();
+        }
+    }
+  }
+
+  return { values: normalized, errors };
+};
+
+assetTypeSchema.methods.describeAttributes = function(values = {}) {
+  return this.attributes
+    .filter(definition => !isBlank(values[definition.key]))
+    .map(definition => {
+      let value = values[definition.key];
+      if (definition.type === 'date') value = new Date(value).toISOString().split('T')[0];
+      if (definition.type === 'boolean') value = value ? 'Yes' : 'No';
+      return `${definition.label}: ${value}${definition.unit ? ` ${definition.unit}` : ''}`;
+    })
+    .join('; ');
+};
+
+assetTypeSchema.statics.createDefaultTypes = async function() {
+  for (const typeData of DEFAULT_ASSET_TYPES) {
+    const existingType = await this.findOne({ name: typeData.name });
+    if (!existingType) {
+      await this.create(typeData);
+      console.log(`Created default asset type: ${typeData.name}`);
+    } else {
+      if (existingType.attributes.length === 0 && typeData.attributes) {
+        existingType.attributes = typeData.attributes;
+        console.log(`Added default attributes to asset type: ${typeData.name}`);
+      }
+      // Types created before simulation assumptions existed get the defaults for their kind
+      if (typeData.simulation && existingType.$isDefault('simulation.drift')) {
+        existingType.simulation = typeData.simulation;
+      }
+      if (existingType.isModified()) {
+        await existingType.save();
+      }
+    }
+  }
+};
+
+// Drift and volatility in percent by type name; unknown types get the schema defaults
+assetTypeSchema.statics.getSimulationAssumptions = async function(names) {
+  const types = await this.find({ name: { $in: names } });
+  const defaults = {
+    drift: this.schema.path('simulation.drift').defaultValue,
+    volatility: this.schema.path('simulation.volatility').defaultValue
+  };
+  return new Map(names.map(name => {
+    const type = types.find(candidate => candidate.name === name);
+    return [name, type ? { drift: type.simulation.drift, volatility: type.simulation.volatility } : defaults];
+  }));
+};
+
+assetTypeSchema.statics.ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
+
+module.exports = mongoose.model('AssetType', assetTypeSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const ENTITY_TYPES = ['investment', 'user'];
+// delete moves an investment to the trash or deactivates a user; purge removes an investment for good
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+/**
+ * One change to an investment or user: who made it, from where, and a field-level diff.
+ * Entries are append-only; the model refuses to update or delete them.
+ */
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ENTITY_TYPES,
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Name or email at the time, so entries stay readable after the entity changes
+  entityName: {
+    type: String,
+    default: ''
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: {
+    type: String,
+    default: ''
+  },
+  apiToken: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiToken',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  summary: {
+    type: String,
+    default: ''
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ entityType: 1, entity: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const refuseChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or removed.'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  refuseChange
+);
+
+// The actor defaults to the authenticated user; pass one explicitly for sign-ups and password resets.
+// req is null for changes made by background jobs
+auditLogSchema.statics.record = function(req, { actor = (req && req.user) || null, ...entry }) {
+  return this.create({
+    ...entry,
+    actor: actor ? actor._id : null,
+    actorEmail: actor ? actor.email : '',
+    apiToken: req && req.apiToken ? req.apiToken._id : null,
+    ip: (req && req.ip) || '',
+    userAgent: req ? String(req.get('user-agent') || '').slice(0, 300) : ''
+  });
+};
+
+// Filters: entityType, entity, action, actor, field (a changed field) and dateFrom/dateTo
+auditLogSchema.statics.search = async function(filters, { page = 1, limit = 50 } = {}) {
+  const match = {};
+  ['entityType', 'entity', 'action', 'actor'].forEach(key => {
+    if (filters[key]) match[key] = filters[key];
+  });
+  if (filters.field) match['changes.field'] = filters.field;
+  if (filters.dateFrom || filters.dateTo) {
+    match.createdAt = {};
+    if (filters.dateFrom) match.createdAt.$gte = new Date(filters.dateFrom);
+    if (filters.dateTo) match.createdAt.$lte = new Date(filters.dateTo);
+  }
+
+  const [entries, total] = await Promise.all([
+    this.find(match)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(match)
+  ]);
+  return { entries, total };
+};
+
+auditLogSchema.statics.ENTITY_TYPES = ENTITY_TYPES;
+auditLogSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const MAX_POINTS = 20000;
+// How long after its last value a series still counts as current: a quarterly index plus a few days' lag
+const STALE_AFTER_DAYS = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Header names accepted for each column of an uploaded series, compared without case or punctuation
+const DATE_HEADERS = ['date', 'asof', 'day'];
+const VALUE_HEADERS = ['value', 'close', 'adjclose', 'price', 'index', 'level'];
+
+/**
+ * A public market index (S&P 500, a farmland index, ...) as dated levels, used to compare the
+ * portfolio's cash flows against investing the same amounts in the index. Points are kept sorted
+ * by date with one level per day.
+ */
+const benchmarkSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Benchmark name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Benchmark name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  points: {
+    type: [{
+      _id: false,
+      date: {
+        type: Date,
+        required: true
+      },
+      value: {
+        type: Number,
+        required: true,
+        min: [0.000001, 'Index values must be positive']
+      }
+    }],
+    validate: {
+      validator: points => points.length >= 1 && points.length <= MAX_POINTS,
+      message: `A benchmark needs between 1 and ${MAX_POINTS} values`
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const normalizeHeader = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const dayOf = date => date.toISOString().slice(0, 10);
+
+const toDate = value => {
+  if (value instanceof Date) return value;
+  const text = String(value).trim();
+  if (!text) return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00.000Z` : text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const toValue = value => {
+  if (typeof value === 'number') return value;
+  const cleaned = String(value).replace(/[^0-9.-]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+};
+
+/**
+ * Reads { date, value } points from a spreadsheet read by readSpreadsheet. Returns the points
+ * sorted by date, or the row errors; a later row for the same day replaces an earlier one.
+ */
+benchmarkSchema.statics.pointsFromSheet = function(sheet) {
+  const byName = new Map(sheet.headers.map(header => [normalizeHeader(header), header]));
+  const dateHeader = DATE_HEADERS.map(name => byName.get(name)).find(Boolean);
+  const valueHeader = VALUE_HEADERS.map(name => byName.get(name)).find(Boolean);
+
+  if (!dateHeader || !valueHeader) {
+    return { points: [], errors: [{ row: 1, message: 'The file needs a date column and a value (or close) column' }] };
+  }
+
+  const byDay = new Map();
+  const errors = [];
+  sheet.rows.forEach(({ rowNumber, values }) => {
+    const date = toDate(values[dateHeader]);
+    const value = toValue(values[valueHeader]);
+    if (!date) {
+      errors.push({ row: rowNumber, message: `${values[dateHeader] || 'A blank date'} is not a valid date` });
+    } else if (!Number.isFinite(value) || value <= 0) {
+      errors.push({ row: rowNumber, message: `${values[valueHeader] || 'A blank value'} is not a positive number` });
+    } else {
+      byDay.set(dayOf(date), { date: new Date(`${dayOf(date)}T00:00:00.000Z`), value });
+    }
+  });
+
+  return {
+    points: [...byDay.values()].sort((a, b) => a.date - b.date),
+    errors
+  };
+};
+
+// Adds points, replacing the value of any day already in the series
+benchmarkSchema.methods.mergePoints = function(points) {
+  const byDay = new Map(this.points.map(point => [dayOf(point.date), { date: point.date, value: point.value }]));
+  points.forEach(point => byDay.set(dayOf(point.date), point));
+  this.points = [...byDay.values()].sort((a, b) => a.date - b.date);
+  return this;
+};
+
+/**
+ * The level on a date: the last value on or before it. Null before the series starts, and past
+ * its end once the last value is more than STALE_AFTER_DAYS old, so a series that stopped being
+ * updated is reported as missing data rather than compared against an old level.
+ */
+benchmarkSchema.methods.valueOn = function(date) {
+  const time = new Date(date).getTime();
+  let low = 0;
+  let high = this.points.length - 1;
+  let found = null;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (this.points[mid].date.getTime() <= time) {
+      found = this.points[mid].value;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  const last = this.points[this.points.length - 1];
+  if (last && time - last.date.getTime() > STALE_AFTER_DAYS * DAY_MS) return null;
+  return found;
+};
+
+benchmarkSchema.statics.MAX_POINTS = MAX_POINTS;
+benchmarkSchema.statics.STALE_AFTER_DAYS = STALE_AFTER_DAYS;
+
+module.exports = mongoose.model('Benchmark', benchmarkSchema);
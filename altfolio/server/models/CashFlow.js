@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const CONTRIBUTION_CATEGORIES = ['initial', 'follow_on', 'capital_call', 'fee'];
+const DISTRIBUTION_CATEGORIES = ['return_of_capital', 'dividend', 'interest', 'rent', 'sale'];
+
+const cashFlowSchema = new mongoose.Schema({
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    required: [true, 'Investment is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Cash flow type is required'],
+    enum: ['contribution', 'distribution']
+  },
+  category: {
+    type: String,
+    enum: [...CONTRIBUTION_CATEGORIES, ...DISTRIBUTION_CATEGORIES, 'other'],
+    default: 'other'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be positive'],
+    max: [1000000000, 'Amount cannot exceed 1 billion']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+    default: Date.now
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+cashFlowSchema.index({ investment: 1, date: 1 });
+
+cashFlowSchema.virtual('signedAmount').get(function() {
+  return this.type === 'contribution' ? -this.amount : this.amount;
+});
+
+cashFlowSchema.set('toJSON', { virtuals: true });
+cashFlowSchema.set('toObject', { virtuals: true });
+
+cashFlowSchema.statics.CONTRIBUTION_CATEGORIES = CONTRIBUTION_CATEGORIES;
+cashFlowSchema.statics.DISTRIBUTION_CATEGORIES = DISTRIBUTION_CATEGORIES;
+
+cashFlowSchema.statics.getTotals = async function(investmentId) {
+  const result = await this.aggregate([
+    { $match: { investment: new mongoose.Types.ObjectId(investmentId) } },
+    {
+      $group: {
+        _id: '$type',
+        total: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const totals = { contributed: 0, distributed: 0, count: 0 };
+  result.forEach(group => {
+    if (group._id === 'contribution') totals.contributed = group.total;
+    if (group._id === 'distribution') totals.distributed = group.total;
+    totals.count += group.count;
+  });
+  return totals;
+};
+
+// investedAmount and distributedAmount on the investment are denormalized copies of the ledger totals
+cashFlowSchema.statics.syncInvestmentTotals = async function(investmentId) {
+  const totals = await this.getTotals(investmentId);
+  return await mongoose.model('Investment').findByIdAndUpdate(
+    investmentId,
+    {
+      investedAmount: totals.contributed,
+      distributedAmount: totals.distributed
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('CashFlow', cashFlowSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// rate is the value of one unit of currency in the pivot currency (USD); cross rates are derived
+// from two quotes
+const PIVOT_CURRENCY = 'USD';
+
+const fxRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Rate date is required']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be positive']
+  },
+  source: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Source cannot be more than 100 characters']
+  }
+}, {
+  timestamps: true
+});
+
+fxRateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+fxRateSchema.statics.PIVOT_CURRENCY = PIVOT_CURRENCY;
+fxRateSchema.statics.DEFAULT_BASE_CURRENCY = (process.env.BASE_CURRENCY || PIVOT_CURRENCY).toUpperCase();
+
+/**
+ * Loads every stored quote for the given currencies and returns a converter into baseCurrency.
+ * convert(amount, currency, date) uses the latest quote on or before date, falling back to the
+ * earliest quote when the date predates the table. Throws a MISSING_FX_RATE error when a
+ * currency has no quotes at all.
+ */
+fxRateSchema.statics.loadConverter = async function(currencies, baseCurrency = PIVOT_CURRENCY) {
+  const base = baseCurrency.toUpperCase();
+  const needed = [...new Set([...currencies, base].map(code => code.toUpperCase()))]
+    .filter(code => code !== PIVOT_CURRENCY);
+
+  const rates = await this.find({ currency: { $in: needed } }).sort({ date: 1 });
+  const quotes = new Map();
+  rates.forEach(rate => {
+    if (!quotes.has(rate.currency)) quotes.set(rate.currency, []);
+    quotes.get(rate.currency).push({ date: rate.date.getTime(), rate: rate.rate });
+  });
+
+  const pivotRate = (currency, date) => {
+    if (currency === PIVOT_CURRENCY) return 1;
+    const series = quotes.get(currency);
+    if (!series || series.length === 0) {
+      const error = new Error(`No FX rate available for ${currency}`);
+      error.code = 'MISSING_FX_RATE';
+      error.currency = currency;
+      throw error;
+    }
+    const time = new Date(date).getTime();
+    let match = series[0];
+    for (const quote of series) {
+      if (quote.date > time) break;
+      match = quote;
+    }
+    return match.rate;
+  };
+
+  const rate = (currency, date = new Date()) => {
+    const code = (currency || PIVOT_CURRENCY).toUpperCase();
+    if (code === base) return 1;
+    return pivotRate(code, date) / pivotRate(base, date);
+  };
+
+  return {
+    baseCurrency: base,
+    rate,
+    convert: (amount, currency, date) => amount * rate(currency, date)
+  };
+};
+
+module.exports = mongoose.model('FxRate', fxRateSchema);
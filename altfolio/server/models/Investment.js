@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const CashFlow = require('./CashFlow');
+const FxRate = require('./FxRate');
+const AssetType = require('./AssetType');
+const { calculateMetrics } = require('../utils/returns');
+const { GRANT_ACCESS, hasPermission } = require('../config/permissions');
+
+const SHARE_TOLERANCE = 0.01;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TAGS = 20;
 
 const investmentSchema = new mongoose.Schema({
   assetName: {
@@ -10,15 +19,37 @@ const investmentSchema = new mongoose.Schema({
   assetType: {
     type: String,
     required: [true, 'Asset type is required'],
-    enum: ['Startup', 'Crypto Fund', 'Farmland', 'Collectible', 'Other'],
+    trim: true,
     default: 'Other'
   },
+  assetSubtype: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Asset subtype cannot be more than 50 characters']
+  },
+  attributes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   investedAmount: {
     type: Number,
     required: [true, 'Invested amount is required'],
     min: [0, 'Invested amount cannot be negative'],
     max: [1000000000, 'Invested amount cannot exceed 1 billion']
   },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    default: 'USD'
+  },
+  distributedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Distributed amount cannot be negative']
+  },
   currentValue: {
     type: Number,
     required: [true, 'Current value is required'],
@@ -35,6 +66,40 @@ const investmentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   }],
+  ownerShares: {
+    type: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      share: {
+        type: Number,
+        required: [true, 'Ownership share is required'],
+        min: [0.01, 'Ownership share must be positive'],
+        max: [100, 'Ownership share cannot exceed 100%']
+      }
+    }],
+    validate: {
+      validator: shares => shares.length === 0 || Math.abs(shares.reduce((sum, entry) => sum + entry.share, 0) - 100) <= SHARE_TOLERANCE,
+      message: 'Ownership shares must sum to 100%'
+    }
+  },
+  // Users other than the owners the investment is shared with, read-only or for editing
+  grants: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    access: {
+      type: String,
+      enum: GRANT_ACCESS,
+      default: 'read'
+    }
+  }],
   description: {
     type: String,
     trim: true,
@@ -45,91 +110,467 @@ const investmentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Notes cannot be more than 1000 characters']
   },
+  // Free-form labels for grouping across asset types, e.g. in stress scenarios; kept lowercase and unique
+  tags: {
+    type: [{
+      type: String,
+      maxlength: [30, 'Tags cannot be more than 30 characters']
+    }],
+    default: [],
+    set: tags => (Array.isArray(tags)
+      ? [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))]
+      : tags),
+    validate: {
+      validator: tags => tags.length <= MAX_TAGS,
+      message: `An investment cannot have more than ${MAX_TAGS} tags`
+    }
+  },
+  // Liquidity: the position cannot be sold or redeemed before lockupEndDate, and the capital is
+  // expected back by expectedExitDate. Either may be unknown
+  lockupEndDate: {
+    type: Date,
+    default: null
+  },
+  expectedExitDate: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set when the investment is moved to the trash and cleared when it is restored
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
 });
 
 investmentSchema.index({ assetType: 1 });
+investmentSchema.index({ tags: 1 });
 investmentSchema.index({ investmentDate: -1 });
 investmentSchema.index({ owners: 1 });
+investmentSchema.index({ 'grants.user': 1 });
 investmentSchema.index({ isActive: 1 });
 
 investmentSchema.virtual('roi').get(function() {
   if (this.investedAmount === 0) return 0;
-  return ((this.currentValue - this.investedAmount) / this.investedAmount) * 100;
+  return (this.absoluteGain / this.investedAmount) * 100;
 });
 
 investmentSchema.virtual('absoluteGain').get(function() {
-  return this.currentValue - this.investedAmount;
+  return this.currentValue + (this.distributedAmount || 0) - this.investedAmount;
 });
 
 investmentSchema.set('toJSON', { virtuals: true });
 investmentSchema.set('toObject', { virtuals: true });
 
-investmentSchema.statics.getPortfolioTotals = async function(userId = null) {
+// The user whose investments a list or total is limited to, or null for users who can read everything
+investmentSchema.statics.scopeFor = function(user) {
+  return hasPermission(user, 'investments:read:all') ? null : user._id;
+};
+
+// Investments owned by or shared with userId; null matches everything
+investmentSchema.statics.visibleTo = function(userId) {
+  return userId ? { $or: [{ owners: userId }, { 'grants.user': userId }] } : {};
+};
+
+// Trashed investments owned by or shared with userId (all of them for null), most recently deleted first
+investmentSchema.statics.findTrash = function(userId = null) {
+  return this.find({ isActive: false, ...this.visibleTo(userId) })
+    .populate('owners', 'name email')
+    .populate('deletedBy', 'name email')
+    .sort({ deletedAt: -1 });
+};
+
+// Trashed longer than retentionDays. Investments trashed before deletedAt was recorded fall back to updatedAt
+investmentSchema.statics.findExpiredTrash = function(retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  return this.find({
+    isActive: false,
+    $or: [{ deletedAt: { $lte: cutoff } }, { deletedAt: null, updatedAt: { $lte: cutoff } }]
+  });
+};
+
+// Permanently removes investments together with their valuations and cash flows
+investmentSchema.statics.purge = async function(ids) {
+  await Promise.all([
+    mongoose.model('Valuation').deleteMany({ investment: { $in: ids } }),
+    CashFlow.deleteMany({ investment: { $in: ids } })
+  ]);
+  return this.deleteMany({ _id: { $in: ids } });
+};
+
+// Applies an update only while the investment is still at the given version, bumping the version.
+// Resolves to null when it has changed or gone to the trash since; an undefined version skips the check
+investmentSchema.statics.updateIfCurrent = function(id, version, update) {
+  const filter = { _id: id, isActive: true };
+  if (version !== undefined) {
+    filter.__v = version;
+  }
+  return this.findOneAndUpdate(filter, { ...update, $inc: { __v: 1 } }, { new: true, runValidators: true });
+};
+
+investmentSchema.statics.etagFor = function(investment) {
+  return `"${investment.__v}"`;
+};
+
+investmentSchema.statics.loadPortfolio = async function(userId = null, baseCurrency = FxRate.DEFAULT_BASE_CURRENCY) {
   const matchStage = { isActive: true };
   if (userId) {
     matchStage.owners = userId;
   }
 
-  const result = await this.aggregate([
-    { $match: matchStage },
-    {
-      $group: {
-        _id: null,
-        totalInvested: { $sum: '$investedAmount' },
-        totalCurrentValue: { $sum: '$currentValue' },
-        totalGain: { $sum: { $subtract: ['$currentValue', '$investedAmount'] } },
-        investmentCount: { $sum: 1 }
-      }
-    }
-  ]);
+  const investments = await this.find(matchStage);
+  const series = await this.getCashFlowSeries(investments);
+  const converter = await FxRate.loadConverter(
+    investments.map(investment => investment.currency || FxRate.PIVOT_CURRENCY),
+    baseCurrency
+  );
+  const assetTypes = new Map((await AssetType.find()).map(type => [type.name, type]));
+  // Per-user views only count the user's share of each co-owned investment
+  const weight = userId
+    ? investment => investment.getOwnerShare(userId)
+    : () => 1;
+
+  return { investments, series, converter, weight, assetTypes };
+};
+
+// Cost is converted at the rate on each cash flow's date and value at the rate on asOf, so the
+// difference from the local-currency gain converted today is the FX effect
+investmentSchema.statics.valueInBaseCurrency = function(investment, flows, converter, { asOf = new Date(), weight = () => 1 } = {}) {
+  const currency = investment.currency || FxRate.PIVOT_CURRENCY;
+  const share = weight(investment);
+  const invested = flows
+    .filter(flow => flow.amount < 0)
+    .reduce((sum, flow) => sum - converter.convert(flow.amount, currency, flow.date), 0) * share;
+  const distributed = flows
+    .filter(flow => flow.amount > 0)
+    .reduce((sum, flow) => sum + converter.convert(flow.amount, currency, flow.date), 0) * share;
+  const currentValue = converter.convert(investment.currentValue, currency, asOf) * share;
+  const gain = currentValue + distributed - invested;
+  const localGain = (investment.currentValue + (investment.distributedAmount || 0) - investment.investedAmount) * share;
+
+  return {
+    invested,
+    distributed,
+    currentValue,
+    gain,
+    localGain,
+    fxEffect: gain - converter.convert(localGain, currency, asOf)
+  };
+};
 
-  if (result.length === 0) {
-    return {
-      totalInvested: 0,
-      totalCurrentValue: 0,
-      totalGain: 0,
-      totalRoi: 0,
-      investmentCount: 0
-    };
+investmentSchema.statics.summarizeInBaseCurrency = function(investments, series, converter, options = {}) {
+  const summary = {
+    baseCurrency: converter.baseCurrency,
+    totalInvested: 0,
+    totalCurrentValue: 0,
+    totalDistributed: 0,
+    totalGain: 0,
+    totalFxEffect: 0,
+    totalRoi: 0,
+    investmentCount: investments.length
+  };
+
+  investments.forEach(investment => {
+    const flows = series.get(investment._id.toString()) || [];
+    const value = this.valueInBaseCurrency(investment, flows, converter, options);
+    summary.totalInvested += value.invested;
+    summary.totalCurrentValue += value.currentValue;
+    summary.totalDistributed += value.distributed;
+    summary.totalGain += value.gain;
+    summary.totalFxEffect += value.fxEffect;
+  });
+
+  if (summary.totalInvested > 0) {
+    summary.totalRoi = (summary.totalGain / summary.totalInvested) * 100;
   }
 
-  const totals = result[0];
-  totals.totalRoi = totals.totalInvested > 0 
-    ? (totals.totalGain / totals.totalInvested) * 100 
-    : 0;
+  return summary;
+};
+
+investmentSchema.statics.summarizeByCurrency = function(investments, series, converter, options = {}) {
+  const weight = options.weight || (() => 1);
+  const byCurrency = {};
+  investments.forEach(investment => {
+    const currency = investment.currency || FxRate.PIVOT_CURRENCY;
+    if (!byCurrency[currency]) {
+      byCurrency[currency] = {
+        _id: currency,
+        totalInvested: 0,
+        totalCurrentValue: 0,
+        totalDistributed: 0,
+        localGain: 0,
+        baseGain: 0,
+        fxEffect: 0,
+        count: 0
+      };
+    }
+    const share = weight(investment);
+    const value = this.valueInBaseCurrency(investment, series.get(investment._id.toString()) || [], converter, options);
+    const group = byCurrency[currency];
+    group.totalInvested += investment.investedAmount * share;
+    group.totalCurrentValue += investment.currentValue * share;
+    group.totalDistributed += (investment.distributedAmount || 0) * share;
+    group.localGain += value.localGain;
+    group.baseGain += value.gain;
+    group.fxEffect += value.fxEffect;
+    group.count += 1;
+  });
+
+  return Object.values(byCurrency).sort((a, b) => b.baseGain - a.baseGain);
+};
+
+investmentSchema.statics.getPortfolioTotals = async function(userId = null, baseCurrency = FxRate.DEFAULT_BASE_CURRENCY) {
+  const { investments, series, converter, weight } = await this.loadPortfolio(userId, baseCurrency);
+
+  const totals = this.summarizeInBaseCurrency(investments, series, converter, { weight });
+  totals.metrics = this.calculateGroupMetrics(investments, series, { converter, weight });
+  totals.currencies = this.summarizeByCurrency(investments, series, converter, { weight });
 
   return totals;
 };
 
-investmentSchema.statics.getAllocationByType = async function(userId = null) {
-  const matchStage = { isActive: true };
+investmentSchema.statics.getAllocationByType = async function(userId = null, baseCurrency = FxRate.DEFAULT_BASE_CURRENCY) {
+  const { investments, series, converter, weight, assetTypes } = await this.loadPortfolio(userId, baseCurrency);
+  return this.allocateByType(investments, series, converter, { weight, assetTypes });
+};
+
+investmentSchema.statics.allocateByType = function(investments, series, converter, options = {}) {
+  const types = [...new Set(investments.map(investment => investment.assetType))];
+  const assetTypes = options.assetTypes || new Map();
+
+  return types
+    .map(type => {
+      const ofType = investments.filter(investment => investment.assetType === type);
+      const summary = this.summarizeInBaseCurrency(ofType, series, converter, options);
+      return {
+        _id: type,
+        color: assetTypes.has(type) ? assetTypes.get(type).color : null,
+        totalInvested: summary.totalInvested,
+        totalCurrentValue: summary.totalCurrentValue,
+        totalDistributed: summary.totalDistributed,
+        totalFxEffect: summary.totalFxEffect,
+        count: ofType.length,
+        metrics: this.calculateGroupMetrics(ofType, series, { ...options, converter })
+      };
+    })
+    .sort((a, b) => b.totalCurrentValue - a.totalCurrentValue);
+};
+
+// Dated, signed cash flows per investment; investments without a ledger fall back to a single
+// contribution of investedAmount on investmentDate
+investmentSchema.statics.getCashFlowSeries = async function(investments) {
+  const ids = investments.map(investment => investment._id);
+  const cashFlows = await CashFlow.find({ investment: { $in: ids } }).sort({ date: 1 });
+
+  const series = new Map();
+  cashFlows.forEach(flow => {
+    const key = flow.investment.toString();
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push({ amount: flow.signedAmount, date: flow.date });
+  });
+
+  investments.forEach(investment => {
+    const key = investment._id.toString();
+    if (!series.has(key)) {
+      series.set(key, investment.investedAmount > 0
+        ? [{ amount: -investment.investedAmount, date: investment.investmentDate }]
+        : []);
+    }
+  });
+
+  return series;
+};
+
+// The group's signed cash flows and current value, converted and weighted like its totals
+investmentSchema.statics.groupFlows = function(investments, series, { asOf = new Date(), converter = null, weight = () => 1 } = {}) {
+  const convert = (amount, investment, date) => weight(investment) * (converter
+    ? converter.convert(amount, investment.currency || FxRate.PIVOT_CURRENCY, date)
+    : amount);
+
+  const flows = investments.flatMap(investment =>
+    (series.get(investment._id.toString()) || []).map(flow => ({
+      amount: convert(flow.amount, investment, flow.date),
+      date: flow.date
+    }))
+  );
+  const currentValue = investments.reduce((sum, investment) => sum + convert(investment.currentValue, investment, asOf), 0);
+  return { flows, currentValue };
+};
+
+investmentSchema.statics.calculateGroupMetrics = function(investments, series, options = {}) {
+  const asOf = options.asOf || new Date();
+  const { flows, currentValue } = this.groupFlows(investments, series, { ...options, asOf });
+  return calculateMetrics(flows, currentValue, asOf);
+};
+
+/**
+ * Validates requested ownership shares against the owner list, or splits ownership equally when
+ * none are given. Returns [{ user, share }] or throws an error with a client-facing message.
+ */
+investmentSchema.statics.normalizeOwnerShares = function(owners, ownerShares) {
+  const ownerIds = owners.map(owner => owner.toString());
+
+  if (!ownerShares || ownerShares.length === 0) {
+    const equalShare = Math.floor((100 / ownerIds.length) * 100) / 100;
+    return ownerIds.map((user, index) => ({
+      user,
+      share: index === ownerIds.length - 1
+        ? Math.round((100 - equalShare * (ownerIds.length - 1)) * 100) / 100
+        : equalShare
+    }));
+  }
+
+  const shareIds = ownerShares.map(entry => entry.user.toString());
+  const listsEachOwnerOnce = shareIds.length === ownerIds.length
+    && new Set(shareIds).size === shareIds.length
+    && shareIds.every(id => ownerIds.includes(id));
+  if (!listsEachOwnerOnce) {
+    throw new Error('Ownership shares must list each owner exactly once.');
+  }
+
+  const total = ownerShares.reduce((sum, entry) => sum + Number(entry.share), 0);
+  if (Math.abs(total - 100) > SHARE_TOLERANCE) {
+    throw new Error('Ownership shares must sum to 100%.');
+  }
+
+  return ownerShares.map(entry => ({ user: entry.user.toString(), share: Number(entry.share) }));
+};
+
+const SORT_FIELDS = ['investmentDate', 'assetName', 'assetType', 'investedAmount', 'currentValue', 'roi', 'createdAt'];
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Aggregation stages matching active investments against list filters. ROI is a virtual, so it
+// is computed as _roi here to make it filterable and sortable
+investmentSchema.statics.buildSearchPipeline = function(filters = {}, userId = null) {
+  const match = { isActive: true };
+
   if (userId) {
-    matchStage.owners = userId;
+    match.$and = [this.visibleTo(new mongoose.Types.ObjectId(userId.toString()))];
+  }
+  if (filters.owner) {
+    match.owners = new mongoose.Types.ObjectId(filters.owner.toString());
+  }
+  if (filters.assetType) {
+    match.assetType = filters.assetType;
+  }
+  if (filters.tag) {
+    match.tags = filters.tag.toLowerCase();
+  }
+  if (filters.minAmount !== undefined || filters.maxAmount !== undefined) {
+    match.investedAmount = {};
+    if (filters.minAmount !== undefined) match.investedAmount.$gte = filters.minAmount;
+    if (filters.maxAmount !== undefined) match.investedAmount.$lte = filters.maxAmount;
+  }
+  if (filters.dateFrom || filters.dateTo) {
+    match.investmentDate = {};
+    if (filters.dateFrom) match.investmentDate.$gte = new Date(filters.dateFrom);
+    if (filters.dateTo) match.investmentDate.$lte = new Date(filters.dateTo);
+  }
+  if (filters.search) {
+    const pattern = new RegExp(escapeRegex(filters.search), 'i');
+    match.$or = [{ assetName: pattern }, { description: pattern }, { notes: pattern }];
   }
 
-  return await this.aggregate([
-    { $match: matchStage },
+  const pipeline = [
+    { $match: match },
     {
-      $group: {
-        _id: '$assetType',
-        totalInvested: { $sum: '$investedAmount' },
-        totalCurrentValue: { $sum: '$currentValue' },
-        count: { $sum: 1 }
+      $addFields: {
+        _roi: {
+          $cond: [
+            { $eq: ['$investedAmount', 0] },
+            0,
+            {
+              $multiply: [
+                {
+                  $divide: [
+                    { $subtract: [{ $add: ['$currentValue', { $ifNull: ['$distributedAmount', 0] }] }, '$investedAmount'] },
+                    '$investedAmount'
+                  ]
+                },
+                100
+              ]
+            }
+          ]
+        }
       }
-    },
-    { $sort: { totalCurrentValue: -1 } }
+    }
+  ];
+
+  if (filters.minRoi !== undefined || filters.maxRoi !== undefined) {
+    const roi = {};
+    if (filters.minRoi !== undefined) roi.$gte = filters.minRoi;
+    if (filters.maxRoi !== undefined) roi.$lte = filters.maxRoi;
+    pipeline.push({ $match: { _roi: roi } });
+  }
+
+  return pipeline;
+};
+
+// Returns one page of matching investments (all of them when limit is null) and the total match count
+investmentSchema.statics.search = async function(filters = {}, { userId = null, sortBy = 'investmentDate', sortOrder = 'desc', page = 1, limit = null } = {}) {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const sortField = sortBy === 'roi' ? '_roi' : sortBy;
+
+  const dataStages = [{ $sort: { [sortField]: direction, _id: direction } }];
+  if (limit) {
+    dataStages.push({ $skip: (page - 1) * limit }, { $limit: limit });
+  }
+  dataStages.push({ $unset: '_roi' });
+
+  const [result] = await this.aggregate([
+    ...this.buildSearchPipeline(filters, userId),
+    {
+      $facet: {
+        data: dataStages,
+        total: [{ $count: 'count' }]
+      }
+    }
   ]);
+
+  const investments = result.data.map(doc => this.hydrate(doc));
+  await this.populate(investments, { path: 'owners', select: 'name email' });
+
+  return { investments, total: result.total.length > 0 ? result.total[0].count : 0 };
 };
 
-investmentSchema.methods.canUserModify = function(userId, userRole) {
-  if (userRole === 'admin') return true;
-  return this.owners.includes(userId);
+investmentSchema.statics.SORT_FIELDS = SORT_FIELDS;
+investmentSchema.statics.MAX_TAGS = MAX_TAGS;
+
+// Fraction (0-1) of the investment held by userId; legacy investments without shares split equally
+investmentSchema.methods.getOwnerShare = function(userId) {
+  const id = userId.toString();
+  if (this.ownerShares && this.ownerShares.length > 0) {
+    const entry = this.ownerShares.find(ownerShare => ownerShare.user.toString() === id);
+    return entry ? entry.share / 100 : 0;
+  }
+  const isOwner = this.owners.some(owner => (owner._id || owner).toString() === id);
+  return isOwner ? 1 / this.owners.length : 0;
+};
+
+/**
+ * The user's access to this investment: 'edit', 'read' or null. Owners and grantees can read it;
+ * editing takes investments:edit:all or an edit grant plus investments:edit:shared.
+ */
+investmentSchema.methods.accessFor = function(user) {
+  if (hasPermission(user, 'investments:edit:all')) return 'edit';
+
+  const id = user._id.toString();
+  const grant = (this.grants || []).find(entry => (entry.user._id || entry.user).toString() === id);
+  if (grant && grant.access === 'edit' && hasPermission(user, 'investments:edit:shared')) return 'edit';
+
+  const isOwner = this.owners.some(owner => (owner._id || owner).toString() === id);
+  return grant || isOwner || hasPermission(user, 'investments:read:all') ? 'read' : null;
 };
 
 module.exports = mongoose.model('Investment', investmentSchema); 
\ No newline at end of file
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const FAILURE_REASONS = [
+  'unknown-user',
+  'invalid-password',
+  'inactive',
+  'unverified',
+  'locked',
+  'rate-limited',
+  'invalid-code'
+];
+
+// History is kept for LOGIN_HISTORY_DAYS (default 90) and then expires
+const historyTtlSeconds = () => (Number(process.env.LOGIN_HISTORY_DAYS) || 90) * 24 * 60 * 60;
+
+/**
+ * One login attempt, successful or not. Failed attempts are also what the login
+ * rate limits count, so limits hold across restarts and server instances.
+ */
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [...FAILURE_REASONS, null],
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: historyTtlSeconds() });
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ ip: 1, success: 1, createdAt: -1 });
+loginEventSchema.index({ email: 1, success: 1, createdAt: -1 });
+
+loginEventSchema.statics.record = function(req, { user = null, email = user ? user.email : '', success, reason = null }) {
+  return this.create({
+    user: user ? user._id : null,
+    email,
+    ip: req.ip || '',
+    userAgent: String(req.get('user-agent') || '').slice(0, 300),
+    success,
+    reason
+  });
+};
+
+// Failed attempts matching filter since the given date; rejections by the limiter itself do not count
+loginEventSchema.statics.countFailures = function(filter, since) {
+  return this.countDocuments({ ...filter, success: false, reason: { $ne: 'rate-limited' }, createdAt: { $gte: since } });
+};
+
+// Most recent first; limit comes straight from the query string and is clamped to 1-100
+loginEventSchema.statics.historyFor = function(userId, limit) {
+  const count = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+  return this.find({ user: userId }).sort({ createdAt: -1 }).limit(count).select('-user');
+};
+
+loginEventSchema.statics.FAILURE_REASONS = FAILURE_REASONS;
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
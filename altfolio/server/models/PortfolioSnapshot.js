@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Investment = require('./Investment');
+const FxRate = require('./FxRate');
+
+const FREQUENCIES = ['daily', 'monthly'];
+const INTERVALS = ['day', 'week', 'month', 'quarter'];
+
+const totalsSchema = {
+  invested: { type: Number, default: 0 },
+  currentValue: { type: Number, default: 0 },
+  distributed: { type: Number, default: 0 },
+  gain: { type: Number, default: 0 },
+  count: { type: Number, default: 0 }
+};
+
+/**
+ * The whole portfolio's totals at one point in time, in the default base currency, with its
+ * allocation by asset type and each owner's share. One snapshot is kept per period: later
+ * captures in the same day (or month) replace it, so a monthly snapshot ends on month-end values.
+ */
+const portfolioSnapshotSchema = new mongoose.Schema({
+  period: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  baseCurrency: {
+    type: String,
+    required: true
+  },
+  totals: totalsSchema,
+  allocation: [{
+    _id: false,
+    assetType: String,
+    ...totalsSchema
+  }],
+  owners: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    ...totalsSchema
+  }]
+}, {
+  timestamps: true
+});
+
+portfolioSnapshotSchema.index({ date: 1 });
+portfolioSnapshotSchema.index({ 'owners.user': 1, date: 1 });
+
+const roundTotals = summary => ({
+  invested: Math.round(summary.totalInvested * 100) / 100,
+  currentValue: Math.round(summary.totalCurrentValue * 100) / 100,
+  distributed: Math.round(summary.totalDistributed * 100) / 100,
+  gain: Math.round((summary.totalCurrentValue + summary.totalDistributed - summary.totalInvested) * 100) / 100,
+  count: summary.investmentCount
+});
+
+const periodKey = (date, frequency) => {
+  const day = date.toISOString().slice(0, 10);
+  return frequency === 'monthly' ? day.slice(0, 7) : day;
+};
+
+// The key of the interval bucket a date falls in; weeks start on Monday
+const bucketKey = (date, interval) => {
+  const day = date.toISOString().slice(0, 10);
+  switch (interval) {
+    case 'week': {
+      const monday = new Date(`${day}T00:00:00.000Z`);
+      monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+      return monday.toISOString().slice(0, 10);
+    }
+    case 'month':
+      return day.slice(0, 7);
+    case 'quarter':
+      return `${day.slice(0, 4)}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+    default:
+      return day;
+  }
+};
+
+portfolioSnapshotSchema.statics.capture = async function({ date = new Date(), frequency = 'daily' } = {}) {
+  const { investments, series, converter, assetTypes } = await Investment.loadPortfolio(null, FxRate.DEFAULT_BASE_CURRENCY);
+
+  const ownerIds = [...new Set(investments.flatMap(investment => investment.owners.map(owner => owner.toString())))];
+  const owners = ownerIds.map(userId => {
+    const owned = investments.filter(investment => investment.getOwnerShare(userId) > 0);
+    const summary = Investment.summarizeInBaseCurrency(owned, series, converter, {
+      weight: investment => investment.getOwnerShare(userId)
+    });
+    return { user: userId, ...roundTotals(summary) };
+  });
+
+  return this.findOneAndUpdate(
+    { period: periodKey(date, frequency) },
+    {
+      frequency,
+      date,
+      baseCurrency: converter.baseCurrency,
+      totals: roundTotals(Investment.summarizeInBaseCurrency(investments, series, converter)),
+      allocation: Investment.allocateByType(investments, series, converter, { assetTypes }).map(group => ({
+        assetType: group._id,
+        ...roundTotals({ ...group, investmentCount: group.count })
+      })),
+      owners
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+/**
+ * Snapshots between from and to, keeping the latest one in each interval. With a userId the points
+ * carry only that owner's share and no allocation; otherwise the whole portfolio's.
+ */
+portfolioSnapshotSchema.statics.history = async function({ from, to, interval = 'month', userId = null } = {}) {
+  const match = {};
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = new Date(from);
+    // A plain date in to includes that whole day
+    if (to) match.date.$lte = /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(`${to}T23:59:59.999Z`) : new Date(to);
+  }
+  if (userId) {
+    match['owners.user'] = userId;
+  }
+
+  const snapshots = await this.find(match).sort({ date: 1 }).lean();
+  const latestPerBucket = new Map();
+  snapshots.forEach(snapshot => latestPerBucket.set(bucketKey(snapshot.date, interval), snapshot));
+
+  return [...latestPerBucket.values()].map(snapshot => {
+    if (!userId) {
+      return {
+        date: snapshot.date,
+        baseCurrency: snapshot.baseCurrency,
+        ...snapshot.totals,
+        allocation: snapshot.allocation
+      };
+    }
+    const { user, ...totals } = snapshot.owners.find(owner => owner.user.toString() === userId.toString());
+    return { date: snapshot.date, baseCurrency: snapshot.baseCurrency, ...totals };
+  });
+};
+
+portfolioSnapshotSchema.statics.FREQUENCIES = FREQUENCIES;
+portfolioSnapshotSchema.statics.INTERVALS = INTERVALS;
+portfolioSnapshotSchema.statics.bucketKey = bucketKey;
+
+module.exports = mongoose.model('PortfolioSnapshot', portfolioSnapshotSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const SHOCK_TARGETS = ['assetType', 'investment', 'tag'];
+const MAX_SHOCKS = 50;
+
+/**
+ * A named stress test: fixed percentage changes to current values, aimed at an asset type (by name),
+ * a single investment (by id) or a tag. Scenarios are shared by everyone who can run simulations.
+ */
+const scenarioSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Scenario name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Scenario name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  shocks: {
+    type: [{
+      _id: false,
+      target: {
+        type: String,
+        enum: SHOCK_TARGETS,
+        required: true
+      },
+      key: {
+        type: String,
+        required: [true, 'Each shock needs an asset type, investment or tag'],
+        trim: true
+      },
+      changePercent: {
+        type: Number,
+        required: [true, 'Each shock needs a change'],
+        min: [-100, 'A shock cannot take a value below zero'],
+        max: [1000, 'A shock cannot exceed +1000%']
+      }
+    }],
+    validate: {
+      validator: shocks => shocks.length >= 1 && shocks.length <= MAX_SHOCKS,
+      message: `A scenario needs between 1 and ${MAX_SHOCKS} shocks`
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const shockApplies = (shock, investment) => {
+  switch (shock.target) {
+    case 'assetType':
+      return investment.assetType === shock.key;
+    case 'investment':
+      return investment._id.toString() === shock.key;
+    case 'tag':
+      return (investment.tags || []).includes(shock.key.toLowerCase());
+    default:
+      return false;
+  }
+};
+
+// Factor applied to an investment's current value; every matching shock applies, compounding (-30% and -20% make -44%)
+scenarioSchema.statics.multiplierFor = function(shocks, investment) {
+  return shocks
+    .filter(shock => shockApplies(shock, investment))
+    .reduce((multiplier, shock) => multiplier * (1 + shock.changePercent / 100), 1);
+};
+
+// Shocks refer to asset types by name, so renames are carried over like they are for investments
+scenarioSchema.statics.renameAssetType = function(from, to) {
+  return this.updateMany(
+    { shocks: { $elemMatch: { target: 'assetType', key: from } } },
+    { $set: { 'shocks.$[shock].key': to } },
+    { arrayFilters: [{ 'shock.target': 'assetType', 'shock.key': from }] }
+  );
+};
+
+scenarioSchema.statics.SHOCK_TARGETS = SHOCK_TARGETS;
+scenarioSchema.statics.MAX_SHOCKS = MAX_SHOCKS;
+
+module.exports = mongoose.model('Scenario', scenarioSchema);
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['logout', 'revoked', 'reuse', 'password-change', 'deactivated'];
+
+// Refresh tokens slide: each rotation extends the session by this many days
+const refreshTtlMs = () => (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// Rotated hashes are kept so a replayed token can be told apart from a made-up one
+const USED_HASH_LIMIT = 50;
+
+const hashSecret = secret => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+/**
+ * A session is one login on one device. Its refresh token is "<sessionId>.<secret>";
+ * only the hash of the current secret is stored and every refresh replaces it.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  usedTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: [...REVOKE_REASONS, null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const parseRefreshToken = refreshToken => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const clientDetails = req => ({
+  userAgent: String(req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip || ''
+});
+
+sessionSchema.statics.start = async function(userId, req) {
+  const secret = newSecret();
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashSecret(secret),
+    ...clientDetails(req),
+    expiresAt: new Date(Date.now() + refreshTtlMs())
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Swaps a refresh token for a new one. Returns { session, refreshToken } on success,
+ * { reused: true } when an already rotated token is replayed (the session is then
+ * revoked, since either the user or an attacker holds a stolen copy) and null otherwise.
+ */
+sessionSchema.statics.rotate = async function(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const presentedHash = hashSecret(parsed.secret);
+  const secret = newSecret();
+  const now = new Date();
+  const session = await this.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      tokenHash: hashSecret(secret),
+      $push: { usedTokenHashes: { $each: [presentedHash], $slice: -USED_HASH_LIMIT } },
+      ...clientDetails(req),
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + refreshTtlMs())
+    },
+    { new: true }
+  );
+  if (session) {
+    return { session, refreshToken: `${session._id}.${secret}` };
+  }
+
+  const replayed = await this.findOneAndUpdate(
+    { _id: parsed.sessionId, usedTokenHashes: presentedHash, revokedAt: null },
+    { revokedAt: now, revokedReason: 'reuse' }
+  );
+  return replayed ? { reused: true } : null;
+};
+
+sessionSchema.statics.isActive = async function(sessionId) {
+  return Boolean(await this.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+sessionSchema.statics.revoke = function(filter, reason) {
+  return this.updateMany({ ...filter, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.revoke({ user: userId }, reason);
+};
+
+sessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// System-wide options maintained by admins; a missing document means the default applies
+const DEFAULTS = {
+  requireTwoFactorForAdmins: false,
+  // Days an investment stays in the trash before it is purged; 0 keeps it until purged by hand
+  trashRetentionDays: 0,
+  // Limits the risk report flags as breaches. Shares are percentages of the portfolio's current
+  // value (vintages: of invested capital); a Herfindahl index above 0.25 is highly concentrated
+  riskThresholds: {
+    maxInvestmentPercent: 20,
+    maxAssetTypePercent: 50,
+    maxOwnerPercent: 75,
+    maxHerfindahl: 0.25,
+    maxVintagePercent: 40,
+    minLiquidPercent: 10
+  }
+};
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: Object.keys(DEFAULTS)
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+settingSchema.statics.getValue = async function(key) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : DEFAULTS[key];
+};
+
+settingSchema.statics.getAll = async function() {
+  const settings = await this.find();
+  return settings.reduce(
+    (values, setting) => ({ ...values, [setting.key]: setting.value }),
+    { ...DEFAULTS }
+  );
+};
+
+settingSchema.statics.setValue = function(key, value, userId = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+// Thresholds saved before a new one was introduced keep the default for it
+settingSchema.statics.getRiskThresholds = async function() {
+  return { ...DEFAULTS.riskThresholds, ...(await this.getValue('riskThresholds')) };
+};
+
+settingSchema.statics.isTwoFactorRequired = async function(user) {
+  return user.role === 'admin' && Boolean(await this.getValue('requireTwoFactorForAdmins'));
+};
+
+settingSchema.statics.DEFAULTS = DEFAULTS;
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -1,5 +1,22 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateSecret, verifyCode } = require('../utils/totp');
+const { ROLES, permissionsFor } = require('../config/permissions');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// The fifth failed login in a row locks the account for a minute; each further failure doubles it, up to a day
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
+const lockoutDuration = failures => (failures < LOCKOUT_THRESHOLD
+  ? 0
+  : Math.min(LOCKOUT_BASE_MS * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS));
+
+const hashRecoveryCode = code =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -23,16 +40,59 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'viewer'],
+    enum: ROLES,
     default: 'viewer'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Only self-registered accounts start unverified; admins, invitations and seeding vouch for the address
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
   lastLogin: {
     type: Date,
     default: null
+  },
+  // Consecutive failed logins, reset by a successful one or an admin unlock
+  loginFailures: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Secrets are never selected unless asked for with +twoFactor.secret etc.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true
@@ -60,9 +120,106 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toPublicJSON = function() {
   const user = this.toObject();
   delete user.password;
+  if (user.twoFactor) {
+    user.twoFactor = { enabled: user.twoFactor.enabled, enabledAt: user.twoFactor.enabledAt };
+  }
+  // The client gates its UI on these rather than on role names
+  user.permissions = permissionsFor(user.role);
   return user;
 };
 
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+// Counts a failed password or code atomically, so parallel guesses cannot dodge the lockout.
+// Returns the new lockedUntil, or null when the account is not locked
+userSchema.methods.registerLoginFailure = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { loginFailures: 1 } },
+    { new: true, projection: { loginFailures: 1 } }
+  );
+  const duration = lockoutDuration(updated.loginFailures);
+  if (duration === 0) return null;
+
+  const lockedUntil = new Date(Date.now() + duration);
+  await this.constructor.updateOne({ _id: this._id }, { lockedUntil });
+  return lockedUntil;
+};
+
+userSchema.methods.clearLoginFailures = function() {
+  this.loginFailures = 0;
+  this.lockedUntil = null;
+};
+
+// Loads the two-factor secrets that are excluded by default
+userSchema.statics.findWithTwoFactor = function(filter) {
+  return this.findOne(filter).select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+};
+
+userSchema.methods.startTwoFactorSetup = function() {
+  this.twoFactor.pendingSecret = generateSecret();
+  return this.twoFactor.pendingSecret;
+};
+
+// Returns fresh recovery codes; only their hashes are kept
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Confirms the authenticator is set up by checking a code against the pending secret
+userSchema.methods.enableTwoFactor = function(code) {
+  const step = this.twoFactor.pendingSecret && verifyCode(this.twoFactor.pendingSecret, code);
+  if (step === null || step === undefined) return null;
+
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  this.twoFactor.lastUsedStep = step;
+  return this.generateRecoveryCodes();
+};
+
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.enabledAt = null;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.lastUsedStep = 0;
+};
+
+// The step is claimed with a conditional update, so two requests racing with the same code
+// cannot both pass on the copy each loaded
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactor.enabled || !this.twoFactor.secret) return false;
+  const step = verifyCode(this.twoFactor.secret, code);
+  if (step === null || step <= (this.twoFactor.lastUsedStep || 0)) return false;
+
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  if (!claimed) return false;
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Each recovery code works once
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashRecoveryCode(code);
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+  if (!this.twoFactor.enabled || index === -1) return false;
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
 userSchema.statics.createDefaultUsers = async function() {
   const defaultUsers = [
     {
@@ -71,6 +228,18 @@ userSchema.statics.createDefaultUsers = async function() {
       name: 'Admin User',
       role: 'admin'
     },
+    {
+      email: 'manager@altfolio.com',
+      password: 'manager123',
+      name: 'Manager User',
+      role: 'manager'
+    },
+    {
+      email: 'analyst@altfolio.com',
+      password: 'analyst123',
+      name: 'Analyst User',
+      role: 'analyst'
+    },
     {
       email: 'viewer@altfolio.com',
       password: 'viewer123',
@@ -88,4 +257,7 @@ userSchema.statics.createDefaultUsers = async function() {
   }
 };
 
+userSchema.statics.lockoutDuration = lockoutDuration;
+userSchema.statics.LOCKOUT_THRESHOLD = LOCKOUT_THRESHOLD;
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const PURPOSES = ['verify-email', 'reset-password', 'invite'];
+
+// How long each kind of token stays valid, in milliseconds
+const TOKEN_TTL = {
+  'verify-email': 24 * 60 * 60 * 1000,
+  'reset-password': 60 * 60 * 1000,
+  invite: 7 * 24 * 60 * 60 * 1000
+};
+
+// Only a hash is stored, so a leaked database does not hand out working links
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const userTokenSchema = new mongoose.Schema({
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Role granted when an invitation is accepted
+  role: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+userTokenSchema.index({ purpose: 1, user: 1 });
+userTokenSchema.index({ purpose: 1, email: 1 });
+
+const validFilter = (purpose, token) => ({
+  purpose,
+  tokenHash: hashToken(token),
+  usedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Creates a token and returns the raw value, which is only ever sent to the user
+userTokenSchema.statics.issue = async function({ purpose, user = null, email, role = null, createdBy = null }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const record = await this.create({
+    purpose,
+    tokenHash: hashToken(token),
+    user,
+    email,
+    role,
+    createdBy,
+    expiresAt: new Date(Date.now() + TOKEN_TTL[purpose])
+  });
+  return { token, record };
+};
+
+userTokenSchema.statics.findValid = function(purpose, token) {
+  return this.findOne(validFilter(purpose, token));
+};
+
+// Marks the token used in one atomic step; null when it is unknown, expired or already used
+userTokenSchema.statics.consume = function(purpose, token) {
+  return this.findOneAndUpdate(validFilter(purpose, token), { usedAt: new Date() }, { new: true });
+};
+
+// Drops outstanding tokens, e.g. older reset links once a new one is sent
+userTokenSchema.statics.revoke = function(purpose, filter) {
+  return this.deleteMany({ purpose, usedAt: null, ...filter });
+};
+
+userTokenSchema.statics.PURPOSES = PURPOSES;
+userTokenSchema.statics.TOKEN_TTL = TOKEN_TTL;
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
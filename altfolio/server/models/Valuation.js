@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const valuationSchema = new mongoose.Schema({
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    required: [true, 'Investment is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Value is required'],
+    min: [0, 'Value cannot be negative'],
+    max: [1000000000, 'Value cannot exceed 1 billion']
+  },
+  effectiveDate: {
+    type: Date,
+    required: [true, 'Effective date is required'],
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['initial', 'update', 'backfill', 'import'],
+    default: 'update'
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+valuationSchema.index({ investment: 1, effectiveDate: -1 });
+
+valuationSchema.statics.record = async function(investment, value, { effectiveDate, source, author, notes } = {}) {
+  return await this.create({
+    investment: investment._id || investment,
+    value,
+    effectiveDate: effectiveDate || new Date(),
+    source,
+    author,
+    notes
+  });
+};
+
+valuationSchema.statics.getHistory = async function(investmentId, { from, to } = {}) {
+  const query = { investment: investmentId };
+  if (from || to) {
+    query.effectiveDate = {};
+    if (from) query.effectiveDate.$gte = new Date(from);
+    if (to) query.effectiveDate.$lte = new Date(to);
+  }
+
+  return await this.find(query)
+    .populate('author', 'name email')
+    .sort({ effectiveDate: 1, createdAt: 1 });
+};
+
+valuationSchema.statics.getValueAsOf = async function(investmentId, date) {
+  const valuation = await this.findOne({
+    investment: investmentId,
+    effectiveDate: { $lte: new Date(date) }
+  }).sort({ effectiveDate: -1, createdAt: -1 });
+
+  return valuation ? valuation.value : null;
+};
+
+module.exports = mongoose.model('Valuation', valuationSchema);
@@ -0,0 +1,216 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const AssetType = require('../models/AssetType');
+const Investment = require('../models/Investment');
+const Scenario = require('../models/Scenario');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { auditInvestment } = require('../utils/audit');
+
+const router = express.Router();
+
+const assetTypeValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Asset type name is required and must be between 1-50 characters'),
+  body('subtypes')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Subtypes must be an array of at most 50 entries'),
+  body('subtypes.*')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each subtype must be between 1-50 characters'),
+  body('attributes')
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('Attributes must be an array of at most 30 entries')
+    .custom(attributes => {
+      const keys = attributes.map(attribute => attribute.key);
+      if (new Set(keys).size !== keys.length) {
+        throw new Error('Attribute keys must be unique');
+      }
+      return true;
+    }),
+  body('attributes.*.key')
+    .matches(/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/)
+    .withMessage('Attribute key must start with a letter and contain only letters, digits and underscores'),
+  body('attributes.*.label')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Attribute label is required and must be between 1-50 characters'),
+  body('attributes.*.type')
+    .isIn(AssetType.ATTRIBUTE_TYPES)
+    .withMessage(`Attribute type must be one of: ${AssetType.ATTRIBUTE_TYPES.join(', ')}`),
+  body('attributes.*.options')
+    .custom((options, { req, path }) => {
+      const index = Number(path.match(/\[(\d+)\]/)[1]);
+      if (req.body.attributes[index].type === 'select' && (!Array.isArray(options) || options.length === 0)) {
+        throw new Error('Select attributes need at least one option');
+      }
+      return true;
+    }),
+  body('attributes.*.required')
+    .optional()
+    .isBoolean()
+    .withMessage('Attribute required flag must be a boolean'),
+  body(['attributes.*.min', 'attributes.*.max'])
+    .optional({ values: 'null' })
+    .isFloat()
+    .withMessage('Attribute bounds must be numbers'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #1a2b3c'),
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be an integer'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  body('simulation.drift')
+    .optional()
+    .isFloat({ min: -100, max: 100 })
+    .withMessage('Drift must be between -100% and 100%')
+    .toFloat(),
+  body('simulation.volatility')
+    .optional()
+    .isFloat({ min: 0, max: 300 })
+    .withMessage('Volatility must be between 0% and 300%')
+    .toFloat()
+];
+
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const query = {};
+    if (!(hasPermission(req.user, 'assetTypes:manage') && req.query.includeInactive === 'true')) {
+      query.isActive = true;
+    }
+
+    const assetTypes = await AssetType.find(query).sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: assetTypes.length,
+      data: assetTypes
+    });
+  } catch (error) {
+    console.error('Get asset types error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.post('/', authenticateToken, requirePermission('assetTypes:manage'), assetTypeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, subtypes, attributes, color, sortOrder, simulation } = req.body;
+    if (await AssetType.exists({ name })) {
+      return res.status(409).json({ error: `Asset type ${name} already exists.` });
+    }
+
+    const assetType = await AssetType.create({ name, subtypes, attributes, color, sortOrder, simulation });
+
+    res.status(201).json({
+      success: true,
+      message: 'Asset type created successfully',
+      data: assetType
+    });
+  } catch (error) {
+    console.error('Create asset type error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.put('/:id', authenticateToken, requirePermission('assetTypes:manage'), assetTypeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const assetType = await AssetType.findById(req.params.id);
+    if (!assetType) {
+      return res.status(404).json({ error: 'Asset type not found.' });
+    }
+
+    const { name, subtypes, attributes, color, sortOrder, simulation, isActive } = req.body;
+    if (name !== assetType.name && await AssetType.exists({ name })) {
+      return res.status(409).json({ error: `Asset type ${name} already exists.` });
+    }
+
+    const previousName = assetType.name;
+    assetType.name = name;
+    if (subtypes !== undefined) assetType.subtypes = subtypes;
+    if (attributes !== undefined) assetType.attributes = attributes;
+    if (color !== undefined) assetType.color = color;
+    if (sortOrder !== undefined) assetType.sortOrder = sortOrder;
+    if (simulation !== undefined) assetType.set('simulation', { ...assetType.simulation.toObject(), ...simulation });
+    if (isActive !== undefined) assetType.isActive = isActive;
+    await assetType.save();
+
+    // Investments and scenario shocks store the type by name, so a rename is carried over to them
+    if (previousName !== name) {
+      const renamed = await Investment.find({ assetType: previousName });
+      await Investment.updateMany({ assetType: previousName }, { assetType: name, $inc: { __v: 1 } });
+      await Scenario.renameAssetType(previousName, name);
+      for (const investment of renamed) {
+        await auditInvestment(req, 'update', investment, { ...investment.toObject(), assetType: name }, {
+          summary: `Asset type ${previousName} renamed to ${name}`
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Asset type updated successfully',
+      data: assetType
+    });
+  } catch (error) {
+    console.error('Update asset type error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.delete('/:id', authenticateToken, requirePermission('assetTypes:manage'), async (req, res) => {
+  try {
+    const assetType = await AssetType.findById(req.params.id);
+    if (!assetType) {
+      return res.status(404).json({ error: 'Asset type not found.' });
+    }
+
+    // Types in use are only retired so existing investments keep a valid reference
+    const inUse = await Investment.countDocuments({ assetType: assetType.name });
+    if (inUse > 0) {
+      assetType.isActive = false;
+      await assetType.save();
+      return res.json({
+        success: true,
+        message: `Asset type deactivated; it is still used by ${inUse} investment(s)`
+      });
+    }
+
+    await assetType.deleteOne();
+    res.json({
+      success: true,
+      message: 'Asset type deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete asset type error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+
+const auditValidation = [
+  query('entityType')
+    .optional()
+    .isIn(AuditLog.ENTITY_TYPES)
+    .withMessage(`Entity type must be one of: ${AuditLog.ENTITY_TYPES.join(', ')}`),
+  query(['entity', 'actor'])
+    .optional()
+    .isMongoId()
+    .withMessage('Entity and actor must be valid IDs'),
+  query('action')
+    .optional()
+    .isIn(AuditLog.ACTIONS)
+    .withMessage(`Action must be one of: ${AuditLog.ACTIONS.join(', ')}`),
+  query('field')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Field cannot exceed 100 characters'),
+  query(['dateFrom', 'dateTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date bounds must be valid dates'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+    .toInt()
+];
+
+router.get('/', authenticateToken, requirePermission('audit:read'), auditValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = DEFAULT_PAGE_SIZE, ...filters } = req.query;
+    const { entries, total } = await AuditLog.search(filters, { page, limit });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,60 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const AssetType = require('../models/AssetType');
+const LoginEvent = require('../models/LoginEvent');
+const ApiToken = require('../models/ApiToken');
 const { authenticateToken } = require('../middleware/auth');
+const { limitLoginAttempts } = require('../middleware/rateLimit');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/mailer');
+const { generateToken, issueChallengeToken, verifyChallengeToken, startSession } = require('../utils/authTokens');
+const { setupPayload } = require('../utils/totp');
+const { API_SCOPES } = require('../config/apiScopes');
+const { auditUser } = require('../utils/audit');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
 
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
+// open: anyone can sign up and must verify their email; invite: only holders of an admin invitation
+const registrationMode = () => (process.env.REGISTRATION_MODE === 'open' ? 'open' : 'invite');
+
+// Mail failures are logged rather than failing the request; the user can ask for another link
+const issueAndSend = async (purpose, user, send) => {
+  try {
+    await UserToken.revoke(purpose, { user: user._id });
+    const { token } = await UserToken.issue({ purpose, user: user._id, email: user.email });
+    await send(user, token);
+  } catch (error) {
+    console.error(`Send ${purpose} email error:`, error);
+  }
+};
+
+const passwordRule = body('password')
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters.');
+
+const lockedResponse = (res, lockedUntil) => res.status(423).json({
+  error: 'This account is temporarily locked after too many failed logins. Try again later or ask an administrator to unlock it.',
+  code: 'ACCOUNT_LOCKED',
+  lockedUntil
+});
+
+// Records a wrong password or code and responds 423 if it tipped the account into a lockout
+const rejectCredentials = async (req, res, user, reason, error) => {
+  await LoginEvent.record(req, { user, success: false, reason });
+  const lockedUntil = await user.registerLoginFailure();
+  if (lockedUntil) {
+    return lockedResponse(res, lockedUntil);
+  }
+  res.status(401).json({ error });
 };
 
 router.post(
   '/login',
+  limitLoginAttempts,
   [
     body('email').isEmail().withMessage('A valid email is required.'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters.')
@@ -26,22 +65,48 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
     try {
-      const { email, password } = req.body;
-      const user = await User.findOne({ email: email.toLowerCase() });
+      const { password } = req.body;
+      const email = req.body.email.toLowerCase();
+      const user = await User.findOne({ email });
       if (!user) {
+        await LoginEvent.record(req, { email, success: false, reason: 'unknown-user' });
         return res.status(401).json({ error: 'Invalid credentials.' });
       }
       if (!user.isActive) {
+        await LoginEvent.record(req, { user, success: false, reason: 'inactive' });
         return res.status(401).json({ error: 'Account is deactivated. Please contact administrator.' });
       }
+      // Checked before the password so a locked account gives nothing away about guesses
+      if (user.isLocked()) {
+        await LoginEvent.record(req, { user, success: false, reason: 'locked' });
+        return lockedResponse(res, user.lockedUntil);
+      }
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
-        return res.status(401).json({ error: 'Invalid credentials.' });
+        return rejectCredentials(req, res, user, 'invalid-password', 'Invalid credentials.');
       }
-      user.lastLogin = new Date();
-      await user.save();
-      const token = generateToken(user._id);
-      res.json({ message: 'Login successful', token, user: user.toPublicJSON() });
+      if (!user.emailVerified) {
+        await LoginEvent.record(req, { user, success: false, reason: 'unverified' });
+        return res.status(403).json({
+          error: 'Please verify your email address before logging in.',
+          code: 'EMAIL_NOT_VERIFIED'
+        });
+      }
+
+      const twoFactorSetupRequired = !user.twoFactor.enabled && await Setting.isTwoFactorRequired(user);
+      if (user.twoFactor.enabled || twoFactorSetupRequired) {
+        return res.json({
+          message: twoFactorSetupRequired
+            ? 'Two-factor authentication is required for your role. Set it up to continue.'
+            : 'Enter the code from your authenticator app.',
+          twoFactorRequired: user.twoFactor.enabled,
+          twoFactorSetupRequired,
+          challengeToken: issueChallengeToken(user._id)
+        });
+      }
+
+      const { token, refreshToken } = await startSession(user, req);
+      res.json({ message: 'Login successful', token, refreshToken, user: user.toPublicJSON() });
     } catch (error) {
       console.error('Login error:', error);
       res.status(500).json({ error: 'Internal server error.' });
@@ -49,27 +114,369 @@ router.post(
   }
 );
 
-router.get('/me', authenticateToken, async (req, res) => {
+// Loads the user behind a login challenge token into req.user, with their 2FA secrets
+const requireChallenge = async (req, res, next) => {
   try {
-    res.json({ user: req.user.toPublicJSON() });
+    const userId = verifyChallengeToken(req.body.challengeToken);
+    const user = userId && await User.findWithTwoFactor({ _id: userId, isActive: true });
+    if (!user) {
+      return res.status(401).json({ error: 'Your login attempt has expired. Please log in again.' });
+    }
+    req.user = user;
+    next();
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('Login challenge error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+};
+
+const codeRule = (required = false) =>
+  (required ? body('code').exists().withMessage('Code is required.') : body('code').optional())
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits.');
+
+router.post(
+  '/login/2fa',
+  requireChallenge,
+  limitLoginAttempts,
+  [codeRule(), body('recoveryCode').optional().isString().withMessage('Recovery code must be a string.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const { code, recoveryCode } = req.body;
+      const user = req.user;
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled for this account.' });
+      }
+      if (user.isLocked()) {
+        await LoginEvent.record(req, { user, success: false, reason: 'locked' });
+        return lockedResponse(res, user.lockedUntil);
+      }
+
+      const verified = code ? await user.verifyTwoFactorCode(code) : Boolean(recoveryCode) && user.useRecoveryCode(recoveryCode);
+      if (!verified) {
+        return rejectCredentials(req, res, user, 'invalid-code', code ? 'Invalid authentication code.' : 'Invalid recovery code.');
+      }
+
+      const { token, refreshToken } = await startSession(user, req);
+      res.json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        user: user.toPublicJSON(),
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+      });
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+// Enrolment during login, for users whose role requires 2FA but who have not set it up
+router.post('/login/2fa/setup', requireChallenge, async (req, res) => {
+  try {
+    const user = req.user;
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled.' });
+    }
+
+    const secret = user.startTwoFactorSetup();
+    await user.save();
+
+    res.json(await setupPayload(secret, user.email));
+  } catch (error) {
+    console.error('Two-factor login setup error:', error);
     res.status(500).json({ error: 'Internal server error.' });
   }
 });
 
-router.post('/refresh', authenticateToken, async (req, res) => {
+router.post(
+  '/login/2fa/enable',
+  requireChallenge,
+  limitLoginAttempts,
+  [codeRule(true)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const user = req.user;
+      if (user.twoFactor.enabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is already enabled.' });
+      }
+
+      const before = user.toObject();
+      const recoveryCodes = user.enableTwoFactor(req.body.code);
+      if (!recoveryCodes) {
+        await LoginEvent.record(req, { user, success: false, reason: 'invalid-code' });
+        return res.status(400).json({ error: 'Invalid authentication code. Check the time on your device and try again.' });
+      }
+
+      const { token, refreshToken } = await startSession(user, req);
+      await auditUser(req, 'update', before, user, { summary: 'Two-factor authentication enabled at login' });
+      res.json({
+        message: 'Two-factor authentication enabled',
+        token,
+        refreshToken,
+        user: user.toPublicJSON(),
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error('Two-factor login enable error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+router.get('/registration', (req, res) => {
+  res.json({ mode: registrationMode() });
+});
+
+router.get('/invites/:token', async (req, res) => {
   try {
-    const token = generateToken(req.user._id);
-    res.json({ message: 'Token refreshed successfully', token, user: req.user.toPublicJSON() });
+    const invite = await UserToken.findValid('invite', req.params.token);
+    if (!invite) {
+      return res.status(404).json({ error: 'This invitation is invalid or has expired.' });
+    }
+    res.json({ invite: { email: invite.email, role: invite.role, expiresAt: invite.expiresAt } });
   } catch (error) {
-    console.error('Token refresh error:', error);
+    console.error('Get invite error:', error);
     res.status(500).json({ error: 'Internal server error.' });
   }
 });
 
+router.post(
+  '/register',
+  [
+    body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name is required and must be between 1-50 characters.'),
+    body('email').trim().toLowerCase().isEmail().withMessage('A valid email is required.'),
+    passwordRule,
+    body('inviteToken').optional().isString().withMessage('Invite token must be a string.')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const { name, email, password, inviteToken } = req.body;
+
+      let invite = null;
+      if (inviteToken) {
+        invite = await UserToken.findValid('invite', inviteToken);
+        if (!invite) {
+          return res.status(400).json({ error: 'This invitation is invalid or has expired.' });
+        }
+        if (invite.email !== email) {
+          return res.status(400).json({ error: 'Register with the email address the invitation was sent to.' });
+        }
+      } else if (registrationMode() !== 'open') {
+        return res.status(403).json({ error: 'Registration is by invitation only.' });
+      }
+
+      if (await User.exists({ email })) {
+        return res.status(409).json({ error: 'Email already exists.' });
+      }
+      if (invite && !(await UserToken.consume('invite', inviteToken))) {
+        return res.status(400).json({ error: 'This invitation is invalid or has expired.' });
+      }
+
+      const user = await User.create({
+        name,
+        email,
+        password,
+        role: invite ? invite.role : 'viewer',
+        emailVerified: Boolean(invite)
+      });
+      await auditUser(req, 'create', null, user, { actor: user, summary: invite ? 'Registered by invitation' : 'Registered' });
+      if (!invite) {
+        await issueAndSend('verify-email', user, sendVerificationEmail);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: invite
+          ? 'Registration successful. You can now log in.'
+          : 'Registration successful. Check your email for a link to verify your address.',
+        data: { user: user.toPublicJSON() }
+      });
+    } catch (error) {
+      console.error('Register error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+router.post(
+  '/verify-email',
+  [body('token').isString().notEmpty().withMessage('Token is required.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const record = await UserToken.consume('verify-email', req.body.token);
+      const user = record && await User.findById(record.user);
+      if (!user) {
+        return res.status(400).json({ error: 'This verification link is invalid or has expired.' });
+      }
+
+      const before = user.toObject();
+      user.emailVerified = true;
+      await user.save();
+      await auditUser(req, 'update', before, user, { actor: user });
+
+      res.json({ message: 'Email verified. You can now log in.' });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+// The reply is the same whether or not the address is known, so it cannot be used to probe for accounts
+router.post(
+  '/resend-verification',
+  [body('email').trim().toLowerCase().isEmail().withMessage('A valid email is required.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const user = await User.findOne({ email: req.body.email, isActive: true, emailVerified: false });
+      if (user) {
+        await issueAndSend('verify-email', user, sendVerificationEmail);
+      }
+      res.json({ message: 'If that account is waiting for verification, a new link has been sent.' });
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+router.post(
+  '/forgot-password',
+  [body('email').trim().toLowerCase().isEmail().withMessage('A valid email is required.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const user = await User.findOne({ email: req.body.email, isActive: true });
+      if (user) {
+        await issueAndSend('reset-password', user, sendPasswordResetEmail);
+      }
+      res.json({ message: 'If an account exists for that email, a password reset link has been sent.' });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+router.post(
+  '/reset-password',
+  [body('token').isString().notEmpty().withMessage('Token is required.'), passwordRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const record = await UserToken.consume('reset-password', req.body.token);
+      const user = record && await User.findById(record.user);
+      if (!user || !user.isActive) {
+        return res.status(400).json({ error: 'This reset link is invalid or has expired.' });
+      }
+
+      const before = user.toObject();
+      user.password = req.body.password;
+      // Following the emailed link proves the address belongs to the user
+      user.emailVerified = true;
+      await user.save();
+      await auditUser(req, 'update', before, user, { actor: user, passwordChanged: true, summary: 'Password reset by email' });
+      await UserToken.revoke('reset-password', { user: user._id });
+      await Session.revokeAllForUser(user._id, 'password-change');
+
+      res.json({ message: 'Password updated. You can now log in.' });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    res.json({ user: req.user.toPublicJSON() });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.post(
+  '/refresh',
+  [body('refreshToken').isString().notEmpty().withMessage('Refresh token is required.')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const rotated = await Session.rotate(req.body.refreshToken, req);
+      if (rotated && rotated.reused) {
+        return res.status(401).json({
+          error: 'This session was signed out because its refresh token was used twice. Please log in again.',
+          code: 'REFRESH_TOKEN_REUSED'
+        });
+      }
+      if (!rotated) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token.' });
+      }
+
+      const user = await User.findById(rotated.session.user);
+      if (!user || !user.isActive) {
+        await Session.revoke({ _id: rotated.session._id }, 'deactivated');
+        return res.status(401).json({ error: 'Invalid token or user inactive.' });
+      }
+
+      if (!user.twoFactor.enabled && await Setting.isTwoFactorRequired(user)) {
+        await Session.revoke({ _id: rotated.session._id }, 'revoked');
+        return res.status(401).json({
+          error: 'Two-factor authentication is now required for your role. Please log in again to set it up.',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
+      const token = generateToken(user._id, rotated.session._id);
+      res.json({
+        message: 'Token refreshed successfully',
+        token,
+        refreshToken: rotated.refreshToken,
+        user: user.toPublicJSON()
+      });
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
+    await Session.revoke({ _id: req.sessionId }, 'logout');
     res.json({ message: 'Logout successful' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -77,16 +484,304 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Signs out every other device, keeping the caller's session
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revoke({ user: req.user._id, _id: { $ne: req.sessionId } }, 'revoked');
+    res.json({
+      success: true,
+      message: `Signed out of ${result.modifiedCount} other session(s)`
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+    const result = await Session.revoke({ _id: req.params.id, user: req.user._id }, 'revoked');
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Personal API tokens for scripts; the raw token is only returned by the create call
+router.get('/tokens', authenticateToken, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user._id, revokedAt: null }).sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      count: tokens.length,
+      data: tokens,
+      scopes: Object.entries(API_SCOPES).map(([key, description]) => ({ key, description }))
+    });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.post(
+  '/tokens',
+  authenticateToken,
+  [
+    body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters.'),
+    body('scopes').isArray({ min: 1 }).withMessage('Choose at least one scope.'),
+    body('scopes.*').isIn(Object.keys(API_SCOPES)).withMessage('Unknown scope.'),
+    body('expiresAt')
+      .isISO8601()
+      .withMessage('Expiry must be a valid date.')
+      .bail()
+      .custom(value => {
+        const expiresAt = new Date(value);
+        const latest = Date.now() + ApiToken.MAX_LIFETIME_DAYS * 24 * 60 * 60 * 1000;
+        return expiresAt > new Date() && expiresAt.getTime() <= latest;
+      })
+      .withMessage(`Expiry must be in the future and within ${ApiToken.MAX_LIFETIME_DAYS} days.`)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const { token, record } = await ApiToken.issue({
+        user: req.user._id,
+        name: req.body.name,
+        scopes: req.body.scopes,
+        expiresAt: new Date(req.body.expiresAt)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API token created. Copy it now; it will not be shown again.',
+        token,
+        data: record
+      });
+    } catch (error) {
+      console.error('Create API token error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+router.delete('/tokens/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'API token not found.' });
+    }
+    const result = await ApiToken.revoke({ _id: req.params.id, user: req.user._id });
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: 'API token not found.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'API token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.get('/login-history', authenticateToken, async (req, res) => {
+  try {
+    const events = await LoginEvent.historyFor(req.user._id, req.query.limit);
+    res.json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Two-factor management for the signed-in user; secrets are reloaded because req.user omits them
+const loadTwoFactorUser = req => User.findWithTwoFactor({ _id: req.user._id });
+
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req);
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await Setting.isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled.' });
+    }
+
+    const secret = user.startTwoFactorSetup();
+    await user.save();
+
+    res.json(await setupPayload(secret, user.email));
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.post('/2fa/enable', authenticateToken, [codeRule(true)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  try {
+    const user = await loadTwoFactorUser(req);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled.' });
+    }
+
+    const before = user.toObject();
+    const recoveryCodes = user.enableTwoFactor(req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid authentication code. Check the time on your device and try again.' });
+    }
+    await user.save();
+    await auditUser(req, 'update', before, user, { summary: 'Two-factor authentication enabled' });
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Checks a password or code from a signed-in user the way a login does: locked accounts are turned
+// away and each wrong guess counts towards the lockout, so a stolen session cannot brute-force codes
+const checkLocked = async (req, res, user) => {
+  if (!user.isLocked()) return false;
+  await LoginEvent.record(req, { user, success: false, reason: 'locked' });
+  lockedResponse(res, user.lockedUntil);
+  return true;
+};
+
+router.post(
+  '/2fa/disable',
+  authenticateToken,
+  limitLoginAttempts,
+  [body('password').isString().notEmpty().withMessage('Password is required.'), codeRule(true)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const user = await loadTwoFactorUser(req);
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+      }
+      if (await Setting.isTwoFactorRequired(user)) {
+        return res.status(400).json({ error: 'Two-factor authentication is required for your role and cannot be turned off.' });
+      }
+      if (await checkLocked(req, res, user)) return;
+      if (!(await user.comparePassword(req.body.password))) {
+        return rejectCredentials(req, res, user, 'invalid-password', 'Incorrect password or authentication code.');
+      }
+      if (!(await user.verifyTwoFactorCode(req.body.code))) {
+        return rejectCredentials(req, res, user, 'invalid-code', 'Incorrect password or authentication code.');
+      }
+
+      const before = user.toObject();
+      user.disableTwoFactor();
+      user.clearLoginFailures();
+      await user.save();
+      await auditUser(req, 'update', before, user, { summary: 'Two-factor authentication disabled' });
+
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+// Replaces all recovery codes, e.g. after the old ones were used up or exposed
+router.post('/2fa/recovery-codes', authenticateToken, limitLoginAttempts, [codeRule(true)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  try {
+    const user = await loadTwoFactorUser(req);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+    }
+    if (await checkLocked(req, res, user)) return;
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      return rejectCredentials(req, res, user, 'invalid-code', 'Invalid authentication code.');
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    user.clearLoginFailures();
+    await user.save();
+
+    res.json({ message: 'New recovery codes generated', recoveryCodes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
 router.post('/init', async (req, res) => {
   try {
     if (process.env.NODE_ENV === 'production') {
       return res.status(403).json({ error: 'This endpoint is not available in production.' });
     }
     await User.createDefaultUsers();
+    await AssetType.createDefaultTypes();
     res.json({
       message: 'Default users created successfully',
       users: [
         { email: 'admin@altfolio.com', password: 'admin123', role: 'admin' },
+        { email: 'manager@altfolio.com', password: 'manager123', role: 'manager' },
+        { email: 'analyst@altfolio.com', password: 'analyst123', role: 'analyst' },
         { email: 'viewer@altfolio.com', password: 'viewer123', role: 'viewer' }
       ]
     });
@@ -0,0 +1,182 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Benchmark = require('../models/Benchmark');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+
+const router = express.Router();
+
+const benchmarkValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Benchmark name is required and must be between 1-100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+// Reads the uploaded date/value series, or responds with why it cannot be used and returns null
+const readPoints = async (req, res) => {
+  let sheet;
+  try {
+    sheet = await readSpreadsheet(req.file);
+  } catch (error) {
+    res.status(400).json({ error: 'The file could not be read as CSV or XLSX.' });
+    return null;
+  }
+
+  if (sheet.rows.length === 0) {
+    res.status(400).json({ error: 'The file has no data rows.' });
+    return null;
+  }
+  if (sheet.rows.length > Benchmark.MAX_POINTS) {
+    res.status(400).json({ error: `Benchmarks are limited to ${Benchmark.MAX_POINTS} values.` });
+    return null;
+  }
+
+  const { points, errors } = Benchmark.pointsFromSheet(sheet);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Some rows could not be read.', details: errors });
+    return null;
+  }
+  return points;
+};
+
+// Everything but the points, which can run to thousands per benchmark
+const summarize = benchmark => ({
+  _id: benchmark._id,
+  name: benchmark.name,
+  description: benchmark.description,
+  pointCount: benchmark.points.length,
+  from: benchmark.points.length > 0 ? benchmark.points[0].date : null,
+  to: benchmark.points.length > 0 ? benchmark.points[benchmark.points.length - 1].date : null,
+  createdAt: benchmark.createdAt,
+  updatedAt: benchmark.updatedAt
+});
+
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const benchmarks = await Benchmark.aggregate([
+      { $sort: { name: 1 } },
+      {
+        $project: {
+          name: 1,
+          description: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          pointCount: { $size: '$points' },
+          from: { $arrayElemAt: ['$points.date', 0] },
+          to: { $arrayElemAt: ['$points.date', -1] }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      count: benchmarks.length,
+      data: benchmarks
+    });
+  } catch (error) {
+    console.error('Get benchmarks error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const benchmark = await Benchmark.findById(req.params.id).populate('createdBy', 'name email');
+    if (!benchmark) {
+      return res.status(404).json({ error: 'Benchmark not found.' });
+    }
+
+    res.json({
+      success: true,
+      data: benchmark
+    });
+  } catch (error) {
+    console.error('Get benchmark error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Multipart upload: a CSV or XLSX "file" with date and value (or close) columns, plus name and description
+router.post('/', authenticateToken, requirePermission('benchmarks:manage'), uploadSpreadsheet, benchmarkValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, description } = req.body;
+    if (await Benchmark.exists({ name })) {
+      return res.status(409).json({ error: `Benchmark ${name} already exists.` });
+    }
+
+    const points = await readPoints(req, res);
+    if (!points) return;
+
+    const benchmark = await Benchmark.create({ name, description, points, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: `Benchmark created with ${points.length} values`,
+      data: summarize(benchmark)
+    });
+  } catch (error) {
+    console.error('Create benchmark error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Adds newer (or corrected) values from another upload; days already in the series are replaced
+router.post('/:id/points', authenticateToken, requirePermission('benchmarks:manage'), uploadSpreadsheet, async (req, res) => {
+  try {
+    const benchmark = await Benchmark.findById(req.params.id);
+    if (!benchmark) {
+      return res.status(404).json({ error: 'Benchmark not found.' });
+    }
+
+    const points = await readPoints(req, res);
+    if (!points) return;
+
+    benchmark.mergePoints(points);
+    if (benchmark.points.length > Benchmark.MAX_POINTS) {
+      return res.status(400).json({ error: `Benchmarks are limited to ${Benchmark.MAX_POINTS} values.` });
+    }
+    await benchmark.save();
+
+    res.json({
+      success: true,
+      message: `${points.length} values added or updated`,
+      data: summarize(benchmark)
+    });
+  } catch (error) {
+    console.error('Update benchmark error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.delete('/:id', authenticateToken, requirePermission('benchmarks:manage'), async (req, res) => {
+  try {
+    const benchmark = await Benchmark.findByIdAndDelete(req.params.id);
+    if (!benchmark) {
+      return res.status(404).json({ error: 'Benchmark not found.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Benchmark deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete benchmark error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+module.exports = router;
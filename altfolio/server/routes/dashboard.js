@@ -1,116 +1,565 @@
 const express = require('express');
 const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
 const Investment = require('../models/Investment');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const FxRate = require('../models/FxRate');
+const AssetType = require('../models/AssetType');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const Scenario = require('../models/Scenario');
+const Benchmark = require('../models/Benchmark');
+const Setting = require('../models/Setting');
+const { calculatePme, pmeValueOn } = require('../utils/pme');
+const { buildRiskReport } = require('../utils/risk');
+const { MAX_PATHS, MAX_HORIZON_YEARS, correlationMatrix, simulatePortfolio } = require('../utils/monteCarlo');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    const investments = await Investment.find({ isActive: true }).populate('owners', 'name email');
-    
-    const summary = {
-      totalInvested: 0,
-      totalCurrentValue: 0,
-      totalGain: 0,
-      totalRoi: 0,
-      investmentCount: investments.length
-    };
-
-    investments.forEach(investment => {
-      summary.totalInvested += investment.investedAmount;
-      summary.totalCurrentValue += investment.currentValue;
-      summary.totalGain += investment.absoluteGain;
-    });
+router.get('/',
+  authenticateToken,
+  query('baseCurrency')
+    .optional()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Base currency must be a valid 3-letter ISO currency code'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      // Roles that cannot read every investment see their own portfolio, weighted by their share
+      const { investments, series, converter, weight, assetTypes } = await Investment.loadPortfolio(
+        Investment.scopeFor(req.user),
+        req.query.baseCurrency
+      );
+      await Investment.populate(investments, { path: 'owners', select: 'name email' });
+
+      const summary = Investment.summarizeInBaseCurrency(investments, series, converter, { weight });
+      summary.metrics = Investment.calculateGroupMetrics(investments, series, { converter, weight });
+
+      res.json({
+        data: {
+          summary,
+          allocation: Investment.allocateByType(investments, series, converter, { weight, assetTypes }),
+          currencies: Investment.summarizeByCurrency(investments, series, converter, { weight }),
+          investments: investments.map(investment => {
+            const flows = series.get(investment._id.toString());
+            return {
+              ...investment.toJSON(),
+              base: Investment.valueInBaseCurrency(investment, flows, converter, { weight }),
+              metrics: Investment.calculateGroupMetrics([investment], series, { converter, weight })
+            };
+          })
+        }
+      });
+    } catch (error) {
+      if (error.code === 'MISSING_FX_RATE') {
+        return res.status(422).json({ error: error.message });
+      }
+      console.error('Error fetching dashboard data:', error);
+      res.status(500).json({ error: 'Failed to fetch dashboard data' });
+    }
+  }
+);
+
+// Portfolio value over time from the stored snapshots; users who cannot read everything see their own share
+router.get('/history',
+  authenticateToken,
+  [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date'),
+    query('interval')
+      .optional()
+      .isIn(PortfolioSnapshot.INTERVALS)
+      .withMessage(`Interval must be one of: ${PortfolioSnapshot.INTERVALS.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { from, to, interval = 'month' } = req.query;
+      const points = await PortfolioSnapshot.history({
+        from,
+        to,
+        interval,
+        userId: Investment.scopeFor(req.user)
+      });
+
+      res.json({
+        success: true,
+        count: points.length,
+        interval,
+        data: points
+      });
+    } catch (error) {
+      console.error('Error fetching portfolio history:', error);
+      res.status(500).json({ error: 'Failed to fetch portfolio history' });
+    }
+  }
+);
 
-    if (summary.totalInvested > 0) {
-      summary.totalRoi = (summary.totalGain / summary.totalInvested) * 100;
+const roundMoney = value => Math.round(value * 100) / 100;
+
+/**
+ * Public market equivalent comparison against an uploaded benchmark, in the default base currency
+ * like the snapshots: KS-PME, Long-Nickels PME IRR and direct alpha for the portfolio and each
+ * investment, and the portfolio's snapshot values next to what its cash flows would be worth in the index
+ */
+router.get('/pme',
+  authenticateToken,
+  [
+    query('benchmarkId')
+      .isMongoId()
+      .withMessage('A benchmark is required'),
+    query('interval')
+      .optional()
+      .isIn(PortfolioSnapshot.INTERVALS)
+      .withMessage(`Interval must be one of: ${PortfolioSnapshot.INTERVALS.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const benchmark = await Benchmark.findById(req.query.benchmarkId);
+      if (!benchmark) {
+        return res.status(404).json({ error: 'Benchmark not found.' });
+      }
+
+      const asOf = new Date();
+      if (benchmark.valueOn(asOf) === null) {
+        return res.status(422).json({
+          error: `${benchmark.name} has no value from the last ${Benchmark.STALE_AFTER_DAYS} days. Upload newer values to compare against it.`
+        });
+      }
+
+      const userId = Investment.scopeFor(req.user);
+      const { investments, series, converter, weight } = await Investment.loadPortfolio(userId);
+      const indexAt = date => benchmark.valueOn(date);
+      const { flows, currentValue } = Investment.groupFlows(investments, series, { asOf, converter, weight });
+
+      const snapshots = await PortfolioSnapshot.history({ interval: req.query.interval || 'month', userId });
+      const history = snapshots
+        .map(point => ({
+          date: point.date,
+          portfolioValue: point.currentValue,
+          pmeValue: pmeValueOn(flows, indexAt, point.date),
+          benchmarkValue: indexAt(point.date)
+        }))
+        .filter(point => point.pmeValue !== null)
+        .map(point => ({ ...point, pmeValue: roundMoney(point.pmeValue) }));
+
+      res.json({
+        success: true,
+        data: {
+          benchmark: {
+            _id: benchmark._id,
+            name: benchmark.name,
+            from: benchmark.points[0].date,
+            to: benchmark.points[benchmark.points.length - 1].date
+          },
+          baseCurrency: converter.baseCurrency,
+          asOf,
+          portfolio: calculatePme(flows, currentValue, indexAt, asOf),
+          investments: investments.map(investment => {
+            const group = Investment.groupFlows([investment], series, { asOf, converter, weight });
+            return {
+              investmentId: investment._id,
+              assetName: investment.assetName,
+              assetType: investment.assetType,
+              pme: calculatePme(group.flows, group.currentValue, indexAt, asOf)
+            };
+          }),
+          history
+        }
+      });
+    } catch (error) {
+      if (error.code === 'MISSING_FX_RATE') {
+        return res.status(422).json({ error: error.message });
+      }
+      console.error('Error calculating PME:', error);
+      res.status(500).json({ error: 'Failed to calculate public market equivalent' });
     }
+  }
+);
+
+// Concentration by investment, type and owner, vintage-year spread and liquidity, flagged against the risk thresholds setting
+router.get('/risk',
+  authenticateToken,
+  [
+    query('baseCurrency')
+      .optional()
+      .toUpperCase()
+      .isISO4217()
+      .withMessage('Base currency must be a valid 3-letter ISO currency code'),
+    query('top')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Top must be between 1 and 50')
+      .toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = Investment.scopeFor(req.user);
+      const { investments, series, converter, weight } = await Investment.loadPortfolio(userId, req.query.baseCurrency);
+      await Investment.populate(investments, { path: 'owners', select: 'name email' });
+      const asOf = new Date();
 
-    const allocation = {};
-    investments.forEach(investment => {
-      if (!allocation[investment.assetType]) {
-        allocation[investment.assetType] = {
-          totalInvested: 0,
-          totalCurrentValue: 0,
-          count: 0
+      const positions = investments.map(investment => {
+        const flows = series.get(investment._id.toString()) || [];
+        const value = Investment.valueInBaseCurrency(investment, flows, converter, { asOf, weight });
+        // The vintage is the year capital was first called
+        const contributionDates = flows.filter(flow => flow.amount < 0).map(flow => new Date(flow.date));
+        const firstContribution = contributionDates.length > 0
+          ? new Date(Math.min(...contributionDates))
+          : new Date(investment.investmentDate);
+        return {
+          key: investment._id.toString(),
+          label: investment.assetName,
+          assetType: investment.assetType,
+          owners: investment.owners.map(owner => ({
+            key: owner._id.toString(),
+            label: owner.name,
+            share: investment.getOwnerShare(owner._id)
+          })),
+          value: value.currentValue,
+          invested: value.invested,
+          vintage: firstContribution.getUTCFullYear(),
+          lockupEndDate: investment.lockupEndDate,
+          expectedExitDate: investment.expectedExitDate
         };
+      });
+
+      const report = buildRiskReport(positions, await Setting.getRiskThresholds(), {
+        asOf,
+        top: req.query.top || 5,
+        // A user's own share has a single owner
+        includeOwners: !userId
+      });
+
+      res.json({
+        success: true,
+        data: {
+          baseCurrency: converter.baseCurrency,
+          asOf,
+          ...report
+        }
+      });
+    } catch (error) {
+      if (error.code === 'MISSING_FX_RATE') {
+        return res.status(422).json({ error: error.message });
       }
-      allocation[investment.assetType].totalInvested += investment.investedAmount;
-      allocation[investment.assetType].totalCurrentValue += investment.currentValue;
-      allocation[investment.assetType].count += 1;
-    });
+      console.error('Error building risk report:', error);
+      res.status(500).json({ error: 'Failed to build risk report' });
+    }
+  }
+);
 
-    const allocationArray = Object.keys(allocation).map(type => ({
-      _id: type,
-      ...allocation[type]
-    }));
+const SIMULATION_TYPES = ['monteCarlo', 'scenario', 'manual'];
+const MAX_COMPARED_SCENARIOS = 10;
 
-    res.json({
-      data: {
-        summary,
-        allocation: allocationArray,
-        investments
+const simulationValidation = [
+  body('baseCurrency')
+    .optional()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Base currency must be a valid 3-letter ISO currency code'),
+  body('simulationType')
+    .optional()
+    .isIn(SIMULATION_TYPES)
+    .withMessage(`Simulation type must be one of: ${SIMULATION_TYPES.join(', ')}`),
+  body('horizonYears')
+    .optional()
+    .isFloat({ min: 0.25, max: MAX_HORIZON_YEARS })
+    .withMessage(`Horizon must be between 0.25 and ${MAX_HORIZON_YEARS} years`)
+    .toFloat(),
+  body('paths')
+    .optional()
+    .isInt({ min: 100, max: MAX_PATHS })
+    .withMessage(`Paths must be between 100 and ${MAX_PATHS}`)
+    .toInt(),
+  body('seed')
+    .optional()
+    .isInt({ min: 0, max: 4294967295 })
+    .withMessage('Seed must be a whole number between 0 and 4294967295')
+    .toInt(),
+  body('assumptions')
+    .optional()
+    .isObject()
+    .withMessage('Assumptions must be an object keyed by asset type'),
+  body('assumptions.*.drift')
+    .optional()
+    .isFloat({ min: -100, max: 100 })
+    .withMessage('Drift must be between -100% and 100%')
+    .toFloat(),
+  body('assumptions.*.volatility')
+    .optional()
+    .isFloat({ min: 0, max: 300 })
+    .withMessage('Volatility must be between 0% and 300%')
+    .toFloat(),
+  body('correlations')
+    .optional()
+    .isArray()
+    .withMessage('Correlations must be an array'),
+  body('correlations.*.between')
+    .isArray({ min: 2, max: 2 })
+    .withMessage('Each correlation must name two asset types in between'),
+  body('correlations.*.value')
+    .isFloat({ min: -1, max: 1 })
+    .withMessage('Each correlation must be between -1 and 1')
+    .toFloat(),
+  body('defaultCorrelation')
+    .optional()
+    .isFloat({ min: -1, max: 1 })
+    .withMessage('Default correlation must be between -1 and 1')
+    .toFloat(),
+  // Saved scenarios by id, or unsaved ones given in full as { name, shocks }
+  body('scenarios')
+    .if(body('simulationType').equals('scenario'))
+    .isArray({ min: 1, max: MAX_COMPARED_SCENARIOS })
+    .withMessage(`Choose between 1 and ${MAX_COMPARED_SCENARIOS} scenarios to compare`),
+  body('scenarios.*')
+    .custom(value => {
+      if (typeof value === 'string' ? !/^[0-9a-f]{24}$/i.test(value) : (typeof value !== 'object' || value === null)) {
+        throw new Error('Each scenario must be a saved scenario ID or a scenario with a name and shocks');
       }
-    });
-  } catch (error) {
-    console.error('Error fetching dashboard data:', error);
-    res.status(500).json({ error: 'Failed to fetch dashboard data' });
+      return true;
+    }),
+  body('investmentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Investment ID must be a valid ID'),
+  body('newValue')
+    .optional()
+    .isFloat({ min: 0, max: 1000000000 })
+    .withMessage('New value must be a positive number and cannot exceed 1 billion')
+    .toFloat()
+];
+
+const simulationResultFor = (investment, simulatedValue, extra = {}) => {
+  const newGain = simulatedValue + (investment.distributedAmount || 0) - investment.investedAmount;
+
+  return {
+    investmentId: investment._id,
+    assetName: investment.assetName,
+    assetType: investment.assetType,
+    currency: investment.currency || FxRate.PIVOT_CURRENCY,
+    originalValue: investment.currentValue,
+    simulatedValue: roundMoney(simulatedValue),
+    ...extra,
+    changePercent: investment.currentValue
+      ? ((simulatedValue - investment.currentValue) / investment.currentValue) * 100
+      : 0,
+    newRoi: roundMoney((newGain / investment.investedAmount) * 100),
+    newGain: roundMoney(newGain)
+  };
+};
+
+const portfolioImpactOf = (simulationResults, converter) => {
+  const totalOriginalValue = simulationResults.reduce(
+    (sum, result) => sum + converter.convert(result.originalValue, result.currency), 0);
+  const totalSimulatedValue = simulationResults.reduce(
+    (sum, result) => sum + converter.convert(result.simulatedValue, result.currency), 0);
+
+  return {
+    baseCurrency: converter.baseCurrency,
+    totalOriginalValue: roundMoney(totalOriginalValue),
+    totalSimulatedValue: roundMoney(totalSimulatedValue),
+    portfolioChangePercent: roundMoney(((totalSimulatedValue - totalOriginalValue) / totalOriginalValue) * 100)
+  };
+};
+
+// Sets one investment to newValue and leaves the rest as they are
+const runManualSimulation = (investments, converter, { investmentId, newValue }) => {
+  const simulationResults = investments.map(investment => simulationResultFor(
+    investment,
+    newValue !== undefined && investment._id.equals(investmentId) ? newValue : investment.currentValue
+  ));
+
+  return {
+    simulationResults,
+    portfolioImpact: portfolioImpactOf(simulationResults, converter)
+  };
+};
+
+// Applies each scenario's shocks to today's values, so the same scenarios always give the same results
+const runScenarioSimulation = async (investments, converter, requested) => {
+  const ids = requested.filter(entry => typeof entry === 'string');
+  const saved = await Scenario.find({ _id: { $in: ids } });
+  const missing = ids.find(id => !saved.some(scenario => scenario._id.equals(id)));
+  if (missing) {
+    throw Object.assign(new Error(`Scenario ${missing} not found.`), { code: 'INVALID_SIMULATION' });
   }
-});
 
-router.post('/simulate', authenticateToken, requireAdmin, async (req, res) => {
+  const scenarios = requested.map(entry => {
+    if (typeof entry === 'string') {
+      return saved.find(scenario => scenario._id.equals(entry));
+    }
+    const draft = new Scenario({ name: entry.name, description: entry.description, shocks: entry.shocks });
+    const invalid = draft.validateSync();
+    if (invalid) {
+      const messages = Object.values(invalid.errors).map(error => error.message);
+      throw Object.assign(new Error(`Scenario ${entry.name || 'without a name'}: ${messages.join('; ')}`), { code: 'INVALID_SIMULATION' });
+    }
+    return draft;
+  });
+
+  return {
+    scenarios: scenarios.map(scenario => {
+      const simulationResults = investments.map(investment => simulationResultFor(
+        investment,
+        investment.currentValue * Scenario.multiplierFor(scenario.shocks, investment)
+      ));
+      return {
+        scenarioId: scenario.isNew ? null : scenario._id,
+        name: scenario.name,
+        description: scenario.description,
+        shocks: scenario.shocks,
+        simulationResults,
+        portfolioImpact: portfolioImpactOf(simulationResults, converter)
+      };
+    })
+  };
+};
+
+// Simulates each asset type as a correlated random walk in the base currency; exchange rates stay at today's
+const runMonteCarloSimulation = async (investments, converter, options) => {
+  const { horizonYears = 1, paths = 1000, seed, assumptions = {}, correlations = [], defaultCorrelation = 0 } = options;
+  const typeNames = [...new Set(investments.map(investment => investment.assetType))];
+  const defaults = await AssetType.getSimulationAssumptions(typeNames);
+
+  const groups = typeNames.map(name => {
+    const { drift, volatility } = { ...defaults.get(name), ...assumptions[name] };
+    const value = investments
+      .filter(investment => investment.assetType === name)
+      .reduce((sum, investment) => sum + converter.convert(investment.currentValue, investment.currency || FxRate.PIVOT_CURRENCY), 0);
+    return { name, value, drift: drift / 100, volatility: volatility / 100 };
+  });
+  const matrix = correlationMatrix(typeNames, correlations, defaultCorrelation);
+  const result = simulatePortfolio({ groups, correlations: matrix, horizonYears, paths, seed });
+
+  // Each investment follows its asset type, so its outcomes are its value times the type's growth multiple
+  const simulationResults = investments.map(investment => {
+    const { multiple } = result.groups[typeNames.indexOf(investment.assetType)];
+    return simulationResultFor(investment, investment.currentValue * multiple.p50, {
+      lowValue: roundMoney(investment.currentValue * multiple.p5),
+      highValue: roundMoney(investment.currentValue * multiple.p95)
+    });
+  });
+
+  const roundPercentiles = values => Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, key === 'years' ? value : roundMoney(value)])
+  );
+
+  return {
+    simulationResults,
+    portfolioImpact: {
+      baseCurrency: converter.baseCurrency,
+      totalOriginalValue: roundMoney(result.initialValue),
+      totalSimulatedValue: roundMoney(result.final.p50),
+      portfolioChangePercent: roundMoney(((result.final.p50 - result.initialValue) / result.initialValue) * 100)
+    },
+    monteCarlo: {
+      seed,
+      paths,
+      horizonYears,
+      steps: result.steps,
+      assumptions: groups.map(group => ({
+        assetType: group.name,
+        value: roundMoney(group.value),
+        drift: group.drift * 100,
+        volatility: group.volatility * 100
+      })),
+      correlations: { assetTypes: typeNames, matrix },
+      bands: result.bands.map(roundPercentiles),
+      final: roundPercentiles(result.final),
+      probabilityOfLoss: result.probabilityOfLoss,
+      valueAtRisk: result.valueAtRisk.map(entry => ({
+        confidence: entry.confidence,
+        var: roundMoney(entry.var),
+        cvar: roundMoney(entry.cvar)
+      }))
+    }
+  };
+};
+
+router.post('/simulate', authenticateToken, requirePermission('simulations:run'), simulationValidation, async (req, res) => {
   try {
-    const { investmentId, newValue, simulationType } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { investmentId, newValue, simulationType = 'monteCarlo' } = req.body;
     
+    const visible = Investment.visibleTo(Investment.scopeFor(req.user));
     let investments;
     
     if (investmentId) {
-      investments = await Investment.find({ _id: investmentId, isActive: true });
+      investments = await Investment.find({ _id: investmentId, isActive: true, ...visible });
     } else {
-      investments = await Investment.find({ isActive: true });
+      investments = await Investment.find({ isActive: true, ...visible });
     }
 
-    const simulationResults = [];
-    
-    for (const investment of investments) {
-      let simulatedValue;
-      
-      if (newValue && investmentId === investment._id) {
-        simulatedValue = newValue;
-      } else {
-        const changePercent = (Math.random() - 0.5) * 0.1;
-        simulatedValue = investment.currentValue * (1 + changePercent);
-      }
+    const converter = await FxRate.loadConverter(
+      investments.map(investment => investment.currency || FxRate.PIVOT_CURRENCY),
+      req.body.baseCurrency || FxRate.DEFAULT_BASE_CURRENCY
+    );
 
-      const newRoi = ((simulatedValue - investment.investedAmount) / investment.investedAmount) * 100;
-      const newGain = simulatedValue - investment.investedAmount;
-
-      simulationResults.push({
-        investmentId: investment._id,
-        assetName: investment.assetName,
-        originalValue: investment.currentValue,
-        simulatedValue: Math.round(simulatedValue * 100) / 100,
-        changePercent: ((simulatedValue - investment.currentValue) / investment.currentValue) * 100,
-        newRoi: Math.round(newRoi * 100) / 100,
-        newGain: Math.round(newGain * 100) / 100
+    let results;
+    if (simulationType === 'manual') {
+      results = runManualSimulation(investments, converter, { investmentId, newValue });
+    } else if (simulationType === 'scenario') {
+      results = await runScenarioSimulation(investments, converter, req.body.scenarios);
+    } else {
+      results = await runMonteCarloSimulation(investments, converter, {
+        ...req.body,
+        // An unseeded run gets a random seed, returned so the run can be reproduced
+        seed: req.body.seed ?? Math.floor(Math.random() * 4294967296)
       });
     }
 
-    const totalOriginalValue = investments.reduce((sum, inv) => sum + inv.currentValue, 0);
-    const totalSimulatedValue = simulationResults.reduce((sum, result) => sum + result.simulatedValue, 0);
-    const portfolioChangePercent = ((totalSimulatedValue - totalOriginalValue) / totalOriginalValue) * 100;
-
     res.json({
       data: {
-        simulationResults,
-        portfolioImpact: {
-          totalOriginalValue: Math.round(totalOriginalValue * 100) / 100,
-          totalSimulatedValue: Math.round(totalSimulatedValue * 100) / 100,
-          portfolioChangePercent: Math.round(portfolioChangePercent * 100) / 100
-        },
-        simulationType: simulationType || 'random'
+        ...results,
+        simulationType
       }
     });
   } catch (error) {
+    if (error.code === 'MISSING_FX_RATE' || error.code === 'INVALID_SIMULATION') {
+      return res.status(422).json({ error: error.message });
+    }
     console.error('Error running simulation:', error);
     res.status(500).json({ error: 'Failed to run simulation' });
   }
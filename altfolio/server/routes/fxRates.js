@@ -0,0 +1,114 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const FxRate = require('../models/FxRate');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const fxRateValidation = [
+  body('currency')
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a valid 3-letter ISO currency code')
+    .not()
+    .equals(FxRate.PIVOT_CURRENCY)
+    .withMessage(`Rates are quoted against ${FxRate.PIVOT_CURRENCY}; it does not need a rate`),
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number'),
+  body('source')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Source cannot exceed 100 characters')
+];
+
+router.get('/',
+  authenticateToken,
+  [
+    query('currency').optional().toUpperCase().isISO4217().withMessage('Currency must be a valid 3-letter ISO currency code'),
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { currency, from, to } = req.query;
+      const filter = {};
+      if (currency) filter.currency = currency;
+      if (from || to) {
+        filter.date = {};
+        if (from) filter.date.$gte = new Date(from);
+        if (to) filter.date.$lte = new Date(to);
+      }
+
+      const rates = await FxRate.find(filter).sort({ currency: 1, date: -1 });
+
+      res.json({
+        success: true,
+        pivotCurrency: FxRate.PIVOT_CURRENCY,
+        count: rates.length,
+        data: rates
+      });
+    } catch (error) {
+      console.error('Get FX rates error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+router.post('/', authenticateToken, requirePermission('fxRates:manage'), fxRateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { currency, date, rate, source } = req.body;
+    const fxRate = await FxRate.findOneAndUpdate(
+      { currency, date: new Date(date) },
+      { rate, source },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'FX rate saved successfully',
+      data: fxRate
+    });
+  } catch (error) {
+    console.error('Save FX rate error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.delete('/:id', authenticateToken, requirePermission('fxRates:manage'), async (req, res) => {
+  try {
+    const fxRate = await FxRate.findByIdAndDelete(req.params.id);
+    if (!fxRate) {
+      return res.status(404).json({ error: 'FX rate not found.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'FX rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete FX rate error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+module.exports = router;
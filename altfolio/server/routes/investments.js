@@ -1,8 +1,20 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, header, query, validationResult } = require('express-validator');
 const Investment = require('../models/Investment');
 const User = require('../models/User');
-const { authenticateToken, canAccessInvestment, validateInvestmentAmount, requireAdmin } = require('../middleware/auth');
+const Valuation = require('../models/Valuation');
+const CashFlow = require('../models/CashFlow');
+const AssetType = require('../models/AssetType');
+const AuditLog = require('../models/AuditLog');
+const Setting = require('../models/Setting');
+const FxRate = require('../models/FxRate');
+const { authenticateToken, canAccessInvestment, validateInvestmentAmount, requirePermission } = require('../middleware/auth');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const { GRANT_ACCESS, hasPermission } = require('../config/permissions');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { toCsv, toXlsx, toPdf } = require('../utils/exportFormats');
+const { auditInvestment, snapshot, diffSnapshots, CASH_FLOW_FIELDS } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -12,8 +24,43 @@ const investmentValidation = [
     .isLength({ min: 1, max: 100 })
     .withMessage('Asset name is required and must be between 1-100 characters'),
   body('assetType')
-    .isIn(['Startup', 'Crypto Fund', 'Farmland', 'Collectible', 'Other'])
-    .withMessage('Asset type must be one of: Startup, Crypto Fund, Farmland, Collectible, Other'),
+    .custom(async value => {
+      if (!(await AssetType.isValidType(value))) {
+        const names = await AssetType.getActiveNames();
+        throw new Error(`Asset type must be one of: ${names.join(', ')}`);
+      }
+      return true;
+    }),
+  body('assetSubtype')
+    .optional({ values: 'falsy' })
+    .custom(async (value, { req }) => {
+      if (!(await AssetType.isValidType(req.body.assetType, value))) {
+        throw new Error(`Asset subtype ${value} is not defined for ${req.body.assetType}`);
+      }
+      return true;
+    }),
+  body('attributes')
+    .custom(async (value, { req }) => {
+      if (value !== undefined && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+        throw new Error('Attributes must be an object');
+      }
+      const assetType = await AssetType.findOne({ name: req.body.assetType, isActive: true });
+      if (!assetType) return true;
+
+      const { values, errors } = assetType.validateAttributes(value);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+      if (value !== undefined) {
+        req.body.attributes = values;
+      }
+      return true;
+    }),
+  body('currency')
+    .optional()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a valid 3-letter ISO currency code'),
   body('investedAmount')
     .isFloat({ min: 0, max: 1000000000 })
     .withMessage('Invested amount must be a positive number and cannot exceed 1 billion'),
@@ -32,30 +79,163 @@ const investmentValidation = [
     .optional()
     .isLength({ max: 1000 })
     .withMessage('Notes cannot exceed 1000 characters'),
+  body('tags')
+    .optional()
+    .isArray({ max: Investment.MAX_TAGS })
+    .withMessage(`Tags must be an array of at most ${Investment.MAX_TAGS} labels`),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be between 1-30 characters'),
+  body('lockupEndDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Lockup end date must be a valid date'),
+  body('expectedExitDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expected exit date must be a valid date'),
   body('owners')
     .isArray({ min: 1 })
     .withMessage('At least one owner is required'),
   body('owners.*')
     .isMongoId()
-    .withMessage('Each owner must be a valid user ID')
+    .withMessage('Each owner must be a valid user ID'),
+  body('ownerShares')
+    .optional()
+    .isArray()
+    .withMessage('Ownership shares must be an array'),
+  body('ownerShares.*.user')
+    .isMongoId()
+    .withMessage('Each ownership share must reference a valid user ID'),
+  body('ownerShares.*.share')
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Each ownership share must be between 0 and 100')
+];
+
+// Clients send back the version they loaded, as an If-Match ETag or as __v, to detect edits made since
+const versionValidation = [
+  header('If-Match')
+    .optional()
+    .matches(/^(\*|(W\/)?"\d+")$/)
+    .withMessage('If-Match must be an ETag returned for this investment'),
+  body('__v')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version (__v) must be a non-negative integer')
+    .toInt()
+];
+
+const EDITABLE_FIELDS = [
+  'assetName',
+  'assetType',
+  'assetSubtype',
+  'attributes',
+  'currency',
+  'investedAmount',
+  'currentValue',
+  'investmentDate',
+  'description',
+  'notes',
+  'tags',
+  'lockupEndDate',
+  'expectedExitDate',
+  'owners',
+  'ownerShares'
+];
+
+const listValidation = [
+  query('assetType')
+    .optional()
+    .isString()
+    .trim(),
+  query('tag')
+    .optional()
+    .isString()
+    .trim(),
+  query(['minRoi', 'maxRoi'])
+    .optional()
+    .isFloat()
+    .withMessage('ROI bounds must be numbers')
+    .toFloat(),
+  query(['minAmount', 'maxAmount'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount bounds must be positive numbers')
+    .toFloat(),
+  query(['dateFrom', 'dateTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date bounds must be valid dates'),
+  query('owner')
+    .optional()
+    .isMongoId()
+    .withMessage('Owner must be a valid user ID'),
+  query('search')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search text cannot exceed 100 characters'),
+  query('sortBy')
+    .optional()
+    .isIn(Investment.SORT_FIELDS)
+    .withMessage(`Sort field must be one of: ${Investment.SORT_FIELDS.join(', ')}`),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
 ];
 
-router.get('/', authenticateToken, async (req, res) => {
+const DEFAULT_PAGE_SIZE = 25;
+
+// Tells the client whether it may offer editing for each investment it shows
+const withAccess = (investment, user) => ({
+  ...investment.toJSON(),
+  access: investment.accessFor(user)
+});
+
+router.get('/', authenticateToken, listValidation, async (req, res) => {
   try {
-    let query = { isActive: true };
-    
-    if (req.user.role !== 'admin') {
-      query.owners = req.user._id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
     }
 
-    const investments = await Investment.find(query)
-      .populate('owners', 'name email')
-      .sort({ investmentDate: -1 });
+    const { sortBy, sortOrder, page = 1, limit = DEFAULT_PAGE_SIZE, ...filters } = req.query;
+
+    const { investments, total } = await Investment.search(filters, {
+      userId: Investment.scopeFor(req.user),
+      sortBy,
+      sortOrder,
+      page,
+      limit
+    });
 
     res.json({
       success: true,
       count: investments.length,
-      data: investments
+      data: investments.map(investment => withAccess(investment, req.user)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
     });
   } catch (error) {
     console.error('Get investments error:', error);
@@ -65,79 +245,547 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-router.get('/portfolio/summary', authenticateToken, async (req, res) => {
+router.get('/portfolio/summary',
+  authenticateToken,
+  query('baseCurrency')
+    .optional()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Base currency must be a valid 3-letter ISO currency code'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = Investment.scopeFor(req.user);
+      const { baseCurrency } = req.query;
+      const portfolioTotals = await Investment.getPortfolioTotals(userId, baseCurrency);
+      const allocationByType = await Investment.getAllocationByType(userId, baseCurrency);
+      res.json({
+        success: true,
+        data: {
+          summary: portfolioTotals,
+          allocation: allocationByType
+        }
+      });
+    } catch (error) {
+      if (error.code === 'MISSING_FX_RATE') {
+        return res.status(422).json({ error: error.message });
+      }
+      console.error('Portfolio summary error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json', 'pdf'];
+
+const EXPORT_COLUMNS = [
+  { header: 'Asset Name', key: 'assetName', type: 'text', width: 2 },
+  { header: 'Asset Type', key: 'assetType', type: 'text', width: 1.2 },
+  { header: 'Asset Subtype', key: 'assetSubtype', type: 'text' },
+  { header: 'Attributes', key: 'attributes', type: 'text' },
+  { header: 'Currency', key: 'currency', type: 'text', width: 0.6 },
+  { header: 'Invested Amount', key: 'investedAmount', type: 'number' },
+  { header: 'Current Value', key: 'currentValue', type: 'number' },
+  { header: 'Distributed', key: 'distributedAmount', type: 'number' },
+  { header: 'ROI (%)', key: 'roi', type: 'percent', width: 0.7 },
+  { header: 'Gain/Loss', key: 'gain', type: 'number' },
+  { header: 'Investment Date', key: 'investmentDate', type: 'date' },
+  { header: 'Owners', key: 'owners', type: 'text' },
+  { header: 'Your Share (%)', key: 'yourShare', type: 'percent', width: 0.7 },
+  { header: 'Description', key: 'description', type: 'text' },
+  { header: 'Notes', key: 'notes', type: 'text' },
+  { header: 'Status', key: 'status', type: 'text' }
+];
+
+const PDF_COLUMN_KEYS = ['assetName', 'assetType', 'currency', 'investedAmount', 'currentValue', 'distributedAmount', 'roi', 'investmentDate', 'yourShare'];
+
+// Roles that read every investment export whole positions, as do users an investment is shared
+// with; owners who are limited to their own investments see amounts pro-rated to their share
+const exportShare = (investment, user) => {
+  const ownShare = investment.getOwnerShare(user._id);
+  return hasPermission(user, 'investments:read:all') || ownShare === 0 ? 1 : ownShare;
+};
+
+const buildExportRow = (investment, user, assetTypes) => {
+  const share = exportShare(investment, user);
+  return {
+    assetName: investment.assetName,
+    assetType: investment.assetType,
+    assetSubtype: investment.assetSubtype || '',
+    attributes: assetTypes.get(investment.assetType)?.describeAttributes(investment.attributes) || '',
+    currency: investment.currency || 'USD',
+    investedAmount: investment.investedAmount * share,
+    currentValue: investment.currentValue * share,
+    distributedAmount: (investment.distributedAmount || 0) * share,
+    roi: investment.roi,
+    gain: investment.absoluteGain * share,
+    investmentDate: investment.investmentDate,
+    owners: investment.owners
+      .map(owner => `${owner.name} (${(investment.getOwnerShare(owner._id) * 100).toFixed(2)}%)`)
+      .join(', '),
+    yourShare: investment.getOwnerShare(user._id) * 100,
+    description: investment.description || '',
+    notes: investment.notes || '',
+    status: investment.isActive ? 'Active' : 'Inactive'
+  };
+};
+
+const describeFilters = filters => {
+  const labels = {
+    assetType: 'type',
+    minRoi: 'min ROI',
+    maxRoi: 'max ROI',
+    minAmount: 'min invested',
+    maxAmount: 'max invested',
+    dateFrom: 'from',
+    dateTo: 'to',
+    owner: 'owner',
+    search: 'search'
+  };
+  return Object.entries(labels)
+    .filter(([key]) => filters[key] !== undefined && filters[key] !== '')
+    .map(([key, label]) => `${label} ${filters[key]}`);
+};
+
+router.get('/export',
+  authenticateToken,
+  listValidation,
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  query('baseCurrency')
+    .optional()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Base currency must be a valid 3-letter ISO currency code'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { sortBy, sortOrder, page, limit, format = 'csv', baseCurrency, ...filters } = req.query;
+      const userId = Investment.scopeFor(req.user);
+
+      const { investments } = await Investment.search(filters, { userId, sortBy, sortOrder });
+      const assetTypes = new Map(
+        (await AssetType.find()).map(assetType => [assetType.name, assetType])
+      );
+      const rows = investments.map(investment => buildExportRow(investment, req.user, assetTypes));
+      const filename = `investments_${new Date().toISOString().split('T')[0]}`;
+
+      if (format === 'json') {
+        return res.json({
+          success: true,
+          generatedAt: new Date(),
+          count: rows.length,
+          data: rows
+        });
+      }
+
+      if (format === 'xlsx') {
+        const buffer = await toXlsx(EXPORT_COLUMNS, rows);
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+        return res.send(buffer);
+      }
+
+      if (format === 'pdf') {
+        const series = await Investment.getCashFlowSeries(investments);
+        const converter = await FxRate.loadConverter(
+          investments.map(investment => investment.currency || FxRate.PIVOT_CURRENCY),
+          baseCurrency || FxRate.DEFAULT_BASE_CURRENCY
+        );
+        // Totals weight each investment like its row, so they add up to the table
+        const weight = investment => exportShare(investment, req.user);
+
+        const buffer = await toPdf({
+          title: 'Investment Statement',
+          preparedFor: req.user.name,
+          filters: describeFilters(filters),
+          summary: Investment.summarizeInBaseCurrency(investments, series, converter, { weight }),
+          allocation: Investment.allocateByType(investments, series, converter, { weight, assetTypes }),
+          columns: EXPORT_COLUMNS.filter(column => PDF_COLUMN_KEYS.includes(column.key)),
+          rows
+        });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        return res.send(buffer);
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      res.send(toCsv(EXPORT_COLUMNS, rows));
+    } catch (error) {
+      if (error.code === 'MISSING_FX_RATE') {
+        return res.status(422).json({ error: error.message });
+      }
+      console.error('Error exporting investments:', error);
+      res.status(500).json({ error: 'Failed to export investments' });
+    }
+  }
+);
+
+const IMPORT_FIELDS = ['assetName', 'assetType', 'assetSubtype', 'currency', 'investedAmount', 'currentValue', 'investmentDate', 'description', 'notes', 'owners'];
+const REQUIRED_IMPORT_FIELDS = ['assetName', 'investedAmount', 'currentValue'];
+const MAX_IMPORT_ROWS = 1000;
+
+const IMPORT_ALIASES = {
+  assetName: ['assetname', 'name', 'asset'],
+  assetType: ['assettype', 'type'],
+  assetSubtype: ['assetsubtype', 'subtype'],
+  currency: ['currency'],
+  investedAmount: ['investedamount', 'invested', 'cost', 'amount'],
+  currentValue: ['currentvalue', 'value', 'marketvalue'],
+  investmentDate: ['investmentdate', 'date'],
+  description: ['description'],
+  notes: ['notes'],
+  owners: ['owners', 'owneremails', 'owner', 'email']
+};
+
+const loadSpreadsheet = async (req, res) => {
   try {
-    const userId = req.user.role === 'admin' ? null : req.user._id;
-    const portfolioTotals = await Investment.getPortfolioTotals(userId);
-    const allocationByType = await Investment.getAllocationByType(userId);
+    const sheet = await readSpreadsheet(req.file);
+    if (sheet.rows.length === 0) {
+      res.status(400).json({ error: 'The file has no data rows.' });
+      return null;
+    }
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+      res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows.` });
+      return null;
+    }
+    return sheet;
+  } catch (error) {
+    res.status(400).json({ error: 'The file could not be read as CSV or XLSX.' });
+    return null;
+  }
+};
+
+const normalizeHeader = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const suggestMapping = (headers, attributeKeys) => {
+  const mapping = {};
+  const byName = new Map(headers.map(header => [normalizeHeader(header), header]));
+
+  for (const field of IMPORT_FIELDS) {
+    const alias = IMPORT_ALIASES[field].find(name => byName.has(name));
+    if (alias) mapping[field] = byName.get(alias);
+  }
+  for (const key of attributeKeys) {
+    const header = byName.get(normalizeHeader(key));
+    if (header) mapping[`attributes.${key}`] = header;
+  }
+  return mapping;
+};
+
+const toImportNumber = value => {
+  if (typeof value === 'number') return value;
+  const cleaned = String(value).replace(/[^0-9.-]/g, '');
+  return cleaned === '' ? value : Number(cleaned);
+};
+
+const toImportDate = value => {
+  if (value instanceof Date) return value.toISOString();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? value : date.toISOString();
+};
+
+// "a@example.com; b@example.com" or with shares "a@example.com:60; b@example.com:40"
+const parseOwnerEntries = value =>
+  String(value)
+    .split(/[;,]/)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [email, share] = entry.split(':').map(part => part.trim());
+      return { email: email.toLowerCase(), share: share === undefined ? undefined : Number(share) };
+    });
+
+// Runs an Express middleware against a stand-in request and resolves with its error message, if any
+const runRule = (middleware, req) => new Promise(resolve => {
+  const res = {
+    status: () => res,
+    json: payload => resolve(payload.error)
+  };
+  middleware(req, res, () => resolve(null));
+});
+
+const buildImportRow = async ({ rowNumber, values }, mapping, { user, usersByEmail }) => {
+  const body = {};
+  const errors = [];
+
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!column || values[column] === undefined) continue;
+    let value = values[column];
+    if (typeof value === 'string') value = value.trim();
+    if (value === '') continue;
+
+    if (field.startsWith('attributes.')) {
+      body.attributes = body.attributes || {};
+      body.attributes[field.slice('attributes.'.length)] = value instanceof Date ? value.toISOString() : value;
+    } else if (field === 'investedAmount' || field === 'currentValue') {
+      body[field] = toImportNumber(value);
+    } else if (field === 'investmentDate') {
+      body[field] = toImportDate(value);
+    } else {
+      body[field] = value instanceof Date ? value.toISOString() : String(value);
+    }
+  }
+
+  const ownerEntries = body.owners ? parseOwnerEntries(body.owners) : [{ email: user.email }];
+  const ownerEmails = ownerEntries.map(entry => entry.email);
+  body.owners = [];
+  for (const entry of ownerEntries) {
+    const owner = usersByEmail.get(entry.email);
+    if (owner) {
+      body.owners.push(owner._id.toString());
+    } else {
+      errors.push(`Unknown or inactive owner ${entry.email}`);
+    }
+  }
+  const sharedEntries = ownerEntries.filter(entry => entry.share !== undefined);
+  if (sharedEntries.length > 0) {
+    if (sharedEntries.length !== ownerEntries.length) {
+      errors.push('Give a share for every owner or for none');
+    } else if (errors.length === 0) {
+      body.ownerShares = ownerEntries.map((entry, index) => ({ user: body.owners[index], share: entry.share }));
+    }
+  }
+
+  // Same rules as a single create: the validation chain and the amount limit
+  const rowReq = { body, user };
+  await Promise.all(investmentValidation.map(validation => validation.run(rowReq)));
+  errors.push(...validationResult(rowReq).array().map(error => error.msg));
+
+  const amountError = await runRule(validateInvestmentAmount, rowReq);
+  if (amountError) errors.push(amountError);
+
+  let shares;
+  if (errors.length === 0) {
+    try {
+      shares = Investment.normalizeOwnerShares(body.owners, body.ownerShares);
+    } catch (shareError) {
+      errors.push(shareError.message);
+    }
+  }
+  if (!hasPermission(user, 'investments:read:all') && !body.owners.includes(user._id.toString())) {
+    errors.push('You can only import investments where you are an owner.');
+  }
+
+  return {
+    row: rowNumber,
+    errors,
+    data: {
+      assetName: body.assetName,
+      assetType: body.assetType,
+      assetSubtype: body.assetSubtype,
+      attributes: body.attributes,
+      currency: body.currency,
+      investedAmount: body.investedAmount,
+      currentValue: body.currentValue,
+      investmentDate: body.investmentDate,
+      description: body.description,
+      notes: body.notes,
+      owners: ownerEmails
+    },
+    investment: errors.length === 0
+      ? {
+          assetName: body.assetName,
+          assetType: body.assetType,
+          assetSubtype: body.assetSubtype,
+          attributes: body.attributes,
+          currency: body.currency,
+          investedAmount: body.investedAmount,
+          currentValue: body.currentValue,
+          investmentDate: body.investmentDate || new Date(),
+          description: body.description,
+          notes: body.notes,
+          owners: body.owners,
+          ownerShares: shares
+        }
+      : null
+  };
+};
+
+router.post('/import/preview', authenticateToken, requirePermission('investments:create'), uploadSpreadsheet, async (req, res) => {
+  try {
+    const sheet = await loadSpreadsheet(req, res);
+    if (!sheet) return;
+
+    const assetTypes = await AssetType.find({ isActive: true });
+    const attributeKeys = [...new Set(
+      assetTypes.flatMap(assetType => assetType.attributes.map(attribute => attribute.key))
+    )];
+
     res.json({
       success: true,
       data: {
-        summary: portfolioTotals,
-        allocation: allocationByType
+        headers: sheet.headers,
+        rowCount: sheet.rows.length,
+        sample: sheet.rows.slice(0, 5).map(row => row.values),
+        fields: [...IMPORT_FIELDS, ...attributeKeys.map(key => `attributes.${key}`)],
+        suggestedMapping: suggestMapping(sheet.headers, attributeKeys)
       }
     });
   } catch (error) {
-    console.error('Portfolio summary error:', error);
+    console.error('Preview import error:', error);
     res.status(500).json({ error: 'Internal server error.' });
   }
 });
 
-router.get('/export', authenticateToken, async (req, res) => {
+router.post('/import', authenticateToken, requirePermission('investments:create'), uploadSpreadsheet, async (req, res) => {
   try {
-    console.log('Export endpoint called');
-    const investments = await Investment.find({ isActive: true })
-      .populate('owners', 'name email')
-      .sort({ createdAt: -1 })
-      .exec();
-    console.log('Found investments:', investments.length);
-    const csvHeaders = [
-      'Asset Name',
-      'Asset Type',
-      'Invested Amount ($)',
-      'Current Value ($)',
-      'ROI (%)',
-      'Gain/Loss ($)',
-      'Investment Date',
-      'Owners',
-      'Description',
-      'Notes',
-      'Status'
-    ];
-    const csvRows = investments.map(investment => {
-      const roi = ((investment.currentValue - investment.investedAmount) / investment.investedAmount) * 100;
-      const gain = investment.currentValue - investment.investedAmount;
-      return [
-        investment.assetName,
-        investment.assetType,
-        investment.investedAmount.toFixed(2),
-        investment.currentValue.toFixed(2),
-        roi.toFixed(2),
-        gain.toFixed(2),
-        new Date(investment.investmentDate).toLocaleDateString(),
-        investment.owners.map(owner => owner.name).join(', '),
-        investment.description || '',
-        investment.notes || '',
-        investment.isActive ? 'Active' : 'Inactive'
-      ];
+    let mapping;
+    try {
+      mapping = JSON.parse(req.body.mapping || '{}');
+    } catch (parseError) {
+      return res.status(400).json({ error: 'Column mapping must be valid JSON.' });
+    }
+    if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+      return res.status(400).json({ error: 'Column mapping must map fields to column headers.' });
+    }
+    const missing = REQUIRED_IMPORT_FIELDS.filter(field => !mapping[field]);
+    if (missing.length > 0) {
+      return res.status(400).json({ error: `Column mapping is missing: ${missing.join(', ')}` });
+    }
+    const unknown = Object.keys(mapping).filter(
+      field => !IMPORT_FIELDS.includes(field) && !field.startsWith('attributes.')
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown import fields: ${unknown.join(', ')}` });
+    }
+
+    const sheet = await loadSpreadsheet(req, res);
+    if (!sheet) return;
+    const dryRun = req.body.dryRun !== 'false';
+
+    const emails = new Set([req.user.email]);
+    if (mapping.owners) {
+      for (const row of sheet.rows) {
+        const value = row.values[mapping.owners];
+        if (value) parseOwnerEntries(value).forEach(entry => emails.add(entry.email));
+      }
+    }
+    const users = await User.find({ email: { $in: [...emails] }, isActive: true });
+    const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+    const rows = [];
+    for (const row of sheet.rows) {
+      rows.push(await buildImportRow(row, mapping, { user: req.user, usersByEmail }));
+    }
+    const invalid = rows.filter(row => row.errors.length > 0).length;
+    const summary = {
+      total: rows.length,
+      valid: rows.length - invalid,
+      invalid,
+      rows: rows.map(({ investment, ...row }) => row)
+    };
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, data: summary });
+    }
+    if (invalid > 0) {
+      return res.status(400).json({
+        error: 'Import has invalid rows; nothing was imported.',
+        data: summary
+      });
+    }
+
+    // All rows are written or none are. IDs are assigned up front so a failure part-way
+    // knows exactly what to remove again
+    const documents = rows.map(row => ({ _id: new mongoose.Types.ObjectId(), ...row.investment }));
+    let created;
+    try {
+      created = await Investment.insertMany(documents);
+      // Imported values are marks as of the import, like the value entered on creation
+      const importedAt = new Date();
+      await Valuation.insertMany(created.map(investment => ({
+        investment: investment._id,
+        value: investment.currentValue,
+        effectiveDate: importedAt,
+        source: 'import',
+        author: req.user._id
+      })));
+      await CashFlow.insertMany(created
+        .filter(investment => investment.investedAmount > 0)
+        .map(investment => ({
+          investment: investment._id,
+          type: 'contribution',
+          category: 'initial',
+          amount: investment.investedAmount,
+          date: investment.investmentDate,
+          author: req.user._id,
+          notes: 'Imported'
+        })));
+    } catch (writeError) {
+      const ids = documents.map(document => document._id);
+      await Promise.all([
+        Investment.deleteMany({ _id: { $in: ids } }),
+        Valuation.deleteMany({ investment: { $in: ids } }),
+        CashFlow.deleteMany({ investment: { $in: ids } })
+      ]);
+      throw writeError;
+    }
+    for (const investment of created) {
+      await auditInvestment(req, 'create', null, investment, { summary: 'Imported from spreadsheet' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${created.length} investments`,
+      count: created.length,
+      data: created
     });
-    const csvContent = [csvHeaders, ...csvRows]
-      .map(row => row.map(field => `"${field}"`).join(','))
-      .join('\n');
-    console.log('CSV content generated, length:', csvContent.length);
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="investments_${new Date().toISOString().split('T')[0]}.csv"`);
-    res.send(csvContent);
   } catch (error) {
-    console.error('Error exporting investments:', error);
-    res.status(500).json({ error: 'Failed to export investments' });
+    console.error('Import investments error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
   }
 });
 
-router.get('/:id', authenticateToken, canAccessInvestment, async (req, res) => {
+// Deleted investments the caller can see, with when each will be purged under the retention setting
+router.get('/trash', authenticateToken, async (req, res) => {
+  try {
+    const [investments, retentionDays] = await Promise.all([
+      Investment.findTrash(Investment.scopeFor(req.user)),
+      Setting.getValue('trashRetentionDays')
+    ]);
+
+    res.json({
+      success: true,
+      count: investments.length,
+      retentionDays,
+      data: investments.map(investment => ({
+        ...withAccess(investment, req.user),
+        purgeAt: retentionDays > 0
+          ? new Date((investment.deletedAt || investment.updatedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000)
+          : null
+      }))
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+router.get('/:id', authenticateToken, canAccessInvestment('read'), async (req, res) => {
   try {
     const investment = await Investment.findById(req.params.id)
-      .populate('owners', 'name email');
+      .populate('owners', 'name email')
+      .populate('grants.user', 'name email');
 
     if (!investment) {
       return res.status(404).json({
@@ -145,9 +793,10 @@ router.get('/:id', authenticateToken, canAccessInvestment, async (req, res) => {
       });
     }
 
+    res.set('ETag', Investment.etagFor(investment));
     res.json({
       success: true,
-      data: investment
+      data: withAccess(investment, req.user)
     });
   } catch (error) {
     console.error('Get investment error:', error);
@@ -159,6 +808,7 @@ router.get('/:id', authenticateToken, canAccessInvestment, async (req, res) => {
 
 router.post('/', 
   authenticateToken,
+  requirePermission('investments:create'),
   validateInvestmentAmount,
   investmentValidation,
   async (req, res) => {
@@ -171,7 +821,7 @@ router.post('/',
         });
       }
 
-      const { assetName, assetType, investedAmount, currentValue, investmentDate, description, notes, owners } = req.body;
+      const { assetName, assetType, assetSubtype, attributes, currency, investedAmount, currentValue, investmentDate, description, notes, tags, lockupEndDate, expectedExitDate, owners, ownerShares } = req.body;
 
       const ownerUsers = await User.find({ 
         _id: { $in: owners }, 
@@ -184,7 +834,14 @@ router.post('/',
         });
       }
 
-      if (req.user.role !== 'admin' && !owners.includes(req.user._id.toString())) {
+      let shares;
+      try {
+        shares = Investment.normalizeOwnerShares(owners, ownerShares);
+      } catch (shareError) {
+        return res.status(400).json({ error: shareError.message });
+      }
+
+      if (!hasPermission(req.user, 'investments:read:all') && !owners.includes(req.user._id.toString())) {
         return res.status(403).json({
           error: 'You can only create investments where you are an owner.'
         });
@@ -193,15 +850,39 @@ router.post('/',
       const investment = new Investment({
         assetName,
         assetType,
+        assetSubtype,
+        attributes,
+        currency,
         investedAmount,
         currentValue,
         investmentDate: investmentDate || new Date(),
         description,
         notes,
-        owners
+        tags,
+        lockupEndDate,
+        expectedExitDate,
+        owners,
+        ownerShares: shares
       });
 
       await investment.save();
+      // The current value is known today, not as of the purchase date. Dating it earlier would let
+      // any backfilled mark since the purchase count as later and replace it
+      await Valuation.record(investment, investment.currentValue, {
+        source: 'initial',
+        author: req.user._id
+      });
+      if (investment.investedAmount > 0) {
+        await CashFlow.create({
+          investment: investment._id,
+          type: 'contribution',
+          category: 'initial',
+          amount: investment.investedAmount,
+          date: investment.investmentDate,
+          author: req.user._id
+        });
+      }
+      await auditInvestment(req, 'create', null, investment);
 
       const populatedInvestment = await Investment.findById(investment._id)
         .populate('owners', 'name email');
@@ -209,7 +890,7 @@ router.post('/',
       res.status(201).json({
         success: true,
         message: 'Investment created successfully',
-        data: populatedInvestment
+        data: withAccess(populatedInvestment, req.user)
       });
     } catch (error) {
       console.error('Create investment error:', error);
@@ -220,11 +901,224 @@ router.post('/',
   }
 );
 
+// True when the normalized shares give the investment different owners or proportions
+const changesOwnership = (investment, shares) => {
+  const current = investment.owners.map(owner => owner.toString()).sort();
+  const next = shares.map(entry => entry.user).sort();
+  return current.join() !== next.join()
+    || shares.some(entry => Math.abs(investment.getOwnerShare(entry.user) * 100 - entry.share) > 0.01);
+};
+
+// Shared by PUT and PATCH. PATCH fills in the fields it leaves out beforehand and sets req.changedFields
+const updateInvestment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { assetName, assetType, assetSubtype, attributes, currency, investedAmount, currentValue, investmentDate, description, notes, tags, lockupEndDate, expectedExitDate, owners, ownerShares } = req.body;
+
+    const ownerUsers = await User.find({ 
+      _id: { $in: owners }, 
+      isActive: true 
+    });
+
+    if (ownerUsers.length !== owners.length) {
+      return res.status(400).json({
+        error: 'One or more specified owners do not exist or are inactive.'
+      });
+    }
+
+    let shares;
+    try {
+      shares = Investment.normalizeOwnerShares(owners, ownerShares);
+    } catch (shareError) {
+      return res.status(400).json({ error: shareError.message });
+    }
+
+    if (!hasPermission(req.user, 'investments:share') && changesOwnership(req.investment, shares)) {
+      return res.status(403).json({
+        error: 'Your role does not allow changing the owners of this investment.'
+      });
+    }
+
+    const update = {
+      assetName,
+      assetType,
+      assetSubtype,
+      attributes,
+      currency,
+      investedAmount,
+      currentValue,
+      investmentDate,
+      description,
+      notes,
+      tags,
+      lockupEndDate,
+      expectedExitDate,
+      owners,
+      ownerShares: shares
+    };
+
+    if (!investmentDate) {
+      delete update.investmentDate;
+    }
+
+    // Attributes belong to the asset type, so a type change without new values clears them
+    if (attributes === undefined) {
+      if (assetType === req.investment.assetType) {
+        delete update.attributes;
+      } else {
+        update.attributes = {};
+      }
+    }
+
+    // Once an investment has a ledger, its invested amount is derived from the cash flows
+    if (await CashFlow.exists({ investment: req.params.id })) {
+      delete update.investedAmount;
+    }
+
+    if (req.changedFields) {
+      Object.keys(update)
+        .filter(field => !req.changedFields.has(field))
+        .forEach(field => delete update[field]);
+    }
+
+    const updatedInvestment = await Investment.updateIfCurrent(req.params.id, expectedVersion(req), update);
+    if (!updatedInvestment) {
+      return conflictResponse(req, res);
+    }
+    await updatedInvestment.populate('owners', 'name email');
+
+    if (req.investment.currentValue !== updatedInvestment.currentValue) {
+      await Valuation.record(updatedInvestment, updatedInvestment.currentValue, {
+        source: 'update',
+        author: req.user._id
+      });
+    }
+    await auditInvestment(req, 'update', req.investment, updatedInvestment);
+
+    res.set('ETag', Investment.etagFor(updatedInvestment));
+    res.json({
+      success: true,
+      message: 'Investment updated successfully',
+      data: withAccess(updatedInvestment, req.user)
+    });
+  } catch (error) {
+    console.error('Update investment error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+};
+
+// The version the client last loaded; undefined (no check) when it sent neither If-Match nor __v
+const expectedVersion = req => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    return ifMatch === '*' ? undefined : Number(ifMatch.match(/\d+/)[0]);
+  }
+  return req.body.__v;
+};
+
+// Sent when the investment changed after the client loaded it, with the current state to reconcile against
+const conflictResponse = async (req, res) => {
+  const current = await Investment.findOne({ _id: req.params.id, isActive: true })
+    .populate('owners', 'name email');
+  if (!current) {
+    return res.status(404).json({ error: 'Investment not found.' });
+  }
+
+  res.set('ETag', Investment.etagFor(current));
+  res.status(409).json({
+    error: 'This investment was changed by someone else after you loaded it.',
+    code: 'VERSION_CONFLICT',
+    data: withAccess(current, req.user)
+  });
+};
+
+// Fills the fields a PATCH leaves out from the stored investment so the full validation applies,
+// and records which fields to write. A new asset type resets the subtype and attributes, and new owners the shares
+const fillFromCurrent = (req, res, next) => {
+  const current = JSON.parse(JSON.stringify(req.investment.toObject({ depopulate: true, virtuals: false })));
+  const changedFields = new Set(EDITABLE_FIELDS.filter(field => req.body[field] !== undefined));
+  if (changedFields.size === 0) {
+    return res.status(400).json({
+      error: `Provide at least one field to update: ${EDITABLE_FIELDS.join(', ')}`
+    });
+  }
+
+  if (changedFields.has('assetType') && req.body.assetType !== current.assetType) {
+    changedFields.add('assetSubtype');
+    changedFields.add('attributes');
+  }
+  if (changedFields.has('owners')) {
+    changedFields.add('ownerShares');
+  }
+
+  EDITABLE_FIELDS
+    .filter(field => !changedFields.has(field) && current[field] !== undefined)
+    .forEach(field => {
+      req.body[field] = current[field];
+    });
+  req.changedFields = changedFields;
+  next();
+};
+
 router.put('/:id',
   authenticateToken,
-  canAccessInvestment,
+  canAccessInvestment('edit'),
   validateInvestmentAmount,
+  versionValidation,
   investmentValidation,
+  updateInvestment
+);
+
+router.patch('/:id',
+  authenticateToken,
+  canAccessInvestment('edit'),
+  fillFromCurrent,
+  validateInvestmentAmount,
+  versionValidation,
+  investmentValidation,
+  updateInvestment
+);
+
+router.get('/:id/grants', authenticateToken, canAccessInvestment('read'), async (req, res) => {
+  try {
+    await req.investment.populate('grants.user', 'name email');
+
+    res.json({
+      success: true,
+      count: req.investment.grants.length,
+      data: req.investment.grants
+    });
+  } catch (error) {
+    console.error('Get grants error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Replaces who the investment is shared with. Owners can be listed too, to give them edit access
+router.put('/:id/grants',
+  authenticateToken,
+  requirePermission('investments:share'),
+  canAccessInvestment('edit'),
+  [
+    body('grants')
+      .isArray()
+      .withMessage('Grants must be an array'),
+    body('grants.*.user')
+      .isMongoId()
+      .withMessage('Each grant needs a valid user ID'),
+    body('grants.*.access')
+      .isIn(GRANT_ACCESS)
+      .withMessage(`Access must be one of: ${GRANT_ACCESS.join(', ')}`)
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -235,47 +1129,388 @@ router.put('/:id',
         });
       }
 
-      const { assetName, assetType, investedAmount, currentValue, investmentDate, description, notes, owners } = req.body;
+      const grants = req.body.grants.map(grant => ({ user: grant.user.toString(), access: grant.access }));
+      const userIds = grants.map(grant => grant.user);
+      if (new Set(userIds).size !== userIds.length) {
+        return res.status(400).json({ error: 'Each user can only be granted access once.' });
+      }
+      if (await User.countDocuments({ _id: { $in: userIds }, isActive: true }) !== userIds.length) {
+        return res.status(400).json({
+          error: 'One or more specified users do not exist or are inactive.'
+        });
+      }
 
-      const ownerUsers = await User.find({ 
-        _id: { $in: owners }, 
-        isActive: true 
+      const before = req.investment.toObject();
+      req.investment.grants = grants;
+      await req.investment.save();
+      await auditInvestment(req, 'update', before, req.investment, { summary: 'Sharing updated' });
+      await req.investment.populate('grants.user', 'name email');
+
+      res.json({
+        success: true,
+        message: 'Sharing updated successfully',
+        count: req.investment.grants.length,
+        data: req.investment.grants
       });
+    } catch (error) {
+      console.error('Update grants error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
 
-      if (ownerUsers.length !== owners.length) {
+// Change history from the audit log, newest first
+router.get('/:id/history', authenticateToken, canAccessInvestment('read'), async (req, res) => {
+  try {
+    const entries = await AuditLog.find({ entityType: 'investment', entity: req.investment._id })
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Get investment history error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+router.get('/:id/metrics',
+  authenticateToken,
+  canAccessInvestment('read'),
+  query('asOf')
+    .optional()
+    .isISO8601()
+    .withMessage('As-of must be a valid date'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
-          error: 'One or more specified owners do not exist or are inactive.'
+          error: 'Validation failed',
+          details: errors.array()
         });
       }
 
-      if (req.user.role !== 'admin' && !owners.includes(req.user._id.toString())) {
-        return res.status(403).json({
-          error: 'You cannot remove yourself as an owner of this investment.'
+      const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+      const series = await Investment.getCashFlowSeries([req.investment]);
+
+      res.json({
+        success: true,
+        data: {
+          roi: req.investment.roi,
+          ...Investment.calculateGroupMetrics([req.investment], series, { asOf })
+        }
+      });
+    } catch (error) {
+      console.error('Get investment metrics error:', error);
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    }
+  }
+);
+
+const valuationValidation = [
+  body('valuations')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Valuations must be a non-empty array of at most 500 entries'),
+  body('valuations.*.value')
+    .isFloat({ min: 0, max: 1000000000 })
+    .withMessage('Each value must be a positive number and cannot exceed 1 billion'),
+  body('valuations.*.effectiveDate')
+    .isISO8601()
+    .withMessage('Each valuation must have a valid effective date'),
+  body('valuations.*.notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const valuationQueryValidation = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date bounds must be valid dates'),
+  query('asOf')
+    .optional()
+    .isISO8601()
+    .withMessage('As-of must be a valid date')
+];
+
+router.get('/:id/valuations', authenticateToken, canAccessInvestment('read'), valuationQueryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { from, to, asOf } = req.query;
+
+    if (asOf) {
+      const value = await Valuation.getValueAsOf(req.investment._id, asOf);
+      return res.json({
+        success: true,
+        data: { asOf: new Date(asOf), value }
+      });
+    }
+
+    const valuations = await Valuation.getHistory(req.investment._id, { from, to });
+
+    res.json({
+      success: true,
+      count: valuations.length,
+      data: valuations
+    });
+  } catch (error) {
+    console.error('Get valuations error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+router.post('/:id/valuations',
+  authenticateToken,
+  canAccessInvestment('edit'),
+  valuationValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
         });
       }
 
-      const updatedInvestment = await Investment.findByIdAndUpdate(
-        req.params.id,
-        {
-          assetName,
-          assetType,
-          investedAmount,
-          currentValue,
-          investmentDate: investmentDate || new Date(),
-          description,
-          notes,
-          owners
-        },
+      // Investments created before valuation history existed have no marks yet. Keep their live value
+      // on record first, or the first backfilled mark would count as the latest and replace it
+      if (!(await Valuation.exists({ investment: req.investment._id }))) {
+        await Valuation.record(req.investment, req.investment.currentValue, {
+          effectiveDate: req.investment.updatedAt || req.investment.createdAt,
+          source: 'update'
+        });
+      }
+
+      const valuations = await Valuation.insertMany(
+        req.body.valuations.map(entry => ({
+          investment: req.investment._id,
+          value: entry.value,
+          effectiveDate: entry.effectiveDate,
+          source: 'backfill',
+          author: req.user._id,
+          notes: entry.notes
+        }))
+      );
+
+      // A backfilled mark only becomes the current value when it is the latest one on record
+      const latest = await Valuation.findOne({ investment: req.investment._id })
+        .sort({ effectiveDate: -1, createdAt: -1 });
+      let updated = req.investment;
+      if (latest && latest.value !== req.investment.currentValue) {
+        updated = await Investment.findByIdAndUpdate(
+          req.investment._id,
+          { currentValue: latest.value, $inc: { __v: 1 } },
+          { new: true }
+        );
+      }
+      await auditInvestment(req, 'update', req.investment, updated, {
+        summary: `Backfilled ${valuations.length} valuation(s)`
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${valuations.length} valuation(s) recorded successfully`,
+        count: valuations.length,
+        data: valuations
+      });
+    } catch (error) {
+      console.error('Backfill valuations error:', error);
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    }
+  }
+);
+
+const cashFlowValidation = [
+  body('type')
+    .isIn(['contribution', 'distribution'])
+    .withMessage('Cash flow type must be one of: contribution, distribution'),
+  body('category')
+    .optional()
+    .isIn([...CashFlow.CONTRIBUTION_CATEGORIES, ...CashFlow.DISTRIBUTION_CATEGORIES, 'other'])
+    .withMessage('Invalid cash flow category'),
+  body('amount')
+    .isFloat({ min: 0.01, max: 1000000000 })
+    .withMessage('Amount must be a positive number and cannot exceed 1 billion'),
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const checkContributionLimit = async (req, res, next) => {
+  try {
+    if (hasPermission(req.user, 'investments:unlimited') || req.body.type !== 'contribution') {
+      return next();
+    }
+
+    const totals = await CashFlow.getTotals(req.investment._id);
+    let contributed = totals.contributed + Number(req.body.amount);
+    if (req.params.flowId) {
+      const existing = await CashFlow.findOne({ _id: req.params.flowId, investment: req.investment._id });
+      if (existing && existing.type === 'contribution') {
+        contributed -= existing.amount;
+      }
+    }
+
+    if (contributed > 1000000) {
+      return res.status(400).json({
+        error: 'Investment amount cannot exceed $1,000,000 for your role.'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Contribution limit check error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+};
+
+router.get('/:id/cashflows', authenticateToken, canAccessInvestment('read'), async (req, res) => {
+  try {
+    const cashFlows = await CashFlow.find({ investment: req.investment._id })
+      .populate('author', 'name email')
+      .sort({ date: 1, createdAt: 1 });
+    const totals = await CashFlow.getTotals(req.investment._id);
+
+    res.json({
+      success: true,
+      count: cashFlows.length,
+      data: cashFlows,
+      totals
+    });
+  } catch (error) {
+    console.error('Get cash flows error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+router.post('/:id/cashflows',
+  authenticateToken,
+  canAccessInvestment('edit'),
+  cashFlowValidation,
+  checkContributionLimit,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      // Legacy investments have no ledger yet; seed it so the existing invested amount is not lost
+      if (!(await CashFlow.exists({ investment: req.investment._id })) && req.investment.investedAmount > 0) {
+        await CashFlow.create({
+          investment: req.investment._id,
+          type: 'contribution',
+          category: 'initial',
+          amount: req.investment.investedAmount,
+          date: req.investment.investmentDate,
+          author: req.user._id
+        });
+      }
+
+      const { type, category, amount, date, notes } = req.body;
+      const cashFlow = await CashFlow.create({
+        investment: req.investment._id,
+        type,
+        category,
+        amount,
+        date,
+        notes,
+        author: req.user._id
+      });
+      const investment = await CashFlow.syncInvestmentTotals(req.investment._id);
+      await auditInvestment(req, 'update', req.investment, investment, {
+        summary: `Recorded ${type}`,
+        changes: diffSnapshots({}, snapshot(cashFlow, CASH_FLOW_FIELDS), 'cashFlow.')
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Cash flow recorded successfully',
+        data: cashFlow,
+        investment
+      });
+    } catch (error) {
+      console.error('Create cash flow error:', error);
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    }
+  }
+);
+
+router.put('/:id/cashflows/:flowId',
+  authenticateToken,
+  canAccessInvestment('edit'),
+  cashFlowValidation,
+  checkContributionLimit,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { type, category, amount, date, notes } = req.body;
+      const previous = await CashFlow.findOne({ _id: req.params.flowId, investment: req.investment._id });
+      const cashFlow = previous && await CashFlow.findByIdAndUpdate(
+        previous._id,
+        { type, category, amount, date, notes },
         { new: true, runValidators: true }
-      ).populate('owners', 'name email');
+      );
+
+      if (!cashFlow) {
+        return res.status(404).json({
+          error: 'Cash flow not found.'
+        });
+      }
+
+      const investment = await CashFlow.syncInvestmentTotals(req.investment._id);
+      await auditInvestment(req, 'update', req.investment, investment, {
+        summary: `Edited ${cashFlow.type}`,
+        changes: diffSnapshots(snapshot(previous, CASH_FLOW_FIELDS), snapshot(cashFlow, CASH_FLOW_FIELDS), 'cashFlow.')
+      });
 
       res.json({
         success: true,
-        message: 'Investment updated successfully',
-        data: updatedInvestment
+        message: 'Cash flow updated successfully',
+        data: cashFlow,
+        investment
       });
     } catch (error) {
-      console.error('Update investment error:', error);
+      console.error('Update cash flow error:', error);
       res.status(500).json({
         error: 'Internal server error.'
       });
@@ -283,17 +1518,50 @@ router.put('/:id',
   }
 );
 
-router.delete('/:id', authenticateToken, canAccessInvestment, async (req, res) => {
+router.delete('/:id/cashflows/:flowId', authenticateToken, canAccessInvestment('edit'), async (req, res) => {
+  try {
+    const cashFlow = await CashFlow.findOneAndDelete({
+      _id: req.params.flowId,
+      investment: req.investment._id
+    });
+
+    if (!cashFlow) {
+      return res.status(404).json({
+        error: 'Cash flow not found.'
+      });
+    }
+
+    const investment = await CashFlow.syncInvestmentTotals(req.investment._id);
+    await auditInvestment(req, 'update', req.investment, investment, {
+      summary: `Deleted ${cashFlow.type}`,
+      changes: diffSnapshots(snapshot(cashFlow, CASH_FLOW_FIELDS), {}, 'cashFlow.')
+    });
+
+    res.json({
+      success: true,
+      message: 'Cash flow deleted successfully',
+      investment
+    });
+  } catch (error) {
+    console.error('Delete cash flow error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+router.delete('/:id', authenticateToken, requirePermission('investments:delete'), canAccessInvestment('edit'), async (req, res) => {
   try {
     const investment = await Investment.findByIdAndUpdate(
       req.params.id,
-      { isActive: false },
+      { isActive: false, deletedAt: new Date(), deletedBy: req.user._id },
       { new: true }
     );
+    await auditInvestment(req, 'delete', req.investment, investment);
 
     res.json({
       success: true,
-      message: 'Investment deleted successfully'
+      message: 'Investment deleted successfully. It can be restored from the trash.'
     });
   } catch (error) {
     console.error('Delete investment error:', error);
@@ -303,4 +1571,54 @@ router.delete('/:id', authenticateToken, canAccessInvestment, async (req, res) =
   }
 });
 
+router.post('/:id/restore',
+  authenticateToken,
+  requirePermission('investments:delete'),
+  canAccessInvestment('edit', { trashed: true }),
+  async (req, res) => {
+    try {
+      const investment = await Investment.findByIdAndUpdate(
+        req.params.id,
+        { isActive: true, deletedAt: null, deletedBy: null },
+        { new: true }
+      ).populate('owners', 'name email');
+      await auditInvestment(req, 'restore', req.investment, investment);
+
+      res.json({
+        success: true,
+        message: 'Investment restored successfully',
+        data: withAccess(investment, req.user)
+      });
+    } catch (error) {
+      console.error('Restore investment error:', error);
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    }
+  }
+);
+
+// Removes a trashed investment with its valuations and cash flows for good; the audit log keeps its history
+router.delete('/:id/purge',
+  authenticateToken,
+  requirePermission('investments:purge'),
+  canAccessInvestment('edit', { trashed: true }),
+  async (req, res) => {
+    try {
+      await Investment.purge([req.investment._id]);
+      await auditInvestment(req, 'purge', req.investment, null);
+
+      res.json({
+        success: true,
+        message: 'Investment permanently deleted'
+      });
+    } catch (error) {
+      console.error('Purge investment error:', error);
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    }
+  }
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,134 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Scenario = require('../models/Scenario');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const scenarioValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Scenario name is required and must be between 1-100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('shocks')
+    .isArray({ min: 1, max: Scenario.MAX_SHOCKS })
+    .withMessage(`A scenario needs between 1 and ${Scenario.MAX_SHOCKS} shocks`),
+  body('shocks.*.target')
+    .isIn(Scenario.SHOCK_TARGETS)
+    .withMessage(`Each shock target must be one of: ${Scenario.SHOCK_TARGETS.join(', ')}`),
+  body('shocks.*.key')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each shock needs an asset type, investment or tag'),
+  body('shocks.*.changePercent')
+    .isFloat({ min: -100, max: 1000 })
+    .withMessage('Each shock must change values by between -100% and +1000%')
+    .toFloat()
+];
+
+router.get('/', authenticateToken, requirePermission('simulations:run'), async (req, res) => {
+  try {
+    const scenarios = await Scenario.find()
+      .populate('createdBy', 'name email')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: scenarios.length,
+      data: scenarios
+    });
+  } catch (error) {
+    console.error('Get scenarios error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.post('/', authenticateToken, requirePermission('simulations:run'), scenarioValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, description, shocks } = req.body;
+    if (await Scenario.exists({ name })) {
+      return res.status(409).json({ error: `Scenario ${name} already exists.` });
+    }
+
+    const scenario = await Scenario.create({ name, description, shocks, createdBy: req.user._id });
+    await scenario.populate('createdBy', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Scenario created successfully',
+      data: scenario
+    });
+  } catch (error) {
+    console.error('Create scenario error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.put('/:id', authenticateToken, requirePermission('simulations:run'), scenarioValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const scenario = await Scenario.findById(req.params.id);
+    if (!scenario) {
+      return res.status(404).json({ error: 'Scenario not found.' });
+    }
+
+    const { name, description, shocks } = req.body;
+    if (name !== scenario.name && await Scenario.exists({ name })) {
+      return res.status(409).json({ error: `Scenario ${name} already exists.` });
+    }
+
+    scenario.name = name;
+    scenario.description = description;
+    scenario.shocks = shocks;
+    await scenario.save();
+    await scenario.populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      message: 'Scenario updated successfully',
+      data: scenario
+    });
+  } catch (error) {
+    console.error('Update scenario error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.delete('/:id', authenticateToken, requirePermission('simulations:run'), async (req, res) => {
+  try {
+    const scenario = await Scenario.findByIdAndDelete(req.params.id);
+    if (!scenario) {
+      return res.status(404).json({ error: 'Scenario not found.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scenario deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete scenario error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+module.exports = router;
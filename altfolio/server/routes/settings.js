@@ -0,0 +1,105 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await Setting.getAll()
+    });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.put('/',
+  authenticateToken,
+  requirePermission('settings:manage'),
+  [
+    body('requireTwoFactorForAdmins')
+      .optional()
+      .isBoolean()
+      .withMessage('requireTwoFactorForAdmins must be a boolean')
+      .toBoolean(),
+    body('trashRetentionDays')
+      .optional()
+      .isInt({ min: 0, max: 3650 })
+      .withMessage('trashRetentionDays must be a whole number of days between 0 and 3650')
+      .toInt(),
+    body('riskThresholds')
+      .optional()
+      .isObject()
+      .withMessage('riskThresholds must be an object'),
+    body([
+      'riskThresholds.maxInvestmentPercent',
+      'riskThresholds.maxAssetTypePercent',
+      'riskThresholds.maxOwnerPercent',
+      'riskThresholds.maxVintagePercent',
+      'riskThresholds.minLiquidPercent'
+    ])
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Risk thresholds for shares must be percentages between 0 and 100')
+      .toFloat(),
+    body('riskThresholds.maxHerfindahl')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('riskThresholds.maxHerfindahl must be between 0 and 1')
+      .toFloat()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { requireTwoFactorForAdmins, trashRetentionDays, riskThresholds } = req.body;
+      if (requireTwoFactorForAdmins !== undefined) {
+        // Otherwise the admin switching it on would be sent to enrolment on their next refresh
+        if (requireTwoFactorForAdmins && !req.user.twoFactor.enabled) {
+          return res.status(400).json({ error: 'Enable two-factor authentication on your own account before requiring it for admins.' });
+        }
+        await Setting.setValue('requireTwoFactorForAdmins', requireTwoFactorForAdmins, req.user._id);
+      }
+      if (trashRetentionDays !== undefined) {
+        await Setting.setValue('trashRetentionDays', trashRetentionDays, req.user._id);
+      }
+      if (riskThresholds !== undefined) {
+        // Only known thresholds are kept; the ones left out stay as they were
+        const current = await Setting.getRiskThresholds();
+        const changed = Object.keys(current)
+          .filter(key => riskThresholds[key] !== undefined)
+          .reduce((values, key) => ({ ...values, [key]: riskThresholds[key] }), {});
+        await Setting.setValue('riskThresholds', { ...current, ...changed }, req.user._id);
+      }
+
+      const settings = await Setting.getAll();
+      const adminsWithoutTwoFactor = settings.requireTwoFactorForAdmins
+        ? await User.countDocuments({ role: 'admin', isActive: true, 'twoFactor.enabled': { $ne: true } })
+        : 0;
+
+      res.json({
+        success: true,
+        message: adminsWithoutTwoFactor > 0
+          ? `Settings updated. ${adminsWithoutTwoFactor} admin(s) will have to set up two-factor authentication at their next login.`
+          : 'Settings updated successfully',
+        data: settings
+      });
+    } catch (error) {
+      console.error('Update settings error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+module.exports = router;
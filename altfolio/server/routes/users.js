@@ -0,0 +1,427 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLE_PERMISSIONS, ROLES, permissionsFor } = require('../config/permissions');
+const { sendInviteEmail } = require('../utils/mailer');
+const { auditUser } = require('../utils/audit');
+
+const router = express.Router();
+
+// Roles that can manage users; the last active account holding one must not be locked out
+const USER_MANAGER_ROLES = ROLES.filter(role => permissionsFor(role).includes('users:manage'));
+
+// A malformed id cannot match anything; answer 400 rather than letting the lookup throw
+const requireValidId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid ID.' });
+  }
+  next();
+};
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const userValidation = (isUpdate = false) => [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name is required and must be between 1-50 characters'),
+  body('email')
+    .trim()
+    .toLowerCase()
+    .isEmail()
+    .withMessage('A valid email is required'),
+  body('password')
+    .if(value => !isUpdate || value !== undefined)
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters'),
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// True when the change would leave no active user able to manage the system
+const removesLastAdmin = async (user, { role, isActive }) => {
+  if (!USER_MANAGER_ROLES.includes(user.role) || !user.isActive) return false;
+  const demoted = role !== undefined && !USER_MANAGER_ROLES.includes(role);
+  const deactivated = isActive === false;
+  if (!demoted && !deactivated) return false;
+
+  const otherAdmins = await User.countDocuments({ _id: { $ne: user._id }, role: { $in: USER_MANAGER_ROLES }, isActive: true });
+  return otherAdmins === 0;
+};
+
+// Owner picker for any logged-in user: matches active users by name or email
+router.get('/lookup',
+  authenticateToken,
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search text must be between 2-100 characters'),
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+      const users = await User.find({
+        isActive: true,
+        $or: [{ name: pattern }, { email: pattern }]
+      })
+        .select('name email')
+        .sort({ name: 1 })
+        .limit(10);
+
+      res.json({
+        success: true,
+        count: users.length,
+        data: users
+      });
+    } catch (error) {
+      console.error('User lookup error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+// The permission matrix, so the admin screens can describe what each role may do
+router.get('/roles', authenticateToken, requirePermission('users:manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: ROLES.map(name => ({ name, permissions: ROLE_PERMISSIONS[name] })),
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+    }
+  });
+});
+
+router.get('/invites', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const invites = await UserToken.find({ purpose: 'invite', usedAt: null, expiresAt: { $gt: new Date() } })
+      .select('email role createdBy expiresAt createdAt')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: invites.length,
+      data: invites
+    });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.post('/invites',
+  authenticateToken,
+  requirePermission('users:manage'),
+  [
+    body('email')
+      .trim()
+      .toLowerCase()
+      .isEmail()
+      .withMessage('A valid email is required'),
+    body('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { email, role = 'viewer' } = req.body;
+      if (await User.exists({ email })) {
+        return res.status(409).json({ error: `A user with email ${email} already exists.` });
+      }
+
+      // Re-inviting replaces any earlier invitation to the same address
+      await UserToken.revoke('invite', { email });
+      const { token, record } = await UserToken.issue({
+        purpose: 'invite',
+        email,
+        role,
+        createdBy: req.user._id
+      });
+      await sendInviteEmail(record, token, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${email}`,
+        data: {
+          _id: record._id,
+          email: record.email,
+          role: record.role,
+          expiresAt: record.expiresAt,
+          createdAt: record.createdAt
+        }
+      });
+    } catch (error) {
+      console.error('Create invite error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+router.delete('/invites/:id', authenticateToken, requirePermission('users:manage'), requireValidId, async (req, res) => {
+  try {
+    const result = await UserToken.deleteOne({ _id: req.params.id, purpose: 'invite', usedAt: null });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Invitation not found.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Delete invite error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.get('/',
+  authenticateToken,
+  requirePermission('users:manage'),
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const filter = {};
+      if (req.query.includeInactive !== 'true') {
+        filter.isActive = true;
+      }
+      if (req.query.role) {
+        filter.role = req.query.role;
+      }
+      if (req.query.search) {
+        const pattern = new RegExp(escapeRegex(String(req.query.search)), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }];
+      }
+
+      const users = await User.find(filter).select('-password').sort({ name: 1 });
+
+      res.json({
+        success: true,
+        count: users.length,
+        data: users
+      });
+    } catch (error) {
+      console.error('Get users error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+router.get('/:id', authenticateToken, requirePermission('users:manage'), requireValidId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.post('/', authenticateToken, requirePermission('users:manage'), userValidation(), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, email, password, role } = req.body;
+    if (await User.exists({ email })) {
+      return res.status(409).json({ error: `A user with email ${email} already exists.` });
+    }
+
+    const user = await User.create({ name, email, password, role });
+    await auditUser(req, 'create', null, user);
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.put('/:id', authenticateToken, requirePermission('users:manage'), requireValidId, userValidation(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const { name, email, password, role, isActive } = req.body;
+    const isSelf = user._id.equals(req.user._id);
+    if (isSelf && ((role !== undefined && role !== user.role) || isActive === false)) {
+      return res.status(400).json({ error: 'You cannot change your own role or deactivate yourself.' });
+    }
+    if (await removesLastAdmin(user, { role, isActive })) {
+      return res.status(400).json({ error: 'At least one active admin is required.' });
+    }
+    if (email !== user.email && await User.exists({ email })) {
+      return res.status(409).json({ error: `A user with email ${email} already exists.` });
+    }
+
+    const before = user.toObject();
+    user.name = name;
+    user.email = email;
+    if (password !== undefined) user.password = password;
+    if (role !== undefined) user.role = role;
+    if (isActive !== undefined) user.isActive = isActive;
+    await user.save();
+    await auditUser(req, 'update', before, user, { passwordChanged: password !== undefined });
+    if (password !== undefined) {
+      await Session.revokeAllForUser(user._id, 'password-change');
+    } else if (isActive === false) {
+      await Session.revokeAllForUser(user._id, 'deactivated');
+    }
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: user.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// For users who have lost their authenticator and recovery codes
+router.post('/:id/reset-2fa', authenticateToken, requirePermission('users:manage'), requireValidId, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor({ _id: req.params.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'Use your account settings to change your own two-factor authentication.' });
+    }
+
+    const before = user.toObject();
+    user.disableTwoFactor();
+    await user.save();
+    await auditUser(req, 'update', before, user, { summary: 'Two-factor authentication reset' });
+    await Session.revokeAllForUser(user._id, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset. The user will be signed out.'
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Lifts a lockout from repeated failed logins and resets the failure count
+router.post('/:id/unlock', authenticateToken, requirePermission('users:manage'), requireValidId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const before = user.toObject();
+    user.clearLoginFailures();
+    await user.save();
+    await auditUser(req, 'update', before, user, { summary: 'Unlocked after failed logins' });
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: user.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.get('/:id/login-history', authenticateToken, requirePermission('users:manage'), requireValidId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const events = await LoginEvent.historyFor(user._id, req.query.limit);
+    res.json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    console.error('Get user login history error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Users stay referenced as investment owners, so deleting only deactivates them
+router.delete('/:id', authenticateToken, requirePermission('users:manage'), requireValidId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot deactivate yourself.' });
+    }
+    if (await removesLastAdmin(user, { isActive: false })) {
+      return res.status(400).json({ error: 'At least one active admin is required.' });
+    }
+
+    const before = user.toObject();
+    user.isActive = false;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'deactivated');
+    await auditUser(req, 'delete', before, user);
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+module.exports = router;
@@ -8,17 +8,32 @@ const connectDB = require('./config/database');
 const authRoutes = require('./routes/auth');
 const investmentRoutes = require('./routes/investments');
 const dashboardRoutes = require('./routes/dashboard');
+const fxRateRoutes = require('./routes/fxRates');
+const assetTypeRoutes = require('./routes/assetTypes');
+const userRoutes = require('./routes/users');
+const settingRoutes = require('./routes/settings');
+const auditRoutes = require('./routes/audit');
+const scenarioRoutes = require('./routes/scenarios');
+const benchmarkRoutes = require('./routes/benchmarks');
+const { startTrashRetentionJob } = require('./utils/trash');
+const { startSnapshotJob } = require('./utils/snapshots');
 
 const app = express();
 const PORT = process.env.PORT || 5002;
 
+// Behind a reverse proxy, req.ip (and so the login rate limits) should see the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 connectDB();
 
 app.use(cors({
   origin: '*',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match'],
+  exposedHeaders: ['ETag']
 }));
 
 app.use(helmet());
@@ -33,6 +48,13 @@ if (process.env.NODE_ENV === 'development') {
 app.use('/api/auth', authRoutes);
 app.use('/api/investments', investmentRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/fx-rates', fxRateRoutes);
+app.use('/api/asset-types', assetTypeRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/scenarios', scenarioRoutes);
+app.use('/api/benchmarks', benchmarkRoutes);
 
 app.get('/', (req, res) => {
   console.log('Root endpoint hit');
@@ -66,6 +88,11 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`Altfolio server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  if (process.env.NODE_ENV !== 'test') {
+    startTrashRetentionJob();
+    startSnapshotJob();
+  }
 });
 
 module.exports = app; 
\ No newline at end of file
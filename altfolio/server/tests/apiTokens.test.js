@@ -0,0 +1,119 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const LoginEvent = require('../models/LoginEvent');
+const { requiredScope } = require('../config/apiScopes');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('API scopes', () => {
+  it('should map requests to the scope they need', () => {
+    expect(requiredScope({ baseUrl: '/api/investments', method: 'GET' })).toBe('read:investments');
+    expect(requiredScope({ baseUrl: '/api/investments', method: 'DELETE' })).toBe('write:investments');
+    expect(requiredScope({ baseUrl: '/api/dashboard', method: 'POST' })).toBe('read:dashboard');
+    expect(requiredScope({ baseUrl: '/api/fx-rates', method: 'POST' })).toBeNull();
+    expect(requiredScope({ baseUrl: '/api/auth', method: 'GET' })).toBeNull();
+  });
+});
+
+describe('Personal API Tokens', () => {
+  let auth;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/altfolio_test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await ApiToken.deleteMany({});
+    await LoginEvent.deleteMany({});
+    await User.create({ name: 'Analyst User', email: 'analyst@example.com', password: 'password123', role: 'analyst' });
+
+    const { body } = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'analyst@example.com', password: 'password123' })
+      .expect(200);
+    auth = `Bearer ${body.token}`;
+  });
+
+  const createToken = (scopes, expiresAt = new Date(Date.now() + 30 * DAY)) => request(app)
+    .post('/api/auth/tokens')
+    .set('Authorization', auth)
+    .send({ name: 'Notebook', scopes, expiresAt: expiresAt.toISOString() });
+
+  it('should return the token once and never its hash', async () => {
+    const response = await createToken(['read:investments']).expect(201);
+    expect(response.body.token).toMatch(/^afp_[0-9a-f]{48}$/);
+    expect(response.body.data.tokenHash).toBeUndefined();
+    expect(response.body.data.hint).toBe(response.body.token.slice(0, 10));
+
+    const list = await request(app).get('/api/auth/tokens').set('Authorization', auth).expect(200);
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0].tokenHash).toBeUndefined();
+    expect(list.body.scopes.map(scope => scope.key)).toContain('read:dashboard');
+  });
+
+  it('should reject unknown scopes and expiry dates out of range', async () => {
+    await createToken(['admin']).expect(400);
+    await createToken([]).expect(400);
+    await createToken(['read:investments'], new Date(Date.now() - DAY)).expect(400);
+    await createToken(['read:investments'], new Date(Date.now() + 400 * DAY)).expect(400);
+  });
+
+  it('should authenticate scoped requests and record the last use', async () => {
+    const { body } = await createToken(['read:investments']).expect(201);
+    const tokenAuth = `Bearer ${body.token}`;
+
+    await request(app).get('/api/investments').set('Authorization', tokenAuth).expect(200);
+
+    const stored = await ApiToken.findById(body.data._id);
+    expect(stored.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it('should refuse requests outside the token scopes', async () => {
+    const { body } = await createToken(['read:investments']).expect(201);
+    const tokenAuth = `Bearer ${body.token}`;
+
+    await request(app).get('/api/dashboard').set('Authorization', tokenAuth).expect(403);
+    const response = await request(app).get('/api/auth/me').set('Authorization', tokenAuth).expect(403);
+    expect(response.body.error).toBe('API tokens cannot be used for this endpoint.');
+  });
+
+  it('should not grant more than the user role allows', async () => {
+    const { body } = await createToken(['write:investments']).expect(201);
+
+    await request(app)
+      .post('/api/investments')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ assetName: 'Scripted Fund', investedAmount: 1000, currentValue: 1000 })
+      .expect(403);
+  });
+
+  it('should stop working once revoked or expired', async () => {
+    const revoked = await createToken(['read:dashboard']).expect(201);
+    await request(app)
+      .delete(`/api/auth/tokens/${revoked.body.data._id}`)
+      .set('Authorization', auth)
+      .expect(200);
+    await request(app).get('/api/dashboard').set('Authorization', `Bearer ${revoked.body.token}`).expect(401);
+
+    const expired = await createToken(['read:dashboard']).expect(201);
+    await ApiToken.updateOne({ _id: expired.body.data._id }, { expiresAt: new Date(Date.now() - 1000) });
+    await request(app).get('/api/dashboard').set('Authorization', `Bearer ${expired.body.token}`).expect(401);
+  });
+
+  it('should stop working when the user is deactivated', async () => {
+    const { body } = await createToken(['read:dashboard']).expect(201);
+    await User.updateOne({ email: 'analyst@example.com' }, { isActive: false });
+
+    await request(app).get('/api/dashboard').set('Authorization', `Bearer ${body.token}`).expect(401);
+  });
+});
@@ -0,0 +1,268 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const Investment = require('../models/Investment');
+const AssetType = require('../models/AssetType');
+const AuditLog = require('../models/AuditLog');
+
+describe('Asset Type Endpoints', () => {
+  let adminToken, viewerToken, adminUser, viewerUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/altfolio_test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await LoginEvent.deleteMany({});
+    await Investment.deleteMany({});
+    await AssetType.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+    await AssetType.createDefaultTypes();
+
+    adminUser = await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    viewerUser = await User.create({ name: 'Viewer User', email: 'viewer@example.com', password: 'password123', role: 'viewer' });
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    adminToken = adminLogin.body.token;
+    const viewerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'viewer@example.com', password: 'password123' });
+    viewerToken = viewerLogin.body.token;
+  });
+
+  describe('GET /api/asset-types', () => {
+    it('should list the default types for any logged-in user', async () => {
+      const response = await request(app)
+        .get('/api/asset-types')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(type => type.name)).toEqual(
+        expect.arrayContaining(['Startup', 'Crypto Fund', 'Farmland', 'Collectible', 'Other'])
+      );
+    });
+  });
+
+  describe('POST /api/asset-types', () => {
+    it('should let admin add a type that investments can then use', async () => {
+      await request(app)
+        .post('/api/asset-types')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Real Estate', subtypes: ['Residential', 'Commercial'], color: '#20c997' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          assetName: 'Duplex',
+          assetType: 'Real Estate',
+          assetSubtype: 'Residential',
+          investedAmount: 300000,
+          currentValue: 320000,
+          owners: [adminUser._id.toString()]
+        })
+        .expect(201);
+
+      expect(response.body.data.assetType).toBe('Real Estate');
+    });
+
+    it('should reject unknown subtypes on investments', async () => {
+      await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          assetName: 'Mystery',
+          assetType: 'Startup',
+          assetSubtype: 'Not A Subtype',
+          investedAmount: 1000,
+          currentValue: 1000,
+          owners: [adminUser._id.toString()]
+        })
+        .expect(400);
+    });
+
+    it('should not allow viewer to manage types', async () => {
+      await request(app)
+        .post('/api/asset-types')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ name: 'Private Credit' })
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/asset-types/:id', () => {
+    it('should carry a rename over to existing investments', async () => {
+      const startup = await AssetType.findOne({ name: 'Startup' });
+      await Investment.create({
+        assetName: 'Seed Round',
+        assetType: 'Startup',
+        investedAmount: 1000,
+        currentValue: 1000,
+        owners: [adminUser._id]
+      });
+
+      await request(app)
+        .put(`/api/asset-types/${startup._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Venture' })
+        .expect(200);
+
+      const investment = await Investment.findOne({ assetName: 'Seed Round' });
+      expect(investment.assetType).toBe('Venture');
+      expect(investment.__v).toBe(1);
+
+      // An edit based on the version loaded before the rename is stale
+      await request(app)
+        .patch(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', '"0"')
+        .send({ assetName: 'Stale Edit' })
+        .expect(409);
+
+      const entry = await AuditLog.findOne({ entity: investment._id }).lean();
+      expect(entry.summary).toBe('Asset type Startup renamed to Venture');
+      expect(entry.changes).toEqual([{ field: 'assetType', before: 'Startup', after: 'Venture' }]);
+    });
+
+    it('should update simulation assumptions one field at a time', async () => {
+      const farmland = await AssetType.findOne({ name: 'Farmland' });
+      expect(farmland.simulation.toObject()).toEqual({ drift: 6, volatility: 10 });
+
+      const response = await request(app)
+        .put(`/api/asset-types/${farmland._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Farmland', simulation: { volatility: 12.5 } })
+        .expect(200);
+
+      expect(response.body.data.simulation).toEqual({ drift: 6, volatility: 12.5 });
+
+      await request(app)
+        .put(`/api/asset-types/${farmland._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Farmland', simulation: { volatility: -5 } })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/asset-types/:id', () => {
+    it('should only deactivate types that are in use', async () => {
+      const farmland = await AssetType.findOne({ name: 'Farmland' });
+      await Investment.create({
+        assetName: 'Iowa Acres',
+        assetType: 'Farmland',
+        investedAmount: 1000,
+        currentValue: 1000,
+        owners: [adminUser._id]
+      });
+
+      await request(app)
+        .delete(`/api/asset-types/${farmland._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const updated = await AssetType.findById(farmland._id);
+      expect(updated.isActive).toBe(false);
+    });
+  });
+
+  describe('Investment attributes', () => {
+    it('should store attributes coerced to the types defined for the asset type', async () => {
+      const response = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          assetName: 'Iowa Acres',
+          assetType: 'Farmland',
+          investedAmount: 250000,
+          currentValue: 260000,
+          attributes: { acreage: '120.5', crop: 'Corn', location: 'Story County, IA' },
+          owners: [adminUser._id.toString()]
+        })
+        .expect(201);
+
+      expect(response.body.data.attributes).toEqual({
+        acreage: 120.5,
+        crop: 'Corn',
+        location: 'Story County, IA'
+      });
+    });
+
+    it('should reject attributes the asset type does not define or that fail validation', async () => {
+      const response = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          assetName: 'Seed Round',
+          assetType: 'Startup',
+          investedAmount: 25000,
+          currentValue: 25000,
+          attributes: { instrument: 'Warrant', acreage: 10 },
+          owners: [adminUser._id.toString()]
+        })
+        .expect(400);
+
+      expect(response.body.details[0].msg).toContain('Unknown attribute acreage');
+      expect(response.body.details[0].msg).toContain('Instrument must be one of');
+    });
+
+    it('should enforce required attributes', async () => {
+      await request(app)
+        .post('/api/asset-types')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Wine',
+          attributes: [{ key: 'vintage', label: 'Vintage', type: 'number', required: true }]
+        })
+        .expect(201);
+
+      await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          assetName: 'Bordeaux Case',
+          assetType: 'Wine',
+          investedAmount: 5000,
+          currentValue: 5000,
+          owners: [adminUser._id.toString()]
+        })
+        .expect(400);
+    });
+
+    it('should clear attributes when the asset type changes', async () => {
+      const investment = await Investment.create({
+        assetName: 'Seed Round',
+        assetType: 'Startup',
+        investedAmount: 25000,
+        currentValue: 25000,
+        attributes: { instrument: 'SAFE' },
+        owners: [adminUser._id]
+      });
+
+      const response = await request(app)
+        .put(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          assetName: 'Seed Round',
+          assetType: 'Other',
+          investedAmount: 25000,
+          currentValue: 25000,
+          owners: [adminUser._id.toString()]
+        })
+        .expect(200);
+
+      expect(response.body.data.attributes).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const Investment = require('../models/Investment');
+const Valuation = require('../models/Valuation');
+const CashFlow = require('../models/CashFlow');
+const AssetType = require('../models/AssetType');
+const AuditLog = require('../models/AuditLog');
+const { snapshot, diffSnapshots, USER_FIELDS, INVESTMENT_FIELDS } = require('../utils/audit');
+
+describe('Audit diffs', () => {
+  it('should only list fields that changed', () => {
+    const owner = new mongoose.Types.ObjectId();
+    const before = { assetName: 'Fund', currentValue: 100, owners: [owner], investmentDate: new Date('2024-01-01') };
+    const after = { ...before, currentValue: 150, owners: [owner.toString()] };
+
+    expect(diffSnapshots(snapshot(before, INVESTMENT_FIELDS), snapshot(after, INVESTMENT_FIELDS))).toEqual([
+      { field: 'currentValue', before: 100, after: 150 }
+    ]);
+  });
+
+  it('should treat a create as every field going from nothing to its value', () => {
+    const changes = diffSnapshots({}, snapshot({ name: 'Ann', email: 'ann@example.com' }, USER_FIELDS));
+    expect(changes.map(change => change.field)).toEqual(['name', 'email']);
+    expect(changes.every(change => change.before === null)).toBe(true);
+  });
+
+  it('should compare nested objects regardless of key order', () => {
+    const before = snapshot({ attributes: { vintage: 2020, stage: 'Seed' } }, ['attributes']);
+    const after = snapshot({ attributes: { stage: 'Seed', vintage: 2020 } }, ['attributes']);
+    expect(diffSnapshots(before, after)).toEqual([]);
+  });
+});
+
+describe('Audit Log', () => {
+  let adminAuth, viewerAuth, adminUser, viewerUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/altfolio_test');
+    await AssetType.createDefaultTypes();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await LoginEvent.deleteMany({});
+    await Investment.deleteMany({});
+    await Valuation.deleteMany({});
+    await CashFlow.deleteMany({});
+    // The model refuses deletes, so tests clear the collection directly
+    await AuditLog.collection.deleteMany({});
+
+    adminUser = await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    viewerUser = await User.create({ name: 'Viewer User', email: 'viewer@example.com', password: 'password123', role: 'viewer' });
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    adminAuth = `Bearer ${adminLogin.body.token}`;
+    const viewerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'viewer@example.com', password: 'password123' });
+    viewerAuth = `Bearer ${viewerLogin.body.token}`;
+  });
+
+  const createInvestment = () => request(app)
+    .post('/api/investments')
+    .set('Authorization', adminAuth)
+    .set('User-Agent', 'jest-agent')
+    .send({
+      assetName: 'Audited Fund',
+      assetType: 'Startup',
+      investedAmount: 1000,
+      currentValue: 1000,
+      investmentDate: '2023-01-01',
+      owners: [adminUser._id.toString(), viewerUser._id.toString()]
+    })
+    .expect(201);
+
+  describe('Investments', () => {
+    it('should record who created, changed and deleted an investment', async () => {
+      const { body } = await createInvestment();
+      const id = body.data._id;
+
+      await request(app)
+        .put(`/api/investments/${id}`)
+        .set('Authorization', adminAuth)
+        .send({ ...body.data, owners: body.data.owners.map(owner => owner._id), currentValue: 1500 })
+        .expect(200);
+      await request(app).delete(`/api/investments/${id}`).set('Authorization', adminAuth).expect(200);
+
+      const entries = await AuditLog.find({ entity: id }).sort({ createdAt: 1 });
+      expect(entries.map(entry => entry.action)).toEqual(['create', 'update', 'delete']);
+      expect(entries[0]).toMatchObject({ actorEmail: 'admin@example.com', userAgent: 'jest-agent', entityName: 'Audited Fund' });
+      expect(entries[1].changes).toEqual([{ field: 'currentValue', before: 1000, after: 1500 }]);
+      expect(entries[2].changes).toEqual([{ field: 'isActive', before: true, after: false }]);
+    });
+
+    it('should record cash flow changes against the investment', async () => {
+      const { body } = await createInvestment();
+
+      await request(app)
+        .post(`/api/investments/${body.data._id}/cashflows`)
+        .set('Authorization', adminAuth)
+        .send({ type: 'contribution', amount: 500, date: '2023-06-01' })
+        .expect(201);
+
+      const entry = await AuditLog.findOne({ entity: body.data._id, action: 'update' });
+      expect(entry.summary).toBe('Recorded contribution');
+      expect(entry.changes).toEqual(expect.arrayContaining([
+        { field: 'investedAmount', before: 1000, after: 1500 },
+        { field: 'cashFlow.amount', before: null, after: 500 }
+      ]));
+    });
+
+    it('should show the timeline to anyone who can read the investment', async () => {
+      const { body } = await createInvestment();
+
+      const response = await request(app)
+        .get(`/api/investments/${body.data._id}/history`)
+        .set('Authorization', viewerAuth)
+        .expect(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].actor.name).toBe('Admin User');
+    });
+  });
+
+  describe('Users', () => {
+    it('should redact password changes', async () => {
+      await request(app)
+        .put(`/api/users/${viewerUser._id}`)
+        .set('Authorization', adminAuth)
+        .send({ name: 'Viewer User', email: 'viewer@example.com', password: 'newpassword1', role: 'analyst' })
+        .expect(200);
+
+      const entry = await AuditLog.findOne({ entityType: 'user', entity: viewerUser._id });
+      expect(entry.changes).toEqual([
+        { field: 'role', before: 'viewer', after: 'analyst' },
+        { field: 'password', before: '[redacted]', after: '[redacted]' }
+      ]);
+      expect(JSON.stringify(entry)).not.toContain('newpassword1');
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    it('should filter entries for admins', async () => {
+      await createInvestment();
+      await request(app).delete(`/api/users/${viewerUser._id}`).set('Authorization', adminAuth).expect(200);
+
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ entityType: 'user', action: 'delete' })
+        .set('Authorization', adminAuth)
+        .expect(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].entityName).toBe('viewer@example.com');
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it('should be admin-only', async () => {
+      await request(app).get('/api/audit').set('Authorization', viewerAuth).expect(403);
+    });
+
+    it('should reject unknown filters values', async () => {
+      await request(app).get('/api/audit').query({ action: 'erase' }).set('Authorization', adminAuth).expect(400);
+    });
+  });
+
+  it('should refuse to change or remove entries', async () => {
+    await createInvestment();
+
+    await expect(AuditLog.updateMany({}, { summary: 'tampered' })).rejects.toThrow('cannot be changed');
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('cannot be changed');
+    const entry = await AuditLog.findOne();
+    entry.summary = 'tampered';
+    await expect(entry.save()).rejects.toThrow('cannot be changed');
+  });
+});
@@ -2,8 +2,15 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
 const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const mailer = require('../utils/mailer');
 const bcrypt = require('bcryptjs');
 
+const linkToken = (message, param = 'token') =>
+  new URL(message.text.match(/http\S+/)[0]).searchParams.get(param);
+
 describe('Authentication Endpoints', () => {
   beforeAll(async () => {
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/altfolio_test');
@@ -15,6 +22,7 @@ describe('Authentication Endpoints', () => {
 
   beforeEach(async () => {
     await User.deleteMany({});
+    await LoginEvent.deleteMany({});
   });
 
   describe('POST /api/auth/register', () => {
@@ -193,4 +201,261 @@ describe('Authentication Endpoints', () => {
       expect(response.body.error).toContain('Invalid token');
     });
   });
-}); 
\ No newline at end of file
+
+  describe('Email verification', () => {
+    beforeEach(async () => {
+      await UserToken.deleteMany({});
+      mailer.outbox.length = 0;
+      process.env.REGISTRATION_MODE = 'open';
+    });
+
+    afterEach(() => {
+      delete process.env.REGISTRATION_MODE;
+    });
+
+    const register = () => request(app)
+      .post('/api/auth/register')
+      .send({ name: 'New User', email: 'New@Example.com', password: 'password123' });
+
+    it('should send a verification link and block login until it is used', async () => {
+      await register().expect(201);
+
+      expect(mailer.outbox).toHaveLength(1);
+      expect(mailer.outbox[0].to).toBe('new@example.com');
+
+      const blocked = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'new@example.com', password: 'password123' })
+        .expect(403);
+      expect(blocked.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+      const token = linkToken(mailer.outbox[0]);
+      await request(app).post('/api/auth/verify-email').send({ token }).expect(200);
+      await request(app).post('/api/auth/verify-email').send({ token }).expect(400);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'new@example.com', password: 'password123' })
+        .expect(200);
+    });
+
+    it('should replace the link when verification is resent', async () => {
+      await register().expect(201);
+      const firstToken = linkToken(mailer.outbox[0]);
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: 'new@example.com' })
+        .expect(200);
+
+      expect(mailer.outbox).toHaveLength(2);
+      await request(app).post('/api/auth/verify-email').send({ token: firstToken }).expect(400);
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: linkToken(mailer.outbox[1]) })
+        .expect(200);
+    });
+
+    it('should refuse open registration in invite mode', async () => {
+      process.env.REGISTRATION_MODE = 'invite';
+
+      await register().expect(403);
+      expect(await User.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Invitations', () => {
+    let invite;
+
+    beforeEach(async () => {
+      await UserToken.deleteMany({});
+      invite = await UserToken.issue({ purpose: 'invite', email: 'invited@example.com', role: 'admin' });
+    });
+
+    it('should describe a valid invitation', async () => {
+      const response = await request(app)
+        .get(`/api/auth/invites/${invite.token}`)
+        .expect(200);
+
+      expect(response.body.invite.email).toBe('invited@example.com');
+      expect(response.body.invite.role).toBe('admin');
+    });
+
+    it('should register an invited user with the invited role, verified and once only', async () => {
+      const userData = { name: 'Invited', email: 'invited@example.com', password: 'password123', inviteToken: invite.token };
+
+      const response = await request(app).post('/api/auth/register').send(userData).expect(201);
+      expect(response.body.data.user.role).toBe('admin');
+      expect(response.body.data.user.emailVerified).toBe(true);
+
+      await User.deleteMany({});
+      await request(app).post('/api/auth/register').send(userData).expect(400);
+    });
+
+    it('should reject an invitation used with a different email', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Someone', email: 'other@example.com', password: 'password123', inviteToken: invite.token })
+        .expect(400);
+    });
+  });
+
+  describe('Password reset', () => {
+    beforeEach(async () => {
+      await UserToken.deleteMany({});
+      mailer.outbox.length = 0;
+      await User.create({ name: 'Test User', email: 'test@example.com', password: 'password123' });
+    });
+
+    it('should give the same answer for unknown emails without sending mail', async () => {
+      const known = await request(app).post('/api/auth/forgot-password').send({ email: 'test@example.com' }).expect(200);
+      const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+
+      expect(unknown.body.message).toBe(known.body.message);
+      expect(mailer.outbox).toHaveLength(1);
+    });
+
+    it('should set a new password with a single-use link', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: 'test@example.com' }).expect(200);
+      const token = linkToken(mailer.outbox[0]);
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword456' })
+        .expect(200);
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpassword' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(401);
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'newpassword456' })
+        .expect(200);
+    });
+
+    it('should reject an expired link', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: 'test@example.com' }).expect(200);
+      await UserToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: linkToken(mailer.outbox[0]), password: 'newpassword456' })
+        .expect(400);
+    });
+  });
+
+  describe('Sessions and refresh tokens', () => {
+    let login;
+
+    beforeEach(async () => {
+      await Session.deleteMany({});
+      await User.create({ name: 'Test User', email: 'test@example.com', password: 'password123' });
+      login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+    });
+
+    const refresh = refreshToken => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    it('should rotate the refresh token on every use', async () => {
+      const first = await refresh(login.body.refreshToken).expect(200);
+
+      expect(first.body.refreshToken).not.toBe(login.body.refreshToken);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${first.body.token}`)
+        .expect(200);
+      await refresh(first.body.refreshToken).expect(200);
+    });
+
+    it('should revoke the session when a rotated refresh token is replayed', async () => {
+      const rotated = await refresh(login.body.refreshToken).expect(200);
+
+      const replay = await refresh(login.body.refreshToken).expect(401);
+      expect(replay.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+      await refresh(rotated.body.refreshToken).expect(401);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${rotated.body.token}`)
+        .expect(401);
+    });
+
+    it('should reject a made-up refresh token without ending the session', async () => {
+      const sessionId = login.body.refreshToken.split('.')[0];
+
+      await refresh(`${sessionId}.not-the-secret`).expect(401);
+      await refresh(login.body.refreshToken).expect(200);
+    });
+
+    it('should end the session on logout', async () => {
+      const auth = `Bearer ${login.body.token}`;
+
+      await request(app).post('/api/auth/logout').set('Authorization', auth).expect(200);
+
+      await request(app).get('/api/auth/me').set('Authorization', auth).expect(401);
+      await refresh(login.body.refreshToken).expect(401);
+    });
+
+    it('should list sessions and revoke another device', async () => {
+      const other = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(200);
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data.filter(session => session.current)).toHaveLength(1);
+      expect(response.body.data[0].tokenHash).toBeUndefined();
+
+      const otherSession = response.body.data.find(session => !session.current);
+      await request(app)
+        .delete(`/api/auth/sessions/${otherSession._id}`)
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${other.body.token}`)
+        .expect(401);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(200);
+    });
+
+    it('should not revoke another user\'s session', async () => {
+      await User.create({ name: 'Other User', email: 'other@example.com', password: 'password123' });
+      const other = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'other@example.com', password: 'password123' })
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${other.body.refreshToken.split('.')[0]}`)
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(404);
+    });
+
+    it('should end all sessions when the password is reset', async () => {
+      const { token } = await UserToken.issue({
+        purpose: 'reset-password',
+        user: (await User.findOne({ email: 'test@example.com' }))._id,
+        email: 'test@example.com'
+      });
+
+      await request(app).post('/api/auth/reset-password').send({ token, password: 'newpassword456' }).expect(200);
+
+      await refresh(login.body.refreshToken).expect(401);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const Investment = require('../models/Investment');
+const CashFlow = require('../models/CashFlow');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const Benchmark = require('../models/Benchmark');
+
+describe('Benchmarks and PME', () => {
+  let adminAuth, analystAuth, adminUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/altfolio_test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await LoginEvent.deleteMany({});
+    await Investment.deleteMany({});
+    await CashFlow.deleteMany({});
+    await PortfolioSnapshot.deleteMany({});
+    await Benchmark.deleteMany({});
+
+    adminUser = await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    await User.create({ name: 'Analyst User', email: 'analyst@example.com', password: 'password123', role: 'analyst' });
+
+    const login = async email => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return `Bearer ${response.body.token}`;
+    };
+    adminAuth = await login('admin@example.com');
+    analystAuth = await login('analyst@example.com');
+  });
+
+  const csv = 'Date,Close\n2020-01-01,100\n2021-01-01,110\n2022-01-01,121';
+
+  const upload = (fields, content = csv, auth = adminAuth) => {
+    const req = request(app)
+      .post('/api/benchmarks')
+      .set('Authorization', auth);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('file', Buffer.from(content), 'index.csv');
+  };
+
+  describe('Uploading series', () => {
+    it('should store an uploaded date/value series', async () => {
+      const response = await upload({ name: 'S&P 500', description: 'Total return' }).expect(201);
+
+      expect(response.body.data.pointCount).toBe(3);
+      expect(response.body.data.from).toBe('2020-01-01T00:00:00.000Z');
+
+      const list = await request(app)
+        .get('/api/benchmarks')
+        .set('Authorization', analystAuth)
+        .expect(200);
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0].pointCount).toBe(3);
+      expect(list.body.data[0].points).toBeUndefined();
+    });
+
+    it('should only let benchmark managers upload', async () => {
+      await upload({ name: 'S&P 500' }, csv, analystAuth).expect(403);
+    });
+
+    it('should report unreadable rows and duplicate names', async () => {
+      const invalid = await upload({ name: 'S&P 500' }, `${csv}\nnot a date,120\n2022-02-01,-5`).expect(400);
+      expect(invalid.body.details.map(detail => detail.row)).toEqual([5, 6]);
+
+      await upload({ name: 'Farmland' }, 'When,Amount\n2020-01-01,50').expect(400);
+
+      await upload({ name: 'S&P 500' }).expect(201);
+      await upload({ name: 'S&P 500' }).expect(409);
+    });
+
+    it('should merge newer values into a series', async () => {
+      const created = await upload({ name: 'S&P 500' }).expect(201);
+
+      const response = await request(app)
+        .post(`/api/benchmarks/${created.body.data._id}/points`)
+        .set('Authorization', adminAuth)
+        .attach('file', Buffer.from('date,value\n2022-01-01,120\n2023-01-01,130'), 'update.csv')
+        .expect(200);
+      expect(response.body.data.pointCount).toBe(4);
+
+      const benchmark = await Benchmark.findById(created.body.data._id);
+      expect(benchmark.valueOn(new Date('2022-06-01'))).toBe(120);
+      expect(benchmark.valueOn(new Date('2019-06-01'))).toBeNull();
+      expect(benchmark.valueOn(new Date('2023-03-01'))).toBe(130);
+      expect(benchmark.valueOn(new Date('2023-06-01'))).toBeNull();
+    });
+
+    it('should delete a benchmark', async () => {
+      const created = await upload({ name: 'S&P 500' }).expect(201);
+
+      await request(app)
+        .delete(`/api/benchmarks/${created.body.data._id}`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+      expect(await Benchmark.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('GET /api/dashboard/pme', () => {
+    let benchmark;
+
+    beforeEach(async () => {
+      benchmark = await Benchmark.create({
+        name: 'S&P 500',
+        points: [
+          { date: new Date('2020-01-01'), value: 100 },
+          { date: new Date('2021-01-01'), value: 110 },
+          { date: new Date('2022-01-01'), value: 121 },
+          { date: new Date(), value: 121 }
+        ]
+      });
+    });
+
+    const createInvestment = (assetName, investmentDate, currentValue) => Investment.create({
+      assetName,
+      assetType: 'Private Equity',
+      investedAmount: 1000,
+      currentValue,
+      investmentDate: new Date(investmentDate),
+      owners: [adminUser._id]
+    });
+
+    it('should compare the portfolio and each investment with the benchmark', async () => {
+      const fund = await createInvestment('Growth Fund', '2020-01-01', 2000);
+      await createInvestment('Early Bet', '2019-01-01', 500);
+      await PortfolioSnapshot.capture({ date: new Date('2021-06-30') });
+
+      const response = await request(app)
+        .get('/api/dashboard/pme')
+        .query({ benchmarkId: benchmark._id.toString() })
+        .set('Authorization', analystAuth)
+        .expect(200);
+
+      const { data } = response.body;
+      expect(data.benchmark.name).toBe('S&P 500');
+      // The index does not go back to 2019, so neither the portfolio nor Early Bet can be compared
+      expect(data.portfolio).toBeNull();
+
+      const growth = data.investments.find(investment => investment.investmentId === fund._id.toString());
+      expect(growth.pme.ksPme).toBeCloseTo(2000 / 1210, 4);
+      expect(data.investments.find(investment => investment.assetName === 'Early Bet').pme).toBeNull();
+      expect(data.history).toEqual([]);
+    });
+
+    it('should chart snapshot values next to their PME value', async () => {
+      await createInvestment('Growth Fund', '2020-01-01', 2000);
+      await PortfolioSnapshot.capture({ date: new Date('2021-06-30') });
+
+      const response = await request(app)
+        .get('/api/dashboard/pme')
+        .query({ benchmarkId: benchmark._id.toString() })
+        .set('Authorization', adminAuth)
+        .expect(200);
+
+      expect(response.body.data.portfolio.pmeValue).toBe(1210);
+      expect(response.body.data.history).toEqual([
+        {
+          date: '2021-06-30T00:00:00.000Z',
+          portfolioValue: 2000,
+          pmeValue: 1100,
+          benchmarkValue: 110
+        }
+      ]);
+    });
+
+    it('should report a benchmark that stopped being updated instead of using its old level', async () => {
+      await createInvestment('Growth Fund', '2020-01-01', 2000);
+      benchmark.points.pop();
+      await benchmark.save();
+
+      const response = await request(app)
+        .get('/api/dashboard/pme')
+        .query({ benchmarkId: benchmark._id.toString() })
+        .set('Authorization', adminAuth)
+        .expect(422);
+      expect(response.body.error).toContain('S&P 500 has no value from the last 100 days');
+    });
+
+    it('should require an existing benchmark', async () => {
+      await request(app)
+        .get('/api/dashboard/pme')
+        .set('Authorization', adminAuth)
+        .expect(400);
+
+      await request(app)
+        .get('/api/dashboard/pme')
+        .query({ benchmarkId: new mongoose.Types.ObjectId().toString() })
+        .set('Authorization', adminAuth)
+        .expect(404);
+    });
+  });
+});
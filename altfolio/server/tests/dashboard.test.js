@@ -2,8 +2,11 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
 const Investment = require('../models/Investment');
-const bcrypt = require('bcryptjs');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const Setting = require('../models/Setting');
 
 describe('Dashboard Endpoints', () => {
   let adminToken, viewerToken, adminUser, viewerUser;
@@ -18,39 +21,23 @@ describe('Dashboard Endpoints', () => {
 
   beforeEach(async () => {
     await User.deleteMany({});
+    await Session.deleteMany({});
+    await LoginEvent.deleteMany({});
     await Investment.deleteMany({});
+    await PortfolioSnapshot.deleteMany({});
+    await Setting.deleteMany({});
 
-    const adminPassword = await bcrypt.hash('password123', 10);
-    adminUser = await User.create({
-      name: 'Admin User',
-      email: 'admin@example.com',
-      password: adminPassword,
-      role: 'admin'
-    });
-
-    const viewerPassword = await bcrypt.hash('password123', 10);
-    viewerUser = await User.create({
-      name: 'Viewer User',
-      email: 'viewer@example.com',
-      password: viewerPassword,
-      role: 'viewer'
-    });
+    adminUser = await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    viewerUser = await User.create({ name: 'Viewer User', email: 'viewer@example.com', password: 'password123', role: 'viewer' });
 
     const adminLogin = await request(app)
       .post('/api/auth/login')
-      .send({
-        email: 'admin@example.com',
-        password: 'password123'
-      });
-    adminToken = adminLogin.body.data.token;
-
+      .send({ email: 'admin@example.com', password: 'password123' });
+    adminToken = adminLogin.body.token;
     const viewerLogin = await request(app)
       .post('/api/auth/login')
-      .send({
-        email: 'viewer@example.com',
-        password: 'password123'
-      });
-    viewerToken = viewerLogin.body.data.token;
+      .send({ email: 'viewer@example.com', password: 'password123' });
+    viewerToken = viewerLogin.body.token;
   });
 
   describe('GET /api/dashboard', () => {
@@ -159,12 +146,60 @@ describe('Dashboard Endpoints', () => {
 
       expect(response.body.data.simulationResults).toBeDefined();
       expect(response.body.data.portfolioImpact).toBeDefined();
-      expect(response.body.data.simulationType).toBe('random');
+      expect(response.body.data.simulationType).toBe('monteCarlo');
 
-      const { simulationResults, portfolioImpact } = response.body.data;
+      const { simulationResults, portfolioImpact, monteCarlo } = response.body.data;
       expect(simulationResults).toHaveLength(1);
       expect(simulationResults[0].investmentId).toBe(investment._id.toString());
       expect(portfolioImpact.totalOriginalValue).toBe(110000);
+      expect(monteCarlo.seed).toEqual(expect.any(Number));
+      expect(monteCarlo.bands).toHaveLength(monteCarlo.steps + 1);
+      expect(monteCarlo.valueAtRisk.map(entry => entry.confidence)).toEqual([95, 99]);
+      expect(monteCarlo.probabilityOfLoss).toBeGreaterThanOrEqual(0);
+      expect(monteCarlo.probabilityOfLoss).toBeLessThanOrEqual(1);
+    });
+
+    it('should reproduce a run from its seed', async () => {
+      const run = () => request(app)
+        .post('/api/dashboard/simulate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ seed: 42, paths: 500, horizonYears: 2 })
+        .expect(200);
+
+      const first = await run();
+      const second = await run();
+
+      expect(first.body.data.monteCarlo.seed).toBe(42);
+      expect(second.body.data.monteCarlo.final).toEqual(first.body.data.monteCarlo.final);
+      expect(second.body.data.simulationResults).toEqual(first.body.data.simulationResults);
+    });
+
+    it('should apply drift and volatility overrides per asset type', async () => {
+      const response = await request(app)
+        .post('/api/dashboard/simulate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ seed: 7, assumptions: { Startup: { drift: 10, volatility: 0 } } })
+        .expect(200);
+
+      const { monteCarlo, simulationResults } = response.body.data;
+      expect(monteCarlo.assumptions).toEqual([
+        { assetType: 'Startup', value: 110000, drift: 10, volatility: 0 }
+      ]);
+      expect(monteCarlo.probabilityOfLoss).toBe(0);
+      expect(simulationResults[0].simulatedValue).toBeCloseTo(110000 * Math.exp(0.1), 0);
+    });
+
+    it('should reject out-of-range simulation settings', async () => {
+      const response = await request(app)
+        .post('/api/dashboard/simulate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ paths: 50, horizonYears: 100, correlations: [{ between: ['Startup'], value: 2 }] })
+        .expect(400);
+
+      const fields = response.body.details.map(detail => detail.path);
+      expect(fields).toEqual(expect.arrayContaining([
+        'paths', 'horizonYears', 'correlations[0].between', 'correlations[0].value'
+      ]));
     });
 
     it('should not allow viewer to run simulation', async () => {
@@ -193,4 +228,164 @@ describe('Dashboard Endpoints', () => {
       expect(simulationResults[0].changePercent).toBeCloseTo(9.09, 2);
     });
   });
-}); 
\ No newline at end of file
+
+  describe('GET /api/dashboard/history', () => {
+    beforeEach(async () => {
+      await Investment.create([
+        {
+          assetName: 'Owned Together',
+          assetType: 'Startup',
+          investedAmount: 100000,
+          currentValue: 150000,
+          investmentDate: new Date('2023-01-01'),
+          owners: [adminUser._id, viewerUser._id],
+          ownerShares: [{ user: adminUser._id, share: 75 }, { user: viewerUser._id, share: 25 }]
+        },
+        {
+          assetName: 'Admin Only',
+          assetType: 'Farmland',
+          investedAmount: 50000,
+          currentValue: 50000,
+          investmentDate: new Date('2023-01-01'),
+          owners: [adminUser._id]
+        }
+      ]);
+      await PortfolioSnapshot.capture({ date: new Date('2024-01-10') });
+      await PortfolioSnapshot.capture({ date: new Date('2024-01-31') });
+      await Investment.updateMany({}, { $mul: { currentValue: 2 } });
+      await PortfolioSnapshot.capture({ date: new Date('2024-02-29') });
+    });
+
+    it('should keep the latest snapshot in each interval', async () => {
+      const response = await request(app)
+        .get('/api/dashboard/history')
+        .query({ interval: 'month' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(point => point.date)).toEqual([
+        '2024-01-31T00:00:00.000Z',
+        '2024-02-29T00:00:00.000Z'
+      ]);
+      expect(response.body.data[0]).toMatchObject({ invested: 150000, currentValue: 200000, count: 2 });
+      expect(response.body.data[1].currentValue).toBe(400000);
+      expect(response.body.data[0].allocation.map(group => group.assetType)).toEqual(['Startup', 'Farmland']);
+    });
+
+    it('should limit the range with from and to', async () => {
+      const response = await request(app)
+        .get('/api/dashboard/history')
+        .query({ from: '2024-02-01', to: '2024-03-01', interval: 'day' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+    });
+
+    it('should show users without full read access only their own share', async () => {
+      const response = await request(app)
+        .get('/api/dashboard/history')
+        .query({ interval: 'day' })
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(3);
+      expect(response.body.data[0]).toMatchObject({ invested: 25000, currentValue: 37500, count: 1 });
+      expect(response.body.data[0].allocation).toBeUndefined();
+    });
+
+    it('should reject unknown intervals', async () => {
+      await request(app)
+        .get('/api/dashboard/history')
+        .query({ interval: 'hour' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/dashboard/risk', () => {
+    beforeEach(async () => {
+      await Investment.create([
+        {
+          assetName: 'Owned Together',
+          assetType: 'Startup',
+          investedAmount: 100000,
+          currentValue: 150000,
+          investmentDate: new Date('2021-03-01'),
+          owners: [adminUser._id, viewerUser._id],
+          ownerShares: [{ user: adminUser._id, share: 75 }, { user: viewerUser._id, share: 25 }],
+          lockupEndDate: new Date('2099-01-01')
+        },
+        {
+          assetName: 'Admin Only',
+          assetType: 'Farmland',
+          investedAmount: 50000,
+          currentValue: 50000,
+          investmentDate: new Date('2023-01-01'),
+          owners: [adminUser._id],
+          lockupEndDate: new Date('2020-01-01'),
+          expectedExitDate: new Date('2099-01-01')
+        }
+      ]);
+    });
+
+    it('should report concentration, vintages and liquidity with breaches', async () => {
+      const response = await request(app)
+        .get('/api/dashboard/risk')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { data } = response.body;
+      expect(data.totalValue).toBe(200000);
+      expect(data.concentration.investments.groups[0]).toMatchObject({ label: 'Owned Together', percent: 75 });
+      expect(data.concentration.assetTypes.herfindahl).toBe(0.625);
+      expect(data.concentration.owners.groups.map(owner => [owner.label, owner.percent])).toEqual([
+        ['Admin User', 81.25],
+        ['Viewer User', 18.75]
+      ]);
+      expect(data.vintages.years.map(year => year.year)).toEqual([2021, 2023]);
+      expect(data.liquidity.liquidWithinYearPercent).toBe(25);
+      expect(data.thresholds).toEqual(Setting.DEFAULTS.riskThresholds);
+      expect(data.flags.map(flag => flag.measure)).toEqual(
+        expect.arrayContaining(['investmentShare', 'assetTypeShare', 'ownerShare', 'herfindahl', 'vintageShare'])
+      );
+      expect(data.flags.map(flag => flag.measure)).not.toContain('liquidity');
+    });
+
+    it('should use the configured thresholds', async () => {
+      await request(app)
+        .put('/api/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ riskThresholds: { minLiquidPercent: 50, maxOwnerPercent: 90 } })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/dashboard/risk')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.thresholds).toMatchObject({ minLiquidPercent: 50, maxOwnerPercent: 90, maxInvestmentPercent: 20 });
+      const measures = response.body.data.flags.map(flag => flag.measure);
+      expect(measures).toContain('liquidity');
+      expect(measures).not.toContain('ownerShare');
+    });
+
+    it('should reject invalid thresholds', async () => {
+      await request(app)
+        .put('/api/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ riskThresholds: { maxHerfindahl: 2 } })
+        .expect(400);
+    });
+
+    it('should show users without full read access their own share without owners', async () => {
+      const response = await request(app)
+        .get('/api/dashboard/risk')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.data.totalValue).toBe(37500);
+      expect(response.body.data.concentration.owners).toBeNull();
+    });
+  });
+});
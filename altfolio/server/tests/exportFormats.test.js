@@ -0,0 +1,55 @@
+const { toCsv, toXlsx, toPdf } = require('../utils/exportFormats');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+
+const columns = [
+  { header: 'Asset Name', key: 'assetName', type: 'text' },
+  { header: 'Invested Amount', key: 'investedAmount', type: 'number' },
+  { header: 'ROI (%)', key: 'roi', type: 'percent' },
+  { header: 'Investment Date', key: 'investmentDate', type: 'date' }
+];
+
+const rows = [
+  { assetName: 'Farm "North", Iowa', investedAmount: 250000, roi: 4.125, investmentDate: new Date('2022-06-01') },
+  { assetName: '=HYPERLINK("http://example.com")', investedAmount: -10, roi: -2, investmentDate: new Date('2023-01-15') }
+];
+
+describe('Export formats', () => {
+  it('should quote CSV fields and neutralize formulas in text cells', () => {
+    const lines = toCsv(columns, rows).split('\r\n');
+
+    expect(lines[0]).toBe('"Asset Name","Invested Amount","ROI (%)","Investment Date"');
+    expect(lines[1]).toBe('"Farm ""North"", Iowa","250000.00","4.13","2022-06-01"');
+    expect(lines[2]).toBe('"\'=HYPERLINK(""http://example.com"")","-10.00","-2.00","2023-01-15"');
+  });
+
+  it('should write typed XLSX cells under a header row', async () => {
+    const buffer = await toXlsx(columns, rows);
+    const sheet = await readSpreadsheet({ originalname: 'export.xlsx', buffer });
+
+    expect(sheet.headers).toEqual(columns.map(column => column.header));
+    expect(sheet.rows[0].values['Invested Amount']).toBe(250000);
+    expect(sheet.rows[0].values['Investment Date']).toEqual(new Date('2022-06-01'));
+  });
+
+  it('should render a PDF statement', async () => {
+    const buffer = await toPdf({
+      title: 'Investment Statement',
+      preparedFor: 'Admin User',
+      filters: ['type Farmland'],
+      summary: {
+        baseCurrency: 'USD',
+        investmentCount: 2,
+        totalInvested: 249990,
+        totalCurrentValue: 260000,
+        totalDistributed: 0,
+        totalGain: 10010,
+        totalRoi: 4
+      },
+      allocation: [{ _id: 'Farmland', count: 2, totalInvested: 249990, totalCurrentValue: 260000 }],
+      columns,
+      rows
+    });
+
+    expect(buffer.slice(0, 5).toString()).toBe('%PDF-');
+  });
+});
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const Investment = require('../models/Investment');
+const CashFlow = require('../models/CashFlow');
+const FxRate = require('../models/FxRate');
+
+describe('FX Rate Endpoints', () => {
+  let adminToken, viewerToken, adminUser, viewerUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/altfolio_test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await LoginEvent.deleteMany({});
+    await Investment.deleteMany({});
+    await CashFlow.deleteMany({});
+    await FxRate.deleteMany({});
+
+    adminUser = await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    viewerUser = await User.create({ name: 'Viewer User', email: 'viewer@example.com', password: 'password123', role: 'viewer' });
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    adminToken = adminLogin.body.token;
+    const viewerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'viewer@example.com', password: 'password123' });
+    viewerToken = viewerLogin.body.token;
+  });
+
+  describe('POST /api/fx-rates', () => {
+    it('should let admin record a dated rate', async () => {
+      const response = await request(app)
+        .post('/api/fx-rates')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ currency: 'eur', date: '2024-01-01', rate: 1.1 })
+        .expect(201);
+
+      expect(response.body.data.currency).toBe('EUR');
+      expect(response.body.data.rate).toBe(1.1);
+    });
+
+    it('should not allow viewer to record rates', async () => {
+      await request(app)
+        .post('/api/fx-rates')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ currency: 'EUR', date: '2024-01-01', rate: 1.1 })
+        .expect(403);
+    });
+
+    it('should reject a rate for the pivot currency', async () => {
+      await request(app)
+        .post('/api/fx-rates')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ currency: 'USD', date: '2024-01-01', rate: 1 })
+        .expect(400);
+    });
+  });
+
+  describe('Base-currency reporting', () => {
+    beforeEach(async () => {
+      await FxRate.create([
+        { currency: 'EUR', date: new Date('2023-01-01'), rate: 1.0 },
+        { currency: 'EUR', date: new Date('2024-01-01'), rate: 1.2 }
+      ]);
+      await Investment.create([
+        {
+          assetName: 'French Farmland',
+          assetType: 'Farmland',
+          currency: 'EUR',
+          investedAmount: 100000,
+          currentValue: 100000,
+          investmentDate: new Date('2023-01-01'),
+          owners: [adminUser._id]
+        },
+        {
+          assetName: 'US Startup',
+          assetType: 'Startup',
+          investedAmount: 50000,
+          currentValue: 60000,
+          investmentDate: new Date('2023-01-01'),
+          owners: [adminUser._id]
+        }
+      ]);
+    });
+
+    it('should convert totals to USD and report the FX effect', async () => {
+      const response = await request(app)
+        .get('/api/investments/portfolio/summary')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { summary } = response.body.data;
+      expect(summary.baseCurrency).toBe('USD');
+      expect(summary.totalInvested).toBeCloseTo(150000);
+      expect(summary.totalCurrentValue).toBeCloseTo(180000);
+      expect(summary.totalFxEffect).toBeCloseTo(20000);
+
+      const eur = summary.currencies.find(group => group._id === 'EUR');
+      expect(eur.localGain).toBe(0);
+      expect(eur.baseGain).toBeCloseTo(20000);
+    });
+
+    it('should report in a chosen base currency', async () => {
+      const response = await request(app)
+        .get('/api/dashboard?baseCurrency=EUR')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.summary.baseCurrency).toBe('EUR');
+      expect(response.body.data.summary.totalCurrentValue).toBeCloseTo(150000);
+    });
+
+    it('should reject an invalid base currency', async () => {
+      await request(app)
+        .get('/api/dashboard?baseCurrency=EU1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      await request(app)
+        .get('/api/investments/portfolio/summary?baseCurrency[$ne]=USD')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should fail clearly when a currency has no rate', async () => {
+      await Investment.create({
+        assetName: 'UK Collectible',
+        assetType: 'Collectible',
+        currency: 'GBP',
+        investedAmount: 1000,
+        currentValue: 1000,
+        owners: [adminUser._id]
+      });
+
+      const response = await request(app)
+        .get('/api/investments/portfolio/summary')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(422);
+
+      expect(response.body.error).toContain('GBP');
+    });
+  });
+});
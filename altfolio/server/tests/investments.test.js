@@ -2,14 +2,19 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
 const Investment = require('../models/Investment');
-const bcrypt = require('bcryptjs');
+const Valuation = require('../models/Valuation');
+const CashFlow = require('../models/CashFlow');
+const AssetType = require('../models/AssetType');
 
 describe('Investment Endpoints', () => {
-  let adminToken, viewerToken, adminUser, viewerUser;
+  let adminToken, viewerToken, managerToken, analystToken, adminUser, viewerUser, managerUser;
 
   beforeAll(async () => {
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/altfolio_test');
+    await AssetType.createDefaultTypes();
   });
 
   afterAll(async () => {
@@ -18,39 +23,27 @@ describe('Investment Endpoints', () => {
 
   beforeEach(async () => {
     await User.deleteMany({});
+    await Session.deleteMany({});
+    await LoginEvent.deleteMany({});
     await Investment.deleteMany({});
+    await Valuation.deleteMany({});
+    await CashFlow.deleteMany({});
 
-    const adminPassword = await bcrypt.hash('password123', 10);
-    adminUser = await User.create({
-      name: 'Admin User',
-      email: 'admin@example.com',
-      password: adminPassword,
-      role: 'admin'
-    });
-
-    const viewerPassword = await bcrypt.hash('password123', 10);
-    viewerUser = await User.create({
-      name: 'Viewer User',
-      email: 'viewer@example.com',
-      password: viewerPassword,
-      role: 'viewer'
-    });
+    adminUser = await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    viewerUser = await User.create({ name: 'Viewer User', email: 'viewer@example.com', password: 'password123', role: 'viewer' });
+    managerUser = await User.create({ name: 'Manager User', email: 'manager@example.com', password: 'password123', role: 'manager' });
+    await User.create({ name: 'Analyst User', email: 'analyst@example.com', password: 'password123', role: 'analyst' });
 
-    const adminLogin = await request(app)
-      .post('/api/auth/login')
-      .send({
-        email: 'admin@example.com',
-        password: 'password123'
-      });
-    adminToken = adminLogin.body.data.token;
-
-    const viewerLogin = await request(app)
-      .post('/api/auth/login')
-      .send({
-        email: 'viewer@example.com',
-        password: 'password123'
-      });
-    viewerToken = viewerLogin.body.data.token;
+    const login = async email => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return response.body.token;
+    };
+    adminToken = await login('admin@example.com');
+    viewerToken = await login('viewer@example.com');
+    managerToken = await login('manager@example.com');
+    analystToken = await login('analyst@example.com');
   });
 
   describe('GET /api/investments', () => {
@@ -89,13 +82,14 @@ describe('Investment Endpoints', () => {
       expect(response.body.pagination).toBeDefined();
     });
 
-    it('should get investments for viewer', async () => {
+    it('should only get owned investments for viewer', async () => {
       const response = await request(app)
         .get('/api/investments')
         .set('Authorization', `Bearer ${viewerToken}`)
         .expect(200);
 
-      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].assetName).toBe('Test Crypto');
     });
 
     it('should filter by asset type', async () => {
@@ -108,6 +102,41 @@ describe('Investment Endpoints', () => {
       expect(response.body.data[0].assetType).toBe('Startup');
     });
 
+    it('should filter by ROI, amount and text and sort by ROI', async () => {
+      const response = await request(app)
+        .get('/api/investments?minRoi=-20&maxAmount=200000&search=test&sortBy=roi&sortOrder=asc')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(investment => investment.assetName)).toEqual(['Test Crypto', 'Test Startup']);
+
+      const narrowed = await request(app)
+        .get('/api/investments?minRoi=0&dateFrom=2023-01-01&dateTo=2023-01-31')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(narrowed.body.data).toHaveLength(1);
+      expect(narrowed.body.data[0].roi).toBeCloseTo(20);
+    });
+
+    it('should paginate and report the total count', async () => {
+      const response = await request(app)
+        .get('/api/investments?limit=1&page=2&sortBy=assetName')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].assetName).toBe('Test Crypto');
+      expect(response.body.pagination).toEqual({ page: 2, limit: 1, total: 2, totalPages: 2 });
+    });
+
+    it('should reject invalid list parameters', async () => {
+      await request(app)
+        .get('/api/investments?sortBy=password&limit=1000')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
     it('should require authentication', async () => {
       await request(app)
         .get('/api/investments')
@@ -130,7 +159,7 @@ describe('Investment Endpoints', () => {
       const response = await request(app)
         .post('/api/investments')
         .set('Authorization', `Bearer ${adminToken}`)
-        .send(validInvestment)
+        .send({ ...validInvestment, owners: [adminUser._id.toString()] })
         .expect(201);
 
       expect(response.body.data.assetName).toBe(validInvestment.assetName);
@@ -138,7 +167,31 @@ describe('Investment Endpoints', () => {
       expect(response.body.data.absoluteGain).toBeDefined();
     });
 
-    it('should not allow viewer to create investment over $1M', async () => {
+    it('should store tags lowercased without duplicates and filter by them', async () => {
+      const response = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...validInvestment, owners: [adminUser._id.toString()], tags: ['AI', ' ai ', 'Climate'] })
+        .expect(201);
+
+      expect(response.body.data.tags).toEqual(['ai', 'climate']);
+
+      const list = await request(app)
+        .get('/api/investments?tag=Climate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.data.map(investment => investment.assetName)).toEqual([validInvestment.assetName]);
+    });
+
+    it('should not allow viewer to create investments', async () => {
+      await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ ...validInvestment, owners: [viewerUser._id.toString()] })
+        .expect(403);
+    });
+
+    it('should not allow manager to create investment over $1M', async () => {
       const largeInvestment = {
         ...validInvestment,
         investedAmount: 1500000,
@@ -147,7 +200,7 @@ describe('Investment Endpoints', () => {
 
       const response = await request(app)
         .post('/api/investments')
-        .set('Authorization', `Bearer ${viewerToken}`)
+        .set('Authorization', `Bearer ${managerToken}`)
         .send(largeInvestment)
         .expect(400);
 
@@ -157,6 +210,7 @@ describe('Investment Endpoints', () => {
     it('should allow admin to create investment over $1M', async () => {
       const largeInvestment = {
         ...validInvestment,
+        owners: [adminUser._id.toString()],
         investedAmount: 1500000,
         currentValue: 1600000
       };
@@ -182,7 +236,7 @@ describe('Investment Endpoints', () => {
         .send(invalidInvestment)
         .expect(400);
 
-      expect(response.body.errors).toBeDefined();
+      expect(response.body.details).toBeDefined();
     });
   });
 
@@ -205,7 +259,10 @@ describe('Investment Endpoints', () => {
     it('should update investment as admin', async () => {
       const updateData = {
         assetName: 'Updated Investment',
-        currentValue: 120000
+        assetType: 'Startup',
+        investedAmount: 100000,
+        currentValue: 120000,
+        owners: [adminUser._id.toString()]
       };
 
       const response = await request(app)
@@ -231,6 +288,595 @@ describe('Investment Endpoints', () => {
     });
   });
 
+  describe('PATCH /api/investments/:id', () => {
+    let investment;
+
+    beforeEach(async () => {
+      investment = await Investment.create({
+        assetName: 'Patched Investment',
+        assetType: 'Startup',
+        investedAmount: 100000,
+        currentValue: 110000,
+        investmentDate: new Date('2023-01-01'),
+        owners: [adminUser._id],
+        description: 'Kept as is',
+        isActive: true
+      });
+    });
+
+    it('should only change the fields provided', async () => {
+      const response = await request(app)
+        .patch(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ currentValue: 125000 })
+        .expect(200);
+
+      expect(response.body.data.currentValue).toBe(125000);
+      expect(response.body.data.description).toBe('Kept as is');
+      expect(response.body.data.investmentDate).toBe('2023-01-01T00:00:00.000Z');
+      expect(response.body.data.__v).toBe(1);
+      expect(response.headers.etag).toBe('"1"');
+    });
+
+    it('should set and clear the lockup and expected exit dates', async () => {
+      const dated = await request(app)
+        .patch(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ lockupEndDate: '2026-01-01', expectedExitDate: '2028-06-30' })
+        .expect(200);
+      expect(dated.body.data.lockupEndDate).toBe('2026-01-01T00:00:00.000Z');
+      expect(dated.body.data.expectedExitDate).toBe('2028-06-30T00:00:00.000Z');
+
+      const cleared = await request(app)
+        .patch(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ lockupEndDate: null })
+        .expect(200);
+      expect(cleared.body.data.lockupEndDate).toBeNull();
+      expect(cleared.body.data.expectedExitDate).toBe('2028-06-30T00:00:00.000Z');
+
+      await request(app)
+        .patch(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ expectedExitDate: 'someday' })
+        .expect(400);
+    });
+
+    it('should reject an empty update', async () => {
+      await request(app)
+        .patch(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should return 409 with the current state when the version is stale', async () => {
+      await request(app)
+        .patch(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', '"0"')
+        .send({ assetName: 'First Edit' })
+        .expect(200);
+
+      const response = await request(app)
+        .patch(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', '"0"')
+        .send({ assetName: 'Second Edit' })
+        .expect(409);
+
+      expect(response.body.code).toBe('VERSION_CONFLICT');
+      expect(response.body.data.assetName).toBe('First Edit');
+      expect(response.headers.etag).toBe('"1"');
+    });
+
+    it('should check __v on full updates too', async () => {
+      const update = {
+        assetName: 'Patched Investment',
+        assetType: 'Startup',
+        investedAmount: 100000,
+        currentValue: 120000,
+        owners: [adminUser._id.toString()],
+        __v: 0
+      };
+
+      await request(app)
+        .put(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(update)
+        .expect(200);
+      await request(app)
+        .put(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(update)
+        .expect(409);
+
+      const stored = await Investment.findById(investment._id);
+      expect(stored.investmentDate.toISOString()).toBe('2023-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('Valuation history', () => {
+    let investment;
+
+    beforeEach(async () => {
+      investment = await Investment.create({
+        assetName: 'Valued Investment',
+        assetType: 'Farmland',
+        investedAmount: 100000,
+        currentValue: 110000,
+        investmentDate: new Date('2023-01-01'),
+        owners: [adminUser._id],
+        isActive: true
+      });
+    });
+
+    it('should record a valuation when the current value changes', async () => {
+      await request(app)
+        .put(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          assetName: 'Valued Investment',
+          assetType: 'Farmland',
+          investedAmount: 100000,
+          currentValue: 130000,
+          investmentDate: '2023-01-01',
+          owners: [adminUser._id.toString()]
+        })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/investments/${investment._id}/valuations`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].value).toBe(130000);
+      expect(response.body.data[0].source).toBe('update');
+    });
+
+    it('should backfill historical marks and answer as-of queries', async () => {
+      await request(app)
+        .post(`/api/investments/${investment._id}/valuations`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          valuations: [
+            { value: 102000, effectiveDate: '2023-03-31' },
+            { value: 105000, effectiveDate: '2023-06-30' }
+          ]
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/investments/${investment._id}/valuations?asOf=2023-05-15`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.value).toBe(102000);
+
+      // The investment had no marks yet, so its live value is kept as the latest one
+      const updated = await Investment.findById(investment._id);
+      expect(updated.currentValue).toBe(110000);
+
+      const history = await request(app)
+        .get(`/api/investments/${investment._id}/valuations`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(history.body.data.map(valuation => valuation.value)).toEqual([102000, 105000, 110000]);
+    });
+
+    it('should keep the value entered at creation current after an older backfill', async () => {
+      const created = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          assetName: 'Marked Investment',
+          assetType: 'Farmland',
+          investedAmount: 100000,
+          currentValue: 120000,
+          investmentDate: '2023-01-01',
+          owners: [adminUser._id.toString()]
+        })
+        .expect(201);
+
+      const [initial] = await Valuation.find({ investment: created.body.data._id });
+      expect(initial.source).toBe('initial');
+      expect(initial.effectiveDate.getTime()).toBeGreaterThan(new Date('2024-01-01').getTime());
+
+      await request(app)
+        .post(`/api/investments/${created.body.data._id}/valuations`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ valuations: [{ value: 105000, effectiveDate: '2023-06-30' }] })
+        .expect(201);
+
+      const updated = await Investment.findById(created.body.data._id);
+      expect(updated.currentValue).toBe(120000);
+    });
+
+    it('should make a backfilled mark current when it is later than the latest on record', async () => {
+      await Valuation.record(investment, 110000, { effectiveDate: new Date('2023-01-01'), source: 'update' });
+
+      await request(app)
+        .post(`/api/investments/${investment._id}/valuations`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ valuations: [{ value: 105000, effectiveDate: '2023-06-30' }] })
+        .expect(201);
+
+      const updated = await Investment.findById(investment._id);
+      expect(updated.currentValue).toBe(105000);
+    });
+
+    it('should reject an invalid as-of date', async () => {
+      await request(app)
+        .get(`/api/investments/${investment._id}/valuations?asOf=not-a-date`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should reject invalid backfill entries', async () => {
+      await request(app)
+        .post(`/api/investments/${investment._id}/valuations`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ valuations: [{ value: -1, effectiveDate: 'not-a-date' }] })
+        .expect(400);
+    });
+
+    it('should not allow viewer to read valuations of investments they do not own', async () => {
+      await request(app)
+        .get(`/api/investments/${investment._id}/valuations`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Cash flow ledger', () => {
+    let investment;
+
+    beforeEach(async () => {
+      investment = await Investment.create({
+        assetName: 'Rental Farmland',
+        assetType: 'Farmland',
+        investedAmount: 100000,
+        currentValue: 110000,
+        investmentDate: new Date('2023-01-01'),
+        owners: [viewerUser._id],
+        grants: [{ user: viewerUser._id, access: 'edit' }],
+        isActive: true
+      });
+    });
+
+    it('should keep owners without an edit grant read-only', async () => {
+      await Investment.updateOne({ _id: investment._id }, { grants: [] });
+
+      await request(app)
+        .get(`/api/investments/${investment._id}/cashflows`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/investments/${investment._id}/cashflows`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ type: 'distribution', amount: 1000, date: '2023-06-01' })
+        .expect(403);
+    });
+
+    it('should derive invested amount and gain from the ledger', async () => {
+      await request(app)
+        .post(`/api/investments/${investment._id}/cashflows`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ type: 'contribution', category: 'capital_call', amount: 50000, date: '2023-06-01' })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/investments/${investment._id}/cashflows`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ type: 'distribution', category: 'rent', amount: 8000, date: '2023-12-31' })
+        .expect(201);
+
+      expect(response.body.investment.investedAmount).toBe(150000);
+      expect(response.body.investment.distributedAmount).toBe(8000);
+      expect(response.body.investment.absoluteGain).toBe(110000 + 8000 - 150000);
+
+      const ledger = await request(app)
+        .get(`/api/investments/${investment._id}/cashflows`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(ledger.body.data).toHaveLength(3);
+      expect(ledger.body.data[0].category).toBe('initial');
+    });
+
+    it('should reject an invalid metrics as-of date', async () => {
+      await request(app)
+        .get(`/api/investments/${investment._id}/metrics?asOf=soon`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(400);
+
+      const response = await request(app)
+        .get(`/api/investments/${investment._id}/metrics?asOf=2024-01-01`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+      expect(response.body.data.tvpi).toBe(1.1);
+    });
+
+    it('should resync totals when a cash flow is deleted', async () => {
+      const created = await request(app)
+        .post(`/api/investments/${investment._id}/cashflows`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ type: 'contribution', amount: 25000, date: '2023-03-01' })
+        .expect(201);
+
+      const response = await request(app)
+        .delete(`/api/investments/${investment._id}/cashflows/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.investment.investedAmount).toBe(100000);
+    });
+
+    it('should enforce the $1M contribution limit for roles without the unlimited permission', async () => {
+      const response = await request(app)
+        .post(`/api/investments/${investment._id}/cashflows`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ type: 'contribution', amount: 950000, date: '2023-03-01' })
+        .expect(400);
+
+      expect(response.body.error).toContain('Investment amount cannot exceed $1,000,000');
+    });
+  });
+
+  describe('GET /api/investments/export', () => {
+    beforeEach(async () => {
+      await Investment.create([
+        {
+          assetName: 'Admin Startup',
+          assetType: 'Startup',
+          investedAmount: 100000,
+          currentValue: 120000,
+          owners: [adminUser._id]
+        },
+        {
+          assetName: 'Shared Farm',
+          assetType: 'Farmland',
+          investedAmount: 50000,
+          currentValue: 60000,
+          owners: [adminUser._id, viewerUser._id],
+          ownerShares: [
+            { user: adminUser._id, share: 75 },
+            { user: viewerUser._id, share: 25 }
+          ]
+        }
+      ]);
+    });
+
+    it('should only export what the viewer owns, pro-rated to their share', async () => {
+      const response = await request(app)
+        .get('/api/investments/export?format=json')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].assetName).toBe('Shared Farm');
+      expect(response.body.data[0].investedAmount).toBe(12500);
+    });
+
+    it('should apply the list filters', async () => {
+      const response = await request(app)
+        .get('/api/investments/export?assetType=Startup')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      const lines = response.text.split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain('Admin Startup');
+    });
+
+    it('should produce XLSX and PDF files', async () => {
+      const xlsx = await request(app)
+        .get('/api/investments/export?format=xlsx')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(xlsx.headers['content-type']).toContain('spreadsheetml');
+
+      const pdf = await request(app)
+        .get('/api/investments/export?format=pdf')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(pdf.headers['content-type']).toBe('application/pdf');
+    });
+
+    it('should reject unknown formats', async () => {
+      await request(app)
+        .get('/api/investments/export?format=docx')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/investments/import', () => {
+    const mapping = JSON.stringify({
+      assetName: 'Name',
+      assetType: 'Type',
+      investedAmount: 'Invested',
+      currentValue: 'Value',
+      investmentDate: 'Date',
+      owners: 'Owners'
+    });
+    const csv = [
+      'Name,Type,Invested,Value,Date,Owners',
+      'Seed Round,Startup,"$25,000",30000,2023-01-15,viewer@example.com',
+      'Iowa Acres,Farmland,250000,260000,2022-06-01,admin@example.com:60; viewer@example.com:40'
+    ].join('\n');
+
+    it('should suggest a column mapping from the headers', async () => {
+      const response = await request(app)
+        .post('/api/investments/import/preview')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('file', Buffer.from(csv), 'positions.csv')
+        .expect(200);
+
+      expect(response.body.data.rowCount).toBe(2);
+      expect(response.body.data.suggestedMapping).toMatchObject({
+        assetName: 'Name',
+        assetType: 'Type',
+        investedAmount: 'Invested',
+        currentValue: 'Value',
+        owners: 'Owners'
+      });
+    });
+
+    it('should report per-row errors on a dry run without writing anything', async () => {
+      const response = await request(app)
+        .post('/api/investments/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .field('mapping', mapping)
+        .attach('file', Buffer.from(`${csv}\nBad Row,Spaceship,100,100,2023-01-01,nobody@example.com`), 'positions.csv')
+        .expect(200);
+
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.data).toMatchObject({ total: 3, valid: 2, invalid: 1 });
+      expect(response.body.data.rows[2].row).toBe(4);
+      expect(response.body.data.rows[2].errors).toEqual(
+        expect.arrayContaining(['Unknown or inactive owner nobody@example.com'])
+      );
+      expect(await Investment.countDocuments()).toBe(0);
+    });
+
+    it('should import nothing when any row is invalid', async () => {
+      await request(app)
+        .post('/api/investments/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .field('mapping', mapping)
+        .field('dryRun', 'false')
+        .attach('file', Buffer.from(`${csv}\nBad Row,Spaceship,100,100,2023-01-01,admin@example.com`), 'positions.csv')
+        .expect(400);
+
+      expect(await Investment.countDocuments()).toBe(0);
+    });
+
+    it('should create all rows with owners matched by email', async () => {
+      const response = await request(app)
+        .post('/api/investments/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .field('mapping', mapping)
+        .field('dryRun', 'false')
+        .attach('file', Buffer.from(csv), 'positions.csv')
+        .expect(201);
+
+      expect(response.body.count).toBe(2);
+      const farm = await Investment.findOne({ assetName: 'Iowa Acres' });
+      expect(farm.getOwnerShare(viewerUser._id)).toBeCloseTo(0.4);
+      expect(await CashFlow.countDocuments({ investment: farm._id })).toBe(1);
+    });
+
+    it('should keep an imported value current after an older backfill', async () => {
+      await request(app)
+        .post('/api/investments/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .field('mapping', mapping)
+        .field('dryRun', 'false')
+        .attach('file', Buffer.from(csv), 'positions.csv')
+        .expect(201);
+
+      const farm = await Investment.findOne({ assetName: 'Iowa Acres' });
+      const [imported] = await Valuation.find({ investment: farm._id });
+      expect(imported.source).toBe('import');
+      expect(imported.effectiveDate.getTime()).toBeGreaterThan(farm.investmentDate.getTime());
+
+      await request(app)
+        .post(`/api/investments/${farm._id}/valuations`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ valuations: [{ value: 255000, effectiveDate: '2023-06-30' }] })
+        .expect(201);
+
+      const updated = await Investment.findById(farm._id);
+      expect(updated.currentValue).toBe(260000);
+    });
+
+    it('should not allow viewer to import', async () => {
+      await request(app)
+        .post('/api/investments/import')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .field('mapping', mapping)
+        .attach('file', Buffer.from(csv), 'positions.csv')
+        .expect(403);
+    });
+
+    it('should apply the $1M limit to imports by roles without the unlimited permission', async () => {
+      const response = await request(app)
+        .post('/api/investments/import')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .field('mapping', mapping)
+        .attach('file', Buffer.from('Name,Type,Invested,Value,Date,Owners\nBig,Startup,2000000,2000000,2023-01-01,viewer@example.com'), 'positions.csv')
+        .expect(200);
+
+      expect(response.body.data.rows[0].errors).toContain(
+        'Investment amount cannot exceed $1,000,000 for your role.'
+      );
+    });
+  });
+
+  describe('Fractional ownership', () => {
+    const sharedInvestment = () => ({
+      assetName: 'Shared Farmland',
+      assetType: 'Farmland',
+      investedAmount: 100000,
+      currentValue: 150000,
+      investmentDate: '2023-01-01',
+      owners: [adminUser._id.toString(), viewerUser._id.toString()]
+    });
+
+    it('should split ownership equally when no shares are given', async () => {
+      const response = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(sharedInvestment())
+        .expect(201);
+
+      expect(response.body.data.ownerShares.map(entry => entry.share)).toEqual([50, 50]);
+    });
+
+    it('should reject shares that do not sum to 100', async () => {
+      const response = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          ...sharedInvestment(),
+          ownerShares: [
+            { user: adminUser._id.toString(), share: 60 },
+            { user: viewerUser._id.toString(), share: 30 }
+          ]
+        })
+        .expect(400);
+
+      expect(response.body.error).toContain('sum to 100%');
+    });
+
+    it('should pro-rate per-user totals by ownership share', async () => {
+      await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          ...sharedInvestment(),
+          ownerShares: [
+            { user: adminUser._id.toString(), share: 75 },
+            { user: viewerUser._id.toString(), share: 25 }
+          ]
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/investments/portfolio/summary')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.data.summary.totalInvested).toBeCloseTo(25000);
+      expect(response.body.data.summary.totalCurrentValue).toBeCloseTo(37500);
+      expect(response.body.data.allocation[0].totalCurrentValue).toBeCloseTo(37500);
+    });
+  });
+
   describe('DELETE /api/investments/:id', () => {
     let investment;
 
@@ -266,4 +912,119 @@ describe('Investment Endpoints', () => {
         .expect(403);
     });
   });
+
+  describe('Roles and sharing', () => {
+    let investment;
+
+    beforeEach(async () => {
+      investment = await Investment.create({
+        assetName: 'Managed Fund',
+        assetType: 'Startup',
+        investedAmount: 100000,
+        currentValue: 120000,
+        investmentDate: new Date('2023-01-01'),
+        owners: [adminUser._id],
+        isActive: true
+      });
+    });
+
+    it('should let analysts read every investment but edit none', async () => {
+      const list = await request(app)
+        .get('/api/investments')
+        .set('Authorization', `Bearer ${analystToken}`)
+        .expect(200);
+
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0].access).toBe('read');
+
+      await request(app)
+        .put(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${analystToken}`)
+        .send({ assetName: 'Renamed', assetType: 'Startup', investedAmount: 100000, currentValue: 120000, owners: [adminUser._id.toString()] })
+        .expect(403);
+    });
+
+    it('should let managers edit any investment', async () => {
+      const response = await request(app)
+        .put(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ assetName: 'Renamed', assetType: 'Startup', investedAmount: 100000, currentValue: 120000, owners: [adminUser._id.toString()] })
+        .expect(200);
+
+      expect(response.body.data.access).toBe('edit');
+    });
+
+    it('should share an investment read-only', async () => {
+      await request(app)
+        .put(`/api/investments/${investment._id}/grants`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ grants: [{ user: viewerUser._id.toString(), access: 'read' }] })
+        .expect(200);
+
+      const list = await request(app)
+        .get('/api/investments')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(list.body.data.map(item => item.assetName)).toEqual(['Managed Fund']);
+      expect(list.body.data[0].access).toBe('read');
+
+      await request(app)
+        .post(`/api/investments/${investment._id}/valuations`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ value: 130000 })
+        .expect(403);
+    });
+
+    it('should let edit grantees change values but not owners, sharing or existence', async () => {
+      await Investment.updateOne({ _id: investment._id }, { grants: [{ user: viewerUser._id, access: 'edit' }] });
+      const update = {
+        assetName: 'Managed Fund',
+        assetType: 'Startup',
+        investedAmount: 100000,
+        currentValue: 125000,
+        owners: [adminUser._id.toString()]
+      };
+
+      await request(app)
+        .put(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send(update)
+        .expect(200);
+
+      await request(app)
+        .put(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ ...update, owners: [adminUser._id.toString(), viewerUser._id.toString()] })
+        .expect(403);
+
+      await request(app)
+        .put(`/api/investments/${investment._id}/grants`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ grants: [] })
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/investments/${investment._id}`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+    });
+
+    it('should reject duplicate and unknown grantees', async () => {
+      await request(app)
+        .put(`/api/investments/${investment._id}/grants`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ grants: [
+          { user: viewerUser._id.toString(), access: 'read' },
+          { user: viewerUser._id.toString(), access: 'edit' }
+        ] })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/investments/${investment._id}/grants`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ grants: [{ user: new mongoose.Types.ObjectId().toString(), access: 'read' }] })
+        .expect(400);
+    });
+  });
 }); 
\ No newline at end of file
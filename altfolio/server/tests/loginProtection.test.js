@@ -0,0 +1,177 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const AuditLog = require('../models/AuditLog');
+const { generateCode } = require('../utils/totp');
+
+describe('Login Protection', () => {
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/altfolio_test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await LoginEvent.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+    await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    await User.create({ name: 'Viewer User', email: 'viewer@example.com', password: 'password123', role: 'viewer' });
+  });
+
+  afterEach(() => {
+    delete process.env.LOGIN_MAX_FAILURES_PER_IP;
+    delete process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT;
+  });
+
+  const attempt = (email, password) => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', 'jest-agent')
+    .send({ email, password });
+
+  const failTimes = async (email, times) => {
+    for (let i = 0; i < times; i++) {
+      await attempt(email, 'wrong-password');
+    }
+  };
+
+  const adminAuth = async () => {
+    const { body } = await attempt('admin@example.com', 'password123').expect(200);
+    return `Bearer ${body.token}`;
+  };
+
+  describe('Lockout', () => {
+    it('should grow the lockout with each further failure', () => {
+      expect(User.lockoutDuration(User.LOCKOUT_THRESHOLD - 1)).toBe(0);
+      expect(User.lockoutDuration(User.LOCKOUT_THRESHOLD)).toBe(60 * 1000);
+      expect(User.lockoutDuration(User.LOCKOUT_THRESHOLD + 2)).toBe(4 * 60 * 1000);
+      expect(User.lockoutDuration(100)).toBe(24 * 60 * 60 * 1000);
+    });
+
+    it('should lock the account after repeated wrong passwords', async () => {
+      await failTimes('viewer@example.com', User.LOCKOUT_THRESHOLD - 1);
+
+      const response = await attempt('viewer@example.com', 'wrong-password').expect(423);
+      expect(response.body.code).toBe('ACCOUNT_LOCKED');
+      expect(new Date(response.body.lockedUntil).getTime()).toBeGreaterThan(Date.now());
+
+      // The right password does not help while locked
+      await attempt('viewer@example.com', 'password123').expect(423);
+    });
+
+    it('should reset the failure count after a successful login', async () => {
+      await failTimes('viewer@example.com', User.LOCKOUT_THRESHOLD - 1);
+      await attempt('viewer@example.com', 'password123').expect(200);
+
+      const user = await User.findOne({ email: 'viewer@example.com' });
+      expect(user.loginFailures).toBe(0);
+      await attempt('viewer@example.com', 'wrong-password').expect(401);
+    });
+
+    it('should count wrong two-factor codes towards the lockout', async () => {
+      const user = await User.findOne({ email: 'viewer@example.com' });
+      const secret = user.startTwoFactorSetup();
+      user.enableTwoFactor(generateCode(secret));
+      await user.save();
+
+      const { body } = await attempt('viewer@example.com', 'password123').expect(200);
+      for (let i = 0; i < User.LOCKOUT_THRESHOLD - 1; i++) {
+        await request(app)
+          .post('/api/auth/login/2fa')
+          .send({ challengeToken: body.challengeToken, code: '000000' })
+          .expect(401);
+      }
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, code: '000000' })
+        .expect(423);
+    });
+
+    it('should let an admin unlock the account', async () => {
+      const auth = await adminAuth();
+      await failTimes('viewer@example.com', User.LOCKOUT_THRESHOLD);
+      const viewer = await User.findOne({ email: 'viewer@example.com' });
+      expect(viewer.isLocked()).toBe(true);
+
+      const response = await request(app)
+        .post(`/api/users/${viewer._id}/unlock`)
+        .set('Authorization', auth)
+        .expect(200);
+      expect(response.body.data.lockedUntil).toBeNull();
+      expect(response.body.data.loginFailures).toBe(0);
+
+      const entry = await AuditLog.findOne({ entity: viewer._id, summary: 'Unlocked after failed logins' }).lean();
+      expect(entry.changes).toEqual([
+        { field: 'lockedUntil', before: viewer.lockedUntil.toISOString(), after: null }
+      ]);
+
+      await attempt('viewer@example.com', 'password123').expect(200);
+    });
+
+    it('should not let non-admins unlock accounts', async () => {
+      const { body } = await attempt('viewer@example.com', 'password123').expect(200);
+      const admin = await User.findOne({ email: 'admin@example.com' });
+
+      await request(app)
+        .post(`/api/users/${admin._id}/unlock`)
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(403);
+    });
+  });
+
+  describe('Rate limits', () => {
+    it('should limit failed attempts per IP address across accounts', async () => {
+      process.env.LOGIN_MAX_FAILURES_PER_IP = '3';
+      await failTimes('nobody@example.com', 2);
+      await failTimes('viewer@example.com', 1);
+
+      const response = await attempt('admin@example.com', 'password123').expect(429);
+      expect(response.body.code).toBe('TOO_MANY_ATTEMPTS');
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should limit failed attempts per account', async () => {
+      process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT = '2';
+      await failTimes('nobody@example.com', 2);
+
+      await attempt('nobody@example.com', 'password123').expect(429);
+      await attempt('viewer@example.com', 'password123').expect(200);
+    });
+  });
+
+  describe('Login history', () => {
+    it('should show users their own attempts, newest first', async () => {
+      await attempt('viewer@example.com', 'wrong-password').expect(401);
+      const { body } = await attempt('viewer@example.com', 'password123').expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/login-history')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.data[0]).toMatchObject({ success: true, userAgent: 'jest-agent' });
+      expect(response.body.data[1]).toMatchObject({ success: false, reason: 'invalid-password' });
+      expect(response.body.data[0].ip).toBeDefined();
+    });
+
+    it('should let admins see any user\'s history', async () => {
+      const auth = await adminAuth();
+      await attempt('viewer@example.com', 'wrong-password').expect(401);
+      const viewer = await User.findOne({ email: 'viewer@example.com' });
+
+      const response = await request(app)
+        .get(`/api/users/${viewer._id}/login-history`)
+        .set('Authorization', auth)
+        .expect(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].reason).toBe('invalid-password');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const mailer = require('../utils/mailer');
+
+const tokenFrom = (message, path) => new URL(message.text.match(/http\S+/)[0]).searchParams.get(path);
+
+describe('Mailer', () => {
+  beforeEach(() => {
+    mailer.setTransport(null);
+    mailer.outbox.length = 0;
+  });
+
+  it('should keep messages in the outbox under test', async () => {
+    await mailer.sendMail({ to: 'someone@example.com', subject: 'Hello', text: 'Body' });
+
+    expect(mailer.outbox).toHaveLength(1);
+    expect(mailer.outbox[0]).toMatchObject({ to: 'someone@example.com', subject: 'Hello', text: 'Body' });
+    expect(mailer.outbox[0].from).toBeDefined();
+  });
+
+  it('should send through a plugged-in transport', async () => {
+    const sent = [];
+    mailer.setTransport({ sendMail: async message => sent.push(message) });
+
+    await mailer.sendMail({ to: 'someone@example.com', subject: 'Hello', text: 'Body' });
+
+    expect(sent).toHaveLength(1);
+    expect(mailer.outbox).toHaveLength(0);
+  });
+
+  it('should reject an unknown transport name', () => {
+    const previous = process.env.MAIL_TRANSPORT;
+    process.env.MAIL_TRANSPORT = 'pigeon';
+    try {
+      expect(() => mailer.sendMail({ to: 'someone@example.com', subject: 'Hello', text: 'Body' })).toThrow('Unknown mail transport');
+    } finally {
+      if (previous === undefined) delete process.env.MAIL_TRANSPORT;
+      else process.env.MAIL_TRANSPORT = previous;
+    }
+  });
+
+  it('should link account emails to the client with their token', async () => {
+    const user = { name: 'Test User', email: 'test@example.com' };
+
+    await mailer.sendVerificationEmail(user, 'verify-token');
+    await mailer.sendPasswordResetEmail(user, 'reset-token');
+    await mailer.sendInviteEmail({ email: 'new@example.com', role: 'admin' }, 'invite-token', user);
+
+    const [verify, reset, invite] = mailer.outbox;
+    expect(verify.to).toBe('test@example.com');
+    expect(verify.text).toContain('/verify-email?token=');
+    expect(tokenFrom(verify, 'token')).toBe('verify-token');
+    expect(tokenFrom(reset, 'token')).toBe('reset-token');
+    expect(invite.to).toBe('new@example.com');
+    expect(invite.text).toContain('as an admin');
+    expect(tokenFrom(invite, 'invite')).toBe('invite-token');
+  });
+});
@@ -0,0 +1,137 @@
+const {
+  createRandom,
+  cholesky,
+  correlationMatrix,
+  percentile,
+  simulatePortfolio
+} = require('../utils/monteCarlo');
+
+describe('Monte Carlo simulation', () => {
+  describe('createRandom', () => {
+    it('should repeat the same sequence for the same seed', () => {
+      const first = createRandom(123);
+      const second = createRandom(123);
+      const other = createRandom(124);
+
+      const draws = Array.from({ length: 5 }, () => first());
+      expect(Array.from({ length: 5 }, () => second())).toEqual(draws);
+      expect(Array.from({ length: 5 }, () => other())).not.toEqual(draws);
+      draws.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+    });
+  });
+
+  describe('cholesky', () => {
+    it('should factor a correlation matrix', () => {
+      const lower = cholesky([[1, 0.6], [0.6, 1]]);
+
+      expect(lower[0]).toEqual([1, 0]);
+      expect(lower[1][0]).toBeCloseTo(0.6, 10);
+      expect(lower[1][1]).toBeCloseTo(0.8, 10);
+    });
+
+    it('should reject correlations that contradict each other', () => {
+      const matrix = correlationMatrix(['A', 'B', 'C'], [
+        { between: ['A', 'B'], value: 0.9 },
+        { between: ['B', 'C'], value: 0.9 },
+        { between: ['C', 'A'], value: -0.9 }
+      ]);
+
+      expect(() => cholesky(matrix)).toThrow(expect.objectContaining({ code: 'INVALID_SIMULATION' }));
+    });
+  });
+
+  describe('correlationMatrix', () => {
+    it('should place pairs in either order and fill the rest with the fallback', () => {
+      const matrix = correlationMatrix(['A', 'B', 'C'], [{ between: ['B', 'A'], value: 0.5 }], 0.2);
+
+      expect(matrix).toEqual([
+        [1, 0.5, 0.2],
+        [0.5, 1, 0.2],
+        [0.2, 0.2, 1]
+      ]);
+    });
+  });
+
+  describe('percentile', () => {
+    it('should interpolate between ranks', () => {
+      const sorted = [10, 20, 30, 40, 50];
+
+      expect(percentile(sorted, 0)).toBe(10);
+      expect(percentile(sorted, 50)).toBe(30);
+      expect(percentile(sorted, 90)).toBeCloseTo(46, 10);
+      expect(percentile(sorted, 100)).toBe(50);
+    });
+  });
+
+  describe('simulatePortfolio', () => {
+    const groups = [
+      { name: 'Startup', value: 60000, drift: 0.15, volatility: 0.6 },
+      { name: 'Farmland', value: 40000, drift: 0.06, volatility: 0.1 }
+    ];
+    const correlations = correlationMatrix(['Startup', 'Farmland'], [], 0.3);
+
+    it('should be deterministic for a seed', () => {
+      const first = simulatePortfolio({ groups, correlations, paths: 500, seed: 9 });
+      const second = simulatePortfolio({ groups, correlations, paths: 500, seed: 9 });
+      const other = simulatePortfolio({ groups, correlations, paths: 500, seed: 10 });
+
+      expect(second).toEqual(first);
+      expect(other.final).not.toEqual(first.final);
+    });
+
+    it('should return ordered bands from today to the horizon', () => {
+      const result = simulatePortfolio({ groups, correlations, horizonYears: 2, paths: 500, seed: 1 });
+
+      expect(result.initialValue).toBe(100000);
+      expect(result.steps).toBe(24);
+      expect(result.bands).toHaveLength(25);
+      expect(result.bands[0]).toMatchObject({ years: 0, p5: 100000, p50: 100000, p95: 100000 });
+      expect(result.bands[24].years).toBeCloseTo(2, 10);
+      result.bands.forEach(band => {
+        expect(band.p5).toBeLessThanOrEqual(band.p25);
+        expect(band.p25).toBeLessThanOrEqual(band.p50);
+        expect(band.p50).toBeLessThanOrEqual(band.p75);
+        expect(band.p75).toBeLessThanOrEqual(band.p95);
+      });
+    });
+
+    it('should match the lognormal median and loss probability of a single asset', () => {
+      const result = simulatePortfolio({
+        groups: [{ name: 'Fund', value: 1000, drift: 0.08, volatility: 0.2 }],
+        correlations: [[1]],
+        paths: 10000,
+        seed: 3
+      });
+      // ln(V1 / V0) is normal with mean mu - sigma^2 / 2 = 0.06 and standard deviation 0.2, so P(loss) = P(Z < -0.3)
+      expect(result.final.p50).toBeCloseTo(1000 * Math.exp(0.06), -1);
+      expect(result.probabilityOfLoss).toBeCloseTo(0.382, 1);
+    });
+
+    it('should report a larger loss at higher confidence, with CVaR beyond VaR', () => {
+      const result = simulatePortfolio({ groups, correlations, paths: 2000, seed: 5 });
+      const [at95, at99] = result.valueAtRisk;
+
+      expect(at95.confidence).toBe(95);
+      expect(at99.confidence).toBe(99);
+      expect(at99.var).toBeGreaterThan(at95.var);
+      expect(at95.cvar).toBeGreaterThanOrEqual(at95.var);
+      expect(at99.cvar).toBeGreaterThanOrEqual(at99.var);
+    });
+
+    it('should give each group its growth multiples', () => {
+      const result = simulatePortfolio({ groups, correlations, paths: 2000, seed: 5 });
+      const [startup, farmland] = result.groups;
+
+      expect(startup.name).toBe('Startup');
+      expect(startup.multiple.p95 - startup.multiple.p5).toBeGreaterThan(farmland.multiple.p95 - farmland.multiple.p5);
+    });
+
+    it('should refuse an empty portfolio', () => {
+      expect(() => simulatePortfolio({ groups: [], correlations: [] }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_SIMULATION' }));
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Investment = require('../models/Investment');
+const { PERMISSIONS, ROLES, hasPermission, permissionsFor } = require('../config/permissions');
+
+const userWithRole = role => ({ _id: new mongoose.Types.ObjectId(), role });
+
+describe('Permission matrix', () => {
+  it('should only grant known permissions', () => {
+    ROLES.forEach(role => {
+      permissionsFor(role).forEach(permission => {
+        expect(PERMISSIONS[permission]).toBeDefined();
+      });
+    });
+  });
+
+  it('should give admins every permission', () => {
+    expect(permissionsFor('admin')).toEqual(Object.keys(PERMISSIONS));
+  });
+
+  it('should let analysts read everything and change nothing', () => {
+    const analyst = userWithRole('analyst');
+    expect(hasPermission(analyst, 'investments:read:all')).toBe(true);
+    expect(permissionsFor('analyst').filter(permission => !permission.includes(':read') && permission !== 'simulations:run')).toEqual([]);
+  });
+
+  it('should not let viewers create investments', () => {
+    expect(hasPermission(userWithRole('viewer'), 'investments:create')).toBe(false);
+  });
+
+  it('should deny unknown roles and missing users', () => {
+    expect(hasPermission(userWithRole('intern'), 'investments:read:all')).toBe(false);
+    expect(hasPermission(null, 'investments:read:all')).toBe(false);
+  });
+});
+
+describe('Investment access levels', () => {
+  const viewer = userWithRole('viewer');
+  const analyst = userWithRole('analyst');
+  const manager = userWithRole('manager');
+
+  const investmentWith = fields => new Investment({
+    assetName: 'Shared Fund',
+    investedAmount: 1000,
+    currentValue: 1000,
+    currency: 'USD',
+    owners: [new mongoose.Types.ObjectId()],
+    ...fields
+  });
+
+  it('should hide investments that are neither owned nor shared', () => {
+    expect(investmentWith({}).accessFor(viewer)).toBeNull();
+  });
+
+  it('should make ownership read-only without an edit grant', () => {
+    expect(investmentWith({ owners: [viewer._id] }).accessFor(viewer)).toBe('read');
+  });
+
+  it('should follow read and edit grants', () => {
+    expect(investmentWith({ grants: [{ user: viewer._id, access: 'read' }] }).accessFor(viewer)).toBe('read');
+    expect(investmentWith({ grants: [{ user: viewer._id, access: 'edit' }] }).accessFor(viewer)).toBe('edit');
+  });
+
+  it('should cap grants by role', () => {
+    expect(investmentWith({ grants: [{ user: analyst._id, access: 'edit' }] }).accessFor(analyst)).toBe('read');
+  });
+
+  it('should give managers edit access everywhere', () => {
+    expect(investmentWith({}).accessFor(manager)).toBe('edit');
+  });
+
+  it('should limit users without read:all to what they own or were shared', () => {
+    expect(Investment.scopeFor(analyst)).toBeNull();
+    expect(Investment.scopeFor(viewer)).toBe(viewer._id);
+    expect(Investment.visibleTo(viewer._id)).toEqual({
+      $or: [{ owners: viewer._id }, { 'grants.user': viewer._id }]
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const { calculatePme, pmeValueOn } = require('../utils/pme');
+
+// 10% a year on each January 1st
+const levels = new Map([
+  ['2020-01-01', 100],
+  ['2021-01-01', 110],
+  ['2022-01-01', 121]
+]);
+const indexAt = date => {
+  let level = null;
+  levels.forEach((value, day) => {
+    if (new Date(day) <= new Date(date)) level = value;
+  });
+  return level;
+};
+
+const flows = [
+  { amount: -1000, date: new Date('2020-01-01') },
+  { amount: -1000, date: new Date('2021-01-01') },
+  { amount: 500, date: new Date('2021-01-01') }
+];
+const asOf = new Date('2022-01-01');
+
+describe('Public market equivalent', () => {
+  describe('calculatePme', () => {
+    it('should compare flows with the same amounts invested in the index', () => {
+      const pme = calculatePme(flows, 2000, indexAt, asOf);
+
+      // Contributions grow to 1210 + 1100, the distribution to 550
+      expect(pme.pmeValue).toBe(1760);
+      expect(pme.ksPme).toBeCloseTo((550 + 2000) / 2310, 4);
+      expect(pme.benchmarkReturn).toBe(21);
+      expect(pme.pmeIrr).toBeCloseTo(10, 0);
+      expect(pme.excessIrr).toBeCloseTo(pme.irr - pme.pmeIrr, 2);
+      expect(pme.directAlpha).toBeGreaterThan(0);
+    });
+
+    it('should match plain returns against a flat index', () => {
+      const pme = calculatePme(flows, 2000, () => 100, asOf);
+
+      expect(pme.ksPme).toBe(1.25);
+      expect(pme.pmeIrr).toBe(0);
+      expect(pme.directAlpha).toBe(pme.irr);
+      expect(pme.excessIrr).toBe(pme.irr);
+    });
+
+    it('should show underperformance below a KS-PME of 1', () => {
+      const pme = calculatePme(flows, 1200, indexAt, asOf);
+
+      expect(pme.ksPme).toBeLessThan(1);
+      expect(pme.excessIrr).toBeLessThan(0);
+      expect(pme.directAlpha).toBeLessThan(0);
+    });
+
+    it('should return null when the index starts after the first flow', () => {
+      const early = [{ amount: -1000, date: new Date('2019-06-01') }, ...flows];
+
+      expect(calculatePme(early, 2000, indexAt, asOf)).toBeNull();
+      expect(calculatePme([], 2000, indexAt, asOf)).toBeNull();
+    });
+  });
+
+  describe('pmeValueOn', () => {
+    it('should value the flows up to a date in the index', () => {
+      expect(pmeValueOn(flows, indexAt, new Date('2021-06-01'))).toBe(1100 + 1000 - 500);
+      expect(pmeValueOn(flows, indexAt, asOf)).toBe(1760);
+    });
+
+    it('should return null before the index starts', () => {
+      expect(pmeValueOn(flows, indexAt, new Date('2019-06-01'))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const { xirr, calculateMetrics } = require('../utils/returns');
+
+describe('Return metrics', () => {
+  describe('xirr', () => {
+    it('should compute the annualized rate for a single round trip', () => {
+      const rate = xirr([
+        { amount: -100000, date: '2021-01-01' },
+        { amount: 121000, date: '2023-01-01' }
+      ]);
+
+      expect(rate).toBeCloseTo(0.1, 2);
+    });
+
+    it('should account for the timing of interim flows', () => {
+      const early = xirr([
+        { amount: -100000, date: '2020-01-01' },
+        { amount: 50000, date: '2021-01-01' },
+        { amount: 60000, date: '2023-01-01' }
+      ]);
+      const late = xirr([
+        { amount: -100000, date: '2020-01-01' },
+        { amount: 50000, date: '2022-12-31' },
+        { amount: 60000, date: '2023-01-01' }
+      ]);
+
+      expect(early).toBeGreaterThan(late);
+    });
+
+    it('should return null when flows never change sign', () => {
+      expect(xirr([
+        { amount: -100, date: '2021-01-01' },
+        { amount: -50, date: '2022-01-01' }
+      ])).toBeNull();
+    });
+  });
+
+  describe('calculateMetrics', () => {
+    it('should compute multiples and time-aware returns', () => {
+      const metrics = calculateMetrics(
+        [
+          { amount: -100000, date: '2020-01-01' },
+          { amount: 20000, date: '2021-01-01' }
+        ],
+        130000,
+        new Date('2024-01-01')
+      );
+
+      expect(metrics.tvpi).toBeCloseTo(1.5, 4);
+      expect(metrics.dpi).toBeCloseTo(0.2, 4);
+      expect(metrics.rvpi).toBeCloseTo(1.3, 4);
+      expect(metrics.holdingPeriodYears).toBeCloseTo(4, 1);
+      expect(metrics.annualizedReturn).toBeCloseTo((Math.pow(1.5, 1 / 4) - 1) * 100, 0);
+      expect(metrics.irr).toBeGreaterThan(metrics.annualizedReturn);
+    });
+
+    it('should distinguish short and long holding periods with the same ROI', () => {
+      const asOf = new Date('2024-01-01');
+      const short = calculateMetrics([{ amount: -100, date: '2023-10-01' }], 150, asOf);
+      const long = calculateMetrics([{ amount: -100, date: '2014-01-01' }], 150, asOf);
+
+      expect(short.tvpi).toBe(long.tvpi);
+      expect(short.irr).toBeGreaterThan(long.irr);
+    });
+
+    it('should return null multiples without contributions', () => {
+      const metrics = calculateMetrics([], 0);
+
+      expect(metrics.tvpi).toBeNull();
+      expect(metrics.irr).toBeNull();
+    });
+  });
+});
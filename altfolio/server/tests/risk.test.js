@@ -0,0 +1,123 @@
+const { herfindahl, concentration, liquidityProfile, vintageSpread, buildRiskReport } = require('../utils/risk');
+
+const asOf = new Date('2024-01-01');
+const thresholds = {
+  maxInvestmentPercent: 20,
+  maxAssetTypePercent: 50,
+  maxOwnerPercent: 75,
+  maxHerfindahl: 0.25,
+  maxVintagePercent: 40,
+  minLiquidPercent: 10
+};
+
+const alice = { key: 'alice', label: 'Alice' };
+const bob = { key: 'bob', label: 'Bob' };
+
+const position = (key, assetType, value, extra = {}) => ({
+  key,
+  label: key,
+  assetType,
+  owners: [{ ...alice, share: 1 }],
+  value,
+  invested: value,
+  vintage: 2022,
+  lockupEndDate: null,
+  expectedExitDate: null,
+  ...extra
+});
+
+describe('Risk report', () => {
+  describe('herfindahl', () => {
+    it('should range from 1/n for an even split to 1 for a single holding', () => {
+      expect(herfindahl([25, 25, 25, 25])).toBe(0.25);
+      expect(herfindahl([100])).toBe(1);
+      expect(herfindahl([60, 40])).toBe(0.52);
+    });
+
+    it('should return null when there is nothing to share', () => {
+      expect(herfindahl([])).toBeNull();
+      expect(herfindahl([0, 0])).toBeNull();
+    });
+  });
+
+  describe('concentration', () => {
+    it('should group, rank and share entries', () => {
+      const result = concentration([
+        { key: 'a', label: 'A', value: 30 },
+        { key: 'b', label: 'B', value: 50 },
+        { key: 'a', label: 'A', value: 20 }
+      ]);
+
+      expect(result.groups.map(group => [group.key, group.value, group.percent, group.count])).toEqual([
+        ['a', 50, 50, 2],
+        ['b', 50, 50, 1]
+      ]);
+      expect(result.herfindahl).toBe(0.5);
+      expect(result.effectiveCount).toBe(2);
+    });
+  });
+
+  describe('liquidityProfile', () => {
+    it('should bucket value by when it can be realized, preferring the lockup end', () => {
+      const profile = liquidityProfile([
+        position('Unlocked', 'Farmland', 100, { lockupEndDate: new Date('2023-06-01'), expectedExitDate: new Date('2030-01-01') }),
+        position('Soon', 'Startup', 100, { expectedExitDate: new Date('2024-07-01') }),
+        position('Locked', 'Startup', 200, { lockupEndDate: new Date('2028-01-01') }),
+        position('Undated', 'Collectibles', 100)
+      ], asOf);
+
+      const byKey = Object.fromEntries(profile.buckets.map(bucket => [bucket.key, bucket]));
+      expect(byKey.now.value).toBe(100);
+      expect(byKey.withinYear.value).toBe(100);
+      expect(byKey.threeToFiveYears.value).toBe(200);
+      expect(byKey.unknown.count).toBe(1);
+      expect(profile.liquidWithinYearPercent).toBe(40);
+      expect(profile.averageYearsToLiquidity).toBeCloseTo((0.5 * 100 + 4 * 200) / 400, 1);
+    });
+  });
+
+  describe('vintageSpread', () => {
+    it('should split invested capital by vintage year', () => {
+      const spread = vintageSpread([
+        position('A', 'Startup', 100, { vintage: 2019 }),
+        position('B', 'Startup', 300, { vintage: 2022 })
+      ]);
+
+      expect(spread.years.map(year => [year.year, year.percent])).toEqual([[2019, 25], [2022, 75]]);
+      expect(spread.spanYears).toBe(4);
+    });
+  });
+
+  describe('buildRiskReport', () => {
+    it('should flag every threshold that is breached', () => {
+      const report = buildRiskReport([
+        position('Big Bet', 'Startup', 700, { owners: [{ ...alice, share: 0.5 }, { ...bob, share: 0.5 }] }),
+        position('Small Bet', 'Startup', 300, { vintage: 2021 })
+      ], thresholds, { asOf });
+
+      const flagged = report.flags.map(flag => `${flag.measure}:${flag.subject}`);
+      expect(flagged).toEqual(expect.arrayContaining([
+        'investmentShare:Big Bet',
+        'investmentShare:Small Bet',
+        'assetTypeShare:Startup',
+        'herfindahl:investments',
+        'herfindahl:asset types',
+        'vintageShare:2022',
+        'liquidity:null'
+      ]));
+      // Alice holds 350 + 300 of 1000, below the 75% owner limit
+      expect(flagged).not.toContain('ownerShare:Alice');
+      expect(report.concentration.owners.groups[0]).toMatchObject({ key: 'alice', value: 650, percent: 65 });
+    });
+
+    it('should keep the largest investments and leave owners out when asked', () => {
+      const positions = Array.from({ length: 8 }, (_, index) => position(`Fund ${index}`, `Type ${index}`, 100 + index));
+      const report = buildRiskReport(positions, thresholds, { asOf, top: 3, includeOwners: false });
+
+      expect(report.concentration.investments.count).toBe(8);
+      expect(report.concentration.investments.groups.map(group => group.key)).toEqual(['Fund 7', 'Fund 6', 'Fund 5']);
+      expect(report.concentration.owners).toBeNull();
+      expect(report.flags.map(flag => flag.measure)).toEqual(['vintageShare', 'liquidity']);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const Investment = require('../models/Investment');
+const AssetType = require('../models/AssetType');
+const Scenario = require('../models/Scenario');
+
+describe('Stress scenarios', () => {
+  let adminAuth, analystAuth, viewerAuth, adminUser;
+  let startup, cryptoFund, farmland;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/altfolio_test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await LoginEvent.deleteMany({});
+    await Investment.deleteMany({});
+    await AssetType.deleteMany({});
+    await Scenario.deleteMany({});
+    await AssetType.createDefaultTypes();
+
+    adminUser = await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    await User.create({ name: 'Analyst User', email: 'analyst@example.com', password: 'password123', role: 'analyst' });
+    await User.create({ name: 'Viewer User', email: 'viewer@example.com', password: 'password123', role: 'viewer' });
+
+    const login = async email => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'password123' });
+      return `Bearer ${response.body.token}`;
+    };
+    adminAuth = await login('admin@example.com');
+    analystAuth = await login('analyst@example.com');
+    viewerAuth = await login('viewer@example.com');
+
+    const create = (assetName, assetType, currentValue, tags = []) => Investment.create({
+      assetName,
+      assetType,
+      investedAmount: 10000,
+      currentValue,
+      investmentDate: new Date('2023-01-01'),
+      owners: [adminUser._id],
+      tags
+    });
+    startup = await create('Seed Round', 'Startup', 20000, ['ai']);
+    cryptoFund = await create('Token Fund', 'Crypto Fund', 10000, ['ai']);
+    farmland = await create('Iowa Acres', 'Farmland', 10000);
+  });
+
+  const crashShocks = [
+    { target: 'assetType', key: 'Crypto Fund', changePercent: -60 },
+    { target: 'assetType', key: 'Startup', changePercent: -30 }
+  ];
+
+  describe('CRUD /api/scenarios', () => {
+    it('should let anyone who runs simulations save and list scenarios', async () => {
+      const created = await request(app)
+        .post('/api/scenarios')
+        .set('Authorization', analystAuth)
+        .send({ name: 'Crypto crash', description: 'Risk-off year', shocks: crashShocks })
+        .expect(201);
+
+      expect(created.body.data.shocks).toEqual(crashShocks);
+      expect(created.body.data.createdBy.name).toBe('Analyst User');
+
+      const list = await request(app)
+        .get('/api/scenarios')
+        .set('Authorization', adminAuth)
+        .expect(200);
+      expect(list.body.data.map(scenario => scenario.name)).toEqual(['Crypto crash']);
+    });
+
+    it('should not allow roles without simulations', async () => {
+      await request(app)
+        .get('/api/scenarios')
+        .set('Authorization', viewerAuth)
+        .expect(403);
+    });
+
+    it('should reject invalid shocks and duplicate names', async () => {
+      const invalid = await request(app)
+        .post('/api/scenarios')
+        .set('Authorization', adminAuth)
+        .send({ name: 'Bad', shocks: [{ target: 'sector', key: 'Tech', changePercent: -150 }] })
+        .expect(400);
+      expect(invalid.body.details.map(detail => detail.path)).toEqual(
+        expect.arrayContaining(['shocks[0].target', 'shocks[0].changePercent'])
+      );
+
+      await Scenario.create({ name: 'Crypto crash', shocks: crashShocks });
+      await request(app)
+        .post('/api/scenarios')
+        .set('Authorization', adminAuth)
+        .send({ name: 'Crypto crash', shocks: crashShocks })
+        .expect(409);
+    });
+
+    it('should update and delete a scenario', async () => {
+      const scenario = await Scenario.create({ name: 'Crypto crash', shocks: crashShocks });
+
+      const updated = await request(app)
+        .put(`/api/scenarios/${scenario._id}`)
+        .set('Authorization', adminAuth)
+        .send({ name: 'Deep crypto crash', shocks: [{ target: 'assetType', key: 'Crypto Fund', changePercent: -80 }] })
+        .expect(200);
+      expect(updated.body.data.name).toBe('Deep crypto crash');
+      expect(updated.body.data.shocks).toHaveLength(1);
+
+      await request(app)
+        .delete(`/api/scenarios/${scenario._id}`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+      expect(await Scenario.countDocuments()).toBe(0);
+    });
+
+    it('should follow asset type renames', async () => {
+      const scenario = await Scenario.create({ name: 'Crypto crash', shocks: crashShocks });
+      const type = await AssetType.findOne({ name: 'Crypto Fund' });
+
+      await request(app)
+        .put(`/api/asset-types/${type._id}`)
+        .set('Authorization', adminAuth)
+        .send({ name: 'Digital Assets' })
+        .expect(200);
+
+      const renamed = await Scenario.findById(scenario._id);
+      expect(renamed.shocks.map(shock => shock.key)).toEqual(['Digital Assets', 'Startup']);
+    });
+  });
+
+  describe('POST /api/dashboard/simulate with scenarios', () => {
+    const simulate = (body, auth = adminAuth) => request(app)
+      .post('/api/dashboard/simulate')
+      .set('Authorization', auth)
+      .send({ simulationType: 'scenario', ...body });
+
+    it('should compare saved and unsaved scenarios side by side', async () => {
+      const crash = await Scenario.create({ name: 'Crypto crash', shocks: crashShocks });
+
+      const response = await simulate({
+        scenarios: [
+          crash._id.toString(),
+          { name: 'Farmland boom', shocks: [{ target: 'assetType', key: 'Farmland', changePercent: 25 }] }
+        ]
+      }).expect(200);
+
+      const [first, second] = response.body.data.scenarios;
+      expect(response.body.data.simulationType).toBe('scenario');
+      expect(first.scenarioId).toBe(crash._id.toString());
+      expect(first.portfolioImpact.totalOriginalValue).toBe(40000);
+      expect(first.portfolioImpact.totalSimulatedValue).toBe(14000 + 4000 + 10000);
+      expect(second.scenarioId).toBeNull();
+      expect(second.portfolioImpact.totalSimulatedValue).toBe(20000 + 10000 + 12500);
+    });
+
+    it('should compound every shock that matches an investment', async () => {
+      const response = await simulate({
+        scenarios: [{
+          name: 'AI winter',
+          shocks: [
+            { target: 'assetType', key: 'Startup', changePercent: -30 },
+            { target: 'tag', key: 'AI', changePercent: -20 },
+            { target: 'investment', key: farmland._id.toString(), changePercent: -100 }
+          ]
+        }]
+      }).expect(200);
+
+      const results = response.body.data.scenarios[0].simulationResults;
+      const valueOf = investment => results.find(result => result.investmentId === investment._id.toString()).simulatedValue;
+      expect(valueOf(startup)).toBe(11200);
+      expect(valueOf(cryptoFund)).toBe(8000);
+      expect(valueOf(farmland)).toBe(0);
+    });
+
+    it('should give the same results every time', async () => {
+      const crash = await Scenario.create({ name: 'Crypto crash', shocks: crashShocks });
+
+      const first = await simulate({ scenarios: [crash._id.toString()] }).expect(200);
+      const second = await simulate({ scenarios: [crash._id.toString()] }).expect(200);
+      expect(second.body.data.scenarios).toEqual(first.body.data.scenarios);
+    });
+
+    it('should reject missing scenarios and invalid unsaved ones', async () => {
+      await simulate({}).expect(400);
+      await simulate({ scenarios: [new mongoose.Types.ObjectId().toString()] }).expect(422);
+
+      const response = await simulate({ scenarios: [{ name: 'Broken', shocks: [] }] }).expect(422);
+      expect(response.body.error).toMatch(/Broken/);
+    });
+  });
+});
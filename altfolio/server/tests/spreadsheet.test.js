@@ -0,0 +1,54 @@
+const ExcelJS = require('exceljs');
+const { parseCsv, readSpreadsheet } = require('../utils/spreadsheet');
+
+describe('Spreadsheet parsing', () => {
+  describe('parseCsv', () => {
+    it('should handle quoted fields, escaped quotes and CRLF line endings', () => {
+      const rows = parseCsv('\uFEFFName,Notes\r\n"Farm, North","Said ""sell"""\r\nVineyard,\r\n');
+
+      expect(rows).toEqual([
+        ['Name', 'Notes'],
+        ['Farm, North', 'Said "sell"'],
+        ['Vineyard', '']
+      ]);
+    });
+
+    it('should keep line breaks inside quoted fields', () => {
+      expect(parseCsv('a,b\n"line 1\nline 2",x')).toEqual([
+        ['a', 'b'],
+        ['line 1\nline 2', 'x']
+      ]);
+    });
+  });
+
+  describe('readSpreadsheet', () => {
+    it('should key CSV rows by header and skip blank rows', async () => {
+      const sheet = await readSpreadsheet({
+        originalname: 'positions.csv',
+        buffer: Buffer.from('Asset Name,Invested\nSeed Round,"$25,000"\n,\nFarm,1000\n')
+      });
+
+      expect(sheet.headers).toEqual(['Asset Name', 'Invested']);
+      expect(sheet.rows).toEqual([
+        { rowNumber: 2, values: { 'Asset Name': 'Seed Round', Invested: '$25,000' } },
+        { rowNumber: 4, values: { 'Asset Name': 'Farm', Invested: '1000' } }
+      ]);
+    });
+
+    it('should read the first worksheet of an XLSX file with typed cells', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Positions');
+      worksheet.addRow(['Asset Name', 'Invested', 'Date']);
+      worksheet.addRow(['Seed Round', 25000, new Date('2023-01-15')]);
+      worksheet.addRow(['Farm', { formula: '500*2', result: 1000 }, null]);
+      const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+      const sheet = await readSpreadsheet({ originalname: 'positions.xlsx', buffer });
+
+      expect(sheet.rows).toHaveLength(2);
+      expect(sheet.rows[0].values.Invested).toBe(25000);
+      expect(sheet.rows[0].values.Date).toEqual(new Date('2023-01-15'));
+      expect(sheet.rows[1].values.Invested).toBe(1000);
+    });
+  });
+});
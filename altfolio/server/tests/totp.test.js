@@ -0,0 +1,60 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  otpauthUrl,
+  setupPayload
+} = require('../utils/totp');
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890" with 8 digits;
+// the 6-digit codes below are the last six digits of its SHA1 vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('should round-trip base32', () => {
+    const bytes = Buffer.from('any bytes at all!');
+
+    expect(base32Decode(base32Encode(bytes)).equals(bytes)).toBe(true);
+    expect(base32Encode(Buffer.from('12345678901234567890'))).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(() => base32Decode('NOT1VALID')).toThrow('Invalid base32 character');
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateCode(RFC_SECRET, timeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, timeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, timeStep(1234567890 * 1000))).toBe('005924');
+    expect(generateCode(RFC_SECRET, timeStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  it('should accept codes within one step of the current time', () => {
+    const secret = generateSecret();
+    const time = Date.UTC(2024, 0, 1);
+    const step = timeStep(time);
+
+    expect(verifyCode(secret, generateCode(secret, step), { time })).toBe(step);
+    expect(verifyCode(secret, generateCode(secret, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(secret, generateCode(secret, step + 1), { time })).toBe(step + 1);
+    expect(verifyCode(secret, generateCode(secret, step - 2), { time })).toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    const secret = generateSecret();
+
+    expect(verifyCode(secret, '12345')).toBeNull();
+    expect(verifyCode(secret, 'abcdef')).toBeNull();
+    expect(verifyCode(secret, undefined)).toBeNull();
+  });
+
+  it('should build an otpauth URL and QR code for authenticator apps', async () => {
+    const url = otpauthUrl({ secret: 'ABC', account: 'test@example.com' });
+
+    expect(url).toBe('otpauth://totp/Altfolio%3Atest%40example.com?secret=ABC&issuer=Altfolio&algorithm=SHA1&digits=6&period=30');
+
+    const payload = await setupPayload('ABC', 'test@example.com');
+    expect(payload.qrCode).toMatch(/^data:image\/png;base64,/);
+    expect(payload.otpauthUrl).toBe(url);
+  });
+});
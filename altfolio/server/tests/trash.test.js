@@ -0,0 +1,195 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const Investment = require('../models/Investment');
+const Valuation = require('../models/Valuation');
+const CashFlow = require('../models/CashFlow');
+const AssetType = require('../models/AssetType');
+const AuditLog = require('../models/AuditLog');
+const Setting = require('../models/Setting');
+const { purgeExpiredTrash } = require('../utils/trash');
+
+describe('Trash', () => {
+  let adminAuth, managerAuth, viewerAuth, adminUser, managerUser, viewerUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/altfolio_test');
+    await AssetType.createDefaultTypes();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await LoginEvent.deleteMany({});
+    await Investment.deleteMany({});
+    await Valuation.deleteMany({});
+    await CashFlow.deleteMany({});
+    await Setting.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+
+    adminUser = await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    managerUser = await User.create({ name: 'Manager User', email: 'manager@example.com', password: 'password123', role: 'manager' });
+    viewerUser = await User.create({ name: 'Viewer User', email: 'viewer@example.com', password: 'password123', role: 'viewer' });
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    adminAuth = `Bearer ${adminLogin.body.token}`;
+    const managerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'manager@example.com', password: 'password123' });
+    managerAuth = `Bearer ${managerLogin.body.token}`;
+    const viewerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'viewer@example.com', password: 'password123' });
+    viewerAuth = `Bearer ${viewerLogin.body.token}`;
+  });
+
+  const createTrashed = async (owner, assetName = 'Trashed Fund', owners = [owner]) => {
+    const investment = await Investment.create({
+      assetName,
+      assetType: 'Startup',
+      investedAmount: 1000,
+      currentValue: 1000,
+      investmentDate: new Date('2023-01-01'),
+      owners: owners.map(user => user._id)
+    });
+    await request(app)
+      .delete(`/api/investments/${investment._id}`)
+      .set('Authorization', owner === adminUser ? adminAuth : managerAuth)
+      .expect(200);
+    return investment;
+  };
+
+  describe('GET /api/investments/trash', () => {
+    it('should only list trashed investments the user can see', async () => {
+      await createTrashed(managerUser, 'Shared', [managerUser, viewerUser]);
+      await createTrashed(managerUser, 'Not Shared');
+
+      const response = await request(app)
+        .get('/api/investments/trash')
+        .set('Authorization', viewerAuth)
+        .expect(200);
+      expect(response.body.data.map(investment => investment.assetName)).toEqual(['Shared']);
+      expect(response.body.data[0].deletedBy.name).toBe('Manager User');
+      expect(response.body.data[0].purgeAt).toBeNull();
+    });
+
+    it('should give each item a purge date once retention is on', async () => {
+      await createTrashed(managerUser);
+      await Setting.setValue('trashRetentionDays', 30);
+
+      const response = await request(app)
+        .get('/api/investments/trash')
+        .set('Authorization', managerAuth)
+        .expect(200);
+      expect(response.body.retentionDays).toBe(30);
+      const { deletedAt, purgeAt } = response.body.data[0];
+      expect(new Date(purgeAt) - new Date(deletedAt)).toBe(30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should keep trashed investments out of the list and dashboard', async () => {
+      await createTrashed(managerUser);
+
+      const list = await request(app).get('/api/investments').set('Authorization', managerAuth).expect(200);
+      expect(list.body.data).toHaveLength(0);
+      const dashboard = await request(app).get('/api/dashboard').set('Authorization', managerAuth).expect(200);
+      expect(dashboard.body.data.investments).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/investments/:id/restore', () => {
+    it('should bring an investment back and audit it', async () => {
+      const investment = await createTrashed(managerUser);
+
+      await request(app)
+        .post(`/api/investments/${investment._id}/restore`)
+        .set('Authorization', managerAuth)
+        .expect(200);
+
+      const restored = await Investment.findById(investment._id);
+      expect(restored.isActive).toBe(true);
+      expect(restored.deletedAt).toBeNull();
+      expect(await AuditLog.countDocuments({ entity: investment._id, action: 'restore' })).toBe(1);
+    });
+
+    it('should 404 for investments that are not in the trash', async () => {
+      const investment = await Investment.create({
+        assetName: 'Live Fund',
+        assetType: 'Startup',
+        investedAmount: 1000,
+        currentValue: 1000,
+        investmentDate: new Date('2023-01-01'),
+        owners: [managerUser._id]
+      });
+
+      await request(app)
+        .post(`/api/investments/${investment._id}/restore`)
+        .set('Authorization', managerAuth)
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/investments/:id/purge', () => {
+    it('should be admin-only', async () => {
+      const investment = await createTrashed(managerUser);
+
+      await request(app)
+        .delete(`/api/investments/${investment._id}/purge`)
+        .set('Authorization', managerAuth)
+        .expect(403);
+    });
+
+    it('should remove the investment with its cash flows', async () => {
+      const investment = await createTrashed(adminUser);
+      await CashFlow.create({ investment: investment._id, type: 'contribution', amount: 100, date: new Date('2023-02-01') });
+
+      await request(app)
+        .delete(`/api/investments/${investment._id}/purge`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+
+      expect(await Investment.findById(investment._id)).toBeNull();
+      expect(await CashFlow.countDocuments({ investment: investment._id })).toBe(0);
+      expect(await AuditLog.countDocuments({ entity: investment._id, action: 'purge' })).toBe(1);
+    });
+  });
+
+  describe('Retention', () => {
+    it('should do nothing while retention is off', async () => {
+      const investment = await createTrashed(managerUser);
+      await Investment.updateOne({ _id: investment._id }, { deletedAt: new Date('2020-01-01') });
+
+      expect(await purgeExpiredTrash()).toBe(0);
+    });
+
+    it('should purge items older than the retention period', async () => {
+      const old = await createTrashed(managerUser, 'Old');
+      const recent = await createTrashed(managerUser, 'Recent');
+      await Investment.updateOne({ _id: old._id }, { deletedAt: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000) });
+      await Setting.setValue('trashRetentionDays', 30);
+
+      expect(await purgeExpiredTrash()).toBe(1);
+      expect(await Investment.findById(old._id)).toBeNull();
+      expect(await Investment.findById(recent._id)).not.toBeNull();
+      const entry = await AuditLog.findOne({ entity: old._id, action: 'purge' });
+      expect(entry.summary).toBe('Purged after 30 days in the trash');
+      expect(entry.actor).toBeNull();
+    });
+
+    it('should validate the retention setting', async () => {
+      await request(app)
+        .put('/api/settings')
+        .set('Authorization', adminAuth)
+        .send({ trashRetentionDays: -1 })
+        .expect(400);
+    });
+  });
+});
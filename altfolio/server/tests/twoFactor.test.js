@@ -0,0 +1,286 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const LoginEvent = require('../models/LoginEvent');
+const AuditLog = require('../models/AuditLog');
+const { generateCode, timeStep } = require('../utils/totp');
+
+describe('Two-Factor Authentication', () => {
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/altfolio_test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await Setting.deleteMany({});
+    await LoginEvent.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+    await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    await User.create({ name: 'Viewer User', email: 'viewer@example.com', password: 'password123', role: 'viewer' });
+  });
+
+  const login = email => request(app)
+    .post('/api/auth/login')
+    .send({ email, password: 'password123' })
+    .expect(200);
+
+  // Enrols through the account endpoints and returns the secret, recovery codes and an access token
+  const enrol = async email => {
+    const { body } = await login(email);
+    const auth = `Bearer ${body.token}`;
+    const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', auth).expect(200);
+    const enabled = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', auth)
+      .send({ code: generateCode(setup.body.secret) })
+      .expect(200);
+    return { secret: setup.body.secret, recoveryCodes: enabled.body.recoveryCodes, auth };
+  };
+
+  describe('Enrolment', () => {
+    it('should return a QR code and enable 2FA with a valid code', async () => {
+      const { body } = await login('viewer@example.com');
+      const auth = `Bearer ${body.token}`;
+
+      const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', auth).expect(200);
+      expect(setup.body.qrCode).toMatch(/^data:image\/png;base64,/);
+      expect(setup.body.otpauthUrl).toContain('viewer%40example.com');
+
+      await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', auth)
+        .send({ code: '000000' })
+        .expect(400);
+
+      const enabled = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', auth)
+        .send({ code: generateCode(setup.body.secret) })
+        .expect(200);
+      expect(enabled.body.recoveryCodes).toHaveLength(10);
+
+      const status = await request(app).get('/api/auth/2fa').set('Authorization', auth).expect(200);
+      expect(status.body.enabled).toBe(true);
+      expect(status.body.recoveryCodesRemaining).toBe(10);
+    });
+
+    it('should never expose secrets in user responses', async () => {
+      const { auth } = await enrol('viewer@example.com');
+
+      const me = await request(app).get('/api/auth/me').set('Authorization', auth).expect(200);
+      expect(me.body.user.twoFactor).toEqual({ enabled: true, enabledAt: expect.any(String) });
+    });
+  });
+
+  describe('Login challenge', () => {
+    it('should require a code after the password and not issue tokens before it', async () => {
+      const { secret } = await enrol('viewer@example.com');
+
+      const first = await login('viewer@example.com');
+      expect(first.body.twoFactorRequired).toBe(true);
+      expect(first.body.token).toBeUndefined();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${first.body.challengeToken}`)
+        .expect(401);
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code: generateCode(secret, timeStep() + 1) })
+        .expect(200);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { secret } = await enrol('viewer@example.com');
+      const code = generateCode(secret, timeStep() + 1);
+
+      const first = await login('viewer@example.com');
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code })
+        .expect(200);
+
+      const second = await login('viewer@example.com');
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: second.body.challengeToken, code })
+        .expect(401);
+    });
+
+    it('should let only one of two concurrent logins use a code', async () => {
+      const { secret } = await enrol('viewer@example.com');
+      const code = generateCode(secret, timeStep() + 1);
+
+      // Both requests loaded the account before either used the code
+      const [first, second] = await Promise.all([
+        User.findWithTwoFactor({ email: 'viewer@example.com' }),
+        User.findWithTwoFactor({ email: 'viewer@example.com' })
+      ]);
+      expect(await first.verifyTwoFactorCode(code)).toBe(true);
+      expect(await second.verifyTwoFactorCode(code)).toBe(false);
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enrol('viewer@example.com');
+
+      const first = await login('viewer@example.com');
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() })
+        .expect(200);
+      expect(response.body.recoveryCodesRemaining).toBe(9);
+
+      const second = await login('viewer@example.com');
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: second.body.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should reject an invalid challenge token', async () => {
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'not-a-token', code: '123456' })
+        .expect(401);
+    });
+  });
+
+  describe('Admin enforcement', () => {
+    it('should not let an admin without 2FA require it', async () => {
+      const { body } = await login('admin@example.com');
+
+      await request(app)
+        .put('/api/settings')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ requireTwoFactorForAdmins: true })
+        .expect(400);
+    });
+
+    it('should send admins without 2FA through enrolment at login', async () => {
+      await Setting.setValue('requireTwoFactorForAdmins', true);
+
+      const first = await login('admin@example.com');
+      expect(first.body.twoFactorSetupRequired).toBe(true);
+      expect(first.body.token).toBeUndefined();
+
+      const setup = await request(app)
+        .post('/api/auth/login/2fa/setup')
+        .send({ challengeToken: first.body.challengeToken })
+        .expect(200);
+      const enabled = await request(app)
+        .post('/api/auth/login/2fa/enable')
+        .send({ challengeToken: first.body.challengeToken, code: generateCode(setup.body.secret) })
+        .expect(200);
+
+      expect(enabled.body.recoveryCodes).toHaveLength(10);
+      expect(enabled.body.token).toBeDefined();
+    });
+
+    it('should leave viewers unaffected', async () => {
+      await Setting.setValue('requireTwoFactorForAdmins', true);
+
+      const response = await login('viewer@example.com');
+      expect(response.body.token).toBeDefined();
+    });
+
+    it('should end existing admin sessions at their next refresh', async () => {
+      const { body } = await login('admin@example.com');
+      await Setting.setValue('requireTwoFactorForAdmins', true);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken })
+        .expect(401);
+      expect(response.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+    });
+
+    it('should not let an admin turn off required 2FA', async () => {
+      const { secret, auth } = await enrol('admin@example.com');
+      await request(app)
+        .put('/api/settings')
+        .set('Authorization', auth)
+        .send({ requireTwoFactorForAdmins: true })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', auth)
+        .send({ password: 'password123', code: generateCode(secret, timeStep() + 1) })
+        .expect(400);
+    });
+
+    it('should let an admin reset another user\'s 2FA', async () => {
+      await enrol('viewer@example.com');
+      const { body } = await login('admin@example.com');
+      const viewer = await User.findOne({ email: 'viewer@example.com' });
+
+      await request(app)
+        .post(`/api/users/${viewer._id}/reset-2fa`)
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      const response = await login('viewer@example.com');
+      expect(response.body.token).toBeDefined();
+    });
+  });
+
+  describe('Disabling', () => {
+    it('should require the password and a current code', async () => {
+      const { secret, auth } = await enrol('viewer@example.com');
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', auth)
+        .send({ password: 'wrongpassword', code: generateCode(secret, timeStep() + 1) })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', auth)
+        .send({ password: 'password123', code: generateCode(secret, timeStep() + 1) })
+        .expect(200);
+
+      const entries = await AuditLog.find({ entityType: 'user' }).sort({ createdAt: 1 }).lean();
+      expect(entries.map(entry => [entry.summary, entry.changes])).toEqual([
+        ['Two-factor authentication enabled', [{ field: 'twoFactor.enabled', before: false, after: true }]],
+        ['Two-factor authentication disabled', [{ field: 'twoFactor.enabled', before: true, after: false }]]
+      ]);
+
+      const response = await login('viewer@example.com');
+      expect(response.body.token).toBeDefined();
+    });
+
+    it('should count wrong codes towards the account lockout', async () => {
+      const { secret, auth } = await enrol('viewer@example.com');
+      const disable = code => request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', auth)
+        .send({ password: 'password123', code });
+
+      for (let attempt = 1; attempt < User.LOCKOUT_THRESHOLD; attempt++) {
+        await disable('000000').expect(401);
+      }
+      await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', auth)
+        .send({ code: '000000' })
+        .expect(423);
+
+      await disable(generateCode(secret, timeStep() + 1)).expect(423);
+      const user = await User.findOne({ email: 'viewer@example.com' });
+      expect(user.twoFactor.enabled).toBe(true);
+      expect(await LoginEvent.countDocuments({ user: user._id, reason: 'invalid-code' })).toBe(User.LOCKOUT_THRESHOLD);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const UserToken = require('../models/UserToken');
+const mailer = require('../utils/mailer');
+
+describe('User Endpoints', () => {
+  let adminToken, viewerToken, adminUser, viewerUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/altfolio_test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await LoginEvent.deleteMany({});
+
+    adminUser = await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    viewerUser = await User.create({ name: 'Viewer User', email: 'viewer@example.com', password: 'password123', role: 'viewer' });
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    adminToken = adminLogin.body.token;
+    const viewerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'viewer@example.com', password: 'password123' });
+    viewerToken = viewerLogin.body.token;
+  });
+
+  describe('GET /api/users/lookup', () => {
+    it('should let any logged-in user find active users by name or email', async () => {
+      await User.create({ name: 'Former Partner', email: 'former@example.com', password: 'password123', isActive: false });
+
+      const response = await request(app)
+        .get('/api/users/lookup?q=example')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(user => user.email).sort()).toEqual(['admin@example.com', 'viewer@example.com']);
+      expect(response.body.data[0].password).toBeUndefined();
+      expect(response.body.data[0].role).toBeUndefined();
+    });
+
+    it('should require at least two characters', async () => {
+      await request(app)
+        .get('/api/users/lookup?q=a')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/users', () => {
+    it('should list users for admin without passwords', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.data[0].password).toBeUndefined();
+    });
+
+    it('should filter by role and reject anything but a known role', async () => {
+      const response = await request(app)
+        .get('/api/users?role=viewer')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].role).toBe('viewer');
+
+      await request(app)
+        .get('/api/users?role[$ne]=viewer')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should not allow viewer to list users', async () => {
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/users', () => {
+    it('should create a user who can then log in', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'New Analyst', email: 'New@Example.com', password: 'secret123', role: 'viewer' })
+        .expect(201);
+
+      expect(response.body.data.email).toBe('new@example.com');
+      expect(response.body.data.password).toBeUndefined();
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'new@example.com', password: 'secret123' })
+        .expect(200);
+    });
+
+    it('should reject duplicate emails', async () => {
+      await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Copy', email: 'viewer@example.com', password: 'secret123' })
+        .expect(409);
+    });
+  });
+
+  describe('GET /api/users/roles', () => {
+    it('should describe the permission matrix to admins', async () => {
+      const response = await request(app)
+        .get('/api/users/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.roles.map(role => role.name)).toEqual(['admin', 'manager', 'analyst', 'viewer']);
+      expect(response.body.data.permissions.length).toBeGreaterThan(0);
+    });
+
+    it('should not let managers manage users', async () => {
+      await User.create({ name: 'Manager User', email: 'manager@example.com', password: 'password123', role: 'manager' });
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'manager@example.com', password: 'password123' });
+
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/users/:id', () => {
+    it('should return the permissions of the new role', async () => {
+      const response = await request(app)
+        .put(`/api/users/${viewerUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Viewer User', email: 'viewer@example.com', role: 'analyst' })
+        .expect(200);
+
+      expect(response.body.data.permissions).toContain('investments:read:all');
+      expect(response.body.data.permissions).not.toContain('investments:edit:all');
+    });
+
+    it('should change role and keep the password when none is sent', async () => {
+      const response = await request(app)
+        .put(`/api/users/${viewerUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Promoted User', email: 'viewer@example.com', role: 'admin' })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('admin');
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'viewer@example.com', password: 'password123' })
+        .expect(200);
+    });
+
+    it('should not let an admin demote themselves', async () => {
+      await request(app)
+        .put(`/api/users/${adminUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Admin User', email: 'admin@example.com', role: 'viewer' })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/users/:id', () => {
+    it('should deactivate rather than remove the user', async () => {
+      await request(app)
+        .delete(`/api/users/${viewerUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const user = await User.findById(viewerUser._id);
+      expect(user.isActive).toBe(false);
+    });
+  });
+
+  describe('Malformed ids', () => {
+    it('should answer 400 instead of failing the lookup', async () => {
+      const requests = [
+        request(app).get('/api/users/not-an-id'),
+        request(app).put('/api/users/not-an-id').send({ name: 'Nobody' }),
+        request(app).post('/api/users/not-an-id/unlock'),
+        request(app).get('/api/users/not-an-id/login-history'),
+        request(app).delete('/api/users/not-an-id'),
+        request(app).delete('/api/users/invites/not-an-id')
+      ];
+
+      for (const pending of requests) {
+        const response = await pending.set('Authorization', `Bearer ${adminToken}`).expect(400);
+        expect(response.body.error).toBe('Invalid ID.');
+      }
+    });
+  });
+
+  describe('/api/users/invites', () => {
+    beforeEach(async () => {
+      await UserToken.deleteMany({});
+      mailer.outbox.length = 0;
+    });
+
+    it('should email an invitation and list it as pending', async () => {
+      await request(app)
+        .post('/api/users/invites')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'Partner@Example.com', role: 'viewer' })
+        .expect(201);
+
+      expect(mailer.outbox).toHaveLength(1);
+      expect(mailer.outbox[0].to).toBe('partner@example.com');
+      expect(mailer.outbox[0].text).toContain('/register?invite=');
+
+      const response = await request(app)
+        .get('/api/users/invites')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].tokenHash).toBeUndefined();
+      expect(response.body.data[0].createdBy.email).toBe('admin@example.com');
+    });
+
+    it('should replace an earlier invitation to the same address', async () => {
+      for (let i = 0; i < 2; i++) {
+        await request(app)
+          .post('/api/users/invites')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ email: 'partner@example.com' })
+          .expect(201);
+      }
+
+      expect(await UserToken.countDocuments({ purpose: 'invite' })).toBe(1);
+    });
+
+    it('should not invite an existing user', async () => {
+      await request(app)
+        .post('/api/users/invites')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'viewer@example.com' })
+        .expect(409);
+    });
+
+    it('should revoke an invitation', async () => {
+      const { record } = await UserToken.issue({ purpose: 'invite', email: 'partner@example.com', role: 'viewer' });
+
+      await request(app)
+        .delete(`/api/users/invites/${record._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(await UserToken.countDocuments()).toBe(0);
+    });
+
+    it('should not let viewers invite users', async () => {
+      await request(app)
+        .post('/api/users/invites')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ email: 'partner@example.com' })
+        .expect(403);
+    });
+  });
+});
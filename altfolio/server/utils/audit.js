@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const INVESTMENT_FIELDS = [
+  'assetName',
+  'assetType',
+  'assetSubtype',
+  'attributes',
+  'currency',
+  'investedAmount',
+  'distributedAmount',
+  'currentValue',
+  'investmentDate',
+  'description',
+  'notes',
+  'tags',
+  'lockupEndDate',
+  'expectedExitDate',
+  'owners',
+  'ownerShares',
+  'grants',
+  'isActive'
+];
+
+// Password hashes and 2FA secrets are never logged; a password change shows up as REDACTED
+const USER_FIELDS = ['name', 'email', 'role', 'isActive', 'emailVerified', 'twoFactor.enabled', 'lockedUntil'];
+const REDACTED = '[redacted]';
+
+const CASH_FLOW_FIELDS = ['type', 'category', 'amount', 'date', 'notes'];
+
+// JSON-safe, comparable form of a value: ids and dates become strings and object keys are sorted
+const normalize = value => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, normalize(value[key])]));
+  }
+  return value;
+};
+
+// The audited fields of a document or plain object; populated references are reduced to ids
+const snapshot = (doc, fields) => {
+  if (!doc) return {};
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return Object.fromEntries(fields.map(field => [
+    field,
+    normalize(field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), plain))
+  ]));
+};
+
+// Field-level changes between two snapshots, optionally prefixing field names
+const diffSnapshots = (before, after, prefix = '') =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .map(field => ({ field: `${prefix}${field}`, before: before[field] ?? null, after: after[field] ?? null }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+// Updates that change nothing and carry no summary are not worth an entry
+const recordChange = (req, entityType, entity, entityName, action, changes, { summary = '', actor } = {}) => {
+  if (action === 'update' && changes.length === 0 && !summary) return null;
+  return AuditLog.record(req, { entityType, entity, entityName, action, changes, summary, actor });
+};
+
+// before is null for a create; pass a snapshot or toObject() copy when the document is changed in place
+const auditInvestment = (req, action, before, after, { changes = [], ...options } = {}) => {
+  const investment = after || before;
+  return recordChange(
+    req,
+    'investment',
+    investment._id,
+    investment.assetName,
+    action,
+    [...diffSnapshots(snapshot(before, INVESTMENT_FIELDS), snapshot(after, INVESTMENT_FIELDS)), ...changes],
+    options
+  );
+};
+
+const auditUser = (req, action, before, after, { passwordChanged = false, ...options } = {}) => {
+  const user = after || before;
+  const changes = diffSnapshots(snapshot(before, USER_FIELDS), snapshot(after, USER_FIELDS));
+  if (passwordChanged) {
+    changes.push({ field: 'password', before: REDACTED, after: REDACTED });
+  }
+  return recordChange(req, 'user', user._id, user.email, action, changes, options);
+};
+
+module.exports = {
+  INVESTMENT_FIELDS,
+  USER_FIELDS,
+  CASH_FLOW_FIELDS,
+  REDACTED,
+  normalize,
+  snapshot,
+  diffSnapshots,
+  auditInvestment,
+  auditUser
+};
@@ -0,0 +1,49 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+
+// Access tokens are short-lived; clients renew them with the session's refresh token
+const generateToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
+  );
+};
+
+// Proves the password step passed while a second factor is still owed. It has no
+// session, so authenticateToken never accepts it as an access token.
+const issueChallengeToken = userId => {
+  return jwt.sign(
+    { userId, purpose: 'two-factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Returns the user ID from a valid challenge token, or null
+const verifyChallengeToken = token => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === 'two-factor' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Records the login and opens a session for a fully authenticated user
+const startSession = async (user, req) => {
+  user.lastLogin = new Date();
+  user.clearLoginFailures();
+  await user.save();
+  await LoginEvent.record(req, { user, success: true });
+  const { session, refreshToken } = await Session.start(user._id, req);
+  return { token: generateToken(user._id, session._id), refreshToken };
+};
+
+module.exports = {
+  generateToken,
+  issueChallengeToken,
+  verifyChallengeToken,
+  startSession
+};
@@ -0,0 +1,182 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+/**
+ * Export columns are { header, key, type } where type is text, number, percent or date.
+ * Rows are plain objects keyed by column key.
+ */
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value, type) => {
+  if (value === null || value === undefined) return '';
+  if (type === 'number' || type === 'percent') return Number(value).toFixed(2);
+  if (type === 'date') return new Date(value).toISOString().split('T')[0];
+  return String(value);
+};
+
+const escapeCsv = (value, type) => {
+  let text = formatCell(value, type);
+  if (type === 'text' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCsv(column.header, 'text')).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsv(row[column.key], column.type)).join(','));
+  }
+  return lines.join('\r\n');
+};
+
+const toXlsx = async (columns, rows, sheetName = 'Investments') => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(12, column.header.length + 2),
+    style: column.type === 'number'
+      ? { numFmt: '#,##0.00' }
+      : column.type === 'percent'
+        ? { numFmt: '0.00"%"' }
+        : column.type === 'date'
+          ? { numFmt: 'yyyy-mm-dd' }
+          : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  for (const row of rows) {
+    sheet.addRow(columns.map(column => {
+      const value = row[column.key];
+      if (value === null || value === undefined) return null;
+      if (column.type === 'date') return new Date(value);
+      return value;
+    }));
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+
+// Draws a simple ruled table, starting a new page whenever a row would run off the bottom
+const drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const usableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+  const widths = columns.map(column => (usableWidth * (column.width || 1)) / totalWeight);
+  const rowHeight = 16;
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    let x = left;
+    cells.forEach((cell, index) => {
+      const align = columns[index].align || 'left';
+      doc.text(cell, x + 2, y + 4, { width: widths[index] - 4, align, lineBreak: false, ellipsis: true });
+      x += widths[index];
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(left + usableWidth, y + rowHeight).lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(column => column.header), { bold: true });
+  rows.forEach(row => drawRow(row));
+  doc.moveDown();
+};
+
+/**
+ * Renders a statement with a header, summary totals, allocation by asset type and
+ * the list of positions. summary and allocation amounts are in summary.baseCurrency.
+ */
+const toPdf = ({ title, preparedFor, filters = [], summary, allocation = [], columns, rows }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const currency = summary.baseCurrency;
+
+    doc.font('Helvetica-Bold').fontSize(18).text(title);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(`Prepared for ${preparedFor} on ${new Date().toISOString().split('T')[0]}. Amounts in ${currency}.`);
+    if (filters.length > 0) {
+      doc.text(`Filters: ${filters.join(', ')}`);
+    }
+    doc.fillColor('#000000').moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Summary');
+    doc.moveDown(0.3);
+    drawTable(doc, [
+      { header: 'Investments', align: 'right' },
+      { header: 'Invested', align: 'right' },
+      { header: 'Current Value', align: 'right' },
+      { header: 'Distributed', align: 'right' },
+      { header: 'Gain/Loss', align: 'right' },
+      { header: 'ROI', align: 'right' }
+    ], [[
+      String(summary.investmentCount),
+      formatMoney(summary.totalInvested, currency),
+      formatMoney(summary.totalCurrentValue, currency),
+      formatMoney(summary.totalDistributed, currency),
+      formatMoney(summary.totalGain, currency),
+      `${summary.totalRoi.toFixed(2)}%`
+    ]]);
+
+    if (allocation.length > 0) {
+      doc.font('Helvetica-Bold').fontSize(12).text('Allocation by Asset Type');
+      doc.moveDown(0.3);
+      drawTable(doc, [
+        { header: 'Asset Type', width: 2 },
+        { header: 'Investments', align: 'right' },
+        { header: 'Invested', align: 'right' },
+        { header: 'Current Value', align: 'right' },
+        { header: 'Share of Value', align: 'right' }
+      ], allocation.map(group => [
+        group._id,
+        String(group.count),
+        formatMoney(group.totalInvested, currency),
+        formatMoney(group.totalCurrentValue, currency),
+        summary.totalCurrentValue > 0
+          ? `${((group.totalCurrentValue / summary.totalCurrentValue) * 100).toFixed(1)}%`
+          : '-'
+      ]));
+    }
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Positions');
+    doc.moveDown(0.3);
+    drawTable(
+      doc,
+      columns.map(column => ({
+        header: column.header,
+        width: column.width,
+        align: column.type === 'text' ? 'left' : 'right'
+      })),
+      rows.map(row => columns.map(column =>
+        column.type === 'percent' && row[column.key] !== undefined
+          ? `${formatCell(row[column.key], column.type)}%`
+          : formatCell(row[column.key], column.type)
+      ))
+    );
+
+    doc.end();
+  });
+
+module.exports = {
+  toCsv,
+  toXlsx,
+  toPdf
+};
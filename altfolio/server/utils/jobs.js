@@ -0,0 +1,14 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Runs task now and then once a day; failures are logged and retried on the next run.
+// The timer is unref'd so it never keeps the process alive on its own
+const runDaily = (name, task) => {
+  const run = () => Promise.resolve()
+    .then(task)
+    .catch(error => console.error(`${name} error:`, error));
+
+  run();
+  setInterval(run, DAY_MS).unref();
+};
+
+module.exports = { runDaily };
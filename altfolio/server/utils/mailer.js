@@ -0,0 +1,103 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Outgoing mail goes through the transport named by MAIL_TRANSPORT:
+ * - smtp: SMTP_HOST/SMTP_PORT (with optional SMTP_USER/SMTP_PASS), e.g. a local Mailpit catcher
+ * - console: logs each message instead of sending it
+ * - memory: keeps messages in `outbox` for tests to inspect
+ * Without MAIL_TRANSPORT, tests use memory, SMTP is used when SMTP_HOST is set and console otherwise.
+ * Anything with a sendMail(message) method can be plugged in with setTransport.
+ */
+const outbox = [];
+
+const transports = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  }),
+  console: () => ({
+    sendMail: async message => {
+      console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return message;
+    }
+  }),
+  memory: () => ({
+    sendMail: async message => {
+      outbox.push(message);
+      return message;
+    }
+  })
+};
+
+let transport = null;
+
+const defaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return process.env.SMTP_HOST ? 'smtp' : 'console';
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = defaultTransportName();
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Pass null to fall back to the transport configured in the environment
+const setTransport = value => {
+  transport = value;
+};
+
+const sendMail = ({ to, subject, text }) =>
+  getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Altfolio <no-reply@altfolio.local>',
+    to,
+    subject,
+    text
+  });
+
+const clientUrl = (path, params) =>
+  `${process.env.CLIENT_URL || 'http://localhost:3000'}${path}?${new URLSearchParams(params)}`;
+
+const sendVerificationEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: 'Verify your Altfolio email address',
+    text: `Hi ${user.name},\n\nConfirm your email address to finish setting up your Altfolio account:\n\n` +
+      `${clientUrl('/verify-email', { token })}\n\nThe link expires in 24 hours.`
+  });
+
+const sendPasswordResetEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: 'Reset your Altfolio password',
+    text: `Hi ${user.name},\n\nUse this link to choose a new password:\n\n` +
+      `${clientUrl('/reset-password', { token })}\n\n` +
+      'The link expires in 1 hour and can be used once. If you did not ask to reset your password you can ignore this email.'
+  });
+
+const sendInviteEmail = (invite, token, invitedBy) =>
+  sendMail({
+    to: invite.email,
+    subject: 'You have been invited to Altfolio',
+    text: `${invitedBy.name} has invited you to join Altfolio as ${/^[aeiou]/.test(invite.role) ? 'an' : 'a'} ${invite.role}.\n\n` +
+      `Create your account here:\n\n${clientUrl('/register', { invite: token })}\n\nThe invitation expires in 7 days.`
+  });
+
+module.exports = {
+  outbox,
+  setTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInviteEmail
+};
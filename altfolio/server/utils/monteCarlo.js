@@ -0,0 +1,169 @@
+const PERCENTILES = [5, 25, 50, 75, 95];
+const CONFIDENCE_LEVELS = [95, 99];
+const MAX_PATHS = 10000;
+const MAX_HORIZON_YEARS = 30;
+// Paths are stepped monthly, or more coarsely for long horizons to bound the work per run
+const MAX_STEPS = 120;
+
+const simulationError = message => Object.assign(new Error(message), { code: 'INVALID_SIMULATION' });
+
+// Deterministic 32-bit generator (mulberry32), so the same seed reproduces a run exactly
+const createRandom = seed => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draws by the Box-Muller transform
+const createNormal = random => {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    let u = 0;
+    while (u === 0) u = random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    const angle = 2 * Math.PI * random();
+    spare = radius * Math.sin(angle);
+    return radius * Math.cos(angle);
+  };
+};
+
+// Lower-triangular L with L * L^T = matrix; fails when the correlations are not a valid (positive definite) set
+const cholesky = matrix => {
+  const size = matrix.length;
+  const lower = matrix.map(() => new Array(size).fill(0));
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      if (i === j) {
+        if (sum <= 1e-10) {
+          throw simulationError('The correlations are inconsistent with each other; lower some of them and try again.');
+        }
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+  return lower;
+};
+
+// Correlation matrix for names from pairwise { between: [a, b], value } entries; unlisted pairs get fallback
+const correlationMatrix = (names, pairs = [], fallback = 0) =>
+  names.map((a, i) => names.map((b, j) => {
+    if (i === j) return 1;
+    const pair = pairs.find(entry =>
+      (entry.between[0] === a && entry.between[1] === b) || (entry.between[0] === b && entry.between[1] === a));
+    return pair ? pair.value : fallback;
+  }));
+
+// Linear interpolation between the closest ranks of an ascending array
+const percentile = (sorted, p) => {
+  const index = ((sorted.length - 1) * p) / 100;
+  const below = Math.floor(index);
+  const above = Math.ceil(index);
+  return sorted[below] + (sorted[above] - sorted[below]) * (index - below);
+};
+
+const percentilesOf = sorted => Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(sorted, p)]));
+
+/**
+ * Simulates a portfolio as one geometric Brownian motion per group (asset type), with correlated
+ * shocks between groups. Groups are { name, value, drift, volatility } with drift and volatility
+ * as annual fractions; correlations is a matrix in the same order.
+ *
+ * Returns percentile bands of the portfolio value at each step, the distribution of the final value,
+ * the probability of ending below today's value, VaR and CVaR (expected shortfall) as losses from
+ * today's value, and percentiles of each group's growth multiple.
+ */
+const simulatePortfolio = ({ groups, correlations, horizonYears = 1, paths = 1000, seed = 1 }) => {
+  if (groups.length === 0) {
+    throw simulationError('There are no investments to simulate.');
+  }
+
+  const steps = Math.max(1, Math.min(MAX_STEPS, Math.round(horizonYears * 12)));
+  const dt = horizonYears / steps;
+  const lower = cholesky(correlations);
+  const normal = createNormal(createRandom(seed));
+
+  const initialValue = groups.reduce((sum, group) => sum + group.value, 0);
+  const driftTerms = groups.map(group => (group.drift - (group.volatility * group.volatility) / 2) * dt);
+  const shockScales = groups.map(group => group.volatility * Math.sqrt(dt));
+  const valuesByStep = Array.from({ length: steps + 1 }, () => new Float64Array(paths));
+  const multiples = groups.map(() => new Float64Array(paths));
+  const draws = new Float64Array(groups.length);
+  const logReturns = new Float64Array(groups.length);
+
+  for (let path = 0; path < paths; path++) {
+    logReturns.fill(0);
+    valuesByStep[0][path] = initialValue;
+    for (let step = 1; step <= steps; step++) {
+      for (let i = 0; i < groups.length; i++) draws[i] = normal();
+      let total = 0;
+      for (let i = 0; i < groups.length; i++) {
+        let shock = 0;
+        for (let k = 0; k <= i; k++) shock += lower[i][k] * draws[k];
+        logReturns[i] += driftTerms[i] + shockScales[i] * shock;
+        total += groups[i].value * Math.exp(logReturns[i]);
+      }
+      valuesByStep[step][path] = total;
+    }
+    for (let i = 0; i < groups.length; i++) multiples[i][path] = Math.exp(logReturns[i]);
+  }
+
+  const bands = valuesByStep.map((values, step) => ({
+    years: step * dt,
+    ...percentilesOf(Float64Array.from(values).sort())
+  }));
+
+  const finalValues = Float64Array.from(valuesByStep[steps]).sort();
+  const mean = finalValues.reduce((sum, value) => sum + value, 0) / paths;
+  const losing = finalValues.filter(value => value < initialValue).length;
+
+  const valueAtRisk = CONFIDENCE_LEVELS.map(confidence => {
+    const threshold = percentile(finalValues, 100 - confidence);
+    const tail = finalValues.filter(value => value <= threshold);
+    const tailMean = tail.reduce((sum, value) => sum + value, 0) / tail.length;
+    return {
+      confidence,
+      var: Math.max(0, initialValue - threshold),
+      cvar: Math.max(0, initialValue - tailMean)
+    };
+  });
+
+  return {
+    initialValue,
+    steps,
+    bands,
+    final: { mean, ...percentilesOf(finalValues) },
+    probabilityOfLoss: losing / paths,
+    valueAtRisk,
+    groups: groups.map((group, i) => ({
+      name: group.name,
+      multiple: percentilesOf(Float64Array.from(multiples[i]).sort())
+    }))
+  };
+};
+
+module.exports = {
+  PERCENTILES,
+  CONFIDENCE_LEVELS,
+  MAX_PATHS,
+  MAX_HORIZON_YEARS,
+  createRandom,
+  createNormal,
+  cholesky,
+  correlationMatrix,
+  percentile,
+  simulatePortfolio
+};
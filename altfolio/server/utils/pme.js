@@ -0,0 +1,70 @@
+const { xirr, round } = require('./returns');
+
+const percent = rate => {
+  const value = rate === null ? null : round(rate * 100, 2);
+  // A rate that rounds to -0 reads as 0
+  return value === 0 ? 0 : value;
+};
+
+/**
+ * What the flows up to a date would be worth had every contribution bought the index and every
+ * distribution sold it: the PME counterpart of the portfolio's value on that date. Null when the
+ * index does not cover the date or an earlier flow.
+ */
+const pmeValueOn = (flows, indexAt, date) => {
+  const index = indexAt(date);
+  if (!index) return null;
+
+  let value = 0;
+  for (const flow of flows.filter(flow => new Date(flow.date) <= new Date(date))) {
+    const flowIndex = indexAt(flow.date);
+    if (!flowIndex) return null;
+    value -= flow.amount * index / flowIndex;
+  }
+  return value;
+};
+
+/**
+ * Public market equivalent measures of dated cash flows (signed as for xirr) and a current value
+ * against a benchmark, where indexAt(date) returns the index level on a date or null.
+ *  - ksPme (Kaplan-Schoar): index-adjusted distributions plus current value over index-adjusted
+ *    contributions; above 1 means the investment beat the index
+ *  - pmeIrr (Long-Nickels): the IRR of the same flows ending at pmeValue, what they would be worth
+ *    in the index; excessIrr is the IRR above it
+ *  - directAlpha: the IRR of the index-adjusted flows, the annual return earned over the index
+ * Returns null when there are no flows or the index does not cover the first flow.
+ */
+const calculatePme = (flows, currentValue, indexAt, asOf = new Date()) => {
+  if (flows.length === 0) return null;
+
+  const endIndex = indexAt(asOf);
+  const compounded = [];
+  for (const flow of flows) {
+    const index = indexAt(flow.date);
+    if (!index || !endIndex) return null;
+    compounded.push({ amount: flow.amount * endIndex / index, date: flow.date });
+  }
+
+  const contributed = compounded.filter(flow => flow.amount < 0).reduce((sum, flow) => sum - flow.amount, 0);
+  const distributed = compounded.filter(flow => flow.amount > 0).reduce((sum, flow) => sum + flow.amount, 0);
+  const pmeValue = contributed - distributed;
+  const firstDate = flows.reduce((min, flow) => (new Date(flow.date) < min ? new Date(flow.date) : min), new Date(flows[0].date));
+
+  const irr = xirr([...flows, { amount: currentValue, date: asOf }]);
+  const pmeIrr = xirr([...flows, { amount: pmeValue, date: asOf }]);
+
+  return {
+    ksPme: contributed > 0 ? round((distributed + currentValue) / contributed) : null,
+    irr: percent(irr),
+    pmeIrr: percent(pmeIrr),
+    excessIrr: irr !== null && pmeIrr !== null ? percent(irr - pmeIrr) : null,
+    directAlpha: percent(xirr([...compounded, { amount: currentValue, date: asOf }])),
+    pmeValue: round(pmeValue, 2),
+    benchmarkReturn: percent(endIndex / indexAt(firstDate) - 1)
+  };
+};
+
+module.exports = {
+  calculatePme,
+  pmeValueOn
+};
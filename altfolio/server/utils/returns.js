@@ -0,0 +1,113 @@
+const DAYS_PER_YEAR = 365;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const yearsBetween = (from, to) => (new Date(to) - new Date(from)) / MS_PER_DAY / DAYS_PER_YEAR;
+
+const round = (value, places = 4) => {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+// Net present value of dated flows at an annual rate, discounted back to the first flow
+const npv = (rate, flows) => {
+  const start = flows[0].date;
+  return flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, yearsBetween(start, flow.date)), 0);
+};
+
+const dnpv = (rate, flows) => {
+  const start = flows[0].date;
+  return flows.reduce((sum, flow) => {
+    const t = yearsBetween(start, flow.date);
+    return sum - (t * flow.amount) / Math.pow(1 + rate, t + 1);
+  }, 0);
+};
+
+/**
+ * Annualized internal rate of return for irregularly dated cash flows.
+ * Flows are { amount, date } with contributions negative and distributions positive.
+ * Returns a fraction (0.12 = 12%) or null when the flows have no sign change.
+ */
+const xirr = (flows, guess = 0.1) => {
+  const sorted = flows
+    .filter(flow => flow.amount !== 0)
+    .map(flow => ({ amount: flow.amount, date: new Date(flow.date) }))
+    .sort((a, b) => a.date - b.date);
+
+  if (!sorted.some(flow => flow.amount < 0) || !sorted.some(flow => flow.amount > 0)) {
+    return null;
+  }
+  if (yearsBetween(sorted[0].date, sorted[sorted.length - 1].date) <= 0) {
+    return null;
+  }
+
+  let rate = guess;
+  for (let i = 0; i < 100; i++) {
+    const value = npv(rate, sorted);
+    const derivative = dnpv(rate, sorted);
+    if (Math.abs(value) < 1e-7) return rate;
+    if (derivative === 0 || !Number.isFinite(derivative)) break;
+    const next = rate - value / derivative;
+    if (!Number.isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  // Newton did not converge; fall back to bisection over a wide bracket
+  let low = -0.9999;
+  let high = 100;
+  let lowValue = npv(low, sorted);
+  if (lowValue * npv(high, sorted) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const midValue = npv(mid, sorted);
+    if (Math.abs(midValue) < 1e-7 || (high - low) / 2 < 1e-10) return mid;
+    if (midValue * lowValue < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      lowValue = midValue;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Time-aware return metrics for a set of dated cash flows and a residual value.
+ * Flows are signed as for xirr; the residual value is treated as a final distribution at asOf.
+ */
+const calculateMetrics = (flows, currentValue, asOf = new Date()) => {
+  const contributed = flows.filter(flow => flow.amount < 0).reduce((sum, flow) => sum - flow.amount, 0);
+  const distributed = flows.filter(flow => flow.amount > 0).reduce((sum, flow) => sum + flow.amount, 0);
+  const firstDate = flows.length > 0
+    ? flows.reduce((min, flow) => (new Date(flow.date) < min ? new Date(flow.date) : min), new Date(flows[0].date))
+    : null;
+  const holdingPeriodYears = firstDate ? Math.max(yearsBetween(firstDate, asOf), 0) : 0;
+
+  const tvpi = contributed > 0 ? (distributed + currentValue) / contributed : null;
+  const dpi = contributed > 0 ? distributed / contributed : null;
+  const rvpi = contributed > 0 ? currentValue / contributed : null;
+
+  // Shorter holding periods are not annualized: compounding a few weeks of return to a year is noise
+  const annualizedReturn = tvpi !== null && holdingPeriodYears >= 1
+    ? Math.pow(tvpi, 1 / holdingPeriodYears) - 1
+    : tvpi !== null ? tvpi - 1 : null;
+
+  const irr = xirr([...flows, { amount: currentValue, date: asOf }]);
+
+  return {
+    irr: irr === null ? null : round(irr * 100, 2),
+    annualizedReturn: annualizedReturn === null ? null : round(annualizedReturn * 100, 2),
+    tvpi: round(tvpi),
+    dpi: round(dpi),
+    rvpi: round(rvpi),
+    holdingPeriodYears: round(holdingPeriodYears, 2)
+  };
+};
+
+module.exports = {
+  xirr,
+  calculateMetrics,
+  yearsBetween,
+  round
+};
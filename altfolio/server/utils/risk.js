@@ -0,0 +1,188 @@
+const { yearsBetween, round } = require('./returns');
+
+const LIQUIDITY_BUCKETS = [
+  { key: 'now', label: 'Available now', maxYears: 0 },
+  { key: 'withinYear', label: 'Within 1 year', maxYears: 1 },
+  { key: 'oneToThreeYears', label: '1-3 years', maxYears: 3 },
+  { key: 'threeToFiveYears', label: '3-5 years', maxYears: 5 },
+  { key: 'overFiveYears', label: 'Over 5 years', maxYears: Infinity }
+];
+const UNKNOWN_LIQUIDITY = { key: 'unknown', label: 'No lockup or exit date' };
+
+const percentOf = (value, total) => (total > 0 ? round((value / total) * 100, 2) : null);
+
+/**
+ * Herfindahl-Hirschman index of a set of amounts: the sum of squared shares, from 1/n for an even
+ * split to 1 when everything is in one place. Null when the amounts add up to nothing.
+ */
+const herfindahl = amounts => {
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (total <= 0) return null;
+  return round(amounts.reduce((sum, amount) => sum + Math.pow(amount / total, 2), 0));
+};
+
+// Sums { key, label, value } entries by key, largest first, with each group's share and the index
+const concentration = entries => {
+  const groups = new Map();
+  entries.forEach(({ key, label, value }) => {
+    const group = groups.get(key) || { key, label, value: 0, count: 0 };
+    group.value += value;
+    group.count += 1;
+    groups.set(key, group);
+  });
+
+  const total = entries.reduce((sum, entry) => sum + entry.value, 0);
+  const index = herfindahl([...groups.values()].map(group => group.value));
+  return {
+    herfindahl: index,
+    // The number of equal-sized holdings that would be as concentrated
+    effectiveCount: index ? round(1 / index, 2) : null,
+    groups: [...groups.values()]
+      .sort((a, b) => b.value - a.value)
+      .map(group => ({ ...group, value: round(group.value, 2), percent: percentOf(group.value, total) }))
+  };
+};
+
+// The earliest date the capital could come back: the end of the lockup when there is one, otherwise the expected exit
+const liquidityDate = position => position.lockupEndDate || position.expectedExitDate || null;
+
+const liquidityBucket = (position, asOf) => {
+  const date = liquidityDate(position);
+  if (!date) return UNKNOWN_LIQUIDITY;
+  const years = yearsBetween(asOf, date);
+  return LIQUIDITY_BUCKETS.find(bucket => years <= bucket.maxYears);
+};
+
+const liquidityProfile = (positions, asOf) => {
+  const total = positions.reduce((sum, position) => sum + position.value, 0);
+  const buckets = [...LIQUIDITY_BUCKETS, UNKNOWN_LIQUIDITY].map(({ key, label }) => {
+    const inBucket = positions.filter(position => liquidityBucket(position, asOf).key === key);
+    const value = inBucket.reduce((sum, position) => sum + position.value, 0);
+    return { key, label, count: inBucket.length, value: round(value, 2), percent: percentOf(value, total) };
+  });
+
+  const liquidWithinYear = positions
+    .filter(position => ['now', 'withinYear'].includes(liquidityBucket(position, asOf).key))
+    .reduce((sum, position) => sum + position.value, 0);
+  const dated = positions.filter(position => liquidityDate(position) && position.value > 0);
+  const datedValue = dated.reduce((sum, position) => sum + position.value, 0);
+
+  return {
+    buckets,
+    liquidWithinYearPercent: percentOf(liquidWithinYear, total),
+    // Value-weighted, counting positions already available as zero
+    averageYearsToLiquidity: datedValue > 0
+      ? round(dated.reduce((sum, position) => sum + position.value * Math.max(yearsBetween(asOf, liquidityDate(position)), 0), 0) / datedValue, 2)
+      : null
+  };
+};
+
+const vintageSpread = positions => {
+  const total = positions.reduce((sum, position) => sum + position.invested, 0);
+  const years = new Map();
+  positions.forEach(position => {
+    const year = years.get(position.vintage) || { year: position.vintage, count: 0, invested: 0, currentValue: 0 };
+    year.count += 1;
+    year.invested += position.invested;
+    year.currentValue += position.value;
+    years.set(position.vintage, year);
+  });
+
+  const sorted = [...years.values()].sort((a, b) => a.year - b.year);
+  return {
+    herfindahl: herfindahl(sorted.map(year => year.invested)),
+    spanYears: sorted.length > 0 ? sorted[sorted.length - 1].year - sorted[0].year + 1 : 0,
+    years: sorted.map(year => ({
+      ...year,
+      invested: round(year.invested, 2),
+      currentValue: round(year.currentValue, 2),
+      percent: percentOf(year.invested, total)
+    }))
+  };
+};
+
+const shareBreaches = (measure, groups, threshold, describe) => groups
+  .filter(group => group.percent !== null && group.percent > threshold)
+  .map(group => ({
+    measure,
+    subject: group.label,
+    value: group.percent,
+    threshold,
+    message: `${describe(group)} is ${group.percent}% of the portfolio, above the ${threshold}% limit`
+  }));
+
+/**
+ * Concentration, vintage and liquidity measures for positions valued in one currency. Each position
+ * is { key, label, assetType, owners: [{ key, label, share }], value, invested, vintage,
+ * lockupEndDate, expectedExitDate }, with owner shares as fractions. Owners are left out when
+ * includeOwners is false, e.g. for a report on one user's own share. Breaches of the thresholds
+ * (see Setting riskThresholds) are listed in flags.
+ */
+const buildRiskReport = (positions, thresholds, { asOf = new Date(), top = 5, includeOwners = true } = {}) => {
+  const byInvestment = concentration(positions.map(({ key, label, value }) => ({ key, label, value })));
+  const byAssetType = concentration(positions.map(position => ({ key: position.assetType, label: position.assetType, value: position.value })));
+  const byOwner = includeOwners
+    ? concentration(positions.flatMap(position => position.owners.map(owner => ({
+      key: owner.key,
+      label: owner.label,
+      value: position.value * owner.share
+    }))))
+    : null;
+  const vintages = vintageSpread(positions);
+  const liquidity = liquidityProfile(positions, asOf);
+
+  const flags = [
+    ...shareBreaches('investmentShare', byInvestment.groups, thresholds.maxInvestmentPercent, group => group.label),
+    ...shareBreaches('assetTypeShare', byAssetType.groups, thresholds.maxAssetTypePercent, group => `Asset type ${group.label}`),
+    ...(byOwner ? shareBreaches('ownerShare', byOwner.groups, thresholds.maxOwnerPercent, group => `${group.label}'s share`) : []),
+    ...[['investments', byInvestment], ['asset types', byAssetType], ['owners', byOwner]]
+      .filter(([, measure]) => measure && measure.herfindahl !== null && measure.herfindahl > thresholds.maxHerfindahl)
+      .map(([subject, measure]) => ({
+        measure: 'herfindahl',
+        subject,
+        value: measure.herfindahl,
+        threshold: thresholds.maxHerfindahl,
+        message: `The Herfindahl index across ${subject} is ${measure.herfindahl}, above the ${thresholds.maxHerfindahl} limit`
+      })),
+    ...vintages.years
+      .filter(year => year.percent !== null && year.percent > thresholds.maxVintagePercent)
+      .map(year => ({
+        measure: 'vintageShare',
+        subject: String(year.year),
+        value: year.percent,
+        threshold: thresholds.maxVintagePercent,
+        message: `The ${year.year} vintage holds ${year.percent}% of invested capital, above the ${thresholds.maxVintagePercent}% limit`
+      })),
+    ...(liquidity.liquidWithinYearPercent !== null && liquidity.liquidWithinYearPercent < thresholds.minLiquidPercent
+      ? [{
+        measure: 'liquidity',
+        subject: null,
+        value: liquidity.liquidWithinYearPercent,
+        threshold: thresholds.minLiquidPercent,
+        message: `Only ${liquidity.liquidWithinYearPercent}% of the portfolio can be realized within a year, below the ${thresholds.minLiquidPercent}% minimum`
+      }]
+      : [])
+  ];
+
+  return {
+    totalValue: round(positions.reduce((sum, position) => sum + position.value, 0), 2),
+    concentration: {
+      investments: { ...byInvestment, count: byInvestment.groups.length, groups: byInvestment.groups.slice(0, top) },
+      assetTypes: byAssetType,
+      owners: byOwner
+    },
+    vintages,
+    liquidity,
+    thresholds,
+    flags
+  };
+};
+
+module.exports = {
+  LIQUIDITY_BUCKETS,
+  herfindahl,
+  concentration,
+  liquidityProfile,
+  vintageSpread,
+  buildRiskReport
+};
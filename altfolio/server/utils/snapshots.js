@@ -0,0 +1,14 @@
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const { runDaily } = require('./jobs');
+
+// PORTFOLIO_SNAPSHOT_FREQUENCY is daily (the default) or monthly
+const snapshotFrequency = () => {
+  const frequency = (process.env.PORTFOLIO_SNAPSHOT_FREQUENCY || 'daily').toLowerCase();
+  return PortfolioSnapshot.FREQUENCIES.includes(frequency) ? frequency : 'daily';
+};
+
+const startSnapshotJob = () => runDaily('Portfolio snapshot', () =>
+  PortfolioSnapshot.capture({ frequency: snapshotFrequency() })
+);
+
+module.exports = { snapshotFrequency, startSnapshotJob };
@@ -0,0 +1,119 @@
+const ExcelJS = require('exceljs');
+
+const XLSX_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel'
+];
+
+/**
+ * Splits CSV text into rows of fields. Handles quoted fields with embedded
+ * commas, quotes ("") and line breaks, CRLF line endings and a leading BOM.
+ */
+const parseCsv = text => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// ExcelJS wraps formulas, rich text and hyperlinks in objects; reduce them to plain values
+const cellValue = value => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    return '';
+  }
+  return value;
+};
+
+const parseXlsx = async buffer => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, row => {
+    const values = [];
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      values.push(cellValue(row.getCell(column).value));
+    }
+    rows.push(values);
+  });
+  return rows;
+};
+
+const isXlsx = file =>
+  XLSX_TYPES.includes(file.mimetype) || /\.xlsx$/i.test(file.originalname || '');
+
+/**
+ * Reads an uploaded CSV or XLSX file into its header names and one object per
+ * data row keyed by header. Row numbers match the sheet, counting the header as row 1;
+ * blank rows are skipped.
+ */
+const readSpreadsheet = async file => {
+  const table = isXlsx(file)
+    ? await parseXlsx(file.buffer)
+    : parseCsv(file.buffer.toString('utf8'));
+
+  const [headerRow = [], ...dataRows] = table;
+  const headers = headerRow.map(header => String(header).trim());
+
+  const rows = [];
+  dataRows.forEach((values, index) => {
+    const isBlank = values.every(value => value === '' || value === null || value === undefined);
+    if (isBlank) return;
+
+    const record = {};
+    headers.forEach((header, column) => {
+      if (header) record[header] = values[column] === undefined ? '' : values[column];
+    });
+    rows.push({ rowNumber: index + 2, values: record });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+module.exports = {
+  parseCsv,
+  readSpreadsheet
+};
@@ -0,0 +1,26 @@
+const Investment = require('../models/Investment');
+const Setting = require('../models/Setting');
+const { auditInvestment } = require('./audit');
+const { runDaily } = require('./jobs');
+
+// Permanently removes investments that have been in the trash longer than the retention setting
+const purgeExpiredTrash = async () => {
+  const retentionDays = await Setting.getValue('trashRetentionDays');
+  if (!retentionDays) return 0;
+
+  const expired = await Investment.findExpiredTrash(retentionDays);
+  for (const investment of expired) {
+    await Investment.purge([investment._id]);
+    await auditInvestment(null, 'purge', investment, null, {
+      summary: `Purged after ${retentionDays} days in the trash`
+    });
+  }
+  return expired.length;
+};
+
+const startTrashRetentionJob = () => runDaily('Trash retention', async () => {
+  const count = await purgeExpiredTrash();
+  if (count > 0) console.log(`Purged ${count} investment(s) from the trash`);
+});
+
+module.exports = { purgeExpiredTrash, startTrashRetentionJob };